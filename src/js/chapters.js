@@ -0,0 +1,162 @@
+/**
+ * Agrupamento por capítulos para RFCP Tracker
+ * Deriva capítulos e seções a partir dos IDs (LO-2.3.1) e URLs (chapter-02)
+ * @fileoverview Índice de capítulos/seções e estado de recolhimento
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações de capítulos
+ */
+const CHAPTER_CONFIG = {
+  COLLAPSED_KEY: 'rfcp_collapsed_chapters',
+  URL_PATTERN: /\/chapter-0*(\d+)\/([^/#?]+)/,
+  ID_PATTERN: /^LO-(\d+)(?:\.(\d+))?/,
+  UNKNOWN_CHAPTER: '0'
+};
+
+/**
+ * Índice de capítulos do syllabus
+ */
+class ChapterIndex {
+  /**
+   * Número do capítulo de um objetivo (URL tem prioridade sobre o ID)
+   * @param {Object} objective - Dados do objetivo
+   * @returns {string}
+   */
+  static getChapterId(objective) {
+    const urlMatch = CHAPTER_CONFIG.URL_PATTERN.exec(objective.url || '');
+    if (urlMatch) return urlMatch[1];
+
+    const idMatch = CHAPTER_CONFIG.ID_PATTERN.exec(objective.id || '');
+    return idMatch ? idMatch[1] : CHAPTER_CONFIG.UNKNOWN_CHAPTER;
+  }
+
+  /**
+   * Seção de um objetivo (ex.: "2.3 · Executing")
+   * @param {Object} objective - Dados do objetivo
+   * @returns {{key: string, label: string}}
+   */
+  static getSection(objective) {
+    const idMatch = CHAPTER_CONFIG.ID_PATTERN.exec(objective.id || '');
+    const urlMatch = CHAPTER_CONFIG.URL_PATTERN.exec(objective.url || '');
+    const number = idMatch?.[2] ? `${idMatch[1]}.${idMatch[2]}` : '';
+    const slug = urlMatch ? urlMatch[2] : '';
+    const name = slug
+      ? slug.replace(/[_-]+/g, ' ').replace(/^\w/, char => char.toUpperCase())
+      : '';
+
+    return {
+      key: slug || number || 'geral',
+      label: [number, name].filter(Boolean).join(' · ') || 'Geral'
+    };
+  }
+
+  /**
+   * Monta a lista de capítulos com suas seções, na ordem do syllabus
+   * @param {Array} objectives - Lista de objetivos
+   * @param {Array} chapterMeta - Metadados opcionais [{ id, title }]
+   * @returns {Array<{id: string, title: string, objectives: Array, sections: Array}>}
+   */
+  static build(objectives, chapterMeta = []) {
+    const titles = {};
+    (chapterMeta || []).forEach(meta => {
+      titles[String(meta.id)] = meta.title;
+    });
+
+    const chapters = new Map();
+    objectives.forEach(objective => {
+      const chapterId = this.getChapterId(objective);
+      if (!chapters.has(chapterId)) {
+        chapters.set(chapterId, {
+          id: chapterId,
+          title: titles[chapterId] || `Capítulo ${chapterId}`,
+          objectives: [],
+          sections: new Map()
+        });
+      }
+
+      const chapter = chapters.get(chapterId);
+      const section = this.getSection(objective);
+      if (!chapter.sections.has(section.key)) {
+        chapter.sections.set(section.key, { ...section, objectives: [] });
+      }
+
+      chapter.objectives.push(objective);
+      chapter.sections.get(section.key).objectives.push(objective);
+    });
+
+    return [...chapters.values()]
+      .map(chapter => ({ ...chapter, sections: [...chapter.sections.values()] }))
+      .sort((a, b) => Number(a.id) - Number(b.id));
+  }
+
+  /**
+   * Resumo de progresso de um capítulo
+   * @param {Object} chapter - Capítulo montado por build()
+   * @param {string[]} completedIds - IDs concluídos
+   * @returns {{completed: number, total: number, completedMinutes: number, totalMinutes: number, percentage: number}}
+   */
+  static summarize(chapter, completedIds) {
+    const completedSet = new Set(completedIds);
+    let completed = 0;
+    let completedMinutes = 0;
+    let totalMinutes = 0;
+
+    chapter.objectives.forEach(objective => {
+      const time = Number(objective.time_min) || 0;
+      totalMinutes += time;
+      if (completedSet.has(objective.id)) {
+        completed++;
+        completedMinutes += time;
+      }
+    });
+
+    const total = chapter.objectives.length;
+    return {
+      completed,
+      total,
+      completedMinutes,
+      totalMinutes,
+      percentage: total === 0 ? 0 : Math.round((completed / total) * 100)
+    };
+  }
+
+  /**
+   * Carrega os capítulos recolhidos
+   * @returns {Set<string>}
+   */
+  static loadCollapsed() {
+    try {
+      return new Set(JSON.parse(localStorage.getItem(SyllabusRegistry.namespaced(CHAPTER_CONFIG.COLLAPSED_KEY))) || []);
+    } catch (error) {
+      console.warn('Erro ao carregar capítulos recolhidos:', error);
+      return new Set();
+    }
+  }
+
+  /**
+   * Persiste os capítulos recolhidos
+   * @param {Set<string>} collapsed - IDs dos capítulos recolhidos
+   */
+  static saveCollapsed(collapsed) {
+    try {
+      localStorage.setItem(SyllabusRegistry.namespaced(CHAPTER_CONFIG.COLLAPSED_KEY), JSON.stringify([...collapsed]));
+    } catch (error) {
+      console.warn('Erro ao salvar capítulos recolhidos:', error);
+    }
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.ChapterIndex = ChapterIndex;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ChapterIndex, CHAPTER_CONFIG };
+}
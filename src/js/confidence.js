@@ -0,0 +1,138 @@
+/**
+ * Nível de confiança por objetivo para RFCP Tracker
+ * Registra uma nota de 1 a 5 independente da conclusão e calcula a
+ * prontidão ponderada para o exame
+ * @fileoverview Notas de confiança, cores do mapa de calor e prontidão
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações de confiança
+ */
+const CONFIDENCE_CONFIG = {
+  MIN: 1,
+  MAX: 5,
+  LOW_THRESHOLD: 2,
+  // Nota assumida para objetivos concluídos ainda sem avaliação
+  UNRATED_COMPLETED_SCORE: 3,
+  LABELS: {
+    1: 'Nada confiante',
+    2: 'Pouco confiante',
+    3: 'Razoável',
+    4: 'Confiante',
+    5: 'Pronto para o exame'
+  },
+  COLORS: {
+    0: '#e0e0e0',
+    1: '#e53935',
+    2: '#fb8c00',
+    3: '#fdd835',
+    4: '#7cb342',
+    5: '#2e7d32'
+  }
+};
+
+/**
+ * Operações sobre as notas de confiança
+ *
+ * Registro por objetivo: { score, updatedAt } (score null = nota removida)
+ */
+class Confidence {
+  /**
+   * Cria o registro de uma nota
+   * @param {number|null} score - Nota de 1 a 5 ou null para remover
+   * @param {string} updatedAt - Momento da alteração (ISO)
+   * @returns {Object}
+   * @throws {Error} Nota fora do intervalo
+   */
+  static createEntry(score, updatedAt = new Date().toISOString()) {
+    if (score !== null && !(Number.isInteger(score) && score >= CONFIDENCE_CONFIG.MIN && score <= CONFIDENCE_CONFIG.MAX)) {
+      throw new Error(`Nota de confiança inválida: ${score}`);
+    }
+    return { score, updatedAt };
+  }
+
+  /**
+   * Nota de um objetivo
+   * @param {Object} confidence - Registros por objetivo
+   * @param {string} objectiveId - ID do objetivo
+   * @returns {number|null}
+   */
+  static getScore(confidence, objectiveId) {
+    return confidence?.[objectiveId]?.score || null;
+  }
+
+  /**
+   * Verifica se o objetivo tem confiança baixa (avaliado com 1 ou 2)
+   * @param {Object} confidence - Registros por objetivo
+   * @param {string} objectiveId - ID do objetivo
+   * @returns {boolean}
+   */
+  static isLow(confidence, objectiveId) {
+    const score = this.getScore(confidence, objectiveId);
+    return score !== null && score <= CONFIDENCE_CONFIG.LOW_THRESHOLD;
+  }
+
+  /**
+   * Média das notas de um conjunto de objetivos (ignora os não avaliados)
+   * @param {Array} objectives - Objetivos
+   * @param {Object} confidence - Registros por objetivo
+   * @returns {number|null}
+   */
+  static average(objectives, confidence) {
+    const scores = objectives
+      .map(objective => this.getScore(confidence, objective.id))
+      .filter(score => score !== null);
+    if (scores.length === 0) return null;
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  }
+
+  /**
+   * Prontidão para o exame, ponderada pelo tempo estimado
+   * Cada objetivo contribui com time_min × (nota / 5) se estiver concluído;
+   * objetivos pendentes contribuem com zero.
+   * @param {Array} objectives - Objetivos do syllabus
+   * @param {string[]} completedIds - IDs concluídos
+   * @param {Object} confidence - Registros por objetivo
+   * @returns {number} Percentual de 0 a 100
+   */
+  static readiness(objectives, completedIds, confidence) {
+    const completed = new Set(completedIds);
+    let total = 0;
+    let weighted = 0;
+
+    objectives.forEach(objective => {
+      const time = Number(objective.time_min) || 0;
+      total += time;
+      if (completed.has(objective.id)) {
+        const score = this.getScore(confidence, objective.id) || CONFIDENCE_CONFIG.UNRATED_COMPLETED_SCORE;
+        weighted += time * (score / CONFIDENCE_CONFIG.MAX);
+      }
+    });
+
+    return total === 0 ? 0 : Math.round((weighted / total) * 100);
+  }
+
+  /**
+   * Cor do mapa de calor para uma nota (arredondada)
+   * @param {number|null} score - Nota
+   * @returns {string}
+   */
+  static color(score) {
+    return CONFIDENCE_CONFIG.COLORS[score ? Math.round(score) : 0];
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.Confidence = Confidence;
+  window.CONFIDENCE_CONFIG = CONFIDENCE_CONFIG;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Confidence, CONFIDENCE_CONFIG };
+}
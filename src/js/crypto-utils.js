@@ -0,0 +1,470 @@
+/**
+ * Criptografia local para RFCP Tracker
+ * Deriva chaves de uma frase secreta (PBKDF2) e cifra dados com AES-GCM
+ * usando a Web Crypto API; o TokenVault guarda o token de sincronização e
+ * os envelopes E2E protegem o progresso gravado no provedor
+ * @fileoverview Utilitários de criptografia e cofre do token
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações de criptografia
+ */
+const CRYPTO_CONFIG = {
+  VERSION: 1,
+  PBKDF2: {
+    HASH: 'SHA-256',
+    ITERATIONS: 310000,
+    // Teto para envelopes lidos do provedor: iterações absurdas travariam a página
+    MAX_ITERATIONS: 1240000
+  },
+  CIPHER: 'AES-GCM',
+  KEY_LENGTH: 256,
+  SALT_BYTES: 16,
+  IV_BYTES: 12,
+  // Marca do envelope cifrado gravado no provedor (E2E)
+  ENVELOPE_FORMAT: 'rfcp-e2e',
+  ERROR_CODES: {
+    WRONG_PASSPHRASE: 'CRYPTO_WRONG_PASSPHRASE',
+    INVALID_DATA: 'CRYPTO_INVALID_DATA',
+    // Envelope cifrado com outro salt: a chave da sessão não serve, só a frase secreta
+    KEY_MISMATCH: 'CRYPTO_KEY_MISMATCH'
+  }
+};
+
+/**
+ * Configurações do cofre do token
+ */
+const TOKEN_VAULT_CONFIG = {
+  STORAGE_KEYS: {
+    TOKEN: 'rfcp_github_token',
+    ENCRYPTED: 'rfcp_github_token_encrypted',
+    MODE: 'rfcp_token_mode',
+    // sessionStorage: some ao fechar a aba
+    SESSION: 'rfcp_github_token_session',
+    // Data de expiração informada pelo GitHub (ISO), quando o token expira
+    EXPIRES_AT: 'rfcp_github_token_expires_at'
+  },
+  MODES: {
+    PLAIN: 'plain',
+    ENCRYPTED: 'encrypted',
+    SESSION: 'session'
+  }
+};
+
+/**
+ * Cifra e decifra textos com uma frase secreta
+ */
+class CryptoUtils {
+  /**
+   * Verifica se a Web Crypto API está disponível (exige HTTPS ou localhost)
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    return typeof crypto !== 'undefined' && !!crypto.subtle;
+  }
+
+  /**
+   * Converte bytes para base64
+   * @param {Uint8Array} bytes
+   * @returns {string}
+   */
+  static toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+    return btoa(binary);
+  }
+
+  /**
+   * Converte base64 para bytes
+   * @param {string} base64
+   * @returns {Uint8Array}
+   */
+  static fromBase64(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+  }
+
+  /**
+   * Deriva a chave AES-GCM da frase secreta
+   * @param {string} passphrase - Frase secreta
+   * @param {Uint8Array} salt - Salt aleatório
+   * @param {number} iterations - Iterações do PBKDF2
+   * @param {boolean} extractable - Se a chave pode ser exportada (ver deriveDataKey)
+   * @returns {Promise<CryptoKey>}
+   */
+  static async deriveKey(passphrase, salt, iterations = CRYPTO_CONFIG.PBKDF2.ITERATIONS, extractable = false) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: CRYPTO_CONFIG.PBKDF2.HASH, salt, iterations },
+      material,
+      { name: CRYPTO_CONFIG.CIPHER, length: CRYPTO_CONFIG.KEY_LENGTH },
+      extractable,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Deriva a chave dos dados E2E, guardada na sessão no lugar da frase secreta
+   * Com um envelope, usa o salt e as iterações dele: a mesma chave abre o
+   * remoto e cifra os próximos envios.
+   * @param {string} passphrase - Frase secreta
+   * @param {Object|null} envelope - Envelope remoto (null sorteia um salt novo)
+   * @returns {Promise<Object>} Chave { salt, iterations, key } em base64
+   */
+  static async deriveDataKey(passphrase, envelope = null) {
+    if (!CryptoUtils.isAvailable()) {
+      throw new Error('Criptografia não suportada neste navegador');
+    }
+    if (!passphrase) {
+      throw new Error('Frase secreta é obrigatória');
+    }
+
+    const { salt, iterations } = envelope
+      ? CryptoUtils.readEnvelope(envelope)
+      : { salt: crypto.getRandomValues(new Uint8Array(CRYPTO_CONFIG.SALT_BYTES)), iterations: CRYPTO_CONFIG.PBKDF2.ITERATIONS };
+    const key = await CryptoUtils.deriveKey(passphrase, salt, iterations, true);
+
+    return {
+      salt: CryptoUtils.toBase64(salt),
+      iterations,
+      key: CryptoUtils.toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)))
+    };
+  }
+
+  /**
+   * Verifica se o segredo é uma chave criada por deriveDataKey (e não uma frase)
+   * @param {*} secret - Frase secreta ou chave
+   * @returns {boolean}
+   */
+  static isDataKey(secret) {
+    return typeof secret?.key === 'string' && typeof secret.salt === 'string' && Number.isInteger(secret.iterations);
+  }
+
+  /**
+   * Importa a chave AES-GCM de uma chave criada por deriveDataKey
+   * @param {Object} dataKey - Chave { salt, iterations, key }
+   * @returns {Promise<CryptoKey>}
+   */
+  static async importDataKey(dataKey) {
+    return crypto.subtle.importKey(
+      'raw', CryptoUtils.fromBase64(dataKey.key), { name: CRYPTO_CONFIG.CIPHER }, false, ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Valida um envelope e decodifica salt, IV e dados
+   * As iterações vêm do provedor e só são aceitas dentro da faixa configurada.
+   * @param {Object} envelope - Envelope cifrado
+   * @returns {Object} { iterations, salt, iv, data } com os bytes decodificados
+   * @throws {Error} Erro com code INVALID_DATA
+   */
+  static readEnvelope(envelope) {
+    const { ITERATIONS, MAX_ITERATIONS } = CRYPTO_CONFIG.PBKDF2;
+    const invalid = () => createCodedError(CRYPTO_CONFIG.ERROR_CODES.INVALID_DATA, 'Dados cifrados inválidos');
+    if (envelope?.v !== CRYPTO_CONFIG.VERSION || !envelope.salt || !envelope.iv || !envelope.data ||
+        !Number.isInteger(envelope.iterations) || envelope.iterations < ITERATIONS || envelope.iterations > MAX_ITERATIONS) {
+      throw invalid();
+    }
+
+    try {
+      const [salt, iv, data] = [envelope.salt, envelope.iv, envelope.data].map(CryptoUtils.fromBase64);
+      return { iterations: envelope.iterations, salt, iv, data };
+    } catch (error) {
+      throw invalid();
+    }
+  }
+
+  /**
+   * Cifra um texto
+   * @param {string} plaintext - Texto
+   * @param {string|Object} secret - Frase secreta ou chave de deriveDataKey
+   * @returns {Promise<Object>} Envelope { v, iterations, salt, iv, data } em base64
+   */
+  static async encrypt(plaintext, secret) {
+    if (!CryptoUtils.isAvailable()) {
+      throw new Error('Criptografia não suportada neste navegador');
+    }
+    if (!secret) {
+      throw new Error('Frase secreta é obrigatória');
+    }
+
+    const dataKey = CryptoUtils.isDataKey(secret) ? secret : null;
+    const salt = dataKey
+      ? CryptoUtils.fromBase64(dataKey.salt)
+      : crypto.getRandomValues(new Uint8Array(CRYPTO_CONFIG.SALT_BYTES));
+    const iv = crypto.getRandomValues(new Uint8Array(CRYPTO_CONFIG.IV_BYTES));
+    const key = dataKey ? await CryptoUtils.importDataKey(dataKey) : await CryptoUtils.deriveKey(secret, salt);
+    const data = await crypto.subtle.encrypt(
+      { name: CRYPTO_CONFIG.CIPHER, iv }, key, new TextEncoder().encode(plaintext)
+    );
+
+    return {
+      v: CRYPTO_CONFIG.VERSION,
+      iterations: dataKey ? dataKey.iterations : CRYPTO_CONFIG.PBKDF2.ITERATIONS,
+      salt: CryptoUtils.toBase64(salt),
+      iv: CryptoUtils.toBase64(iv),
+      data: CryptoUtils.toBase64(new Uint8Array(data))
+    };
+  }
+
+  /**
+   * Decifra um envelope criado por encrypt
+   * @param {Object} envelope - Envelope cifrado
+   * @param {string|Object} secret - Frase secreta ou chave de deriveDataKey
+   * @returns {Promise<string>}
+   */
+  static async decrypt(envelope, secret) {
+    if (!CryptoUtils.isAvailable()) {
+      throw new Error('Criptografia não suportada neste navegador');
+    }
+    const { iterations, salt, iv, data } = CryptoUtils.readEnvelope(envelope);
+
+    const dataKey = CryptoUtils.isDataKey(secret) ? secret : null;
+    if (dataKey && (dataKey.salt !== envelope.salt || dataKey.iterations !== iterations)) {
+      throw createCodedError(CRYPTO_CONFIG.ERROR_CODES.KEY_MISMATCH, 'Dados cifrados com outra chave: informe a frase secreta novamente');
+    }
+
+    try {
+      const key = dataKey
+        ? await CryptoUtils.importDataKey(dataKey)
+        : await CryptoUtils.deriveKey(secret || '', salt, iterations);
+      const plaintext = await crypto.subtle.decrypt({ name: CRYPTO_CONFIG.CIPHER, iv }, key, data);
+      return new TextDecoder().decode(plaintext);
+    } catch (error) {
+      // AES-GCM não distingue senha errada de dados adulterados
+      throw createCodedError(CRYPTO_CONFIG.ERROR_CODES.WRONG_PASSPHRASE, 'Frase secreta incorreta ou dados adulterados');
+    }
+  }
+
+  /**
+   * Verifica se um payload é um envelope cifrado (E2E)
+   * @param {*} payload - Payload remoto
+   * @returns {boolean}
+   */
+  static isEnvelope(payload) {
+    return payload?.format === CRYPTO_CONFIG.ENVELOPE_FORMAT;
+  }
+
+  /**
+   * Cifra um objeto em um envelope E2E
+   * @param {Object} data - Dados
+   * @param {string|Object} secret - Frase secreta ou chave de deriveDataKey
+   * @returns {Promise<Object>} { format, v, iterations, salt, iv, data }
+   */
+  static async seal(data, secret) {
+    return {
+      format: CRYPTO_CONFIG.ENVELOPE_FORMAT,
+      ...await CryptoUtils.encrypt(JSON.stringify(data), secret)
+    };
+  }
+
+  /**
+   * Decifra um envelope E2E
+   * @param {Object} envelope - Envelope criado por seal
+   * @param {string|Object} secret - Frase secreta ou chave de deriveDataKey
+   * @returns {Promise<Object>}
+   */
+  static async open(envelope, secret) {
+    const text = await CryptoUtils.decrypt(envelope, secret);
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw createCodedError(CRYPTO_CONFIG.ERROR_CODES.INVALID_DATA, 'Dados cifrados inválidos');
+    }
+  }
+}
+
+/**
+ * Armazena o token de sincronização em um dos modos:
+ * - plain: localStorage (comportamento anterior)
+ * - encrypted: localStorage cifrado; desbloqueado uma vez por sessão
+ * - session: apenas sessionStorage, descartado ao fechar a aba
+ */
+class TokenVault {
+  /**
+   * Modo de armazenamento atual
+   * @returns {string}
+   */
+  static getMode() {
+    const { STORAGE_KEYS, MODES } = TOKEN_VAULT_CONFIG;
+    try {
+      const mode = localStorage.getItem(STORAGE_KEYS.MODE);
+      return Object.values(MODES).includes(mode) ? mode : MODES.PLAIN;
+    } catch (error) {
+      return MODES.PLAIN;
+    }
+  }
+
+  /**
+   * Token disponível sem interação (null se ausente ou bloqueado)
+   * @returns {string|null}
+   */
+  static load() {
+    const { STORAGE_KEYS, MODES } = TOKEN_VAULT_CONFIG;
+    try {
+      if (TokenVault.getMode() === MODES.PLAIN) {
+        return localStorage.getItem(STORAGE_KEYS.TOKEN);
+      }
+      return sessionStorage.getItem(STORAGE_KEYS.SESSION);
+    } catch (error) {
+      console.warn('⚠️ Erro ao ler token:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Há um token cifrado aguardando a frase secreta nesta sessão
+   * @returns {boolean}
+   */
+  static isLocked() {
+    const { STORAGE_KEYS, MODES } = TOKEN_VAULT_CONFIG;
+    try {
+      return TokenVault.getMode() === MODES.ENCRYPTED &&
+        !!localStorage.getItem(STORAGE_KEYS.ENCRYPTED) &&
+        !sessionStorage.getItem(STORAGE_KEYS.SESSION);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Salva o token no modo escolhido, removendo cópias de outros modos
+   * @param {string|null} secret - Token (null remove)
+   * @param {string} mode - plain, encrypted ou session
+   * @param {string} passphrase - Frase secreta (modo encrypted)
+   * @returns {Promise<void>}
+   */
+  static async store(secret, mode = TOKEN_VAULT_CONFIG.MODES.PLAIN, passphrase = '') {
+    const { STORAGE_KEYS, MODES } = TOKEN_VAULT_CONFIG;
+    if (!Object.values(MODES).includes(mode)) {
+      throw new Error(`Modo de armazenamento desconhecido: ${mode}`);
+    }
+
+    // Cifrar antes de apagar o token atual: uma falha não perde a configuração
+    const encrypted = secret && mode === MODES.ENCRYPTED
+      ? await CryptoUtils.encrypt(secret, passphrase)
+      : null;
+
+    TokenVault.clear();
+    if (!secret) return;
+
+    localStorage.setItem(STORAGE_KEYS.MODE, mode);
+    if (mode === MODES.PLAIN) {
+      localStorage.setItem(STORAGE_KEYS.TOKEN, secret);
+    } else {
+      if (encrypted) {
+        localStorage.setItem(STORAGE_KEYS.ENCRYPTED, JSON.stringify(encrypted));
+      }
+      sessionStorage.setItem(STORAGE_KEYS.SESSION, secret);
+    }
+  }
+
+  /**
+   * Decifra o token com a frase secreta e o mantém até o fim da sessão
+   * @param {string} passphrase - Frase secreta
+   * @returns {Promise<string>} Token
+   */
+  static async unlock(passphrase) {
+    const stored = localStorage.getItem(TOKEN_VAULT_CONFIG.STORAGE_KEYS.ENCRYPTED);
+    if (!stored) {
+      throw new Error('Nenhum token cifrado encontrado');
+    }
+
+    let envelope;
+    try {
+      envelope = JSON.parse(stored);
+    } catch (error) {
+      throw createCodedError(CRYPTO_CONFIG.ERROR_CODES.INVALID_DATA, 'Dados cifrados inválidos');
+    }
+
+    const secret = await CryptoUtils.decrypt(envelope, passphrase);
+    sessionStorage.setItem(TOKEN_VAULT_CONFIG.STORAGE_KEYS.SESSION, secret);
+    return secret;
+  }
+
+  /**
+   * Esquece o token desbloqueado nesta sessão (o cifrado continua salvo)
+   */
+  static lock() {
+    try {
+      sessionStorage.removeItem(TOKEN_VAULT_CONFIG.STORAGE_KEYS.SESSION);
+    } catch (error) {
+      console.warn('⚠️ Erro ao bloquear token:', error);
+    }
+  }
+
+  /**
+   * Data de expiração do token salvo, se conhecida
+   * @returns {Date|null}
+   */
+  static getExpiry() {
+    try {
+      const stored = localStorage.getItem(TOKEN_VAULT_CONFIG.STORAGE_KEYS.EXPIRES_AT);
+      const date = stored ? new Date(stored) : null;
+      return date && !isNaN(date.getTime()) ? date : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Registra a data de expiração do token (null para tokens sem expiração)
+   * @param {Date|string|null} expiresAt - Data de expiração
+   */
+  static setExpiry(expiresAt) {
+    const date = expiresAt ? new Date(expiresAt) : null;
+    try {
+      if (date && !isNaN(date.getTime())) {
+        localStorage.setItem(TOKEN_VAULT_CONFIG.STORAGE_KEYS.EXPIRES_AT, date.toISOString());
+      } else {
+        localStorage.removeItem(TOKEN_VAULT_CONFIG.STORAGE_KEYS.EXPIRES_AT);
+      }
+    } catch (error) {
+      console.warn('⚠️ Erro ao salvar expiração do token:', error);
+    }
+  }
+
+  /**
+   * Verifica se o token salvo já passou da data de expiração conhecida
+   * @returns {boolean}
+   */
+  static isExpired() {
+    const expiry = TokenVault.getExpiry();
+    return !!expiry && expiry.getTime() <= Date.now();
+  }
+
+  /**
+   * Remove o token de todos os armazenamentos
+   */
+  static clear() {
+    const { STORAGE_KEYS } = TOKEN_VAULT_CONFIG;
+    try {
+      localStorage.removeItem(STORAGE_KEYS.TOKEN);
+      localStorage.removeItem(STORAGE_KEYS.ENCRYPTED);
+      localStorage.removeItem(STORAGE_KEYS.MODE);
+      localStorage.removeItem(STORAGE_KEYS.EXPIRES_AT);
+      sessionStorage.removeItem(STORAGE_KEYS.SESSION);
+    } catch (error) {
+      console.warn('⚠️ Erro ao limpar token:', error);
+    }
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.CryptoUtils = CryptoUtils;
+  window.TokenVault = TokenVault;
+  window.CRYPTO_CONFIG = CRYPTO_CONFIG;
+  window.TOKEN_VAULT_CONFIG = TOKEN_VAULT_CONFIG;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CryptoUtils, TokenVault, CRYPTO_CONFIG, TOKEN_VAULT_CONFIG };
+}
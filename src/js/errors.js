@@ -0,0 +1,32 @@
+/**
+ * Erros com código para RFCP Tracker
+ * Criptografia, sincronização e login lançam erros com um código estável
+ * (ver ERROR_CODES de cada módulo); a interface traduz a mensagem pelo código
+ * @fileoverview Fábrica de erros com código
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Cria um erro com código
+ * @param {string} code - Código do erro
+ * @param {string} message - Mensagem do erro
+ * @returns {Error}
+ */
+function createCodedError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.createCodedError = createCodedError;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { createCodedError };
+}
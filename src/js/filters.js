@@ -0,0 +1,186 @@
+/**
+ * Filtros combináveis para RFCP Tracker
+ * Cada faceta (status, nível K, capítulo...) é independente e as facetas
+ * ativas são combinadas com semântica E (AND)
+ * @fileoverview Estado de filtros por faceta, contagens e query string
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações de filtros
+ */
+const FILTER_CONFIG = {
+  SEARCH_PARAM: 'q'
+};
+
+/**
+ * Estado dos filtros por faceta
+ *
+ * Uma faceta é descrita por:
+ * {
+ *   key: string,                          // nome do parâmetro na URL
+ *   label: string,                        // rótulo exibido
+ *   options: Array<{value, label}>,       // valores possíveis
+ *   match: (objective, value) => boolean  // predicado da faceta
+ * }
+ */
+class FilterState {
+  /**
+   * @param {Array<Object>} facets - Definições das facetas
+   */
+  constructor(facets = []) {
+    this.facets = facets;
+    this.values = {};
+  }
+
+  /**
+   * Busca a definição de uma faceta
+   * @param {string} key - Chave da faceta
+   * @returns {Object|undefined}
+   */
+  getFacet(key) {
+    return this.facets.find(facet => facet.key === key);
+  }
+
+  /**
+   * Verifica se o valor é válido para a faceta
+   * @param {string} key - Chave da faceta
+   * @param {string} value - Valor
+   * @returns {boolean}
+   */
+  isValid(key, value) {
+    return !!this.getFacet(key)?.options.some(option => option.value === value);
+  }
+
+  /**
+   * Define o valor de uma faceta (null remove o filtro)
+   * @param {string} key - Chave da faceta
+   * @param {string|null} value - Valor
+   */
+  set(key, value) {
+    if (value === null || value === undefined || !this.isValid(key, value)) {
+      delete this.values[key];
+    } else {
+      this.values[key] = value;
+    }
+  }
+
+  /**
+   * Ativa o valor da faceta ou o remove, se já estiver ativo
+   * @param {string} key - Chave da faceta
+   * @param {string} value - Valor
+   */
+  toggle(key, value) {
+    this.set(key, this.values[key] === value ? null : value);
+  }
+
+  /**
+   * Remove todos os filtros
+   */
+  clear() {
+    this.values = {};
+  }
+
+  /**
+   * Verifica se algum filtro está ativo
+   * @returns {boolean}
+   */
+  isActive() {
+    return Object.keys(this.values).length > 0;
+  }
+
+  /**
+   * Verifica se o objetivo atende a todas as facetas ativas
+   * @param {Object} objective - Dados do objetivo
+   * @param {string} [exceptKey] - Faceta a ignorar (usada nas contagens)
+   * @returns {boolean}
+   */
+  matches(objective, exceptKey = null) {
+    return Object.entries(this.values).every(([key, value]) => {
+      if (key === exceptKey) return true;
+      const facet = this.getFacet(key);
+      return !facet || facet.match(objective, value);
+    });
+  }
+
+  /**
+   * Aplica os filtros ativos
+   * @param {Array} objectives - Lista de objetivos
+   * @returns {Array}
+   */
+  apply(objectives) {
+    return objectives.filter(objective => this.matches(objective));
+  }
+
+  /**
+   * Quantos objetivos teria o resultado se o valor fosse selecionado
+   * As demais facetas ativas continuam aplicadas.
+   * @param {Array} objectives - Lista de objetivos (já filtrada pela busca)
+   * @param {string} key - Chave da faceta
+   * @param {string} value - Valor
+   * @returns {number}
+   */
+  count(objectives, key, value) {
+    const facet = this.getFacet(key);
+    if (!facet) return 0;
+    return objectives.filter(objective =>
+      this.matches(objective, key) && facet.match(objective, value)
+    ).length;
+  }
+
+  /**
+   * Filtros ativos para exibição em chips
+   * @returns {Array<{key: string, value: string, label: string}>}
+   */
+  getChips() {
+    return Object.entries(this.values).map(([key, value]) => {
+      const facet = this.getFacet(key);
+      const option = facet?.options.find(item => item.value === value);
+      return { key, value, label: `${facet?.label || key}: ${option?.label || value}` };
+    });
+  }
+
+  /**
+   * Serializa os filtros (e a busca) como query string
+   * @param {string} search - Termo de busca
+   * @returns {string} Query string com "?" ou vazia
+   */
+  toQueryString(search = '') {
+    const params = new URLSearchParams();
+    this.facets.forEach(facet => {
+      if (this.values[facet.key]) params.set(facet.key, this.values[facet.key]);
+    });
+    if (search.trim()) params.set(FILTER_CONFIG.SEARCH_PARAM, search.trim());
+
+    const query = params.toString();
+    return query ? `?${query}` : '';
+  }
+
+  /**
+   * Restaura os filtros a partir de uma query string
+   * Valores desconhecidos são ignorados.
+   * @param {string} queryString - Query string (ex.: location.search)
+   * @returns {string} Termo de busca encontrado
+   */
+  fromQueryString(queryString) {
+    const params = new URLSearchParams(queryString || '');
+    this.clear();
+    this.facets.forEach(facet => {
+      if (params.has(facet.key)) this.set(facet.key, params.get(facet.key));
+    });
+    return params.get(FILTER_CONFIG.SEARCH_PARAM) || '';
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.FilterState = FilterState;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { FilterState, FILTER_CONFIG };
+}
@@ -0,0 +1,214 @@
+/**
+ * Login no GitHub pelo fluxo de dispositivo (OAuth device flow) para RFCP Tracker
+ * Mostra um código para o usuário autorizar em github.com e consulta o
+ * token periodicamente, sem precisar criar e colar um token pessoal
+ * @fileoverview Fluxo de autorização por dispositivo do GitHub
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações do login OAuth
+ */
+const OAUTH_CONFIG = {
+  // Client ID de um OAuth App com "Device Flow" habilitado (vazio desativa o login)
+  CLIENT_ID: '',
+  // Os endpoints de login do GitHub não respondem com CORS: no navegador é
+  // preciso um proxy que repasse /login/* para https://github.com
+  PROXY_URL: '',
+  GITHUB_URL: 'https://github.com',
+  DEVICE_CODE_PATH: '/login/device/code',
+  TOKEN_PATH: '/login/oauth/access_token',
+  SCOPE: 'gist',
+  GRANT_TYPE: 'urn:ietf:params:oauth:grant-type:device_code',
+  // Acréscimo ao intervalo quando o GitHub responde slow_down (segundos)
+  SLOW_DOWN_STEP: 5,
+  STORAGE_KEYS: {
+    SETTINGS: 'rfcp_oauth_settings'
+  },
+  ERROR_CODES: {
+    NOT_CONFIGURED: 'OAUTH_NOT_CONFIGURED',
+    DENIED: 'OAUTH_DENIED',
+    EXPIRED: 'OAUTH_EXPIRED',
+    CANCELLED: 'OAUTH_CANCELLED'
+  }
+};
+
+/**
+ * Fluxo de autorização por dispositivo (RFC 8628) do GitHub
+ */
+class GitHubDeviceFlow {
+  /**
+   * Client ID e proxy em uso (salvos na página de sincronização ou padrão)
+   * @returns {Object} { clientId, proxyUrl }
+   */
+  static getSettings() {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(OAUTH_CONFIG.STORAGE_KEYS.SETTINGS)) || {};
+    } catch (error) {
+      console.warn('⚠️ Configuração OAuth inválida, usando padrão');
+    }
+
+    return {
+      clientId: saved.clientId || OAUTH_CONFIG.CLIENT_ID,
+      proxyUrl: saved.proxyUrl ?? OAUTH_CONFIG.PROXY_URL
+    };
+  }
+
+  /**
+   * Salva Client ID e proxy
+   * @param {Object} settings - { clientId, proxyUrl }
+   */
+  static saveSettings({ clientId = '', proxyUrl = '' } = {}) {
+    localStorage.setItem(OAUTH_CONFIG.STORAGE_KEYS.SETTINGS, JSON.stringify({
+      clientId: clientId.trim(),
+      proxyUrl: proxyUrl.trim().replace(/\/+$/, '')
+    }));
+  }
+
+  /**
+   * Verifica se há um Client ID para iniciar o fluxo
+   * @returns {boolean}
+   */
+  static isConfigured() {
+    return !!GitHubDeviceFlow.getSettings().clientId;
+  }
+
+  /**
+   * Envia um formulário para um endpoint de login (via proxy, se houver)
+   * @param {string} path - Caminho em github.com
+   * @param {Object} params - Campos do formulário
+   * @returns {Promise<Object>}
+   */
+  static async post(path, params) {
+    const { proxyUrl } = GitHubDeviceFlow.getSettings();
+    const response = await fetch(`${proxyUrl || OAUTH_CONFIG.GITHUB_URL}${path}`, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams(params).toString()
+    });
+
+    if (!response.ok) {
+      throw new Error(`Erro no login do GitHub: ${response.status} ${response.statusText}`);
+    }
+
+    return await response.json();
+  }
+
+  /**
+   * Solicita o código que o usuário digita em github.com/login/device
+   * @returns {Promise<Object>} { deviceCode, userCode, verificationUri, expiresIn, interval }
+   */
+  static async requestCode() {
+    const { clientId } = GitHubDeviceFlow.getSettings();
+    if (!clientId) {
+      throw createCodedError(OAUTH_CONFIG.ERROR_CODES.NOT_CONFIGURED, 'Client ID do OAuth App não configurado');
+    }
+
+    const data = await GitHubDeviceFlow.post(OAUTH_CONFIG.DEVICE_CODE_PATH, {
+      client_id: clientId,
+      scope: OAUTH_CONFIG.SCOPE
+    });
+
+    if (data.error) {
+      throw new Error(data.error_description || data.error);
+    }
+
+    return {
+      deviceCode: data.device_code,
+      userCode: data.user_code,
+      verificationUri: data.verification_uri,
+      expiresIn: data.expires_in,
+      interval: data.interval
+    };
+  }
+
+  /**
+   * Aguarda um intervalo, interrompendo se o fluxo for cancelado
+   * @param {number} ms - Milissegundos
+   * @param {AbortSignal} signal - Sinal de cancelamento
+   * @returns {Promise<void>}
+   */
+  static wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const cancelled = () => createCodedError(OAUTH_CONFIG.ERROR_CODES.CANCELLED, 'Login cancelado');
+      if (signal?.aborted) {
+        reject(cancelled());
+        return;
+      }
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(cancelled());
+      };
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Consulta o token até o usuário autorizar, negar ou o código expirar
+   * @param {Object} code - Resultado de requestCode
+   * @param {AbortSignal} signal - Sinal de cancelamento (opcional)
+   * @returns {Promise<Object>} { token, scopes, expiresAt }
+   */
+  static async pollToken(code, signal = null) {
+    const { clientId } = GitHubDeviceFlow.getSettings();
+    const deadline = Date.now() + code.expiresIn * 1000;
+    let interval = code.interval;
+
+    while (Date.now() < deadline) {
+      await GitHubDeviceFlow.wait(interval * 1000, signal);
+
+      const data = await GitHubDeviceFlow.post(OAUTH_CONFIG.TOKEN_PATH, {
+        client_id: clientId,
+        device_code: code.deviceCode,
+        grant_type: OAUTH_CONFIG.GRANT_TYPE
+      });
+
+      if (data.access_token) {
+        return {
+          token: data.access_token,
+          scopes: (data.scope || '').split(',').map(scope => scope.trim()).filter(Boolean),
+          // Presente apenas quando o app usa tokens com expiração
+          expiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000).toISOString() : null
+        };
+      }
+
+      switch (data.error) {
+        case 'authorization_pending':
+          break;
+        case 'slow_down':
+          interval = data.interval || interval + OAUTH_CONFIG.SLOW_DOWN_STEP;
+          break;
+        case 'expired_token':
+          throw createCodedError(OAUTH_CONFIG.ERROR_CODES.EXPIRED, 'O código expirou antes da autorização');
+        case 'access_denied':
+          throw createCodedError(OAUTH_CONFIG.ERROR_CODES.DENIED, 'Autorização negada no GitHub');
+        default:
+          throw new Error(data.error_description || data.error || 'Resposta inesperada do GitHub');
+      }
+    }
+
+    throw createCodedError(OAUTH_CONFIG.ERROR_CODES.EXPIRED, 'O código expirou antes da autorização');
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.GitHubDeviceFlow = GitHubDeviceFlow;
+  window.OAUTH_CONFIG = OAUTH_CONFIG;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GitHubDeviceFlow, OAUTH_CONFIG };
+}
@@ -0,0 +1,1013 @@
+/**
+ * Internacionalização do RFCP Tracker
+ * Catálogos de mensagens (pt-BR e en), idioma preferido e nomes traduzidos
+ * dos objetivos e capítulos do syllabus
+ * @fileoverview Camada de i18n da interface e do conteúdo do syllabus
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações de idioma
+ */
+const I18N_CONFIG = {
+  STORAGE_KEY: 'rfcp_locale',
+  DEFAULT_LOCALE: 'pt-BR',
+  // Nome de cada idioma no próprio idioma (seletor do header)
+  LOCALES: {
+    'pt-BR': 'Português',
+    en: 'English'
+  }
+};
+
+/**
+ * Catálogos de mensagens
+ * Parâmetros usam {nome}; mensagens com plural são { one, other } e
+ * escolhem a forma pelo parâmetro "count".
+ */
+const MESSAGES = {
+  'pt-BR': {
+    'app.title': 'Painel Acompanhamento de Estudos {name}',
+    'app.initError': 'Erro ao inicializar aplicação',
+    'app.noObjectives': 'Nenhum objetivo carregado. Verifique o arquivo JSON.',
+    'app.syncButton': '⚙️ Sincronização',
+    'app.close': 'Fechar',
+
+    'syllabus.notFound': 'Syllabus "{id}" não encontrado. Exibindo {name}',
+    'syllabus.loading': 'Carregando...',
+    'syllabus.unavailable': 'Indisponível',
+    'syllabus.total': 'Total: {completed}/{total} objetivos · {percentage}%',
+    'syllabus.loadError': 'Erro ao carregar objetivos',
+    'syllabus.version': 'Syllabus {version}',
+    'syllabus.updated': 'Syllabus atualizado para a versão {version}{news}',
+    'syllabus.newObjectives': { one: ' · {count} novo objetivo', other: ' · {count} novos objetivos' },
+    'syllabus.bannerError': 'Erro ao carregar objetivos data JSON — ver console / arquivo {file}',
+    'syllabus.bannerWarning': '{count} problema(s) em {file}; os itens inválidos foram ignorados',
+    'syllabus.bannerMore': '... e mais {count}',
+
+    'schema.line': 'Linha {line}',
+    'schema.invalidJson': 'JSON inválido: {error}',
+    'schema.typeMismatch': 'esperado {expected}, encontrado {actual}',
+    'schema.enum': 'valor "{value}" inválido (esperado: {allowed})',
+    'schema.empty': 'não pode ser vazio',
+    'schema.minimum': 'deve ser um número maior ou igual a {minimum}',
+    'schema.url': 'URL inválida: "{value}"',
+    'schema.minItems': { one: 'deve ter pelo menos {count} item', other: 'deve ter pelo menos {count} itens' },
+    'schema.required': 'campo obrigatório ausente',
+    'schema.duplicate': 'valor duplicado "{value}" (primeira ocorrência na linha {line})',
+    'schema.type.string': 'texto',
+    'schema.type.number': 'número',
+    'schema.type.boolean': 'booleano',
+    'schema.type.object': 'objeto',
+    'schema.type.array': 'lista',
+    'schema.type.null': 'null',
+
+    'migration.title': 'Objetivos fora do syllabus',
+    'migration.keep': 'Manter fora do progresso',
+    'migration.discard': 'Descartar',
+    'migration.migrateTo': 'Migrar para',
+    'migration.versionChanged': 'O syllabus mudou da versão {previous} para a {current}. ',
+    'migration.text': {
+      one: '{count} objetivo do seu progresso não existe no syllabus atual e não entra na contagem. Escolha para qual objetivo migrar cada um (conclusão, revisão, anotação e confiança), descarte-os ou mantenha-os fora do progresso.',
+      other: '{count} objetivos do seu progresso não existem no syllabus atual e não entram na contagem. Escolha para qual objetivo migrar cada um (conclusão, revisão, anotação e confiança), descarte-os ou mantenha-os fora do progresso.'
+    },
+    'migration.apply': 'Aplicar migração',
+    'migration.later': 'Decidir depois',
+    'migration.applied': 'Migração do syllabus aplicada',
+
+    'sync.fallbackLocal': 'Erro na sincronização, usando dados locais',
+    'sync.pending': 'Sincronização pendente',
+    'sync.done': 'Progresso sincronizado',
+    'sync.synced': '✅ Sincronizado',
+    'sync.queue': { one: '⏳ {count} alteração pendente', other: '⏳ {count} alterações pendentes' },
+    'sync.queueOffline': 'Sem conexão — as alterações serão enviadas quando a conexão voltar',
+    'sync.queueRetry': 'Alterações aguardando nova tentativa de sincronização',
+    'sync.queueLocked': 'Sincronização bloqueada — informe a frase secreta na página de sincronização',
+    'sync.queueReconnect': 'O arquivo local precisa de nova permissão — clique em "Reconectar arquivo"',
+    'sync.reconnect': '📂 Reconectar arquivo',
+    'sync.reconnectTitle': 'O navegador pede novamente permissão para gravar no arquivo local de sincronização',
+    'sync.locked': '🔒 Desbloquear sincronização',
+    'sync.lockedTitle': 'Informe a frase secreta (token ou dados E2E) para sincronizar nesta sessão',
+
+    'progress.saveError': 'Erro ao salvar progresso',
+    'progress.completed': { one: 'concluído', other: 'concluídos' },
+    'progress.estimated': 'minutos estimados',
+    'progress.actual': 'minutos reais',
+    'progress.orphans': '{count} fora do syllabus',
+    'progress.orphansTitle': 'Concluídos que não existem no syllabus atual',
+    'progress.exported': 'Progresso exportado com sucesso!',
+    'progress.exportError': 'Erro ao exportar progresso',
+    'progress.exportFileName': 'rfcp-progresso',
+    'progress.imported': 'Progresso importado com sucesso!',
+    'progress.importError': 'Erro ao importar arquivo. Verifique se é um JSON válido.',
+    'progress.resetConfirm': 'Tem certeza que deseja resetar todo o progresso? O progresso atual ficará salvo no histórico.',
+    'progress.reset': 'Progresso resetado com sucesso!',
+    'progress.resetError': 'Erro ao resetar progresso',
+    'progress.demoConfirm': 'Isto irá substituir seu progresso atual com dados de demonstração (o atual ficará salvo no histórico). Continuar?',
+    'progress.demo': 'Demo populado com {count} objetivos concluídos!',
+    'progress.demoError': 'Erro ao popular demo',
+    'history.title': 'Histórico do progresso',
+    'history.localTitle': 'Snapshots locais',
+    'history.localHelp': 'Salvos automaticamente antes de recomeçar, importar, ver o exemplo, baixar da sincronização ou restaurar.',
+    'history.empty': 'Nenhum snapshot salvo ainda.',
+    'history.reasonReset': 'Antes de recomeçar',
+    'history.reasonDemo': 'Antes do exemplo',
+    'history.reasonImport': 'Antes da importação',
+    'history.reasonDownload': 'Antes do download remoto',
+    'history.reasonRestore': 'Antes de restaurar',
+    'history.reasonOther': 'Snapshot',
+    'history.completedCount': { one: '{count} objetivo concluído', other: '{count} objetivos concluídos' },
+    'history.same': 'Mesmos objetivos concluídos do progresso atual',
+    'history.added': { one: '+{count} objetivo volta a ficar concluído', other: '+{count} objetivos voltam a ficar concluídos' },
+    'history.removed': { one: '−{count} objetivo deixa de estar concluído', other: '−{count} objetivos deixam de estar concluídos' },
+    'history.showIds': 'Ver objetivos',
+    'history.restore': 'Restaurar',
+    'history.delete': 'Excluir',
+    'history.remoteTitle': 'Revisões do Gist',
+    'history.loadRevisions': 'Carregar revisões',
+    'history.noRevisions': 'Nenhuma revisão encontrada.',
+    'history.revisionEmpty': 'Esta revisão não tem progresso deste syllabus.',
+    'history.compare': 'Comparar',
+    'history.revisionsError': 'Erro ao buscar revisões: {message}',
+    'history.restored': 'Progresso restaurado (+{added} / −{removed} objetivos). O estado anterior ficou no histórico.',
+    'history.restoreError': 'Erro ao restaurar progresso',
+
+    'filters.status': 'Status',
+    'filters.completed': 'Concluídos',
+    'filters.unfinished': 'Incompletos',
+    'filters.level': 'Nível',
+    'filters.chapter': 'Capítulo',
+    'filters.chapterShort': 'Cap. {id}',
+    'filters.confidence': 'Confiança',
+    'filters.low': 'Baixa (1–{max})',
+    'filters.unrated': 'Sem avaliação',
+    'filters.notes': 'Anotações',
+    'filters.withNotes': 'Com anotações',
+    'filters.review': 'Revisão',
+    'filters.due': 'Para hoje',
+    'filters.all': 'Todos',
+    'filters.removeChip': 'Remover filtro {label}',
+    'filters.clear': 'Limpar filtros',
+    'filters.resultCount': { one: '{count} objetivo', other: '{count} objetivos' },
+
+    'level.K1': 'K1 (Lembrar)',
+    'level.K2': 'K2 (Entender)',
+    'level.K3': 'K3 (Aplicar)',
+
+    'confidence.label': 'Confiança',
+    'confidence.group': 'Confiança em {id}',
+    'confidence.unrated': 'Sem avaliação',
+    'confidence.1': 'Nada confiante',
+    'confidence.2': 'Pouco confiante',
+    'confidence.3': 'Razoável',
+    'confidence.4': 'Confiante',
+    'confidence.5': 'Pronto para o exame',
+
+    'chapter.title': 'Capítulo {id} · {title}',
+    'chapter.stats': '{completed} / {total} concluídos · {completedMinutes} / {totalMinutes} min',
+    'chapter.heatLabel': 'Mapa de confiança do capítulo {id}',
+    'chapter.heatUnrated': 'sem avaliação',
+    'chapter.averageConfidence': 'Confiança média: {value}',
+
+    'notes.saved': 'Anotação salva',
+    'notes.removed': 'Anotação removida',
+    'notes.editorLabel': 'Anotação em Markdown para {id}',
+    'notes.placeholder': 'Escreva em Markdown. Use ```robot para trechos de código.',
+    'notes.save': 'Salvar',
+    'notes.cancel': 'Cancelar',
+    'notes.edit': 'Editar',
+    'notes.delete': 'Excluir',
+
+    'timer.tooShort': 'Sessão muito curta, tempo não registrado',
+    'timer.recorded': '{minutes} min registrados em {id}',
+    'timer.pause': '⏸ Pausar',
+    'timer.pauseLabel': 'Pausar cronômetro',
+    'timer.start': '▶ Estudar',
+    'timer.startLabel': 'Iniciar cronômetro',
+    'timer.resume': '▶ Retomar',
+    'timer.resumeLabel': 'Retomar cronômetro',
+    'timer.stop': '⏹ Parar',
+    'timer.stopLabel': 'Parar e registrar tempo',
+
+    'objective.completedToast': 'Objetivo concluído! 🎉',
+    'objective.quizCompleted': '{id} concluído após {correct} acertos no quiz 🎉',
+    'objective.completed': 'Concluído',
+    'objective.markComplete': 'Marcar como concluído',
+    'objective.quizTitle': 'Acertos no quiz',
+    'objective.actualTime': '{estimated} min · real {actual} min',
+    'objective.timeTitle': 'Estimado · tempo real estudado',
+    'objective.new': 'Novo',
+    'objective.newTitle': 'Novo nesta versão do syllabus',
+    'objective.details': 'Ver detalhes',
+    'objective.notesLabel': 'Anotações de {id}',
+    'objective.notes': 'Anotações',
+    'objective.annotate': 'Anotar',
+    'objective.toggleLabel': 'Alternar conclusão para {name}',
+
+    'review.next': { one: 'Próxima revisão de {id} em {count} dia', other: 'Próxima revisão de {id} em {count} dias' },
+    'review.title': 'Revisar hoje',
+    'review.groupLabel': 'Como foi a lembrança de {id}?',
+    'review.empty': 'Nenhuma revisão pendente hoje 🎉',
+    'review.again': 'De novo',
+    'review.hard': 'Difícil',
+    'review.good': 'Bom',
+    'review.easy': 'Fácil',
+
+    'plan.updated': 'Plano de estudos atualizado',
+    'plan.empty': 'Informe a data do exame e os minutos disponíveis por dia para gerar o cronograma.',
+    'plan.allDone': '🎉 Todos os objetivos foram concluídos. Bom exame!',
+    'plan.examReached': '⚠️ A data do exame já chegou e restam {minutes} min de estudo.',
+    'plan.daysLeft': { one: '{count} dia até o exame', other: '{count} dias até o exame' },
+    'plan.remaining': '{minutes} min restantes',
+    'plan.insufficient': '⚠️ o tempo disponível não é suficiente: são necessários {minutes} min por dia',
+    'plan.partial': ' (parcial)',
+    'plan.afterExam': 'após o exame',
+    'plan.today': 'Objetivos de hoje',
+    'plan.nothingToday': 'Nada planejado para hoje.',
+    'plan.schedule': { one: 'Cronograma completo ({count} dia)', other: 'Cronograma completo ({count} dias)' },
+
+    'grid.completed': { one: '{count} objetivo concluído', other: '{count} objetivos concluídos' },
+    'grid.none': 'Nenhum',
+    'grid.streakDays': { one: '{count} dia', other: '{count} dias' },
+    'grid.closeDetails': 'Fechar detalhes do dia',
+    'grid.noneThatDay': 'Nenhum objetivo concluído neste dia.',
+
+    'quiz.title': 'Quiz de prática',
+    'quiz.count': 'Questões',
+    'quiz.autoCompleteBefore': 'Marcar objetivo como concluído após',
+    'quiz.autoCompleteAfter': 'acertos',
+    'quiz.thresholdLabel': 'Acertos necessários',
+    'quiz.available': { one: '{count} questão disponível', other: '{count} questões disponíveis' },
+    'quiz.start': 'Começar',
+    'quiz.empty': 'Nenhuma questão encontrada para esses filtros.',
+    'quiz.back': 'Voltar',
+    'quiz.progress': 'Questão {current} de {total} · {id} · {level}',
+    'quiz.correct': '✅ Correto!',
+    'quiz.wrong': '❌ Incorreto',
+    'quiz.next': 'Próxima',
+    'quiz.showResult': 'Ver resultado',
+    'quiz.score': '{correct} / {total} acertos ({percentage}%)',
+    'quiz.again': 'Praticar novamente',
+
+    'exam.title': 'Simulado RFCP',
+    'exam.abandonConfirm': 'Abandonar o simulado em andamento?',
+    'exam.rules': '{count} questões · {minutes} minutos · aprovação com {pass}% de acertos. As questões seguem a distribuição de capítulos e níveis K do syllabus.',
+    'exam.start': 'Iniciar simulado',
+    'exam.historyTitle': 'Tentativas anteriores',
+    'exam.historyEmpty': 'Nenhum simulado realizado ainda.',
+    'exam.historyItem': '{date} · {correct}/{total} ({percentage}%) · {verdict} · {minutes} min',
+    'exam.passed': 'Aprovado',
+    'exam.failed': 'Reprovado',
+    'exam.progress': 'Questão {current} de {total} · {answered} respondidas',
+    'exam.previous': '← Anterior',
+    'exam.next': 'Próxima →',
+    'exam.finish': 'Finalizar',
+    'exam.flag': '🏳 Marcar para revisão',
+    'exam.unflag': '🚩 Desmarcar revisão',
+    'exam.paletteLabel': 'Navegação entre questões',
+    'exam.paletteItem': 'Questão {number}',
+    'exam.paletteItemFlagged': 'Questão {number} (marcada para revisão)',
+    'exam.finishExam': 'Finalizar simulado',
+    'exam.unanswered': '{count} sem resposta',
+    'exam.flagged': { one: '{count} marcada para revisão', other: '{count} marcadas para revisão' },
+    'exam.finishConfirm': 'Há questões pendentes: {pending}. Finalizar mesmo assim?',
+    'exam.result': '{verdict} · {correct}/{total} ({percentage}%)',
+    'exam.threshold': 'Aprovação: {pass}% · tempo: {minutes} min',
+    'exam.review': 'Revisar respostas',
+    'exam.yourAnswer': 'Sua resposta: {answer}',
+    'exam.correctAnswer': 'Correta: {answer}',
+    'exam.new': 'Novo simulado',
+
+    'stats.pageTitle': 'Estatísticas - RFCP Tracker',
+    'stats.title': '📊 Estatísticas',
+    'stats.subtitle': 'Indicadores calculados a partir das datas de conclusão salvas neste navegador e do syllabus',
+    'stats.burndownTitle': 'Burn-down dos minutos restantes',
+    'stats.burndownHelp': 'Linha contínua: minutos estimados restantes ao fim de cada dia. Linha tracejada: projeção no ritmo atual.',
+    'stats.weeklyTitle': 'Conclusões por semana',
+    'stats.levelsTitle': 'Por nível de conhecimento',
+    'stats.chaptersTitle': 'Por capítulo',
+    'stats.loadError': 'Erro ao carregar estatísticas: {message}',
+    'stats.examMarker': 'Exame',
+    'stats.burndownLabel': 'Minutos restantes ao longo do tempo',
+    'stats.week': 'Semana de {date}: {count}',
+    'stats.weeklyLabel': 'Objetivos concluídos por semana',
+    'stats.levelsLabel': 'Objetivos concluídos por nível de conhecimento',
+    'stats.chaptersLabel': 'Objetivos concluídos por capítulo',
+    'stats.noData': 'Sem dados suficientes',
+    'stats.allDone': 'Concluído 🎉',
+    'stats.completed': 'Objetivos concluídos',
+    'stats.remaining': 'Minutos restantes',
+    'stats.perDay': 'Média de objetivos por dia',
+    'stats.activeDays': { one: 'em {count} dia', other: 'em {count} dias' },
+    'stats.projected': 'Término projetado',
+    'stats.late': '⚠️ depois da data do exame',
+    'stats.minutesPerDay': '{minutes} min/dia',
+
+    'html.lead': 'Neste painel, acompanhe e compartilhe a sua jornada de aprendizado rumo à certificação',
+    'html.language': 'Idioma',
+    'html.switcher': 'Certificação',
+    'html.overview': 'Visão geral das certificações',
+    'html.closeError': 'Fechar mensagem de erro',
+    'html.studyPlan': 'Plano de estudos',
+    'html.examDate': 'Data do exame',
+    'html.dailyMinutes': 'Minutos por dia',
+    'html.generatePlan': 'Gerar plano',
+    'html.monitor': 'Monitor de Progresso Diário',
+    'html.readiness': 'Prontidão para o exame:',
+    'html.readinessTitle': 'Progresso ponderado pelo tempo estimado e pela sua confiança em cada objetivo concluído',
+    'html.activity': 'Atividade diária',
+    'html.rangeLabel': 'Período exibido',
+    'html.range30d': '30 dias',
+    'html.range90d': '90 dias',
+    'html.range1y': '1 ano',
+    'html.rangeAll': 'Tudo',
+    'html.metricLabel': 'Intensidade das células',
+    'html.metricBy': 'Intensidade por:',
+    'html.metricCount': 'Objetivos',
+    'html.metricEstimated': 'Minutos estimados',
+    'html.metricTracked': 'Minutos estudados',
+    'html.currentStreak': '🔥 Sequência atual:',
+    'html.longestStreak': '· Maior sequência:',
+    'html.quiz': '🧠 Praticar com quiz',
+    'html.quizLabel': 'Praticar com questões de múltipla escolha sobre os objetivos',
+    'html.exam': '📝 Simulado',
+    'html.examLabel': 'Fazer um simulado cronometrado no formato do exame RFCP',
+    'html.stats': '📊 Estatísticas',
+    'html.statsLabel': 'Abrir o painel de estatísticas com gráficos do progresso',
+    'html.export': 'Exportar meu histórico',
+    'html.exportLabel': 'Exportar histórico de progresso como arquivo JSON',
+    'html.import': 'Importar meu histórico',
+    'html.importLabel': 'Carregar histórico de progresso de um arquivo JSON',
+    'html.reset': 'Recomeçar do zero',
+    'html.resetLabel': 'Resetar todo o histórico de progresso atual',
+    'html.demo': 'Ver exemplo de preenchimento',
+    'html.demoLabel': 'Exemplo de histórico de progresso com dados de demonstração',
+    'html.history': '🕘 Histórico',
+    'html.historyLabel': 'Ver e restaurar versões anteriores do progresso',
+    'html.search': 'Pesquisar objetivos...',
+
+    'settings.pageTitle': 'Configuração de Sincronização - RFCP Tracker',
+    'settings.title': '⚙️ Configuração de Sincronização',
+    'settings.back': '← Voltar para o rastreador',
+    'settings.subtitle': 'Sincronize seu progresso entre dispositivos usando GitHub Gists',
+    'settings.syncing': 'Sincronizando...',
+    'settings.provider': 'Provedor de armazenamento',
+    'settings.url': 'URL do servidor',
+    'settings.username': 'Usuário',
+    'settings.test': 'Testar Conexão',
+    'settings.statusTitle': 'ℹ️ Status da Sincronização',
+    'settings.lastSync': 'Última sincronização:',
+    'settings.providerName': 'Provedor:',
+    'settings.target': 'Destino:',
+    'settings.queueSize': 'Alterações pendentes:',
+    'settings.advanced': '🔧 Opções Avançadas',
+    'settings.forceUpload': '⬆️ Forçar Upload',
+    'settings.forceDownload': '⬇️ Forçar Download',
+    'settings.disable': 'Desativar Sincronização',
+    'settings.never': 'Nunca',
+    'settings.enabled': '✓ Sincronização Ativa',
+    'settings.disabled': '✗ Sincronização Desativada',
+    'settings.rateLimited': '✗ API Rate Limit — reset em {date}',
+    'settings.rateLimitAlert': 'API rate limit atingido — operações remotas desativadas até {date}.',
+    'settings.updateToken': 'Atualizar Token',
+    'settings.enable': 'Ativar Sincronização',
+    'settings.tokenRequired': 'Por favor, insira um token válido',
+    'settings.urlRequired': 'Por favor, informe a URL do servidor',
+    'settings.tokenFirst': 'Por favor, insira um token primeiro',
+    'settings.localSynced': 'Progresso local sincronizado com sucesso!',
+    'settings.localSyncError': 'Sincronização configurada, mas erro ao enviar dados locais',
+    'settings.testSuccess': '✓ Conexão bem-sucedida! {message}',
+    'settings.testError': 'Erro ao testar conexão: {message}',
+    'settings.noLocal': 'Nenhum progresso local para sincronizar',
+    'settings.uploaded': 'Progresso enviado para o armazenamento remoto com sucesso!',
+    'settings.uploadError': 'Erro ao enviar progresso: {message}',
+    'settings.downloadConfirm': 'Isso irá sobrescrever seu progresso local com os dados remotos (o atual ficará salvo no histórico). Deseja continuar?',
+    'settings.noRemote': 'Nenhum progresso remoto encontrado',
+    'settings.downloaded': 'Progresso baixado do armazenamento remoto com sucesso!',
+    'settings.downloadError': 'Erro ao baixar progresso: {message}',
+    'settings.disableConfirm': 'Deseja realmente desativar a sincronização? Seus dados locais não serão afetados.',
+    'settings.disabledAlert': 'Sincronização desativada',
+    'settings.gistLabel': 'GitHub Gist',
+    'settings.gistHelp': 'O progresso é salvo em um Gist secreto da sua conta GitHub.',
+    'settings.gistToken': 'Token do GitHub',
+    'settings.oauthLogin': '🔑 Entrar com GitHub',
+    'settings.oauthHelp': 'Autorize o acesso pelo GitHub em vez de criar e colar um token.',
+    'settings.oauthVisit': 'Acesse',
+    'settings.oauthEnterCode': 'e digite o código:',
+    'settings.oauthWaiting': 'Aguardando autorização no GitHub...',
+    'settings.oauthCancel': 'Cancelar',
+    'settings.oauthSettings': 'Configurar OAuth App',
+    'settings.oauthClientId': 'Client ID',
+    'settings.oauthProxy': 'Proxy CORS para github.com/login',
+    'settings.oauthSettingsHelp': 'Crie um OAuth App com "Device Flow" habilitado. O GitHub não libera CORS no login, então o navegador precisa de um proxy que repasse /login/* para https://github.com.',
+    'settings.oauthSave': 'Salvar',
+    'settings.oauthSaved': 'Configuração do OAuth App salva',
+    'settings.oauthSuccess': 'Autorizado pelo GitHub! Ativando a sincronização...',
+    'settings.oauthError': 'Não foi possível entrar com GitHub: {message}',
+    'settings.oauthNotConfigured': 'Informe o Client ID do OAuth App',
+    'settings.oauthDenied': 'A autorização foi negada no GitHub',
+    'settings.oauthExpired': 'O código expirou antes da autorização; tente novamente',
+    'settings.tokenExpired': 'O token expirou em {date}. Entre com GitHub novamente ou gere outro token.',
+    'settings.tokenInvalid': 'Token inválido ou revogado',
+    'settings.scopeMissing': 'O token não tem o escopo "{scopes}": a sincronização não conseguirá ler nem gravar o Gist.',
+    'settings.tokenStorage': 'Armazenamento do token',
+    'settings.storagePlain': 'Salvar neste navegador',
+    'settings.storageEncrypted': 'Salvar cifrado com frase secreta',
+    'settings.storageSession': 'Somente nesta sessão',
+    'settings.storagePlainHelp': 'O token fica salvo sem criptografia no navegador.',
+    'settings.storageEncryptedHelp': 'O token é cifrado (AES-GCM) com a frase secreta e desbloqueado uma vez por sessão.',
+    'settings.storageSessionHelp': 'O token é descartado ao fechar a aba; será preciso informá-lo de novo.',
+    'settings.passphrase': 'Frase secreta do token',
+    'settings.passphraseHelp': 'A frase secreta não é salva e não pode ser recuperada; sem ela, será preciso informar o token novamente.',
+    'settings.passphraseRequired': 'Informe a frase secreta',
+    'settings.lockedText': '🔒 A sincronização está bloqueada. Informe a frase secreta para sincronizar nesta sessão.',
+    'settings.locked': '🔒 Token bloqueado',
+    'settings.unlock': 'Desbloquear',
+    'settings.unlocked': 'Token desbloqueado para esta sessão',
+    'settings.unlockError': 'Não foi possível desbloquear: {message}',
+    'settings.e2e': 'Criptografia de ponta a ponta dos dados',
+    'settings.e2eHelp': 'O conteúdo do Gist é cifrado no navegador (AES-GCM). Use a mesma frase secreta em todos os dispositivos.',
+    'settings.e2ePassphrase': 'Frase secreta dos dados (E2E)',
+    'settings.e2ePassphraseRequired': 'Informe a frase secreta dos dados',
+    'settings.e2eActive': '🔐 Cifrado (E2E)',
+    'settings.e2eWrongPassphrase': 'Frase secreta dos dados incorreta (ou o envelope cifrado foi alterado)',
+    'settings.e2eCorrupt': 'O envelope cifrado no provedor está corrompido',
+    'settings.e2eKeyMismatch': 'Os dados remotos foram cifrados com outra chave: informe a frase secreta dos dados novamente',
+    'settings.e2eRequired': 'Os dados remotos estão cifrados: ative a criptografia de ponta a ponta com a mesma frase secreta',
+    'settings.e2eReplacedConfirm': 'Os dados foram movidos para um Gist novo, cifrado desde a primeira revisão. O Gist anterior ainda guarda o histórico em texto claro. Excluí-lo agora?',
+    'settings.e2eReplacedDeleted': 'Gist anterior excluído: não restam revisões em texto claro',
+    'settings.e2eReplacedKept': 'O Gist anterior ({id}) ainda guarda revisões em texto claro; exclua-o no GitHub quando não precisar mais dele',
+    'settings.reconnectRequired': 'O navegador pede novamente permissão para o arquivo local: clique em "Testar Conexão" para concedê-la',
+    'settings.webdavLabel': 'Servidor WebDAV',
+    'settings.webdavHelp': 'Informe a URL da pasta WebDAV; o arquivo rfcp-progress.json será criado nela.',
+    'settings.webdavToken': 'Senha',
+    'settings.restLabel': 'Endpoint REST próprio',
+    'settings.restHelp': 'A URL deve responder GET/PUT/DELETE com o JSON de progresso (útil para um servidor local de testes).',
+    'settings.restToken': 'Token Bearer (opcional)',
+    'settings.localLabel': 'Arquivo local',
+    'settings.localHelp': 'O progresso é salvo em um arquivo JSON escolhido no seu computador.'
+  },
+
+  en: {
+    'app.title': '{name} Study Tracking Dashboard',
+    'app.initError': 'Failed to initialize the application',
+    'app.noObjectives': 'No objectives loaded. Check the JSON file.',
+    'app.syncButton': '⚙️ Sync',
+    'app.close': 'Close',
+
+    'syllabus.notFound': 'Syllabus "{id}" not found. Showing {name}',
+    'syllabus.loading': 'Loading...',
+    'syllabus.unavailable': 'Unavailable',
+    'syllabus.total': 'Total: {completed}/{total} objectives · {percentage}%',
+    'syllabus.loadError': 'Failed to load objectives',
+    'syllabus.version': 'Syllabus {version}',
+    'syllabus.updated': 'Syllabus updated to version {version}{news}',
+    'syllabus.newObjectives': { one: ' · {count} new objective', other: ' · {count} new objectives' },
+    'syllabus.bannerError': 'Failed to load objectives JSON data — see console / file {file}',
+    'syllabus.bannerWarning': '{count} problem(s) in {file}; invalid items were skipped',
+    'syllabus.bannerMore': '... and {count} more',
+
+    'schema.line': 'Line {line}',
+    'schema.invalidJson': 'Invalid JSON: {error}',
+    'schema.typeMismatch': 'expected {expected}, found {actual}',
+    'schema.enum': 'invalid value "{value}" (expected: {allowed})',
+    'schema.empty': 'must not be empty',
+    'schema.minimum': 'must be a number greater than or equal to {minimum}',
+    'schema.url': 'invalid URL: "{value}"',
+    'schema.minItems': { one: 'must have at least {count} item', other: 'must have at least {count} items' },
+    'schema.required': 'missing required field',
+    'schema.duplicate': 'duplicate value "{value}" (first occurrence on line {line})',
+    'schema.type.string': 'text',
+    'schema.type.number': 'number',
+    'schema.type.boolean': 'boolean',
+    'schema.type.object': 'object',
+    'schema.type.array': 'list',
+    'schema.type.null': 'null',
+
+    'migration.title': 'Objectives outside the syllabus',
+    'migration.keep': 'Keep out of progress',
+    'migration.discard': 'Discard',
+    'migration.migrateTo': 'Migrate to',
+    'migration.versionChanged': 'The syllabus changed from version {previous} to {current}. ',
+    'migration.text': {
+      one: '{count} objective in your progress does not exist in the current syllabus and is not counted. Choose which objective to migrate each one to (completion, review, note and confidence), discard them or keep them out of progress.',
+      other: '{count} objectives in your progress do not exist in the current syllabus and are not counted. Choose which objective to migrate each one to (completion, review, note and confidence), discard them or keep them out of progress.'
+    },
+    'migration.apply': 'Apply migration',
+    'migration.later': 'Decide later',
+    'migration.applied': 'Syllabus migration applied',
+
+    'sync.fallbackLocal': 'Sync failed, using local data',
+    'sync.pending': 'Sync pending',
+    'sync.done': 'Progress synced',
+    'sync.synced': '✅ Synced',
+    'sync.queue': { one: '⏳ {count} pending change', other: '⏳ {count} pending changes' },
+    'sync.queueOffline': 'Offline — changes will be sent when the connection is back',
+    'sync.queueRetry': 'Changes waiting for another sync attempt',
+    'sync.queueLocked': 'Sync locked — enter the passphrase on the sync page',
+    'sync.queueReconnect': 'The local file needs permission again — click "Reconnect file"',
+    'sync.reconnect': '📂 Reconnect file',
+    'sync.reconnectTitle': 'The browser is asking again for permission to write the local sync file',
+    'sync.locked': '🔒 Unlock sync',
+    'sync.lockedTitle': 'Enter the passphrase (token or E2E data) to sync in this session',
+
+    'progress.saveError': 'Failed to save progress',
+    'progress.completed': { one: 'completed', other: 'completed' },
+    'progress.estimated': 'estimated minutes',
+    'progress.actual': 'actual minutes',
+    'progress.orphans': '{count} outside the syllabus',
+    'progress.orphansTitle': 'Completed objectives that do not exist in the current syllabus',
+    'progress.exported': 'Progress exported successfully!',
+    'progress.exportError': 'Failed to export progress',
+    'progress.exportFileName': 'rfcp-progress',
+    'progress.imported': 'Progress imported successfully!',
+    'progress.importError': 'Failed to import the file. Check that it is valid JSON.',
+    'progress.resetConfirm': 'Are you sure you want to reset all progress? The current progress will be kept in the history.',
+    'progress.reset': 'Progress reset successfully!',
+    'progress.resetError': 'Failed to reset progress',
+    'progress.demoConfirm': 'This will replace your current progress with demo data (the current one will be kept in the history). Continue?',
+    'progress.demo': 'Demo filled with {count} completed objectives!',
+    'progress.demoError': 'Failed to fill demo data',
+    'history.title': 'Progress history',
+    'history.localTitle': 'Local snapshots',
+    'history.localHelp': 'Saved automatically before starting over, importing, loading the example, downloading from sync or restoring.',
+    'history.empty': 'No snapshots saved yet.',
+    'history.reasonReset': 'Before starting over',
+    'history.reasonDemo': 'Before the example',
+    'history.reasonImport': 'Before importing',
+    'history.reasonDownload': 'Before remote download',
+    'history.reasonRestore': 'Before restoring',
+    'history.reasonOther': 'Snapshot',
+    'history.completedCount': { one: '{count} objective completed', other: '{count} objectives completed' },
+    'history.same': 'Same completed objectives as the current progress',
+    'history.added': { one: '+{count} objective becomes completed again', other: '+{count} objectives become completed again' },
+    'history.removed': { one: '−{count} objective is no longer completed', other: '−{count} objectives are no longer completed' },
+    'history.showIds': 'Show objectives',
+    'history.restore': 'Restore',
+    'history.delete': 'Delete',
+    'history.remoteTitle': 'Gist revisions',
+    'history.loadRevisions': 'Load revisions',
+    'history.noRevisions': 'No revisions found.',
+    'history.revisionEmpty': 'This revision has no progress for this syllabus.',
+    'history.compare': 'Compare',
+    'history.revisionsError': 'Failed to fetch revisions: {message}',
+    'history.restored': 'Progress restored (+{added} / −{removed} objectives). The previous state was kept in the history.',
+    'history.restoreError': 'Failed to restore progress',
+
+    'filters.status': 'Status',
+    'filters.completed': 'Completed',
+    'filters.unfinished': 'Unfinished',
+    'filters.level': 'Level',
+    'filters.chapter': 'Chapter',
+    'filters.chapterShort': 'Ch. {id}',
+    'filters.confidence': 'Confidence',
+    'filters.low': 'Low (1–{max})',
+    'filters.unrated': 'Not rated',
+    'filters.notes': 'Notes',
+    'filters.withNotes': 'With notes',
+    'filters.review': 'Review',
+    'filters.due': 'Due today',
+    'filters.all': 'All',
+    'filters.removeChip': 'Remove filter {label}',
+    'filters.clear': 'Clear filters',
+    'filters.resultCount': { one: '{count} objective', other: '{count} objectives' },
+
+    'level.K1': 'K1 (Remember)',
+    'level.K2': 'K2 (Understand)',
+    'level.K3': 'K3 (Apply)',
+
+    'confidence.label': 'Confidence',
+    'confidence.group': 'Confidence in {id}',
+    'confidence.unrated': 'Not rated',
+    'confidence.1': 'Not confident',
+    'confidence.2': 'Slightly confident',
+    'confidence.3': 'Fair',
+    'confidence.4': 'Confident',
+    'confidence.5': 'Exam ready',
+
+    'chapter.title': 'Chapter {id} · {title}',
+    'chapter.stats': '{completed} / {total} completed · {completedMinutes} / {totalMinutes} min',
+    'chapter.heatLabel': 'Confidence map for chapter {id}',
+    'chapter.heatUnrated': 'not rated',
+    'chapter.averageConfidence': 'Average confidence: {value}',
+
+    'notes.saved': 'Note saved',
+    'notes.removed': 'Note removed',
+    'notes.editorLabel': 'Markdown note for {id}',
+    'notes.placeholder': 'Write in Markdown. Use ```robot for code snippets.',
+    'notes.save': 'Save',
+    'notes.cancel': 'Cancel',
+    'notes.edit': 'Edit',
+    'notes.delete': 'Delete',
+
+    'timer.tooShort': 'Session too short, time not recorded',
+    'timer.recorded': '{minutes} min recorded for {id}',
+    'timer.pause': '⏸ Pause',
+    'timer.pauseLabel': 'Pause timer',
+    'timer.start': '▶ Study',
+    'timer.startLabel': 'Start timer',
+    'timer.resume': '▶ Resume',
+    'timer.resumeLabel': 'Resume timer',
+    'timer.stop': '⏹ Stop',
+    'timer.stopLabel': 'Stop and record time',
+
+    'objective.completedToast': 'Objective completed! 🎉',
+    'objective.quizCompleted': '{id} completed after {correct} correct quiz answers 🎉',
+    'objective.completed': 'Completed',
+    'objective.markComplete': 'Mark as completed',
+    'objective.quizTitle': 'Correct quiz answers',
+    'objective.actualTime': '{estimated} min · actual {actual} min',
+    'objective.timeTitle': 'Estimated · actual time studied',
+    'objective.new': 'New',
+    'objective.newTitle': 'New in this syllabus version',
+    'objective.details': 'View details',
+    'objective.notesLabel': 'Notes for {id}',
+    'objective.notes': 'Notes',
+    'objective.annotate': 'Add note',
+    'objective.toggleLabel': 'Toggle completion for {name}',
+
+    'review.next': { one: 'Next review of {id} in {count} day', other: 'Next review of {id} in {count} days' },
+    'review.title': 'Review today',
+    'review.groupLabel': 'How well did you recall {id}?',
+    'review.empty': 'No reviews due today 🎉',
+    'review.again': 'Again',
+    'review.hard': 'Hard',
+    'review.good': 'Good',
+    'review.easy': 'Easy',
+
+    'plan.updated': 'Study plan updated',
+    'plan.empty': 'Enter the exam date and the minutes available per day to generate the schedule.',
+    'plan.allDone': '🎉 All objectives are completed. Good luck on the exam!',
+    'plan.examReached': '⚠️ The exam date has arrived and {minutes} min of study remain.',
+    'plan.daysLeft': { one: '{count} day until the exam', other: '{count} days until the exam' },
+    'plan.remaining': '{minutes} min remaining',
+    'plan.insufficient': '⚠️ the available time is not enough: {minutes} min per day are needed',
+    'plan.partial': ' (partial)',
+    'plan.afterExam': 'after the exam',
+    'plan.today': 'Today\'s objectives',
+    'plan.nothingToday': 'Nothing planned for today.',
+    'plan.schedule': { one: 'Full schedule ({count} day)', other: 'Full schedule ({count} days)' },
+
+    'grid.completed': { one: '{count} objective completed', other: '{count} objectives completed' },
+    'grid.none': 'None',
+    'grid.streakDays': { one: '{count} day', other: '{count} days' },
+    'grid.closeDetails': 'Close day details',
+    'grid.noneThatDay': 'No objectives completed on this day.',
+
+    'quiz.title': 'Practice quiz',
+    'quiz.count': 'Questions',
+    'quiz.autoCompleteBefore': 'Mark objective as completed after',
+    'quiz.autoCompleteAfter': 'correct answers',
+    'quiz.thresholdLabel': 'Correct answers required',
+    'quiz.available': { one: '{count} question available', other: '{count} questions available' },
+    'quiz.start': 'Start',
+    'quiz.empty': 'No questions found for these filters.',
+    'quiz.back': 'Back',
+    'quiz.progress': 'Question {current} of {total} · {id} · {level}',
+    'quiz.correct': '✅ Correct!',
+    'quiz.wrong': '❌ Incorrect',
+    'quiz.next': 'Next',
+    'quiz.showResult': 'See result',
+    'quiz.score': '{correct} / {total} correct ({percentage}%)',
+    'quiz.again': 'Practice again',
+
+    'exam.title': 'RFCP mock exam',
+    'exam.abandonConfirm': 'Abandon the mock exam in progress?',
+    'exam.rules': '{count} questions · {minutes} minutes · pass mark {pass}% correct. Questions follow the syllabus distribution of chapters and K levels.',
+    'exam.start': 'Start mock exam',
+    'exam.historyTitle': 'Previous attempts',
+    'exam.historyEmpty': 'No mock exams taken yet.',
+    'exam.historyItem': '{date} · {correct}/{total} ({percentage}%) · {verdict} · {minutes} min',
+    'exam.passed': 'Passed',
+    'exam.failed': 'Failed',
+    'exam.progress': 'Question {current} of {total} · {answered} answered',
+    'exam.previous': '← Previous',
+    'exam.next': 'Next →',
+    'exam.finish': 'Finish',
+    'exam.flag': '🏳 Flag for review',
+    'exam.unflag': '🚩 Remove flag',
+    'exam.paletteLabel': 'Question navigation',
+    'exam.paletteItem': 'Question {number}',
+    'exam.paletteItemFlagged': 'Question {number} (flagged for review)',
+    'exam.finishExam': 'Finish mock exam',
+    'exam.unanswered': '{count} unanswered',
+    'exam.flagged': '{count} flagged for review',
+    'exam.finishConfirm': 'Some questions are pending: {pending}. Finish anyway?',
+    'exam.result': '{verdict} · {correct}/{total} ({percentage}%)',
+    'exam.threshold': 'Pass mark: {pass}% · time: {minutes} min',
+    'exam.review': 'Review answers',
+    'exam.yourAnswer': 'Your answer: {answer}',
+    'exam.correctAnswer': 'Correct: {answer}',
+    'exam.new': 'New mock exam',
+
+    'stats.pageTitle': 'Statistics - RFCP Tracker',
+    'stats.title': '📊 Statistics',
+    'stats.subtitle': 'Indicators calculated from the completion dates saved in this browser and from the syllabus',
+    'stats.burndownTitle': 'Remaining minutes burn-down',
+    'stats.burndownHelp': 'Solid line: estimated minutes remaining at the end of each day. Dashed line: projection at the current pace.',
+    'stats.weeklyTitle': 'Completions per week',
+    'stats.levelsTitle': 'By knowledge level',
+    'stats.chaptersTitle': 'By chapter',
+    'stats.loadError': 'Error loading statistics: {message}',
+    'stats.examMarker': 'Exam',
+    'stats.burndownLabel': 'Remaining minutes over time',
+    'stats.week': 'Week of {date}: {count}',
+    'stats.weeklyLabel': 'Objectives completed per week',
+    'stats.levelsLabel': 'Objectives completed by knowledge level',
+    'stats.chaptersLabel': 'Objectives completed by chapter',
+    'stats.noData': 'Not enough data',
+    'stats.allDone': 'Completed 🎉',
+    'stats.completed': 'Objectives completed',
+    'stats.remaining': 'Minutes remaining',
+    'stats.perDay': 'Average objectives per day',
+    'stats.activeDays': { one: 'over {count} day', other: 'over {count} days' },
+    'stats.projected': 'Projected finish',
+    'stats.late': '⚠️ after the exam date',
+    'stats.minutesPerDay': '{minutes} min/day',
+
+    'html.lead': 'Use this dashboard to track and share your learning journey towards the certification',
+    'html.language': 'Language',
+    'html.switcher': 'Certification',
+    'html.overview': 'Certifications overview',
+    'html.closeError': 'Close error message',
+    'html.studyPlan': 'Study plan',
+    'html.examDate': 'Exam date',
+    'html.dailyMinutes': 'Minutes per day',
+    'html.generatePlan': 'Generate plan',
+    'html.monitor': 'Daily Progress Monitor',
+    'html.readiness': 'Exam readiness:',
+    'html.readinessTitle': 'Progress weighted by estimated time and by your confidence in each completed objective',
+    'html.activity': 'Daily activity',
+    'html.rangeLabel': 'Displayed period',
+    'html.range30d': '30 days',
+    'html.range90d': '90 days',
+    'html.range1y': '1 year',
+    'html.rangeAll': 'All',
+    'html.metricLabel': 'Cell intensity',
+    'html.metricBy': 'Intensity by:',
+    'html.metricCount': 'Objectives',
+    'html.metricEstimated': 'Estimated minutes',
+    'html.metricTracked': 'Minutes studied',
+    'html.currentStreak': '🔥 Current streak:',
+    'html.longestStreak': '· Longest streak:',
+    'html.quiz': '🧠 Practice quiz',
+    'html.quizLabel': 'Practice with multiple-choice questions about the objectives',
+    'html.exam': '📝 Mock exam',
+    'html.examLabel': 'Take a timed mock exam in the RFCP exam format',
+    'html.stats': '📊 Statistics',
+    'html.statsLabel': 'Open the statistics page with progress charts',
+    'html.export': 'Export my history',
+    'html.exportLabel': 'Export progress history as a JSON file',
+    'html.import': 'Import my history',
+    'html.importLabel': 'Load progress history from a JSON file',
+    'html.reset': 'Start over',
+    'html.resetLabel': 'Reset all current progress history',
+    'html.demo': 'See a filled-in example',
+    'html.demoLabel': 'Example progress history with demo data',
+    'html.history': '🕘 History',
+    'html.historyLabel': 'View and restore previous versions of your progress',
+    'html.search': 'Search objectives...',
+
+    'settings.pageTitle': 'Sync Settings - RFCP Tracker',
+    'settings.title': '⚙️ Sync Settings',
+    'settings.back': '← Back to the tracker',
+    'settings.subtitle': 'Sync your progress across devices using GitHub Gists',
+    'settings.syncing': 'Syncing...',
+    'settings.provider': 'Storage provider',
+    'settings.url': 'Server URL',
+    'settings.username': 'Username',
+    'settings.test': 'Test Connection',
+    'settings.statusTitle': 'ℹ️ Sync Status',
+    'settings.lastSync': 'Last sync:',
+    'settings.providerName': 'Provider:',
+    'settings.target': 'Target:',
+    'settings.queueSize': 'Pending changes:',
+    'settings.advanced': '🔧 Advanced Options',
+    'settings.forceUpload': '⬆️ Force Upload',
+    'settings.forceDownload': '⬇️ Force Download',
+    'settings.disable': 'Disable Sync',
+    'settings.never': 'Never',
+    'settings.enabled': '✓ Sync Enabled',
+    'settings.disabled': '✗ Sync Disabled',
+    'settings.rateLimited': '✗ API Rate Limit — resets at {date}',
+    'settings.rateLimitAlert': 'API rate limit reached — remote operations disabled until {date}.',
+    'settings.updateToken': 'Update Token',
+    'settings.enable': 'Enable Sync',
+    'settings.tokenRequired': 'Please enter a valid token',
+    'settings.urlRequired': 'Please enter the server URL',
+    'settings.tokenFirst': 'Please enter a token first',
+    'settings.localSynced': 'Local progress synced successfully!',
+    'settings.localSyncError': 'Sync configured, but sending local data failed',
+    'settings.testSuccess': '✓ Connection successful! {message}',
+    'settings.testError': 'Connection test failed: {message}',
+    'settings.noLocal': 'No local progress to sync',
+    'settings.uploaded': 'Progress uploaded to remote storage successfully!',
+    'settings.uploadError': 'Failed to upload progress: {message}',
+    'settings.downloadConfirm': 'This will overwrite your local progress with the remote data (the current one will be kept in the history). Continue?',
+    'settings.noRemote': 'No remote progress found',
+    'settings.downloaded': 'Progress downloaded from remote storage successfully!',
+    'settings.downloadError': 'Failed to download progress: {message}',
+    'settings.disableConfirm': 'Do you really want to disable sync? Your local data will not be affected.',
+    'settings.disabledAlert': 'Sync disabled',
+    'settings.gistLabel': 'GitHub Gist',
+    'settings.gistHelp': 'Progress is saved to a secret Gist in your GitHub account.',
+    'settings.gistToken': 'GitHub token',
+    'settings.oauthLogin': '🔑 Sign in with GitHub',
+    'settings.oauthHelp': 'Authorize access through GitHub instead of creating and pasting a token.',
+    'settings.oauthVisit': 'Go to',
+    'settings.oauthEnterCode': 'and enter the code:',
+    'settings.oauthWaiting': 'Waiting for authorization on GitHub...',
+    'settings.oauthCancel': 'Cancel',
+    'settings.oauthSettings': 'Configure OAuth App',
+    'settings.oauthClientId': 'Client ID',
+    'settings.oauthProxy': 'CORS proxy for github.com/login',
+    'settings.oauthSettingsHelp': 'Create an OAuth App with "Device Flow" enabled. GitHub does not allow CORS on login, so the browser needs a proxy that forwards /login/* to https://github.com.',
+    'settings.oauthSave': 'Save',
+    'settings.oauthSaved': 'OAuth App settings saved',
+    'settings.oauthSuccess': 'Authorized by GitHub! Enabling sync...',
+    'settings.oauthError': 'Could not sign in with GitHub: {message}',
+    'settings.oauthNotConfigured': 'Enter the OAuth App Client ID',
+    'settings.oauthDenied': 'Authorization was denied on GitHub',
+    'settings.oauthExpired': 'The code expired before authorization; please try again',
+    'settings.tokenExpired': 'The token expired on {date}. Sign in with GitHub again or generate a new token.',
+    'settings.tokenInvalid': 'Invalid or revoked token',
+    'settings.scopeMissing': 'The token lacks the "{scopes}" scope: sync will not be able to read or write the Gist.',
+    'settings.tokenStorage': 'Token storage',
+    'settings.storagePlain': 'Save in this browser',
+    'settings.storageEncrypted': 'Save encrypted with a passphrase',
+    'settings.storageSession': 'This session only',
+    'settings.storagePlainHelp': 'The token is saved unencrypted in the browser.',
+    'settings.storageEncryptedHelp': 'The token is encrypted (AES-GCM) with the passphrase and unlocked once per session.',
+    'settings.storageSessionHelp': 'The token is discarded when the tab closes; you will need to enter it again.',
+    'settings.passphrase': 'Token passphrase',
+    'settings.passphraseHelp': 'The passphrase is not saved and cannot be recovered; without it you will need to enter the token again.',
+    'settings.passphraseRequired': 'Enter the passphrase',
+    'settings.lockedText': '🔒 Sync is locked. Enter the passphrase to sync in this session.',
+    'settings.locked': '🔒 Token locked',
+    'settings.unlock': 'Unlock',
+    'settings.unlocked': 'Token unlocked for this session',
+    'settings.unlockError': 'Could not unlock: {message}',
+    'settings.e2e': 'End-to-end encryption of the data',
+    'settings.e2eHelp': 'The Gist content is encrypted in the browser (AES-GCM). Use the same passphrase on every device.',
+    'settings.e2ePassphrase': 'Data passphrase (E2E)',
+    'settings.e2ePassphraseRequired': 'Enter the data passphrase',
+    'settings.e2eActive': '🔐 Encrypted (E2E)',
+    'settings.e2eWrongPassphrase': 'Wrong data passphrase (or the encrypted envelope was modified)',
+    'settings.e2eCorrupt': 'The encrypted envelope in the provider is corrupted',
+    'settings.e2eKeyMismatch': 'The remote data was encrypted with another key: enter the data passphrase again',
+    'settings.e2eRequired': 'The remote data is encrypted: enable end-to-end encryption with the same passphrase',
+    'settings.e2eReplacedConfirm': 'The data was moved to a new Gist, encrypted from its first revision. The previous Gist still holds its history in cleartext. Delete it now?',
+    'settings.e2eReplacedDeleted': 'Previous Gist deleted: no cleartext revisions remain',
+    'settings.e2eReplacedKept': 'The previous Gist ({id}) still holds cleartext revisions; delete it on GitHub once you no longer need it',
+    'settings.reconnectRequired': 'The browser is asking again for permission to the local file: click "Test Connection" to grant it',
+    'settings.webdavLabel': 'WebDAV server',
+    'settings.webdavHelp': 'Enter the WebDAV folder URL; the rfcp-progress.json file will be created there.',
+    'settings.webdavToken': 'Password',
+    'settings.restLabel': 'Custom REST endpoint',
+    'settings.restHelp': 'The URL must answer GET/PUT/DELETE with the progress JSON (useful for a local test server).',
+    'settings.restToken': 'Bearer token (optional)',
+    'settings.localLabel': 'Local file',
+    'settings.localHelp': 'Progress is saved to a JSON file chosen on your computer.'
+  }
+};
+
+/**
+ * Tradução da interface e do conteúdo do syllabus
+ */
+class I18n {
+  /**
+   * Idioma ativo (preferência salva ou pt-BR)
+   * @returns {string}
+   */
+  static getLocale() {
+    try {
+      const saved = localStorage.getItem(I18N_CONFIG.STORAGE_KEY);
+      if (MESSAGES[saved]) return saved;
+    } catch (error) {
+      // localStorage indisponível: usa o idioma padrão
+    }
+    return I18N_CONFIG.DEFAULT_LOCALE;
+  }
+
+  /**
+   * Salva o idioma preferido
+   * @param {string} locale - Código do idioma (pt-BR ou en)
+   * @throws {Error} Idioma sem catálogo
+   */
+  static setLocale(locale) {
+    if (!MESSAGES[locale]) {
+      throw new Error(`Idioma não suportado: ${locale}`);
+    }
+    try {
+      localStorage.setItem(I18N_CONFIG.STORAGE_KEY, locale);
+    } catch (error) {
+      console.warn('⚠️ Não foi possível salvar o idioma:', error);
+    }
+  }
+
+  /**
+   * Traduz uma mensagem do catálogo
+   * Chaves ausentes no idioma ativo usam o pt-BR; ausentes em ambos
+   * devolvem a própria chave.
+   * @param {string} key - Chave da mensagem
+   * @param {Object} params - Valores de {nome}; "count" escolhe o plural
+   * @param {string} locale - Idioma (padrão: ativo)
+   * @returns {string}
+   */
+  static t(key, params = {}, locale = this.getLocale()) {
+    let message = MESSAGES[locale]?.[key] ?? MESSAGES[I18N_CONFIG.DEFAULT_LOCALE][key] ?? key;
+    if (typeof message === 'object') {
+      message = params.count === 1 ? message.one : message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  }
+
+  /**
+   * Verifica se a chave existe no catálogo do idioma ativo ou no padrão
+   * @param {string} key - Chave da mensagem
+   * @returns {boolean}
+   */
+  static has(key) {
+    return key in (MESSAGES[this.getLocale()] || {}) || key in MESSAGES[I18N_CONFIG.DEFAULT_LOCALE];
+  }
+
+  /**
+   * Aplica os campos traduzidos de um item do syllabus
+   * Itens sem tradução para o idioma mantêm o texto original (pt-BR).
+   * Listas (ex.: alternativas de uma questão) só são trocadas inteiras, com
+   * o mesmo tamanho da original, para não desalinhar índices como "answer".
+   * @param {Object} item - Objetivo, capítulo ou questão com "translations"
+   * @param {string[]} fields - Campos traduzíveis
+   * @param {string} locale - Idioma (padrão: ativo)
+   * @returns {Object} Cópia do item com os campos traduzidos
+   */
+  static localizeItem(item, fields = ['name', 'title'], locale = this.getLocale()) {
+    const translation = item?.translations?.[locale];
+    if (!translation) return item;
+
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+    const localized = { ...item };
+    fields.forEach(field => {
+      const value = translation[field];
+      if (isText(value)) {
+        localized[field] = value;
+      } else if (Array.isArray(value) && Array.isArray(item[field]) &&
+                 value.length === item[field].length && value.every(isText)) {
+        localized[field] = value;
+      }
+    });
+    return localized;
+  }
+
+  /**
+   * Traduz os textos estáticos marcados no HTML
+   * data-i18n (texto), data-i18n-placeholder, data-i18n-aria-label e data-i18n-title
+   * @param {ParentNode} root - Raiz da busca (padrão: document)
+   */
+  static translatePage(root = document) {
+    const attributes = { i18nPlaceholder: 'placeholder', i18nAriaLabel: 'aria-label', i18nTitle: 'title' };
+
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+      element.textContent = this.t(element.dataset.i18n);
+    });
+    Object.entries(attributes).forEach(([dataKey, attribute]) => {
+      const selector = `[data-${dataKey.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}]`;
+      root.querySelectorAll(selector).forEach(element => {
+        element.setAttribute(attribute, this.t(element.dataset[dataKey]));
+      });
+    });
+
+    document.documentElement.lang = this.getLocale();
+  }
+
+  /**
+   * Preenche um <select> com os idiomas e troca o idioma ao alterar
+   * A página é recarregada para que conteúdo e interface usem o novo idioma.
+   * @param {HTMLSelectElement|null} select - Seletor de idioma
+   */
+  static bindSwitcher(select) {
+    if (!select) return;
+
+    const current = this.getLocale();
+    select.replaceChildren(...Object.entries(I18N_CONFIG.LOCALES).map(([code, name]) =>
+      new Option(name, code, false, code === current)
+    ));
+    select.addEventListener('change', () => {
+      this.setLocale(select.value);
+      window.location.reload();
+    });
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.I18n = I18n;
+  window.I18N_CONFIG = I18N_CONFIG;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { I18n, I18N_CONFIG, MESSAGES };
+}
@@ -16,9 +16,32 @@ const CONFIG = {
   MAX_LOG_CHARS: 1000,
   DEMO_MIN_COMPLETION_RATE: 0.5,
   DEMO_COMPLETION_RANGE: 0.3,
+  // Chave base; syllabi além do padrão usam "<chave>:<id>" (SyllabusRegistry)
   STORAGE_KEY: 'rfcpProgressv2',
-  DATA_FILE: 'src/data/syllabus_rfcp.json',
-  CONTRIBUTION_GRID_DAYS: 30,
+  DEMO_HISTORY_DAYS: 30,
+  DAY_MS: 24 * 60 * 60 * 1000,
+  CONTRIBUTION_RANGE_KEY: 'rfcp_contribution_range',
+  CONTRIBUTION_DEFAULT_RANGE: '1y',
+  CONTRIBUTION_RANGES: {
+    '30d': { days: 30 },
+    '90d': { days: 90 },
+    '1y': { days: 52 * 7 },
+    all: { days: null }
+  },
+  CONTRIBUTION_METRIC_KEY: 'rfcp_contribution_metric',
+  CONTRIBUTION_DEFAULT_METRIC: 'count',
+  // count: objetivos concluídos; estimated: time_min dos concluídos; tracked: cronômetro
+  CONTRIBUTION_METRICS: {
+    count: {},
+    estimated: {},
+    tracked: {}
+  },
+  // Limites inferiores dos níveis 1-4
+  CONTRIBUTION_COUNT_THRESHOLDS: [1, 4, 7, 10],
+  CONTRIBUTION_DEFAULT_MINUTE_THRESHOLDS: [1, 15, 30, 60],
+  CONTRIBUTION_QUANTILES: [0.25, 0.5, 0.75],
+  // Dias da semana com rótulo no grid (0 = domingo)
+  WEEKDAY_LABEL_DAYS: [1, 3, 5],
   CONFETTI_PARTICLES: 50,
   ALERT_TIMEOUT: 5000,
   STATUS_TIMEOUT: 3000
@@ -45,7 +68,7 @@ class Utils {
    * Cria um elemento DOM com atributos
    * @param {string} tag - Tag do elemento
    * @param {Object} attributes - Atributos do elemento
-   * @param {string} content - Conteúdo HTML interno
+   * @param {SafeHtml|string} content - HTML (SafeHtml) ou texto
    * @returns {HTMLElement}
    */
   static createElement(tag, attributes = {}, content = '') {
@@ -61,7 +84,7 @@ class Utils {
         element.setAttribute(key, value);
       }
     });
-    if (content) element.innerHTML = content;
+    if (content) SafeHtml.setContent(element, content);
     return element;
   }
 
@@ -84,13 +107,36 @@ class Utils {
   }
 
   /**
-   * Formata data para exibição
+   * Formata data para exibição no idioma ativo
    * @param {Date|string} date - Data a ser formatada
+   * @param {Object} options - Opções do Intl.DateTimeFormat
    * @returns {string}
    */
-  static formatDate(date) {
+  static formatDate(date, options = {}) {
     const dateObj = date instanceof Date ? date : new Date(date);
-    return dateObj.toLocaleDateString('pt-BR');
+    return dateObj.toLocaleDateString(I18n.getLocale(), options);
+  }
+
+  /**
+   * Chave AAAA-MM-DD de uma data no fuso local
+   * @param {Date|string} date - Data
+   * @returns {string}
+   */
+  static toDateKey(date) {
+    const dateObj = date instanceof Date ? date : new Date(date);
+    const month = String(dateObj.getMonth() + 1).padStart(2, '0');
+    const day = String(dateObj.getDate()).padStart(2, '0');
+    return `${dateObj.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Converte uma chave AAAA-MM-DD em data local (meia-noite)
+   * @param {string} dateKey - Chave da data
+   * @returns {Date}
+   */
+  static parseDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
   }
 
   /**
@@ -99,7 +145,7 @@ class Utils {
    */
   static getRandomDate() {
     const today = new Date();
-    const daysAgo = Math.floor(Math.random() * CONFIG.CONTRIBUTION_GRID_DAYS);
+    const daysAgo = Math.floor(Math.random() * CONFIG.DEMO_HISTORY_DAYS);
     const date = new Date(today);
     date.setDate(today.getDate() - daysAgo);
     return date.toISOString();
@@ -132,7 +178,7 @@ class NotificationManager {
 
   /**
    * Mostra uma notificação
-   * @param {string} message - Mensagem da notificação
+   * @param {string} message - Mensagem da notificação (texto, não HTML)
    * @param {string} type - Tipo da notificação (success, error, warning, info)
    * @param {number} timeout - Tempo para auto-remoção em ms
    */
@@ -140,13 +186,14 @@ class NotificationManager {
     const notification = Utils.createElement('div', {
       className: `notification notification-${type}`,
       style: 'margin-bottom: 10px; padding: 15px; border-radius: 8px; background: white; box-shadow: 0 4px 15px rgba(0,0,0,0.1); max-width: 300px;'
-    }, `
+    }, SafeHtml.html`
       <div style="display: flex; align-items: center; justify-content: space-between;">
         <span>${this.getIcon(type)} ${message}</span>
-        <button onclick="this.parentElement.parentElement.remove()" style="background: none; border: none; font-size: 18px; cursor: pointer;">×</button>
+        <button class="notification-close" aria-label="${I18n.t('app.close')}" style="background: none; border: none; font-size: 18px; cursor: pointer;">×</button>
       </div>
     `);
 
+    notification.querySelector('.notification-close').addEventListener('click', () => notification.remove());
     this.container.appendChild(notification);
 
     if (timeout > 0) {
@@ -176,11 +223,29 @@ class NotificationManager {
 
 /**
  * Gerenciador do grid de contribuições
+ * Grid no estilo do GitHub: uma coluna por semana e uma linha por dia da
+ * semana, com rótulos dos meses, períodos selecionáveis e sequências de estudo
  */
 class ContributionGrid {
   constructor(containerId) {
     this.container = document.getElementById(containerId);
     this.tooltip = this.createTooltip();
+    this.elements = {
+      ranges: document.getElementById('contribution-ranges'),
+      metrics: document.getElementById('contribution-metrics'),
+      legend: document.getElementById('contribution-legend'),
+      currentStreak: document.getElementById('current-streak'),
+      longestStreak: document.getElementById('longest-streak'),
+      details: document.getElementById('contribution-details')
+    };
+    this.range = this.loadPreference(CONFIG.CONTRIBUTION_RANGE_KEY, CONFIG.CONTRIBUTION_RANGES, CONFIG.CONTRIBUTION_DEFAULT_RANGE);
+    this.metric = this.loadPreference(CONFIG.CONTRIBUTION_METRIC_KEY, CONFIG.CONTRIBUTION_METRICS, CONFIG.CONTRIBUTION_DEFAULT_METRIC);
+    this.completionDates = {};
+    this.studySessions = {};
+    this.objectivesById = new Map();
+    this.selectedDate = null;
+
+    if (this.container) this.setupEventListeners();
   }
 
   /**
@@ -200,104 +265,439 @@ class ContributionGrid {
     return tooltip;
   }
 
+  /**
+   * Preferência salva no navegador (período ou métrica)
+   * @param {string} key - Chave do localStorage
+   * @param {Object} options - Opções válidas
+   * @param {string} fallback - Valor padrão
+   * @returns {string}
+   */
+  loadPreference(key, options, fallback) {
+    try {
+      const saved = localStorage.getItem(key);
+      return options[saved] ? saved : fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Salva uma preferência no navegador
+   * @param {string} key - Chave do localStorage
+   * @param {string} value - Valor
+   */
+  savePreference(key, value) {
+    try {
+      localStorage.setItem(key, value);
+    } catch (error) {
+      console.warn('⚠️ Não foi possível salvar a preferência do grid:', error);
+    }
+  }
+
+  /**
+   * Altera o período exibido
+   * @param {string} range - Chave de CONFIG.CONTRIBUTION_RANGES
+   */
+  setRange(range) {
+    if (!CONFIG.CONTRIBUTION_RANGES[range]) return;
+
+    this.range = range;
+    this.savePreference(CONFIG.CONTRIBUTION_RANGE_KEY, range);
+    this.render();
+  }
+
+  /**
+   * Altera a métrica que define a intensidade das células
+   * @param {string} metric - Chave de CONFIG.CONTRIBUTION_METRICS
+   */
+  setMetric(metric) {
+    if (!CONFIG.CONTRIBUTION_METRICS[metric]) return;
+
+    this.metric = metric;
+    this.savePreference(CONFIG.CONTRIBUTION_METRIC_KEY, metric);
+    this.render();
+  }
+
   /**
    * Gera o grid de contribuições
    * @param {Object} completionDates - Datas de conclusão dos objetivos
+   * @param {Array} objectives - Objetivos (nomes e time_min)
+   * @param {Object} studySessions - Sessões do cronômetro (métrica "tracked")
    */
-  generate(completionDates) {
+  generate(completionDates, objectives = [], studySessions = {}) {
+    this.completionDates = completionDates || {};
+    this.objectivesById = new Map(objectives.map(obj => [obj.id, obj]));
+    this.studySessions = studySessions || {};
+    this.render();
+  }
+
+  /**
+   * Renderiza grid, rótulos, sequências e detalhes do dia selecionado
+   */
+  render() {
     if (!this.container) return;
 
-    this.container.innerHTML = '';
-    const dates = this.generateDateRange();
-    const completionsPerDay = this.processCompletionData(completionDates);
+    const completionsPerDay = this.processCompletionData(this.completionDates);
+    const valuesPerDay = this.computeDailyValues(completionsPerDay);
+    const thresholds = this.getThresholds(valuesPerDay);
+    const today = ContributionGrid.startOfDay(new Date());
+    const dates = this.generateDateRange({ ...valuesPerDay, ...completionsPerDay }, today);
+    // Alinha a primeira coluna ao domingo, como no GitHub
+    const leading = dates[0].getDay();
+
+    const months = Utils.createElement('div', { className: 'contribution-months', 'aria-hidden': 'true' });
+    const weekdays = Utils.createElement('div', { className: 'contribution-weekdays', 'aria-hidden': 'true' });
+    const cells = Utils.createElement('div', { className: 'contribution-cells' });
+
+    // Um domingo qualquer como referência para os nomes dos dias no idioma ativo
+    const sunday = new Date(2024, 0, 7);
+    for (let day = 0; day < 7; day++) {
+      const label = CONFIG.WEEKDAY_LABEL_DAYS.includes(day)
+        ? Utils.formatDate(ContributionGrid.shiftDate(sunday, day), { weekday: 'short' }).replace('.', '')
+        : '';
+      weekdays.appendChild(Utils.createElement('span', {}, label));
+    }
 
-    dates.forEach(date => {
-      const dateKey = date.toISOString().split('T')[0];
-      const count = completionsPerDay[dateKey] || 0;
-      const cell = this.createCell(date, count);
-      this.container.appendChild(cell);
+    for (let i = 0; i < leading; i++) {
+      cells.appendChild(Utils.createElement('div', { className: 'contribution-cell placeholder', 'aria-hidden': 'true' }));
+    }
+
+    dates.forEach((date, index) => {
+      const dateKey = Utils.toDateKey(date);
+      const count = (completionsPerDay[dateKey] || []).length;
+      cells.appendChild(this.createCell(date, count, valuesPerDay[dateKey] || 0, thresholds));
+
+      // Rótulo do mês na semana em que ele começa (e na primeira semana)
+      if (date.getDate() === 1 || index === 0) {
+        const week = Math.floor((index + leading) / 7);
+        const label = Utils.formatDate(date, { month: 'short' }).replace('.', '');
+        const previous = months.lastElementChild;
+        if (previous && Number(previous.dataset.week) >= week - 1) previous.remove();
+        months.appendChild(Utils.createElement('span', {
+          dataset: { week: String(week) },
+          style: `grid-column: ${week + 1}`
+        }, label));
+      }
     });
 
-    this.setupEventListeners();
+    const weeks = Math.ceil((dates.length + leading) / 7);
+    months.style.gridTemplateColumns = `repeat(${weeks}, var(--contribution-cell-size))`;
+
+    const body = Utils.createElement('div', { className: 'contribution-body' });
+    body.appendChild(weekdays);
+    body.appendChild(cells);
+
+    this.container.innerHTML = '';
+    this.container.appendChild(months);
+    this.container.appendChild(body);
+    // As semanas mais recentes ficam à direita, visíveis mesmo com rolagem
+    this.container.scrollLeft = this.container.scrollWidth;
+
+    this.updateToggleButtons();
+    this.renderLegend(thresholds);
+    this.updateStreaks(completionsPerDay, today);
+    this.renderDetails(completionsPerDay);
   }
 
   /**
-   * Gera array de datas dos últimos 30 dias
+   * Gera o array de datas do período selecionado, terminando hoje
+   * "Tudo" começa no primeiro dia com atividade registrada.
+   * @param {Object} completionsPerDay - Dias com atividade
+   * @param {Date} today - Hoje (meia-noite)
    * @returns {Date[]}
    */
-  generateDateRange() {
-    const today = new Date();
-    const dates = [];
+  generateDateRange(completionsPerDay, today) {
+    let days = CONFIG.CONTRIBUTION_RANGES[this.range].days;
+
+    if (days === null) {
+      const first = Object.keys(completionsPerDay).sort()[0];
+      const elapsed = first ? Math.round((today - Utils.parseDateKey(first)) / CONFIG.DAY_MS) + 1 : 0;
+      days = Math.max(CONFIG.CONTRIBUTION_RANGES['30d'].days, elapsed);
+    }
 
-    for (let i = CONFIG.CONTRIBUTION_GRID_DAYS - 1; i >= 0; i--) {
-      const date = new Date(today);
-      date.setDate(today.getDate() - i);
-      date.setHours(0, 0, 0, 0);
-      dates.push(date);
+    const dates = [];
+    for (let i = days - 1; i >= 0; i--) {
+      dates.push(ContributionGrid.shiftDate(today, -i));
     }
 
     return dates;
   }
 
   /**
-   * Processa os dados de conclusão por dia
+   * Processa os dados de conclusão por dia (fuso local)
    * @param {Object} completionDates - Datas de conclusão
-   * @returns {Object}
+   * @returns {Object<string, string[]>} IDs concluídos por dia (AAAA-MM-DD)
    */
   processCompletionData(completionDates) {
     const completionsPerDay = {};
 
-    Object.values(completionDates).forEach(dateString => {
+    Object.entries(completionDates).forEach(([id, dateString]) => {
       const date = new Date(dateString);
-      date.setHours(0, 0, 0, 0);
-      const dateKey = date.toISOString().split('T')[0];
-      completionsPerDay[dateKey] = (completionsPerDay[dateKey] || 0) + 1;
+      if (Number.isNaN(date.getTime())) return;
+      const dateKey = Utils.toDateKey(date);
+      (completionsPerDay[dateKey] = completionsPerDay[dateKey] || []).push(id);
     });
 
     return completionsPerDay;
   }
 
+  /**
+   * Valor de cada dia conforme a métrica selecionada
+   * @param {Object} completionsPerDay - IDs concluídos por dia
+   * @returns {Object<string, number>}
+   */
+  computeDailyValues(completionsPerDay) {
+    const values = {};
+
+    if (this.metric === 'tracked') {
+      Object.values(this.studySessions).forEach(session => {
+        if (session.deleted || !session.startedAt) return;
+        const dateKey = Utils.toDateKey(session.startedAt);
+        values[dateKey] = (values[dateKey] || 0) + (Number(session.minutes) || 0);
+      });
+      return values;
+    }
+
+    Object.entries(completionsPerDay).forEach(([dateKey, ids]) => {
+      values[dateKey] = this.metric === 'estimated'
+        ? ids.reduce((sum, id) => sum + (Number(this.objectivesById.get(id)?.time_min) || 0), 0)
+        : ids.length;
+    });
+    return values;
+  }
+
+  /**
+   * Limites inferiores dos níveis 1-4 para a métrica atual
+   * A contagem de objetivos usa limites fixos; as métricas em minutos usam
+   * os quartis dos dias com atividade em todo o histórico do usuário.
+   * @param {Object<string, number>} valuesPerDay - Valor por dia
+   * @returns {number[]}
+   */
+  getThresholds(valuesPerDay) {
+    if (this.metric === 'count') return CONFIG.CONTRIBUTION_COUNT_THRESHOLDS;
+    return ContributionGrid.quantileThresholds(Object.values(valuesPerDay), CONFIG.CONTRIBUTION_DEFAULT_MINUTE_THRESHOLDS);
+  }
+
+  /**
+   * Calcula limites de nível pelos quartis dos valores positivos
+   * Os limites são inteiros e estritamente crescentes.
+   * @param {number[]} values - Valores diários
+   * @param {number[]} fallback - Limites usados quando não há histórico
+   * @returns {number[]}
+   */
+  static quantileThresholds(values, fallback) {
+    const sorted = values.filter(value => value > 0).sort((a, b) => a - b);
+    if (sorted.length === 0) return fallback;
+
+    const quantile = q => sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length))];
+    const thresholds = [1, ...CONFIG.CONTRIBUTION_QUANTILES.map(quantile)];
+    for (let i = 1; i < thresholds.length; i++) {
+      thresholds[i] = Math.max(Math.ceil(thresholds[i]), thresholds[i - 1] + 1);
+    }
+    return thresholds;
+  }
+
   /**
    * Cria uma célula do grid
    * @param {Date} date - Data da célula
    * @param {number} count - Número de objetivos concluídos
+   * @param {number} value - Valor da métrica selecionada
+   * @param {number[]} thresholds - Limites dos níveis
    * @returns {HTMLElement}
    */
-  createCell(date, count) {
+  createCell(date, count, value, thresholds) {
+    const dateKey = Utils.toDateKey(date);
+    const completed = I18n.t('grid.completed', { count });
+    const label = this.metric === 'count'
+      ? `${Utils.formatDate(date)}: ${completed}`
+      : `${Utils.formatDate(date)}: ${Math.round(value)} min · ${completed}`;
+
     const cell = Utils.createElement('div', {
-      className: `contribution-cell ${this.getCellLevel(count)}`,
+      className: `contribution-cell ${this.getCellLevel(value, thresholds)}${dateKey === this.selectedDate ? ' selected' : ''}`,
       tabindex: '0',
+      role: 'button',
       dataset: {
-        date: Utils.formatDate(date),
-        count: count.toString()
+        dateKey,
+        count: count.toString(),
+        value: String(Math.round(value))
       },
-      'aria-label': `${Utils.formatDate(date)}: ${count} ${count === 1 ? 'objetivo concluído' : 'objetivos concluídos'}`
+      'aria-label': label
     });
 
     return cell;
   }
 
   /**
-   * Determina o nível da célula baseado na contagem
-   * @param {number} count - Número de objetivos
+   * Determina o nível da célula
+   * @param {number} value - Valor do dia
+   * @param {number[]} thresholds - Limites inferiores dos níveis 1-4
    * @returns {string}
    */
-  getCellLevel(count) {
-    if (count >= 10) return 'level-4';
-    if (count >= 7) return 'level-3';
-    if (count >= 4) return 'level-2';
-    if (count >= 1) return 'level-1';
-    return '';
+  getCellLevel(value, thresholds = CONFIG.CONTRIBUTION_COUNT_THRESHOLDS) {
+    for (let level = thresholds.length; level >= 2; level--) {
+      if (value >= thresholds[level - 1]) return `level-${level}`;
+    }
+    // Qualquer atividade (mesmo frações de minuto) aparece no nível 1
+    return value > 0 ? 'level-1' : '';
   }
 
   /**
-   * Configura os event listeners do grid
+   * Renderiza a legenda com as faixas de cada nível
+   * @param {number[]} thresholds - Limites inferiores dos níveis 1-4
+   */
+  renderLegend(thresholds) {
+    const legend = this.elements.legend;
+    if (!legend) return;
+
+    const unit = this.metric === 'count' ? '' : ' min';
+    const items = thresholds.map((lower, index) => {
+      const upper = thresholds[index + 1];
+      const range = upper === undefined ? `${lower}+` : (upper - 1 > lower ? `${lower}-${upper - 1}` : `${lower}`);
+      return SafeHtml.html`
+        <div class="legend-item">
+          <div class="legend-color level-${index + 1}"></div>
+          <span>${range}${unit}</span>
+        </div>
+      `;
+    });
+
+    SafeHtml.setContent(legend, SafeHtml.html`
+      <div class="legend-item">
+        <div class="legend-color empty"></div>
+        <span>${I18n.t('grid.none')}</span>
+      </div>
+      ${items}
+    `);
+  }
+
+  /**
+   * Calcula a sequência atual e a maior sequência de dias com conclusões
+   * A sequência atual não é interrompida se hoje ainda não houve conclusões.
+   * @param {Object} completionsPerDay - IDs concluídos por dia
+   * @param {Date} today - Hoje (meia-noite)
+   * @returns {{current: number, longest: number}}
+   */
+  static computeStreaks(completionsPerDay, today) {
+    const days = Object.keys(completionsPerDay).sort();
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+
+    days.forEach(dateKey => {
+      const date = Utils.parseDateKey(dateKey);
+      run = previous && Utils.toDateKey(ContributionGrid.shiftDate(previous, 1)) === dateKey ? run + 1 : 1;
+      longest = Math.max(longest, run);
+      previous = date;
+    });
+
+    let current = 0;
+    let cursor = completionsPerDay[Utils.toDateKey(today)] ? today : ContributionGrid.shiftDate(today, -1);
+    while (completionsPerDay[Utils.toDateKey(cursor)]) {
+      current++;
+      cursor = ContributionGrid.shiftDate(cursor, -1);
+    }
+
+    return { current, longest };
+  }
+
+  /**
+   * Atualiza os contadores de sequência
+   * @param {Object} completionsPerDay - IDs concluídos por dia
+   * @param {Date} today - Hoje (meia-noite)
+   */
+  updateStreaks(completionsPerDay, today) {
+    const { current, longest } = ContributionGrid.computeStreaks(completionsPerDay, today);
+    const format = days => I18n.t('grid.streakDays', { count: days });
+
+    if (this.elements.currentStreak) this.elements.currentStreak.textContent = format(current);
+    if (this.elements.longestStreak) this.elements.longestStreak.textContent = format(longest);
+  }
+
+  /**
+   * Marca os botões do período e da métrica ativos
+   */
+  updateToggleButtons() {
+    const toggles = [
+      [this.elements.ranges, 'range', this.range],
+      [this.elements.metrics, 'metric', this.metric]
+    ];
+
+    toggles.forEach(([group, key, current]) => {
+      group?.querySelectorAll(`[data-${key}]`).forEach(button => {
+        const active = button.dataset[key] === current;
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+      });
+    });
+  }
+
+  /**
+   * Lista os objetivos concluídos no dia selecionado
+   * @param {Object} completionsPerDay - IDs concluídos por dia
+   */
+  renderDetails(completionsPerDay) {
+    const details = this.elements.details;
+    if (!details) return;
+
+    if (!this.selectedDate) {
+      details.hidden = true;
+      details.innerHTML = '';
+      return;
+    }
+
+    const ids = completionsPerDay[this.selectedDate] || [];
+    const items = ids.map(id => {
+      const objective = this.objectivesById.get(id);
+      return SafeHtml.html`<li>${id}${objective ? ` · ${objective.name}` : ''}</li>`;
+    });
+
+    details.hidden = false;
+    SafeHtml.setContent(details, SafeHtml.html`
+      <div class="contribution-details-header">
+        <strong>${Utils.formatDate(Utils.parseDateKey(this.selectedDate))}</strong>
+        <button class="contribution-details-close" data-close-details aria-label="${I18n.t('grid.closeDetails')}">&times;</button>
+      </div>
+      ${ids.length > 0
+        ? SafeHtml.html`<ul class="contribution-details-list">${items}</ul>`
+        : SafeHtml.html`<p>${I18n.t('grid.noneThatDay')}</p>`}
+    `);
+  }
+
+  /**
+   * Seleciona um dia (ou remove a seleção ao clicar novamente)
+   * @param {string} dateKey - Dia (AAAA-MM-DD)
+   */
+  selectDate(dateKey) {
+    this.selectedDate = this.selectedDate === dateKey ? null : dateKey;
+    this.render();
+  }
+
+  /**
+   * Soma dias a uma data (fuso local, meia-noite)
+   * @param {Date} date - Data base
+   * @param {number} days - Dias
+   * @returns {Date}
+   */
+  static shiftDate(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  /**
+   * Meia-noite (fuso local) de uma data
+   * @param {Date} date - Data
+   * @returns {Date}
+   */
+  static startOfDay(date) {
+    return ContributionGrid.shiftDate(date, 0);
+  }
+
+  /**
+   * Configura os event listeners do grid (uma única vez; as células são
+   * tratadas por delegação)
    */
   setupEventListeners() {
     const showTooltip = (cell, event) => {
-      const { date, count } = cell.dataset;
-      const plural = parseInt(count) === 1 ? 'objetivo concluído' : 'objetivos concluídos';
-      this.tooltip.textContent = `${date}: ${count} ${plural}`;
+      this.tooltip.textContent = cell.getAttribute('aria-label');
       this.tooltip.style.opacity = '1';
 
       const rect = cell.getBoundingClientRect();
@@ -309,29 +709,61 @@ class ContributionGrid {
       this.tooltip.style.opacity = '0';
     };
 
+    const isCell = target => target.classList.contains('contribution-cell') && !target.classList.contains('placeholder');
+
     this.container.addEventListener('mouseover', (e) => {
-      if (e.target.classList.contains('contribution-cell')) {
+      if (isCell(e.target)) {
         showTooltip(e.target, e);
       }
     });
 
     this.container.addEventListener('mouseout', (e) => {
-      if (e.target.classList.contains('contribution-cell')) {
+      if (isCell(e.target)) {
         hideTooltip();
       }
     });
 
     this.container.addEventListener('focusin', (e) => {
-      if (e.target.classList.contains('contribution-cell')) {
+      if (isCell(e.target)) {
         showTooltip(e.target, e);
       }
     });
 
     this.container.addEventListener('focusout', (e) => {
-      if (e.target.classList.contains('contribution-cell')) {
+      if (isCell(e.target)) {
         hideTooltip();
       }
     });
+
+    this.container.addEventListener('click', (e) => {
+      if (isCell(e.target)) {
+        this.selectDate(e.target.dataset.dateKey);
+      }
+    });
+
+    this.container.addEventListener('keydown', (e) => {
+      if (isCell(e.target) && (e.key === 'Enter' || e.key === ' ')) {
+        e.preventDefault();
+        this.selectDate(e.target.dataset.dateKey);
+      }
+    });
+
+    this.elements.ranges?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-range]');
+      if (button) this.setRange(button.dataset.range);
+    });
+
+    this.elements.metrics?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-metric]');
+      if (button) this.setMetric(button.dataset.metric);
+    });
+
+    this.elements.details?.addEventListener('click', (e) => {
+      if (e.target.closest('[data-close-details]')) {
+        this.selectedDate = null;
+        this.render();
+      }
+    });
   }
 }
 
@@ -344,21 +776,64 @@ class RFCPTracker {
     this.objectives = [];
     this.completedIds = [];
     this.completionDates = {};
+    this.objectiveStates = {};
+    this.studySessions = {};
+    this.reviews = {};
+    this.quizAttempts = {};
+    this.examAttempts = {};
+    this.notes = {};
+    this.confidence = {};
+    this.settings = {};
+    this.openNotes = new Set();
+    this.noteDrafts = {};
+    this.quizUI = null;
+    this.mockExamUI = null;
+    this.chapters = [];
+    this.registry = [];
+    this.activeSyllabus = null;
+    this.storageKey = SyllabusRegistry.namespaced(CONFIG.STORAGE_KEY);
+    this.syllabus = null;
+    this.syllabusDiff = null;
+    this.newObjectiveIds = new Set();
+    this.collapsedChapters = window.ChapterIndex ? window.ChapterIndex.loadCollapsed() : new Set();
     this.syncManager = null;
     this.loadError = false;
-    this.currentFilter = 'all';
+    this.filters = null;
     this.currentSearch = '';
     
     // Managers
     this.notificationManager = new NotificationManager();
     this.contributionGrid = new ContributionGrid('contribution-grid');
+    this.studyTimer = window.StudyTimer ? new window.StudyTimer() : null;
+    this.historyUI = window.ProgressHistoryUI && window.QuizModal
+      ? new window.ProgressHistoryUI({
+        getProgress: () => this.getProgressData(),
+        getSyncManager: () => this.syncManager,
+        onRestore: (data) => this.restoreProgress(data),
+        notify: (message, type) => this.notificationManager.show(message, type)
+      })
+      : null;
     
     // DOM elements
     this.elements = {
       objectivesList: document.getElementById('objectives-list'),
-      filterButtons: document.querySelectorAll('.filter-btn'),
+      filtersContainer: document.querySelector('.filters'),
+      filterChips: document.getElementById('filter-chips'),
+      reviewQueue: document.getElementById('review-queue'),
+      syllabusMigration: document.getElementById('syllabus-migration'),
+      syllabusVersion: document.getElementById('syllabus-version'),
+      languageSelect: document.getElementById('language-select'),
+      syllabusName: document.getElementById('syllabus-name'),
+      syllabusLink: document.getElementById('syllabus-link'),
+      syllabusSelect: document.getElementById('syllabus-select'),
+      syllabusOverview: document.getElementById('syllabus-overview'),
+      syllabusOverviewContent: document.getElementById('syllabus-overview-content'),
+      studyPlan: document.getElementById('study-plan'),
+      studyPlanForm: document.getElementById('study-plan-form'),
+      studyPlanContent: document.getElementById('study-plan-content'),
       searchInput: document.getElementById('search-input'),
       progressBar: document.getElementById('progress'),
+      readiness: document.getElementById('readiness'),
       completedCount: document.getElementById('completed-count'),
       totalCount: document.getElementById('total-count'),
       errorBanner: document.getElementById('error-banner')
@@ -371,10 +846,15 @@ class RFCPTracker {
    */
   async init() {
     try {
+      this.setupLanguage();
+      await this.loadRegistry();
       await this.initSyncManager();
       await this.loadObjectives();
       await this.loadProgress();
+      this.checkSyllabusChanges();
+      await this.initQuiz();
       this.setupEventListeners();
+      this.setupStudyTimer();
       this.addSyncButton();
       this.updateUI();
       this.render();
@@ -382,22 +862,188 @@ class RFCPTracker {
       console.log('✅ RFCP Tracker inicializado com sucesso');
     } catch (error) {
       console.error('❌ Erro na inicialização:', error);
-      this.notificationManager.show('Erro ao inicializar aplicação', 'error');
+      this.notificationManager.show(I18n.t('app.initError'), 'error');
     }
   }
 
+  /**
+   * Traduz os textos estáticos da página e configura o seletor de idioma
+   */
+  setupLanguage() {
+    I18n.translatePage();
+    I18n.bindSwitcher(this.elements.languageSelect);
+  }
+
   /**
    * Inicializa o gerenciador de sincronização
    */
   async initSyncManager() {
     if (window.SyncManager) {
       this.syncManager = new window.SyncManager();
+      this.syncManager.onQueueChange = (size) => this.updateQueueIndicator(size);
+      this.syncManager.onQueueFlushed = (merged) => this.handleQueueFlushed(merged);
+      this.syncManager.onReconnectChange = (needed) => this.updateReconnectButton(needed);
+      this.syncManager.startAutoRetry();
       console.log('✅ SyncManager inicializado');
     } else {
       console.warn('⚠️ SyncManager não encontrado. Sincronização desabilitada.');
     }
   }
 
+  /**
+   * Carrega o registro de syllabi e define o syllabus ativo
+   * Um ID desconhecido (URL ou preferência antiga) volta para o primeiro
+   * syllabus registrado, para que todas as chaves usem o mesmo namespace.
+   */
+  async loadRegistry() {
+    this.registry = await SyllabusRegistry.load();
+    this.activeSyllabus = SyllabusRegistry.getActiveEntry(this.registry);
+
+    if (this.activeSyllabus.id !== SyllabusRegistry.getActiveId()) {
+      this.notificationManager.show(I18n.t('syllabus.notFound', { id: SyllabusRegistry.getActiveId(), name: this.activeSyllabus.name }), 'warning');
+      const url = new URL(window.location.href);
+      url.searchParams.delete(SYLLABUS_REGISTRY_CONFIG.URL_PARAM);
+      window.history.replaceState(null, '', url);
+    }
+    SyllabusRegistry.setActiveId(this.activeSyllabus.id);
+    this.storageKey = SyllabusRegistry.namespaced(CONFIG.STORAGE_KEY);
+
+    this.renderSyllabusSwitcher();
+  }
+
+  /**
+   * Atualiza o título do painel e o seletor de certificações
+   */
+  renderSyllabusSwitcher() {
+    const { syllabusName, syllabusLink, syllabusSelect, syllabusOverview } = this.elements;
+    const entry = this.activeSyllabus;
+
+    if (syllabusName) syllabusName.textContent = entry.name;
+    if (syllabusLink) {
+      syllabusLink.textContent = `${entry.title} (${entry.name})`;
+      if (entry.url) syllabusLink.href = entry.url;
+    }
+    document.title = I18n.t('app.title', { name: entry.name });
+
+    if (syllabusSelect) {
+      syllabusSelect.replaceChildren(...this.registry.map(item =>
+        new Option(`${item.name} — ${item.title}`, item.id, false, item.id === entry.id)
+      ));
+      syllabusSelect.closest('.syllabus-switcher').hidden = this.registry.length < 2;
+    }
+    if (syllabusOverview) syllabusOverview.hidden = this.registry.length < 2;
+  }
+
+  /**
+   * Configura a troca de syllabus e a visão geral
+   * Trocar de syllabus recarrega a página: todo o estado (progresso, fila de
+   * sincronização, cronômetro) é lido do namespace do novo syllabus.
+   */
+  setupSyllabusSwitcher() {
+    this.elements.syllabusSelect?.addEventListener('change', (e) => this.switchSyllabus(e.target.value));
+
+    this.elements.syllabusOverview?.addEventListener('toggle', () => {
+      if (this.elements.syllabusOverview.open) this.renderSyllabusOverview();
+    });
+
+    this.elements.syllabusOverviewContent?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-syllabus-id]');
+      if (button) this.switchSyllabus(button.dataset.syllabusId);
+    });
+  }
+
+  /**
+   * Ativa outro syllabus e recarrega o painel
+   * @param {string} id - ID do syllabus
+   */
+  switchSyllabus(id) {
+    if (id === this.activeSyllabus.id) return;
+
+    SyllabusRegistry.setActiveId(id);
+    const url = new URL(window.location.href);
+    url.searchParams.set(SYLLABUS_REGISTRY_CONFIG.URL_PARAM, id);
+    window.location.assign(url);
+  }
+
+  /**
+   * Exibe o progresso de todas as certificações registradas
+   * O syllabus ativo usa os dados em memória; os demais são lidos do
+   * localStorage (a sincronização de cada um acontece ao ativá-lo).
+   */
+  async renderSyllabusOverview() {
+    const container = this.elements.syllabusOverviewContent;
+    if (!container) return;
+
+    container.textContent = I18n.t('syllabus.loading');
+
+    const rows = await Promise.all(this.registry.map(async entry => {
+      if (entry.id === this.activeSyllabus.id) {
+        return { entry, summary: SyllabusRegistry.summarize(this.objectives, this.getProgressData()) };
+      }
+      try {
+        const response = await fetch(entry.dataFile);
+        if (!response.ok) throw new Error(`Erro HTTP: ${response.status}`);
+        const data = await response.json();
+        return { entry, summary: SyllabusRegistry.summarize(data.lessons || [], SyllabusRegistry.loadProgress(CONFIG.STORAGE_KEY, entry.id)) };
+      } catch (error) {
+        console.warn(`⚠️ Não foi possível carregar o syllabus ${entry.id}:`, error);
+        return { entry, summary: null };
+      }
+    }));
+
+    const loaded = rows.filter(row => row.summary);
+    const completed = loaded.reduce((sum, row) => sum + row.summary.completed, 0);
+    const total = loaded.reduce((sum, row) => sum + row.summary.total, 0);
+
+    const list = Utils.createElement('ul', { className: 'syllabus-overview-list' });
+    rows.forEach(({ entry, summary }) => {
+      const item = Utils.createElement('li', { className: entry.id === this.activeSyllabus.id ? 'active' : '' });
+      const button = Utils.createElement('button', { type: 'button', className: 'syllabus-overview-name', dataset: { syllabusId: entry.id } }, entry.name);
+      button.disabled = entry.id === this.activeSyllabus.id;
+      item.appendChild(button);
+      item.appendChild(Utils.createElement('span', { className: 'syllabus-overview-title' }, entry.title));
+      item.appendChild(Utils.createElement('span', { className: 'syllabus-overview-progress' },
+        summary ? `${summary.completed}/${summary.total} · ${summary.percentage}%` : I18n.t('syllabus.unavailable')));
+      list.appendChild(item);
+    });
+
+    const totals = Utils.createElement('div', { className: 'syllabus-overview-total' }, I18n.t('syllabus.total', {
+      completed,
+      total,
+      percentage: total === 0 ? 0 : Math.round((completed / total) * 100)
+    }));
+    container.replaceChildren(list, totals);
+  }
+
+  /**
+   * Carrega o banco de questões e prepara o quiz e o simulado
+   * A falha não impede o uso do tracker; apenas desabilita esses modos.
+   */
+  async initQuiz() {
+    if (!window.QuizBank) return;
+
+    try {
+      if (!this.activeSyllabus?.questionsFile) return;
+      const bank = await QuizBank.load(this.activeSyllabus.questionsFile);
+      this.quizUI = new QuizUI({
+        bank,
+        getChapters: () => this.chapters,
+        onAnswer: (attempt, settings) => this.recordQuizAttempt(attempt, settings)
+      });
+      if (window.MockExamUI) {
+        this.mockExamUI = new MockExamUI({
+          bank,
+          getObjectives: () => this.objectives,
+          getHistory: () => this.examAttempts,
+          onFinish: (attempt) => this.recordExamAttempt(attempt)
+        });
+      }
+      console.log(`✅ ${bank.questions.length} questões de prática carregadas`);
+    } catch (error) {
+      console.warn('⚠️ Banco de questões indisponível. Quiz desabilitado:', error);
+    }
+  }
+
   /**
    * Carrega os objetivos do arquivo JSON
    * @returns {Promise<Array>} Lista de objetivos carregados
@@ -405,7 +1051,7 @@ class RFCPTracker {
    */
   async loadObjectives() {
     try {
-      const response = await fetch(CONFIG.DATA_FILE);
+      const response = await fetch(this.activeSyllabus.dataFile);
       if (!response.ok) {
         throw new Error(`Erro HTTP: ${response.status}`);
       }
@@ -415,34 +1061,181 @@ class RFCPTracker {
         throw new Error('Arquivo JSON está vazio');
       }
       
-      const data = JSON.parse(text);
-      if (!data.lessons || !Array.isArray(data.lessons)) {
-        throw new Error('Formato JSON inválido: propriedade "lessons" não encontrada');
+      // Modo estrito: qualquer erro de schema impede a renderização
+      const strict = this.activeSyllabus.strict === true || SyllabusSchema.isStrictRequested();
+      const { data, errors } = SyllabusSchema.validate(text);
+      if (!data || (strict && errors.length > 0)) {
+        const error = new Error(`Syllabus inválido: ${errors.length} erro(s)${strict ? ' (modo estrito)' : ''}`);
+        error.validationErrors = errors;
+        throw error;
       }
       
-      this.objectives = data.lessons;
+      // Nomes e títulos no idioma ativo; IDs e URLs não mudam
+      this.objectives = data.lessons.map(lesson => I18n.localizeItem(lesson));
+      this.syllabus = {
+        version: data.version || SYLLABUS_CONFIG.UNVERSIONED,
+        idMappings: data.idMappings || {},
+        objectives: this.objectives
+      };
+      const chapters = (data.chapters || []).map(chapter => I18n.localizeItem(chapter));
+      this.chapters = window.ChapterIndex ? ChapterIndex.build(this.objectives, chapters) : [];
       this.loadError = false;
-      this.hideErrorBanner();
+      if (errors.length > 0) {
+        console.warn(`⚠️ ${errors.length} problema(s) no syllabus:`, errors.map(item => SyllabusSchema.format(item)));
+        this.showErrorBanner(errors, false);
+      } else {
+        this.hideErrorBanner();
+      }
       
       console.log(`✅ ${this.objectives.length} objetivos carregados com sucesso`);
       return this.objectives;
     } catch (error) {
       console.error('❌ Erro ao carregar objetivos:', error);
       this.loadError = true;
-      this.showErrorBanner();
-      this.notificationManager.show('Erro ao carregar objetivos', 'error');
+      this.showErrorBanner(error.validationErrors || []);
+      this.notificationManager.show(I18n.t('syllabus.loadError'), 'error');
       throw error;
     }
   }
 
+  /**
+   * Compara o syllabus carregado com o progresso e com a última versão vista
+   * Órfãos pendentes abrem o painel de migração; sem órfãos, a versão atual
+   * é registrada e os objetivos novos são destacados nesta sessão.
+   */
+  checkSyllabusChanges() {
+    if (!this.syllabus) return;
+
+    if (this.elements.syllabusVersion) {
+      this.elements.syllabusVersion.textContent = I18n.t('syllabus.version', { version: this.syllabus.version });
+    }
+
+    const snapshot = SyllabusMigration.loadSnapshot();
+    const diff = SyllabusMigration.diff(this.syllabus, this.getProgressData(), snapshot);
+    this.newObjectiveIds = new Set(diff.newIds);
+
+    if (diff.versionChanged || diff.newIds.length > 0) {
+      const news = diff.newIds.length > 0 ? I18n.t('syllabus.newObjectives', { count: diff.newIds.length }) : '';
+      this.notificationManager.show(I18n.t('syllabus.updated', { version: this.syllabus.version, news }), 'info');
+    }
+
+    if (diff.pendingOrphanIds.length > 0) {
+      this.syllabusDiff = diff;
+      this.renderSyllabusMigration();
+      return;
+    }
+
+    SyllabusMigration.saveSnapshot(SyllabusMigration.createSnapshot(this.syllabus, snapshot?.keptOrphans || []));
+  }
+
+  /**
+   * Renderiza o painel de migração dos objetivos órfãos
+   */
+  renderSyllabusMigration() {
+    const container = this.elements.syllabusMigration;
+    if (!container || !this.syllabusDiff) return;
+
+    const diff = this.syllabusDiff;
+    const suggestions = SyllabusMigration.suggestMappings(diff.pendingOrphanIds, this.syllabus);
+    const options = this.objectives
+      .map(obj => SafeHtml.html`<option value="${obj.id}">${obj.id} · ${obj.name}</option>`);
+
+    const rows = diff.pendingOrphanIds.map(id => SafeHtml.html`
+      <li class="migration-item">
+        <label>
+          <span class="migration-old-id">${id}</span>
+          <select data-orphan-id="${id}">
+            <option value="${SYLLABUS_CONFIG.ACTIONS.KEEP}">${I18n.t('migration.keep')}</option>
+            <option value="${SYLLABUS_CONFIG.ACTIONS.DISCARD}">${I18n.t('migration.discard')}</option>
+            <optgroup label="${I18n.t('migration.migrateTo')}">${options}</optgroup>
+          </select>
+        </label>
+      </li>
+    `);
+
+    const version = diff.versionChanged
+      ? I18n.t('migration.versionChanged', { previous: diff.previousVersion, current: this.syllabus.version })
+      : '';
+
+    SafeHtml.setContent(container, SafeHtml.html`
+      <h2 class="migration-title">${I18n.t('migration.title')}</h2>
+      <p class="migration-text">
+        ${version}${I18n.t('migration.text', { count: diff.pendingOrphanIds.length })}
+      </p>
+      <ul class="migration-list">${rows}</ul>
+      <div class="migration-actions">
+        <button class="action-btn" data-migration-action="apply">${I18n.t('migration.apply')}</button>
+        <button class="action-btn action-btn-secondary" data-migration-action="later">${I18n.t('migration.later')}</button>
+      </div>
+    `);
+
+    container.querySelectorAll('[data-orphan-id]').forEach(select => {
+      select.value = suggestions[select.dataset.orphanId];
+    });
+    container.hidden = false;
+  }
+
+  /**
+   * Configura as ações do painel de migração
+   */
+  setupSyllabusMigration() {
+    this.elements.syllabusMigration?.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-migration-action]');
+      if (!button) return;
+
+      if (button.dataset.migrationAction === 'apply') {
+        await this.applySyllabusMigration();
+      } else {
+        this.elements.syllabusMigration.hidden = true;
+      }
+    });
+  }
+
+  /**
+   * Aplica o mapeamento escolhido e registra a versão atual do syllabus
+   */
+  async applySyllabusMigration() {
+    const mappings = {};
+    this.elements.syllabusMigration.querySelectorAll('[data-orphan-id]').forEach(select => {
+      mappings[select.dataset.orphanId] = select.value;
+    });
+
+    try {
+      this.applyProgressData(SyllabusMigration.apply(this.getProgressData(), mappings));
+    } catch (error) {
+      this.notificationManager.show(error.message, 'error');
+      return;
+    }
+
+    const previous = SyllabusMigration.loadSnapshot();
+    const kept = Object.keys(mappings).filter(id => mappings[id] === SYLLABUS_CONFIG.ACTIONS.KEEP);
+    SyllabusMigration.saveSnapshot(SyllabusMigration.createSnapshot(this.syllabus, [...(previous?.keptOrphans || []), ...kept]));
+
+    this.syllabusDiff = null;
+    this.elements.syllabusMigration.hidden = true;
+    await this.saveProgress();
+    this.notificationManager.show(I18n.t('migration.applied'), 'success');
+    this.updateUI();
+    this.render();
+  }
+
+  /**
+   * IDs concluídos que existem no syllabus atual (base de todos os percentuais)
+   * @returns {string[]}
+   */
+  getKnownCompletedIds() {
+    const knownIds = new Set(this.objectives.map(obj => obj.id));
+    return this.completedIds.filter(id => knownIds.has(id));
+  }
+
   /**
    * Carrega o progresso do usuário (local e/ou sincronizado)
    * @returns {Promise<Object>} Dados de progresso carregados
    */
   async loadProgress() {
     try {
-      const localProgress = localStorage.getItem(CONFIG.STORAGE_KEY);
-      const local = localProgress ? JSON.parse(localProgress) : { completedIds: [], completionDates: {} };
+      const localProgress = localStorage.getItem(this.storageKey);
+      const local = ProgressModel.normalize(localProgress ? JSON.parse(localProgress) : null);
       
       // Tentar sincronizar se habilitado
       if (this.syncManager?.syncEnabled) {
@@ -450,53 +1243,142 @@ class RFCPTracker {
           const synced = await this.syncManager.sync(local);
           if (synced) {
             console.log('📊 Progresso sincronizado com sucesso');
-            this.completedIds = synced.completedIds;
-            this.completionDates = synced.completionDates;
+            this.applyProgressData(synced);
             return synced;
           }
         } catch (syncError) {
           console.warn('⚠️ Erro na sincronização, usando dados locais:', syncError.message);
-          this.notificationManager.show('Erro na sincronização, usando dados locais', 'warning');
+          this.notificationManager.show(I18n.t('sync.fallbackLocal'), 'warning');
         }
       }
       
-      this.completedIds = local.completedIds;
-      this.completionDates = local.completionDates;
+      this.applyProgressData(local);
       return local;
     } catch (error) {
       console.error('❌ Erro ao carregar progresso:', error);
-      this.completedIds = [];
-      this.completionDates = {};
-      return { completedIds: [], completionDates: {} };
+      const empty = ProgressModel.createEmpty();
+      this.applyProgressData(empty);
+      return empty;
     }
   }
 
+  /**
+   * Aplica um payload de progresso ao estado do tracker
+   * @param {Object} data Dados de progresso
+   */
+  applyProgressData(data) {
+    const progress = ProgressModel.normalize(data);
+    this.completedIds = progress.completedIds;
+    this.completionDates = progress.completionDates;
+    this.objectiveStates = progress.objectiveStates;
+    this.studySessions = progress.studySessions;
+    this.reviews = progress.reviews;
+    this.quizAttempts = progress.quizAttempts;
+    this.examAttempts = progress.examAttempts;
+    this.notes = progress.notes;
+    this.confidence = progress.confidence;
+    this.settings = progress.settings;
+  }
+
+  /**
+   * Monta o payload de progresso a partir do estado atual
+   * @returns {Object} Dados de progresso
+   */
+  getProgressData() {
+    return {
+      completedIds: this.completedIds,
+      completionDates: this.completionDates,
+      objectiveStates: this.objectiveStates,
+      studySessions: this.studySessions,
+      reviews: this.reviews,
+      quizAttempts: this.quizAttempts,
+      examAttempts: this.examAttempts,
+      notes: this.notes,
+      confidence: this.confidence,
+      settings: this.settings,
+      version: PROGRESS_CONFIG.VERSION
+    };
+  }
+
+  /**
+   * Substitui todo o progresso mantendo tombstones dos objetivos removidos
+   * Sessões de estudo e tentativas de quiz/simulado importadas entram por
+   * união (como na sincronização); revisões, anotações, confiança e
+   * configurações importadas recebem novo timestamp para prevalecer.
+   * @param {Object} completionDates Datas de conclusão por ID
+   * @param {Object} imported Payload importado (demais seções a preservar)
+   */
+  replaceProgress(completionDates, imported = {}) {
+    const now = new Date().toISOString();
+    const importedReviews = imported.reviews || {};
+    const reviews = { ...this.reviews };
+    Object.entries(completionDates).forEach(([id, completedAt]) => {
+      reviews[id] = importedReviews[id]
+        ? { ...importedReviews[id], updatedAt: now }
+        : ReviewScheduler.createEntry(completedAt || now, now);
+    });
+
+    const notes = { ...this.notes };
+    Object.entries(imported.notes || {}).forEach(([id, note]) => {
+      if (note?.text) notes[id] = { ...note, updatedAt: now };
+    });
+
+    const confidence = { ...this.confidence };
+    Object.entries(imported.confidence || {}).forEach(([id, entry]) => {
+      if (entry?.score) confidence[id] = { ...entry, updatedAt: now };
+    });
+
+    const settings = { ...this.settings };
+    Object.entries(imported.settings || {}).forEach(([key, value]) => {
+      if (value) settings[key] = { ...value, updatedAt: now };
+    });
+
+    this.applyProgressData({
+      ...this.getProgressData(),
+      objectiveStates: ProgressModel.replaceStates(this.objectiveStates, completionDates, now),
+      studySessions: ProgressModel.mergeUnion(this.studySessions, imported.studySessions || {}),
+      reviews,
+      quizAttempts: ProgressModel.mergeUnion(this.quizAttempts, imported.quizAttempts || {}),
+      examAttempts: ProgressModel.mergeUnion(this.examAttempts, imported.examAttempts || {}),
+      notes,
+      confidence,
+      settings
+    });
+  }
+
   /**
    * Salva o progresso do usuário
    * @returns {Promise<void>}
    */
   async saveProgress() {
     try {
-      const data = { 
-        completedIds: this.completedIds, 
-        completionDates: this.completionDates 
-      };
+      const data = this.getProgressData();
       
-      localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(data));
+      localStorage.setItem(this.storageKey, JSON.stringify(data));
       
       // Sincronizar em background se habilitado
       if (this.syncManager?.syncEnabled) {
         try {
-          await this.syncManager.sync(data);
-          this.updateSyncStatus(true, 'Progresso sincronizado');
+          const synced = await this.syncManager.sync(data);
+          if (synced) {
+            // Mesclar em vez de substituir: o usuário pode ter alterado algo durante o envio
+            this.applyProgressData(ProgressModel.merge(this.getProgressData(), synced));
+            localStorage.setItem(this.storageKey, JSON.stringify(this.getProgressData()));
+          }
+
+          if (this.syncManager.queue.size > 0) {
+            this.updateSyncStatus(false, I18n.t('sync.pending'));
+          } else {
+            this.updateSyncStatus(true, I18n.t('sync.done'));
+          }
         } catch (syncError) {
-          console.warn('⚠️ Erro na sincronização:', syncError.message);
+          console.warn('⚠️ Erro na sincronização, alteração mantida na fila:', syncError.message);
           this.updateSyncStatus(false, syncError.message);
         }
       }
     } catch (error) {
       console.error('❌ Erro ao salvar progresso:', error);
-      this.notificationManager.show('Erro ao salvar progresso', 'error');
+      this.notificationManager.show(I18n.t('progress.saveError'), 'error');
       throw error;
     }
   }
@@ -511,7 +1393,7 @@ class RFCPTracker {
     if (!statusEl) return;
     
     if (success) {
-      statusEl.textContent = '✅ Sincronizado';
+      statusEl.textContent = I18n.t('sync.synced');
       statusEl.className = 'sync-status sync-success';
     } else {
       statusEl.textContent = `❌ ${message}`;
@@ -525,28 +1407,246 @@ class RFCPTracker {
   }
 
   /**
-   * Configura todos os event listeners
+   * Aplica o resultado do envio da fila de sincronização
+   * @param {Object} merged Dados mesclados com o remoto
+   */
+  handleQueueFlushed(merged) {
+    this.applyProgressData(ProgressModel.merge(this.getProgressData(), merged));
+    localStorage.setItem(this.storageKey, JSON.stringify(this.getProgressData()));
+    this.updateSyncStatus(true, I18n.t('sync.done'));
+    this.updateUI();
+    this.render();
+  }
+
+  /**
+   * Atualiza o indicador de alterações pendentes no header
+   * @param {number} size Quantidade de envios na fila
+   */
+  updateQueueIndicator(size) {
+    const indicator = document.querySelector('.sync-queue-indicator');
+    if (!indicator) return;
+
+    indicator.hidden = size === 0;
+    indicator.textContent = I18n.t('sync.queue', { count: size });
+    indicator.title = I18n.t(this.syncManager?.locked ? 'sync.queueLocked'
+      : this.syncManager?.needsReconnect ? 'sync.queueReconnect'
+        : navigator.onLine === false ? 'sync.queueOffline' : 'sync.queueRetry');
+  }
+
+  /**
+   * Mostra ou esconde o botão de reconectar o arquivo local
+   * @param {boolean} needed - Se o destino aguarda reconexão
+   */
+  updateReconnectButton(needed) {
+    const button = document.querySelector('.sync-reconnect-button');
+    if (button) button.hidden = !needed;
+    this.updateQueueIndicator(this.syncManager?.queue.size || 0);
+  }
+
+  /**
+   * Reconecta o destino da sincronização (clique do usuário) e envia o progresso
+   */
+  async reconnectSync() {
+    try {
+      await this.syncManager.reconnect();
+      this.handleQueueFlushed(await this.syncManager.sync(this.getProgressData()));
+    } catch (error) {
+      console.warn('⚠️ Não foi possível reconectar a sincronização:', error.message);
+      this.updateSyncStatus(false, error.message);
+    }
+  }
+
+  /**
+   * Configura todos os event listeners
+   */
+  setupEventListeners() {
+    this.setupFilters();
+    this.setupSearch();
+    this.setupObjectiveClicks();
+    this.setupReviewQueue();
+    this.setupSyllabusMigration();
+    this.setupSyllabusSwitcher();
+    this.setupStudyPlan();
+    this.setupProgressActions();
+    this.setupErrorBanner();
+  }
+
+  /**
+   * Define as facetas de filtro disponíveis
+   * @returns {Array<Object>} Facetas no formato do FilterState
+   */
+  createFacets() {
+    const levels = [...new Set(this.objectives.map(obj => obj.type))].sort();
+    const facets = [
+      {
+        key: 'status',
+        label: I18n.t('filters.status'),
+        options: [
+          { value: 'completed', label: I18n.t('filters.completed') },
+          { value: 'unfinished', label: I18n.t('filters.unfinished') }
+        ],
+        match: (obj, value) => this.completedIds.includes(obj.id) === (value === 'completed')
+      },
+      {
+        key: 'level',
+        label: I18n.t('filters.level'),
+        // Níveis sem rótulo no catálogo exibem o próprio código
+        options: levels.map(level => ({ value: level, label: I18n.has(`level.${level}`) ? I18n.t(`level.${level}`) : level })),
+        match: (obj, value) => obj.type === value
+      }
+    ];
+
+    if (this.chapters.length > 0) {
+      facets.push({
+        key: 'chapter',
+        label: I18n.t('filters.chapter'),
+        options: this.chapters.map(chapter => ({ value: chapter.id, label: I18n.t('filters.chapterShort', { id: chapter.id }), title: chapter.title })),
+        match: (obj, value) => ChapterIndex.getChapterId(obj) === value
+      });
+    }
+
+    facets.push({
+      key: 'confidence',
+      label: I18n.t('filters.confidence'),
+      options: [
+        { value: 'low', label: I18n.t('filters.low', { max: CONFIDENCE_CONFIG.LOW_THRESHOLD }) },
+        { value: 'unrated', label: I18n.t('filters.unrated') }
+      ],
+      match: (obj, value) => value === 'low'
+        ? Confidence.isLow(this.confidence, obj.id)
+        : Confidence.getScore(this.confidence, obj.id) === null
+    });
+
+    facets.push({
+      key: 'notes',
+      label: I18n.t('filters.notes'),
+      options: [{ value: 'with', label: I18n.t('filters.withNotes') }],
+      match: (obj) => this.hasNote(obj.id)
+    });
+
+    facets.push({
+      key: 'review',
+      label: I18n.t('filters.review'),
+      options: [{ value: 'due', label: I18n.t('filters.due') }],
+      match: (obj) => this.isReviewDue(obj.id)
+    });
+
+    return facets;
+  }
+
+  /**
+   * Configura os filtros por faceta e restaura o estado da URL
+   */
+  setupFilters() {
+    this.filters = new FilterState(this.createFacets());
+    this.currentSearch = this.filters.fromQueryString(window.location.search);
+    if (this.elements.searchInput) {
+      this.elements.searchInput.value = this.currentSearch;
+    }
+
+    this.buildFilterControls();
+
+    this.elements.filtersContainer?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-facet]');
+      if (!button) return;
+
+      if (button.dataset.value) {
+        this.filters.toggle(button.dataset.facet, button.dataset.value);
+      } else {
+        this.filters.set(button.dataset.facet, null);
+      }
+      this.applyFilters();
+    });
+
+    this.elements.filterChips?.addEventListener('click', (e) => {
+      const chip = e.target.closest('[data-chip]');
+      if (chip) {
+        this.filters.set(chip.dataset.chip, null);
+        this.applyFilters();
+      } else if (e.target.closest('[data-clear-filters]')) {
+        this.filters.clear();
+        this.applyFilters();
+      }
+    });
+  }
+
+  /**
+   * Cria os grupos de botões de cada faceta
    */
-  setupEventListeners() {
-    this.setupFilterButtons();
-    this.setupSearch();
-    this.setupObjectiveClicks();
-    this.setupProgressActions();
-    this.setupErrorBanner();
+  buildFilterControls() {
+    const container = this.elements.filtersContainer;
+    if (!container) return;
+
+    container.innerHTML = '';
+    this.filters.facets.forEach(facet => {
+      const group = Utils.createElement('div', {
+        className: 'filter-facet',
+        role: 'group',
+        'aria-label': facet.label
+      }, SafeHtml.html`<span class="filter-facet-label">${facet.label}</span>`);
+
+      group.appendChild(Utils.createElement('button', {
+        className: 'filter-btn',
+        dataset: { facet: facet.key, value: '' }
+      }, I18n.t('filters.all')));
+
+      facet.options.forEach(option => {
+        group.appendChild(Utils.createElement('button', {
+          className: 'filter-btn',
+          dataset: { facet: facet.key, value: option.value },
+          title: option.title || option.label
+        }, SafeHtml.html`${option.label} <span class="filter-count"></span>`));
+      });
+
+      container.appendChild(group);
+    });
   }
 
   /**
-   * Configura os botões de filtro
+   * Atualiza botões, contagens e chips conforme o estado dos filtros
+   * @param {number} resultCount Total de objetivos exibidos
    */
-  setupFilterButtons() {
-    this.elements.filterButtons.forEach(btn => {
-      btn.addEventListener('click', () => {
-        this.elements.filterButtons.forEach(b => b.classList.remove('active'));
-        btn.classList.add('active');
-        this.currentFilter = btn.dataset.filter;
-        this.render();
-      });
+  updateFilterControls(resultCount) {
+    if (!this.filters) return;
+
+    const searched = this.getSearchResults();
+    this.elements.filtersContainer?.querySelectorAll('[data-facet]').forEach(button => {
+      const { facet, value } = button.dataset;
+      const active = (this.filters.values[facet] || '') === value;
+      button.classList.toggle('active', active);
+      button.setAttribute('aria-pressed', String(active));
+
+      const count = button.querySelector('.filter-count');
+      if (count) {
+        count.textContent = this.filters.count(searched, facet, value);
+      }
     });
+
+    const chipsContainer = this.elements.filterChips;
+    if (!chipsContainer) return;
+
+    const chips = this.filters.getChips();
+    chipsContainer.hidden = chips.length === 0;
+    SafeHtml.setContent(chipsContainer, SafeHtml.html`${chips.map(chip => SafeHtml.html`
+      <span class="filter-chip">
+        ${chip.label}
+        <button class="filter-chip-remove" data-chip="${chip.key}" aria-label="${I18n.t('filters.removeChip', { label: chip.label })}">✕</button>
+      </span>
+    `)}${chips.length > 0 && SafeHtml.html`
+      <button class="filter-clear" data-clear-filters>${I18n.t('filters.clear')}</button>
+      <span class="filter-result-count">${I18n.t('filters.resultCount', { count: resultCount })}</span>
+    `}`);
+  }
+
+  /**
+   * Re-renderiza a lista e grava os filtros na URL (permite favoritar/compartilhar)
+   */
+  applyFilters() {
+    const query = this.filters.toQueryString(this.currentSearch);
+    if (query !== window.location.search) {
+      window.history.replaceState(null, '', `${window.location.pathname}${query}${window.location.hash}`);
+    }
+    this.render();
   }
 
   /**
@@ -556,7 +1656,7 @@ class RFCPTracker {
     if (this.elements.searchInput) {
       const debouncedSearch = Utils.debounce((term) => {
         this.currentSearch = term;
-        this.render();
+        this.applyFilters();
       }, 300);
 
       this.elements.searchInput.addEventListener('input', (e) => {
@@ -572,11 +1672,275 @@ class RFCPTracker {
     if (!this.elements.objectivesList) return;
 
     this.elements.objectivesList.addEventListener('click', async (e) => {
+      const chapterToggle = e.target.closest('.chapter-toggle');
+      if (chapterToggle) {
+        this.toggleChapter(chapterToggle.dataset.chapter);
+        return;
+      }
+
       const card = e.target.closest('.objective-card');
       if (!card || e.target.classList.contains('objective-link')) return;
 
+      const timerButton = e.target.closest('[data-timer-action]');
+      if (timerButton) {
+        await this.handleTimerAction(card.dataset.id, timerButton.dataset.timerAction);
+        return;
+      }
+      if (e.target.closest('.objective-timer')) return;
+
+      const confidenceButton = e.target.closest('[data-confidence]');
+      if (confidenceButton) {
+        await this.setConfidence(card.dataset.id, Number(confidenceButton.dataset.confidence));
+        return;
+      }
+      if (e.target.closest('.objective-confidence')) return;
+
+      const noteButton = e.target.closest('[data-note-action]');
+      if (noteButton) {
+        await this.handleNoteAction(card.dataset.id, noteButton.dataset.noteAction);
+        return;
+      }
+      if (e.target.closest('.objective-notes')) return;
+
       await this.toggleObjective(card.dataset.id, e);
     });
+
+    // Preservar o rascunho da anotação entre re-renderizações
+    this.elements.objectivesList.addEventListener('input', (e) => {
+      if (e.target.classList.contains('note-editor')) {
+        this.noteDrafts[e.target.closest('.objective-card').dataset.id] = e.target.value;
+      }
+    });
+  }
+
+  /**
+   * Define a nota de confiança; clicar na nota atual a remove
+   * @param {string} objectiveId ID do objetivo
+   * @param {number} score Nota de 1 a 5
+   */
+  async setConfidence(objectiveId, score) {
+    const current = Confidence.getScore(this.confidence, objectiveId);
+    this.confidence[objectiveId] = Confidence.createEntry(current === score ? null : score);
+
+    await this.saveProgress();
+    this.updateUI();
+    this.render();
+  }
+
+  /**
+   * Monta o HTML da avaliação de confiança de um objetivo
+   * @param {Object} objective Dados do objetivo
+   * @returns {SafeHtml}
+   */
+  createConfidenceControls(objective) {
+    const score = Confidence.getScore(this.confidence, objective.id);
+    const buttons = [];
+    for (let value = CONFIDENCE_CONFIG.MIN; value <= CONFIDENCE_CONFIG.MAX; value++) {
+      buttons.push(SafeHtml.html`
+        <button class="confidence-btn${score !== null && value <= score ? ' filled' : ''}" data-confidence="${value}"
+          aria-pressed="${value === score}" title="${value} · ${I18n.t(`confidence.${value}`)}"
+          style="--confidence-color: ${Confidence.color(score)}">●</button>
+      `);
+    }
+
+    return SafeHtml.html`
+      <div class="objective-confidence" role="group" aria-label="${I18n.t('confidence.group', { id: objective.id })}">
+        <span class="confidence-label">${I18n.t('confidence.label')}</span>
+        ${buttons}
+        <span class="confidence-text">${I18n.t(score ? `confidence.${score}` : 'confidence.unrated')}</span>
+      </div>
+    `;
+  }
+
+  /**
+   * Verifica se o objetivo possui anotação
+   * @param {string} objectiveId ID do objetivo
+   * @returns {boolean}
+   */
+  hasNote(objectiveId) {
+    return !!this.notes[objectiveId]?.text?.trim();
+  }
+
+  /**
+   * Executa uma ação do painel de anotações
+   * @param {string} objectiveId ID do objetivo
+   * @param {string} action toggle, edit, save, cancel ou delete
+   */
+  async handleNoteAction(objectiveId, action) {
+    if (action === 'toggle') {
+      if (this.openNotes.has(objectiveId)) {
+        this.openNotes.delete(objectiveId);
+      } else {
+        this.openNotes.add(objectiveId);
+        if (!this.hasNote(objectiveId)) this.noteDrafts[objectiveId] = '';
+      }
+    } else if (action === 'edit') {
+      this.noteDrafts[objectiveId] = this.notes[objectiveId]?.text || '';
+    } else if (action === 'cancel') {
+      delete this.noteDrafts[objectiveId];
+      if (!this.hasNote(objectiveId)) this.openNotes.delete(objectiveId);
+    } else if (action === 'save' || action === 'delete') {
+      const text = action === 'save' ? (this.noteDrafts[objectiveId] || '').trim() : '';
+      // Texto vazio registra a remoção para a sincronização
+      this.notes[objectiveId] = { text, updatedAt: new Date().toISOString() };
+      delete this.noteDrafts[objectiveId];
+      if (!text) this.openNotes.delete(objectiveId);
+
+      await this.saveProgress();
+      this.notificationManager.show(I18n.t(text ? 'notes.saved' : 'notes.removed'), 'success', 2000);
+    }
+
+    this.render();
+    this.elements.objectivesList
+      .querySelector(`.objective-card[data-id="${objectiveId}"] .note-editor`)
+      ?.focus();
+  }
+
+  /**
+   * Monta o HTML do painel de anotações de um objetivo
+   * @param {Object} objective Dados do objetivo
+   * @returns {SafeHtml|string}
+   */
+  createNotesPane(objective) {
+    if (!this.openNotes.has(objective.id)) return '';
+
+    const draft = this.noteDrafts[objective.id];
+    if (draft !== undefined) {
+      return SafeHtml.html`
+        <div class="objective-notes editing">
+          <textarea class="note-editor" rows="6" aria-label="${I18n.t('notes.editorLabel', { id: objective.id })}"
+            placeholder="${I18n.t('notes.placeholder')}">${draft}</textarea>
+          <div class="note-actions">
+            <button class="timer-btn" data-note-action="save">${I18n.t('notes.save')}</button>
+            <button class="timer-btn" data-note-action="cancel">${I18n.t('notes.cancel')}</button>
+          </div>
+        </div>
+      `;
+    }
+
+    // O MarkdownRenderer escapa o texto e só gera links http(s)/mailto
+    return SafeHtml.html`
+      <div class="objective-notes">
+        <div class="note-content">${SafeHtml.raw(MarkdownRenderer.render(this.notes[objective.id]?.text || ''))}</div>
+        <div class="note-actions">
+          <button class="timer-btn" data-note-action="edit">${I18n.t('notes.edit')}</button>
+          <button class="timer-btn" data-note-action="delete">${I18n.t('notes.delete')}</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Recolhe ou expande um capítulo e persiste a preferência
+   * @param {string} chapterId Número do capítulo
+   */
+  toggleChapter(chapterId) {
+    if (this.collapsedChapters.has(chapterId)) {
+      this.collapsedChapters.delete(chapterId);
+    } else {
+      this.collapsedChapters.add(chapterId);
+    }
+    ChapterIndex.saveCollapsed(this.collapsedChapters);
+    this.render();
+  }
+
+  /**
+   * Configura a atualização periódica do cronômetro de estudo
+   */
+  setupStudyTimer() {
+    if (!this.studyTimer) return;
+
+    this.studyTimer.onTick = (objectiveId, elapsedMs) => {
+      const display = this.elements.objectivesList?.querySelector(
+        `.objective-card[data-id="${objectiveId}"] .timer-display`
+      );
+      if (display) {
+        display.textContent = StudyTimer.format(elapsedMs);
+      }
+    };
+    this.studyTimer.startTicking();
+  }
+
+  /**
+   * Executa uma ação do cronômetro de estudo
+   * @param {string} objectiveId ID do objetivo
+   * @param {string} action start, pause ou stop
+   */
+  async handleTimerAction(objectiveId, action) {
+    if (!this.studyTimer) return;
+
+    let session = null;
+    if (action === 'start') {
+      session = this.studyTimer.start(objectiveId);
+    } else if (action === 'pause') {
+      this.studyTimer.pause();
+    } else if (action === 'stop') {
+      session = this.studyTimer.stop();
+      if (!session) {
+        this.notificationManager.show(I18n.t('timer.tooShort'), 'info', 2000);
+      }
+    }
+
+    if (session) {
+      this.studySessions[session.id] = session;
+      await this.saveProgress();
+      this.notificationManager.show(I18n.t('timer.recorded', { minutes: session.minutes, id: session.objectiveId }), 'success', 2000);
+      this.updateUI();
+    }
+
+    this.render();
+  }
+
+  /**
+   * Minutos reais estudados por objetivo
+   * @returns {Object<string, number>}
+   */
+  getActualMinutes() {
+    return ProgressModel.sumMinutesByObjective(this.studySessions);
+  }
+
+  /**
+   * Registra o resultado de um simulado no histórico sincronizado
+   * @param {Object} attempt Tentativa gerada pelo MockExam
+   */
+  async recordExamAttempt(attempt) {
+    this.examAttempts[attempt.id] = attempt;
+    this.examAttempts = ProgressModel.compact(this.getProgressData()).examAttempts;
+    await this.saveProgress();
+  }
+
+  /**
+   * Acertos no quiz por objetivo
+   * @returns {Object<string, {correct: number, total: number}>}
+   */
+  getQuizAccuracy() {
+    return window.QuizBank ? QuizBank.summarizeAttempts(this.quizAttempts) : {};
+  }
+
+  /**
+   * Monta o HTML do cronômetro de um objetivo
+   * @param {Object} objective Dados do objetivo
+   * @returns {SafeHtml|string}
+   */
+  createTimerControls(objective) {
+    if (!this.studyTimer) return '';
+
+    const isActive = this.studyTimer.isActive(objective.id);
+    const isRunning = isActive && this.studyTimer.isRunning();
+    const elapsed = isActive ? this.studyTimer.getElapsedMs() : 0;
+
+    const startKey = isActive ? 'timer.resume' : 'timer.start';
+    const primaryAction = isRunning
+      ? SafeHtml.html`<button class="timer-btn" data-timer-action="pause" aria-label="${I18n.t('timer.pauseLabel')}">${I18n.t('timer.pause')}</button>`
+      : SafeHtml.html`<button class="timer-btn" data-timer-action="start" aria-label="${I18n.t(`${startKey}Label`)}">${I18n.t(startKey)}</button>`;
+
+    return SafeHtml.html`
+      <div class="objective-timer${isActive ? ' active' : ''}">
+        <span class="timer-display" aria-live="off">${StudyTimer.format(elapsed)}</span>
+        ${primaryAction}
+        <button class="timer-btn" data-timer-action="stop" aria-label="${I18n.t('timer.stopLabel')}"${isActive ? '' : ' disabled'}>${I18n.t('timer.stop')}</button>
+      </div>
+    `;
   }
 
   /**
@@ -587,18 +1951,20 @@ class RFCPTracker {
   async toggleObjective(objectiveId, event) {
     const index = this.completedIds.indexOf(objectiveId);
     const wasCompleted = index !== -1;
+    const now = new Date().toISOString();
 
     if (!wasCompleted) {
-      this.completedIds.push(objectiveId);
-      this.completionDates[objectiveId] = new Date().toISOString();
+      this.markCompleted(objectiveId, now);
       
       // Trigger confetti animation
       if (window.confetti) {
         window.confetti.burst(event.clientX, event.clientY);
       }
       
-      this.notificationManager.show('Objetivo concluído! 🎉', 'success', 2000);
+      this.notificationManager.show(I18n.t('objective.completedToast'), 'success', 2000);
     } else {
+      // Registrar a remoção (tombstone) para a sincronização
+      this.objectiveStates[objectiveId] = ProgressModel.createState(false, now);
       this.completedIds.splice(index, 1);
       delete this.completionDates[objectiveId];
     }
@@ -608,32 +1974,242 @@ class RFCPTracker {
     this.render();
   }
 
+  /**
+   * Marca um objetivo como concluído e agenda sua primeira revisão
+   * @param {string} objectiveId ID do objetivo
+   * @param {string} now Momento da conclusão (ISO)
+   */
+  markCompleted(objectiveId, now = new Date().toISOString()) {
+    this.objectiveStates[objectiveId] = ProgressModel.createState(true, now);
+    this.completedIds.push(objectiveId);
+    this.completionDates[objectiveId] = now;
+    this.reviews[objectiveId] = ReviewScheduler.createEntry(now, now);
+  }
+
+  /**
+   * Registra uma resposta do quiz e, se configurado, conclui o objetivo
+   * após o número de acertos definido
+   * @param {Object} attempt Tentativa gerada pelo QuizSession
+   * @param {Object} settings Preferências do quiz
+   */
+  async recordQuizAttempt(attempt, settings) {
+    this.quizAttempts[attempt.id] = attempt;
+    this.quizAttempts = ProgressModel.compact(this.getProgressData()).quizAttempts;
+
+    const { objectiveId } = attempt;
+    const shouldComplete = QuizBank.shouldAutoComplete(this.quizAttempts, objectiveId, settings) &&
+      !this.completedIds.includes(objectiveId);
+
+    if (shouldComplete) {
+      const { correct } = this.getQuizAccuracy()[objectiveId];
+      this.markCompleted(objectiveId);
+      this.notificationManager.show(I18n.t('objective.quizCompleted', { id: objectiveId, correct }), 'success', 3000);
+    }
+
+    await this.saveProgress();
+    this.updateUI();
+    this.render();
+  }
+
+  /**
+   * Configura as avaliações da fila "Revisar hoje"
+   */
+  setupReviewQueue() {
+    this.elements.reviewQueue?.addEventListener('click', async (e) => {
+      const button = e.target.closest('[data-review-grade]');
+      if (!button) return;
+      await this.gradeReview(button.dataset.id, button.dataset.reviewGrade);
+    });
+  }
+
+  /**
+   * Verifica se a revisão de um objetivo concluído vence hoje
+   * @param {string} objectiveId ID do objetivo
+   * @returns {boolean}
+   */
+  isReviewDue(objectiveId) {
+    if (!this.completedIds.includes(objectiveId)) return false;
+    const entry = ReviewScheduler.getEntry(this.reviews[objectiveId], this.completionDates[objectiveId]);
+    return ReviewScheduler.isDue(entry);
+  }
+
+  /**
+   * Registra a avaliação de uma revisão e agenda a próxima
+   * @param {string} objectiveId ID do objetivo
+   * @param {string} grade again, hard, good ou easy
+   */
+  async gradeReview(objectiveId, grade) {
+    const entry = ReviewScheduler.getEntry(this.reviews[objectiveId], this.completionDates[objectiveId]);
+    this.reviews[objectiveId] = ReviewScheduler.grade(entry, grade);
+
+    await this.saveProgress();
+    const { interval } = this.reviews[objectiveId];
+    this.notificationManager.show(I18n.t('review.next', { id: objectiveId, count: interval }), 'success', 2000);
+    this.render();
+  }
+
+  /**
+   * Renderiza a fila "Revisar hoje"
+   */
+  renderReviewQueue() {
+    const container = this.elements.reviewQueue;
+    if (!container) return;
+
+    const due = ReviewScheduler.getDue(this.reviews, this.completedIds, this.completionDates);
+    const objectivesById = new Map(this.objectives.map(obj => [obj.id, obj]));
+    const items = due.filter(item => objectivesById.has(item.id));
+
+    const list = items.map(({ id, entry }) => {
+      const objective = objectivesById.get(id);
+      const preview = ReviewScheduler.previewIntervals(entry);
+      const buttons = Object.keys(REVIEW_CONFIG.GRADES).map(grade => SafeHtml.html`
+        <button class="review-grade-btn grade-${grade}" data-id="${id}" data-review-grade="${grade}">
+          ${I18n.t(`review.${grade}`)} <small>${preview[grade]}d</small>
+        </button>
+      `);
+
+      return SafeHtml.html`
+        <li class="review-item">
+          <div class="review-item-info">
+            <span class="objective-type type-${objective.type}">${objective.type}</span>
+            <a href="${SafeHtml.url(objective.url)}" class="review-item-name" target="_blank" rel="noopener">${objective.id} · ${objective.name}</a>
+          </div>
+          <div class="review-grades" role="group" aria-label="${I18n.t('review.groupLabel', { id: objective.id })}">${buttons}</div>
+        </li>
+      `;
+    });
+
+    SafeHtml.setContent(container, SafeHtml.html`
+      <h2 class="review-queue-title">${I18n.t('review.title')} <span class="review-queue-count">${items.length}</span></h2>
+      ${items.length > 0
+        ? SafeHtml.html`<ul class="review-list">${list}</ul>`
+        : SafeHtml.html`<p class="review-empty">${I18n.t('review.empty')}</p>`}
+    `);
+  }
+
+  /**
+   * Configura o formulário do plano de estudos
+   */
+  setupStudyPlan() {
+    this.elements.studyPlanForm?.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const form = e.target;
+
+      try {
+        this.settings = {
+          ...this.settings,
+          [STUDY_PLAN_CONFIG.SETTINGS_ID]: StudyPlanner.createSettings(form.examDate.value, form.dailyMinutes.value)
+        };
+      } catch (error) {
+        this.notificationManager.show(error.message, 'error');
+        return;
+      }
+
+      await this.saveProgress();
+      this.notificationManager.show(I18n.t('plan.updated'), 'success', 2000);
+      this.render();
+    });
+  }
+
+  /**
+   * Renderiza o plano de estudos e os objetivos de hoje
+   * O cronograma é recalculado a cada renderização a partir do progresso atual.
+   */
+  renderStudyPlan() {
+    const container = this.elements.studyPlanContent;
+    if (!container) return;
+
+    const settings = this.settings[STUDY_PLAN_CONFIG.SETTINGS_ID];
+    const form = this.elements.studyPlanForm;
+    // Não sobrescreve o formulário enquanto ele está sendo editado
+    if (form && settings && !form.contains(document.activeElement)) {
+      form.examDate.value = settings.examDate;
+      form.dailyMinutes.value = settings.dailyMinutes;
+    }
+
+    if (!settings) {
+      SafeHtml.setContent(container, SafeHtml.html`<p class="study-plan-empty">${I18n.t('plan.empty')}</p>`);
+      return;
+    }
+
+    const plan = StudyPlanner.generate(this.objectives, {
+      completedIds: this.completedIds,
+      completionDates: this.completionDates,
+      studiedMinutes: this.getActualMinutes()
+    }, settings);
+    const [today, ...upcoming] = plan.days;
+
+    let status;
+    if (plan.remainingMinutes === 0) {
+      status = SafeHtml.html`<p class="study-plan-status">${I18n.t('plan.allDone')}</p>`;
+    } else if (plan.studyDays === 0) {
+      status = SafeHtml.html`<p class="study-plan-status warning">${I18n.t('plan.examReached', { minutes: plan.remainingMinutes })}</p>`;
+    } else {
+      status = SafeHtml.html`
+        <p class="study-plan-status${plan.feasible ? '' : ' warning'}">
+          ${I18n.t('plan.daysLeft', { count: plan.studyDays })} · ${I18n.t('plan.remaining', { minutes: plan.remainingMinutes })}
+          ${plan.feasible ? '' : ` · ${I18n.t('plan.insufficient', { minutes: plan.requiredDailyMinutes })}`}
+        </p>
+      `;
+    }
+
+    const renderItem = item => SafeHtml.html`
+      <li class="plan-item${item.done ? ' done' : ''}">
+        <span class="objective-type type-${item.objective.type}">${item.objective.type}</span>
+        <a href="${SafeHtml.url(item.objective.url)}" class="plan-item-name" target="_blank" rel="noopener">
+          ${item.done ? '✓ ' : ''}${item.objective.id} · ${item.objective.name}
+        </a>
+        <span class="plan-item-minutes">${item.minutes} min${item.partial ? I18n.t('plan.partial') : ''}</span>
+      </li>
+    `;
+
+    const schedule = upcoming.map(day => SafeHtml.html`
+      <li class="plan-day${day.afterExam ? ' after-exam' : ''}">
+        <strong>${Utils.formatDate(StudyPlanner.parseDate(day.date))}</strong> · ${day.minutes} min
+        ${day.afterExam && SafeHtml.html`<span class="plan-day-warning">${I18n.t('plan.afterExam')}</span>`}
+        <span class="plan-day-objectives">${day.items.map(item => item.objective.id).join(', ')}</span>
+      </li>
+    `);
+
+    SafeHtml.setContent(container, SafeHtml.html`
+      ${status}
+      <h3 class="study-plan-subtitle">${I18n.t('plan.today')}</h3>
+      ${today.items.length > 0
+        ? SafeHtml.html`<ul class="plan-list">${today.items.map(renderItem)}</ul>`
+        : SafeHtml.html`<p class="study-plan-empty">${I18n.t('plan.nothingToday')}</p>`}
+      ${upcoming.length > 0 && SafeHtml.html`
+        <details class="plan-schedule">
+          <summary>${I18n.t('plan.schedule', { count: upcoming.length })}</summary>
+          <ol class="plan-days">${schedule}</ol>
+        </details>
+      `}
+    `);
+  }
+
   /**
    * Filtra objetivos baseado nos critérios atuais
    * @returns {Array} Objetivos filtrados
    */
   getFilteredObjectives() {
-    let filtered = [...this.objectives];
-
-    // Filtrar por status
-    if (this.currentFilter === 'completed') {
-      filtered = filtered.filter(obj => this.completedIds.includes(obj.id));
-    } else if (this.currentFilter === 'unfinished') {
-      filtered = filtered.filter(obj => !this.completedIds.includes(obj.id));
-    } else if (this.currentFilter !== 'all') {
-      filtered = filtered.filter(obj => obj.type === this.currentFilter);
-    }
-
-    // Filtrar por busca
-    if (this.currentSearch.trim() !== '') {
-      const term = this.currentSearch.toLowerCase();
-      filtered = filtered.filter(obj => 
-        obj.name.toLowerCase().includes(term) || 
-        obj.id.toLowerCase().includes(term)
-      );
+    const searched = this.getSearchResults();
+    return this.filters ? this.filters.apply(searched) : searched;
+  }
+
+  /**
+   * Objetivos que atendem ao termo de busca atual
+   * @returns {Array}
+   */
+  getSearchResults() {
+    if (this.currentSearch.trim() === '') {
+      return [...this.objectives];
     }
 
-    return filtered;
+    const term = this.currentSearch.trim().toLowerCase();
+    return this.objectives.filter(obj => 
+      obj.name.toLowerCase().includes(term) || 
+      obj.id.toLowerCase().includes(term) ||
+      (this.notes[obj.id]?.text || '').toLowerCase().includes(term)
+    );
   }
 
   /**
@@ -643,28 +2219,46 @@ class RFCPTracker {
    */
   createObjectiveCard(objective) {
     const isCompleted = this.completedIds.includes(objective.id);
-    const completedText = isCompleted ? 'Concluído' : 'Marcar como concluído';
+    const completedText = I18n.t(isCompleted ? 'objective.completed' : 'objective.markComplete');
     const ariaPressed = isCompleted ? 'true' : 'false';
+    const actualMinutes = Math.round(this.getActualMinutes()[objective.id] || 0);
+    const quiz = this.getQuizAccuracy()[objective.id];
+    const hasNote = this.hasNote(objective.id);
+    const quizBadge = quiz
+      ? SafeHtml.html`<span class="objective-quiz" title="${I18n.t('objective.quizTitle')}">🧠 ${quiz.correct}/${quiz.total}</span>`
+      : '';
+    const timeText = actualMinutes > 0
+      ? I18n.t('objective.actualTime', { estimated: objective.time_min, actual: actualMinutes })
+      : `${objective.time_min} min`;
 
     return Utils.createElement('div', {
       className: `objective-card${isCompleted ? ' completed' : ''}`,
       dataset: { id: objective.id }
-    }, `
+    }, SafeHtml.html`
       <div class="objective-header">
         <div class="type-id-container">
           <span class="objective-type type-${objective.type}">${objective.type}</span>
           <span class="objective-id">${objective.id}</span>
+          ${this.newObjectiveIds.has(objective.id) && SafeHtml.html`<span class="objective-new" title="${I18n.t('objective.newTitle')}">${I18n.t('objective.new')}</span>`}
+          ${quizBadge}
         </div>
-        <span class="objective-time">${objective.time_min} min</span>
+        <span class="objective-time" title="${I18n.t('objective.timeTitle')}">${timeText}</span>
       </div>
       <h3 class="objective-name">${objective.name}</h3>
+      ${this.createTimerControls(objective)}
+      ${this.createConfidenceControls(objective)}
+      ${this.createNotesPane(objective)}
       <div class="objective-actions">
-        <a href="${objective.url}" class="objective-link" target="_blank" rel="noopener">Ver detalhes</a>
+        <a href="${SafeHtml.url(objective.url)}" class="objective-link" target="_blank" rel="noopener">${I18n.t('objective.details')}</a>
+        <button class="notes-toggle${hasNote ? ' has-note' : ''}" data-note-action="toggle"
+          aria-expanded="${this.openNotes.has(objective.id)}" aria-label="${I18n.t('objective.notesLabel', { id: objective.id })}">
+          📝 ${I18n.t(hasNote ? 'objective.notes' : 'objective.annotate')}
+        </button>
         <button class="mark-complete-btn" aria-pressed="${ariaPressed}" aria-label="${completedText} - ${objective.name}">
           ${completedText}
         </button>
       </div>
-      <button class="complete-button" aria-label="Alternar conclusão para ${objective.name}" aria-pressed="${ariaPressed}">
+      <button class="complete-button" aria-label="${I18n.t('objective.toggleLabel', { name: objective.name })}" aria-pressed="${ariaPressed}">
         ✓
       </button>
     `);
@@ -677,17 +2271,87 @@ class RFCPTracker {
     if (!this.elements.objectivesList) return;
 
     if (this.loadError || this.objectives.length === 0) {
-      this.elements.objectivesList.innerHTML = '<p style="color:#666">Nenhum objetivo carregado. Verifique o arquivo JSON.</p>';
+      SafeHtml.setContent(this.elements.objectivesList, SafeHtml.html`<p style="color:#666">${I18n.t('app.noObjectives')}</p>`);
       return;
     }
 
+    this.renderReviewQueue();
+    this.renderStudyPlan();
+
     const filteredObjectives = this.getFilteredObjectives();
+    this.updateFilterControls(filteredObjectives.length);
     this.elements.objectivesList.innerHTML = '';
+    this.elements.objectivesList.classList.toggle('grouped', this.chapters.length > 0);
+
+    if (this.chapters.length === 0) {
+      filteredObjectives.forEach(objective => {
+        const card = this.createObjectiveCard(objective);
+        this.elements.objectivesList.appendChild(card);
+      });
+      return;
+    }
+
+    const visibleIds = new Set(filteredObjectives.map(obj => obj.id));
+    this.chapters.forEach(chapter => {
+      const sections = chapter.sections
+        .map(section => ({ ...section, objectives: section.objectives.filter(obj => visibleIds.has(obj.id)) }))
+        .filter(section => section.objectives.length > 0);
 
-    filteredObjectives.forEach(objective => {
-      const card = this.createObjectiveCard(objective);
-      this.elements.objectivesList.appendChild(card);
+      if (sections.length > 0) {
+        this.elements.objectivesList.appendChild(this.createChapterGroup(chapter, sections));
+      }
+    });
+  }
+
+  /**
+   * Cria o grupo recolhível de um capítulo com sua barra de progresso
+   * @param {Object} chapter Capítulo (ChapterIndex.build)
+   * @param {Array} sections Seções com os objetivos visíveis
+   * @returns {HTMLElement}
+   */
+  createChapterGroup(chapter, sections) {
+    const summary = ChapterIndex.summarize(chapter, this.completedIds);
+    const collapsed = this.collapsedChapters.has(chapter.id);
+    const bodyId = `chapter-body-${chapter.id}`;
+    const averageConfidence = Confidence.average(chapter.objectives, this.confidence);
+    const heatCells = chapter.objectives.map(objective => {
+      const score = Confidence.getScore(this.confidence, objective.id);
+      const label = score ? `${score} · ${I18n.t(`confidence.${score}`)}` : I18n.t('chapter.heatUnrated');
+      return SafeHtml.html`<span class="chapter-heat-cell" style="background: ${Confidence.color(score)}" title="${objective.id}: ${label}"></span>`;
+    });
+
+    const group = Utils.createElement('section', {
+      className: `chapter-group${collapsed ? ' collapsed' : ''}`,
+      dataset: { chapter: chapter.id }
+    }, SafeHtml.html`
+      <button class="chapter-toggle" data-chapter="${chapter.id}" aria-expanded="${!collapsed}" aria-controls="${bodyId}">
+        <span class="chapter-caret" aria-hidden="true">${collapsed ? '▸' : '▾'}</span>
+        <span class="chapter-title">${I18n.t('chapter.title', { id: chapter.id, title: chapter.title })}</span>
+        <span class="chapter-stats">${I18n.t('chapter.stats', summary)}</span>
+      </button>
+      <div class="chapter-progress" role="progressbar" aria-valuemin="0" aria-valuemax="100" aria-valuenow="${summary.percentage}">
+        <div class="chapter-progress-fill" style="width: ${summary.percentage}%"></div>
+      </div>
+      <div class="chapter-heat" aria-label="${I18n.t('chapter.heatLabel', { id: chapter.id })}">
+        ${heatCells}
+        <span class="chapter-heat-average">
+          ${I18n.t('chapter.averageConfidence', { value: averageConfidence === null ? '—' : averageConfidence.toFixed(1) })}
+        </span>
+      </div>
+    `);
+
+    const body = Utils.createElement('div', { className: 'chapter-objectives', id: bodyId });
+    body.hidden = collapsed;
+
+    sections.forEach(section => {
+      body.appendChild(Utils.createElement('h3', { className: 'section-title' }, section.label));
+      section.objectives.forEach(objective => {
+        body.appendChild(this.createObjectiveCard(objective));
+      });
     });
+
+    group.appendChild(body);
+    return group;
   }
 
   /**
@@ -695,14 +2359,15 @@ class RFCPTracker {
    */
   updateUI() {
     this.updateProgressBar();
-    this.contributionGrid.generate(this.completionDates);
+    this.contributionGrid.generate(this.completionDates, this.objectives, this.studySessions);
   }
 
   /**
    * Atualiza a barra de progresso
    */
   updateProgressBar() {
-    const completedCount = this.completedIds.length;
+    const completedCount = this.getKnownCompletedIds().length;
+    const orphanCount = this.completedIds.length - completedCount;
     const totalCount = this.objectives.length;
     
     if (this.elements.completedCount) {
@@ -718,9 +2383,17 @@ class RFCPTracker {
       this.elements.progressBar.textContent = `${percentage}%`;
     }
 
-    // Calcular tempo total e tempo concluído
+    // Prontidão: progresso ponderado pelo tempo estimado e pela confiança
+    if (this.elements.readiness) {
+      this.elements.readiness.textContent = `${Confidence.readiness(this.objectives, this.completedIds, this.confidence)}%`;
+    }
+
+    // Calcular tempo total, tempo concluído e tempo real estudado
     let totalTime = 0;
     let completedTime = 0;
+    const actualTime = Math.round(
+      Object.values(this.getActualMinutes()).reduce((sum, minutes) => sum + minutes, 0)
+    );
 
     this.objectives.forEach(objective => {
       const time = Number(objective.time_min) || 0;
@@ -731,16 +2404,17 @@ class RFCPTracker {
     });
 
     // Atualizar texto de progresso
-    const concluido = completedCount === 1 ? 'concluído' : 'concluídos';
     const progressText = document.querySelector('.preferences p');
     if (progressText) {
-      progressText.innerHTML = `
+      SafeHtml.setContent(progressText, SafeHtml.html`
         <span id="completed-count">${completedCount}</span> / 
-        <span id="total-count">${totalCount}</span> ${concluido} · 
+        <span id="total-count">${totalCount}</span> ${I18n.t('progress.completed', { count: completedCount })} · 
         <span id="completed-time">${completedTime}</span> / 
-        <span id="total-time">${totalTime}</span> minutos
+        <span id="total-time">${totalTime}</span> ${I18n.t('progress.estimated')} · 
+        <span id="actual-time">${actualTime}</span> ${I18n.t('progress.actual')}
+        ${orphanCount > 0 && SafeHtml.html`· <span class="orphan-count" title="${I18n.t('progress.orphansTitle')}">${I18n.t('progress.orphans', { count: orphanCount })}</span>`}
         <span id="sync-status" class="sync-status"></span>
-      `;
+      `);
     }
   }
 
@@ -773,11 +2447,58 @@ class RFCPTracker {
       btnReset.addEventListener('click', () => this.resetProgress());
     }
 
+    // Quiz
+    const btnQuiz = document.getElementById('btn-quiz');
+    if (btnQuiz) {
+      btnQuiz.hidden = !this.quizUI;
+      btnQuiz.addEventListener('click', () => this.quizUI?.open({
+        chapter: this.filters?.values.chapter,
+        level: this.filters?.values.level
+      }));
+    }
+
+    // Simulado
+    const btnExam = document.getElementById('btn-exam');
+    if (btnExam) {
+      btnExam.hidden = !this.mockExamUI;
+      btnExam.addEventListener('click', () => this.mockExamUI?.open());
+    }
+
     // Demo
     const btnDemo = Utils.findElement(['#btn-demo', '.demo-btn']);
     if (btnDemo) {
       btnDemo.addEventListener('click', () => this.populateDemo());
     }
+
+    // Histórico
+    const btnHistory = document.getElementById('btn-history');
+    if (btnHistory) {
+      btnHistory.hidden = !this.historyUI;
+      btnHistory.addEventListener('click', () => this.historyUI?.open());
+    }
+  }
+
+  /**
+   * Salva um snapshot do progresso atual antes de uma operação destrutiva
+   * @param {string} reason Motivo (HISTORY_CONFIG.REASONS)
+   */
+  snapshotProgress(reason) {
+    SnapshotManager.create(this.getProgressData(), reason);
+  }
+
+  /**
+   * Restaura o progresso de um snapshot local ou de uma revisão remota
+   * O estado atual vira um snapshot, permitindo desfazer a restauração.
+   * @param {Object} data Payload a restaurar
+   * @returns {Promise<void>}
+   */
+  async restoreProgress(data) {
+    this.snapshotProgress(HISTORY_CONFIG.REASONS.RESTORE);
+    this.applyProgressData(ProgressModel.restore(this.getProgressData(), data));
+
+    await this.saveProgress();
+    this.updateUI();
+    this.render();
   }
 
   /**
@@ -786,8 +2507,7 @@ class RFCPTracker {
   exportProgress() {
     try {
       const data = {
-        completedIds: this.completedIds,
-        completionDates: this.completionDates,
+        ...this.getProgressData(),
         exportDate: new Date().toISOString()
       };
 
@@ -795,16 +2515,16 @@ class RFCPTracker {
       const url = URL.createObjectURL(blob);
       const link = document.createElement('a');
       link.href = url;
-      link.download = `rfcp-progresso-${new Date().toISOString().split('T')[0]}.json`;
+      link.download = `${I18n.t('progress.exportFileName')}-${new Date().toISOString().split('T')[0]}.json`;
       document.body.appendChild(link);
       link.click();
       document.body.removeChild(link);
       URL.revokeObjectURL(url);
 
-      this.notificationManager.show('Progresso exportado com sucesso!', 'success');
+      this.notificationManager.show(I18n.t('progress.exported'), 'success');
     } catch (error) {
       console.error('Erro ao exportar:', error);
-      this.notificationManager.show('Erro ao exportar progresso', 'error');
+      this.notificationManager.show(I18n.t('progress.exportError'), 'error');
     }
   }
 
@@ -822,17 +2542,22 @@ class RFCPTracker {
           throw new Error('Formato de arquivo inválido');
         }
 
-        this.completedIds = data.completedIds;
-        this.completionDates = data.completionDates;
+        const imported = ProgressModel.normalize(data);
+        this.snapshotProgress(HISTORY_CONFIG.REASONS.IMPORT);
+        const importedDates = {};
+        imported.completedIds.forEach(id => {
+          importedDates[id] = imported.completionDates[id];
+        });
+        this.replaceProgress(importedDates, imported);
         
         await this.saveProgress();
         this.updateUI();
         this.render();
         
-        this.notificationManager.show('Progresso importado com sucesso!', 'success');
+        this.notificationManager.show(I18n.t('progress.imported'), 'success');
       } catch (error) {
         console.error('Erro ao importar:', error);
-        this.notificationManager.show('Erro ao importar arquivo. Verifique se é um JSON válido.', 'error');
+        this.notificationManager.show(I18n.t('progress.importError'), 'error');
       }
     };
     reader.readAsText(file);
@@ -842,20 +2567,24 @@ class RFCPTracker {
    * Reseta todo o progresso
    */
   async resetProgress() {
-    if (!confirm('Tem certeza que deseja resetar todo o progresso?')) return;
+    if (!confirm(I18n.t('progress.resetConfirm'))) return;
 
     try {
-      this.completedIds = [];
-      this.completionDates = {};
+      this.studyTimer?.stop();
+      this.snapshotProgress(HISTORY_CONFIG.REASONS.RESET);
+      this.replaceProgress({});
+      this.studySessions = ProgressModel.markDeleted(this.studySessions);
+      this.quizAttempts = ProgressModel.markDeleted(this.quizAttempts);
+      this.examAttempts = ProgressModel.markDeleted(this.examAttempts);
       
       await this.saveProgress();
       this.updateUI();
       this.render();
       
-      this.notificationManager.show('Progresso resetado com sucesso!', 'success');
+      this.notificationManager.show(I18n.t('progress.reset'), 'success');
     } catch (error) {
       console.error('Erro ao resetar:', error);
-      this.notificationManager.show('Erro ao resetar progresso', 'error');
+      this.notificationManager.show(I18n.t('progress.resetError'), 'error');
     }
   }
 
@@ -863,9 +2592,10 @@ class RFCPTracker {
    * Popula dados de demonstração
    */
   async populateDemo() {
-    if (!confirm('Isto irá substituir seu progresso atual com dados de demonstração. Continuar?')) return;
+    if (!confirm(I18n.t('progress.demoConfirm'))) return;
 
     try {
+      this.snapshotProgress(HISTORY_CONFIG.REASONS.DEMO);
       const totalToComplete = Math.floor(
         this.objectives.length * 
         (CONFIG.DEMO_MIN_COMPLETION_RATE + Math.random() * CONFIG.DEMO_COMPLETION_RANGE)
@@ -874,22 +2604,20 @@ class RFCPTracker {
       const shuffled = [...this.objectives].sort(() => 0.5 - Math.random());
       const selectedObjectives = shuffled.slice(0, totalToComplete);
 
-      this.completedIds = [];
-      this.completionDates = {};
-
+      const demoDates = {};
       selectedObjectives.forEach(obj => {
-        this.completedIds.push(obj.id);
-        this.completionDates[obj.id] = Utils.getRandomDate();
+        demoDates[obj.id] = Utils.getRandomDate();
       });
+      this.replaceProgress(demoDates);
 
       await this.saveProgress();
       this.updateUI();
       this.render();
       
-      this.notificationManager.show(`Demo populado com ${totalToComplete} objetivos concluídos!`, 'success');
+      this.notificationManager.show(I18n.t('progress.demo', { count: totalToComplete }), 'success');
     } catch (error) {
       console.error('Erro ao popular demo:', error);
-      this.notificationManager.show('Erro ao popular demo', 'error');
+      this.notificationManager.show(I18n.t('progress.demoError'), 'error');
     }
   }
 
@@ -916,7 +2644,7 @@ class RFCPTracker {
         transition: all 0.3s;
         box-shadow: 0 4px 15px rgba(102, 126, 234, 0.3);
       `
-    }, '⚙️ Sincronização');
+    }, I18n.t('app.syncButton'));
 
     syncButton.addEventListener('mouseover', () => {
       syncButton.style.transform = 'translateY(-2px)';
@@ -929,15 +2657,66 @@ class RFCPTracker {
     });
     
     header.appendChild(syncButton);
+
+    const queueIndicator = Utils.createElement('span', {
+      className: 'sync-queue-indicator',
+      role: 'status',
+      'aria-live': 'polite'
+    });
+    header.appendChild(queueIndicator);
+    this.updateQueueIndicator(this.syncManager?.queue.size || 0);
+
+    // Arquivo local: após recarregar, o navegador só devolve a permissão num clique
+    const reconnectButton = Utils.createElement('button', {
+      type: 'button',
+      className: 'sync-reconnect-button',
+      title: I18n.t('sync.reconnectTitle')
+    }, I18n.t('sync.reconnect'));
+    reconnectButton.hidden = !this.syncManager?.needsReconnect;
+    reconnectButton.addEventListener('click', () => this.reconnectSync());
+    header.appendChild(reconnectButton);
+
+    // Token cifrado ainda não desbloqueado nesta sessão
+    if (this.syncManager?.locked) {
+      header.appendChild(Utils.createElement('a', {
+        href: 'sync-settings.html',
+        className: 'sync-locked-link',
+        title: I18n.t('sync.lockedTitle')
+      }, I18n.t('sync.locked')));
+    }
   }
 
   /**
    * Mostra banner de erro
+   * @param {Array} errors - Erros de validação do syllabus (linha e campo)
+   * @param {boolean} fatal - false quando os itens inválidos foram ignorados
    */
-  showErrorBanner() {
-    if (this.elements.errorBanner) {
-      this.elements.errorBanner.hidden = false;
+  showErrorBanner(errors = [], fatal = true) {
+    const banner = this.elements.errorBanner;
+    if (!banner) return;
+
+    const message = document.getElementById('error-banner-message');
+    if (message) {
+      const file = this.activeSyllabus?.dataFile || '';
+      const summary = fatal
+        ? I18n.t('syllabus.bannerError', { file })
+        : I18n.t('syllabus.bannerWarning', { count: errors.length, file });
+      const list = Utils.createElement('ul', { className: 'error-banner-list' });
+      errors.slice(0, SCHEMA_CONFIG.MAX_BANNER_ERRORS).forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = SyllabusSchema.format(error);
+        list.appendChild(item);
+      });
+      if (errors.length > SCHEMA_CONFIG.MAX_BANNER_ERRORS) {
+        const item = document.createElement('li');
+        item.textContent = I18n.t('syllabus.bannerMore', { count: errors.length - SCHEMA_CONFIG.MAX_BANNER_ERRORS });
+        list.appendChild(item);
+      }
+      message.replaceChildren(document.createTextNode(summary), ...(errors.length > 0 ? [list] : []));
     }
+
+    banner.classList.toggle('error-banner-warning', !fatal);
+    banner.hidden = false;
   }
 
   /**
@@ -975,4 +2754,5 @@ document.addEventListener('DOMContentLoaded', async () => {
 });
 
 // Exportar para uso global se necessário
-window.RFCPTracker = RFCPTracker;
\ No newline at end of file
+window.RFCPTracker = RFCPTracker;
+window.ContributionGrid = ContributionGrid;
\ No newline at end of file
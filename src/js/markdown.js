@@ -0,0 +1,174 @@
+/**
+ * Renderizador de Markdown para RFCP Tracker
+ * Converte o subconjunto de Markdown usado nas anotações em HTML seguro:
+ * todo o texto é escapado antes da formatação e apenas links http(s) são aceitos
+ * @fileoverview Markdown seguro para anotações por objetivo
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações do renderizador
+ */
+const MARKDOWN_CONFIG = {
+  SAFE_URL: /^(https?:\/\/|mailto:)/i,
+  HTML_ESCAPES: {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  }
+};
+
+/**
+ * Renderizador de Markdown
+ *
+ * Suporta: títulos (#), parágrafos, quebras de linha, listas (-, *, 1.),
+ * citações (>), blocos de código (```robot), código inline, **negrito**,
+ * *itálico* e [links](https://...).
+ */
+class MarkdownRenderer {
+  /**
+   * Escapa caracteres especiais de HTML
+   * @param {string} text - Texto
+   * @returns {string}
+   */
+  static escape(text) {
+    return String(text ?? '').replace(/[&<>"']/g, char => MARKDOWN_CONFIG.HTML_ESCAPES[char]);
+  }
+
+  /**
+   * Negrito e itálico (texto já escapado)
+   * @param {string} text - Trecho escapado
+   * @returns {string}
+   */
+  static emphasis(text) {
+    return text
+      .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+      .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+      .replace(/(^|\W)_([^_\s][^_]*)_(?=\W|$)/g, '$1<em>$2</em>');
+  }
+
+  /**
+   * Formatação inline (texto já escapado)
+   * Código e links já renderizados são guardados em marcadores para que a
+   * ênfase não altere seu conteúdo (ex.: "_" ou "*" dentro de uma URL).
+   * @param {string} text - Linha escapada
+   * @returns {string}
+   */
+  static inline(text) {
+    const placeholders = [];
+    const stash = html => {
+      placeholders.push(html);
+      return `\u0000${placeholders.length - 1}\u0000`;
+    };
+
+    const html = text
+      .replace(/`([^`]+)`/g, (match, code) => stash(`<code>${code}</code>`))
+      .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+        const decoded = url.replace(/&amp;/g, '&');
+        return MARKDOWN_CONFIG.SAFE_URL.test(decoded)
+          ? stash(`<a href="${url}" target="_blank" rel="noopener noreferrer">${this.emphasis(label)}</a>`)
+          : label;
+      });
+
+    // Um link pode conter código inline, então a restauração é recursiva
+    const restore = value => value.replace(/\u0000(\d+)\u0000/g, (match, index) => restore(placeholders[Number(index)]));
+    return restore(this.emphasis(html));
+  }
+
+  /**
+   * Converte Markdown em HTML seguro
+   * @param {string} markdown - Texto em Markdown
+   * @returns {string}
+   */
+  static render(markdown) {
+    const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let paragraph = [];
+    let list = null;
+    let code = null;
+
+    const flushParagraph = () => {
+      if (paragraph.length > 0) {
+        html.push(`<p>${paragraph.map(line => this.inline(this.escape(line))).join('<br>')}</p>`);
+        paragraph = [];
+      }
+    };
+    const flushList = () => {
+      if (list) {
+        html.push(`<${list.tag}>${list.items.map(item => `<li>${this.inline(this.escape(item))}</li>`).join('')}</${list.tag}>`);
+        list = null;
+      }
+    };
+
+    lines.forEach(line => {
+      if (code) {
+        if (/^\s*```/.test(line)) {
+          const language = code.language ? ` class="language-${this.escape(code.language)}"` : '';
+          html.push(`<pre><code${language}>${this.escape(code.lines.join('\n'))}</code></pre>`);
+          code = null;
+        } else {
+          code.lines.push(line);
+        }
+        return;
+      }
+
+      const fence = /^\s*```\s*([\w-]*)\s*$/.exec(line);
+      const heading = /^(#{1,4})\s+(.+)$/.exec(line);
+      const bullet = /^\s*[-*+]\s+(.+)$/.exec(line);
+      const ordered = /^\s*\d+[.)]\s+(.+)$/.exec(line);
+      const quote = /^\s*>\s?(.*)$/.exec(line);
+
+      if (fence) {
+        flushParagraph();
+        flushList();
+        code = { language: fence[1], lines: [] };
+      } else if (heading) {
+        flushParagraph();
+        flushList();
+        // Títulos começam em h4 para não competir com os títulos da página
+        const level = Math.min(heading[1].length + 3, 6);
+        html.push(`<h${level}>${this.inline(this.escape(heading[2]))}</h${level}>`);
+      } else if (bullet || ordered) {
+        flushParagraph();
+        const tag = bullet ? 'ul' : 'ol';
+        if (list && list.tag !== tag) flushList();
+        list = list || { tag, items: [] };
+        list.items.push((bullet || ordered)[1]);
+      } else if (quote) {
+        flushParagraph();
+        flushList();
+        html.push(`<blockquote>${this.inline(this.escape(quote[1]))}</blockquote>`);
+      } else if (line.trim() === '') {
+        flushParagraph();
+        flushList();
+      } else {
+        flushList();
+        paragraph.push(line);
+      }
+    });
+
+    // Bloco de código não fechado é renderizado até o fim do texto
+    if (code) {
+      html.push(`<pre><code>${this.escape(code.lines.join('\n'))}</code></pre>`);
+    }
+    flushParagraph();
+    flushList();
+
+    return html.join('\n');
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.MarkdownRenderer = MarkdownRenderer;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MarkdownRenderer, MARKDOWN_CONFIG };
+}
@@ -0,0 +1,489 @@
+/**
+ * Simulado para RFCP Tracker
+ * Monta uma prova cronometrada com questões distribuídas por capítulo e
+ * nível K proporcionalmente ao syllabus, com marcação para revisão
+ * @fileoverview Distribuição de questões, sessão de simulado e interface
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações do simulado
+ * Os valores padrão podem ser ajustados conforme o formato oficial vigente.
+ */
+const MOCK_EXAM_CONFIG = {
+  QUESTION_COUNT: 40,
+  DURATION_MINUTES: 60,
+  PASS_PERCENTAGE: 65,
+  TICK_INTERVAL: 1000,
+  HISTORY_LIMIT: 10
+};
+
+/**
+ * Sessão de simulado
+ */
+class MockExam {
+  /**
+   * @param {Array<Object>} questions - Questões sorteadas
+   * @param {Object} options - { durationMinutes, passPercentage }
+   */
+  constructor(questions, options = {}) {
+    this.questions = questions;
+    this.durationMs = (options.durationMinutes || MOCK_EXAM_CONFIG.DURATION_MINUTES) * 60 * 1000;
+    this.passPercentage = options.passPercentage || MOCK_EXAM_CONFIG.PASS_PERCENTAGE;
+    this.answers = {};
+    this.flagged = new Set();
+    this.index = 0;
+    this.startedAt = new Date();
+    this.finishedAt = null;
+  }
+
+  /**
+   * Distribui a quantidade de questões por capítulo e nível,
+   * proporcionalmente ao número de objetivos de cada combinação
+   * (método dos maiores restos)
+   * @param {Array} objectives - Objetivos do syllabus
+   * @param {number} count - Total de questões
+   * @returns {Array<{chapter: string, level: string, quota: number}>}
+   */
+  static buildBlueprint(objectives, count) {
+    const cells = {};
+    objectives.forEach(objective => {
+      const chapter = ChapterIndex.getChapterId(objective);
+      const key = `${chapter}|${objective.type}`;
+      cells[key] = cells[key] || { chapter, level: objective.type, weight: 0 };
+      cells[key].weight++;
+    });
+
+    const total = objectives.length;
+    const blueprint = Object.values(cells).map(cell => {
+      const exact = total === 0 ? 0 : (cell.weight / total) * count;
+      return { chapter: cell.chapter, level: cell.level, quota: Math.floor(exact), remainder: exact % 1 };
+    });
+
+    let missing = count - blueprint.reduce((sum, cell) => sum + cell.quota, 0);
+    [...blueprint]
+      .sort((a, b) => b.remainder - a.remainder)
+      .forEach(cell => {
+        if (missing > 0) {
+          cell.quota++;
+          missing--;
+        }
+      });
+
+    return blueprint
+      .map(({ chapter, level, quota }) => ({ chapter, level, quota }))
+      .filter(cell => cell.quota > 0);
+  }
+
+  /**
+   * Sorteia as questões seguindo a distribuição
+   * Se o banco não tiver questões suficientes em uma combinação, a diferença
+   * é completada com outras questões do banco.
+   * @param {QuizBank} bank - Banco de questões
+   * @param {Array} blueprint - Distribuição de buildBlueprint()
+   * @param {number} count - Total desejado
+   * @returns {Array<Object>}
+   */
+  static drawQuestions(bank, blueprint, count) {
+    const selected = [];
+    const used = new Set();
+
+    blueprint.forEach(cell => {
+      bank.draw({ chapter: cell.chapter, level: cell.level }, cell.quota).forEach(question => {
+        selected.push(question);
+        used.add(question.id);
+      });
+    });
+
+    if (selected.length < count) {
+      QuizBank.shuffle(bank.questions.filter(question => !used.has(question.id)))
+        .slice(0, count - selected.length)
+        .forEach(question => selected.push(question));
+    }
+
+    return QuizBank.shuffle(selected);
+  }
+
+  /**
+   * Tempo restante
+   * @param {Date} now - Momento de referência
+   * @returns {number} Milissegundos (nunca negativo)
+   */
+  getRemainingMs(now = new Date()) {
+    return Math.max(0, this.durationMs - (now - this.startedAt));
+  }
+
+  /**
+   * Registra a alternativa escolhida na questão atual
+   * @param {number} choice - Índice da alternativa
+   */
+  answer(choice) {
+    this.answers[this.questions[this.index].id] = choice;
+  }
+
+  /**
+   * Marca/desmarca a questão atual para revisão
+   */
+  toggleFlag() {
+    const id = this.questions[this.index].id;
+    if (this.flagged.has(id)) {
+      this.flagged.delete(id);
+    } else {
+      this.flagged.add(id);
+    }
+  }
+
+  /**
+   * Navega para uma questão
+   * @param {number} index - Índice da questão
+   */
+  goTo(index) {
+    this.index = Math.min(Math.max(index, 0), this.questions.length - 1);
+  }
+
+  /**
+   * Quantidade de questões respondidas
+   * @returns {number}
+   */
+  getAnsweredCount() {
+    return Object.keys(this.answers).length;
+  }
+
+  /**
+   * Encerra o simulado e calcula o resultado
+   * @returns {Object} Tentativa { id, startedAt, finishedAt, durationSec, correct, total, percentage, passed, byChapter }
+   */
+  finish() {
+    this.finishedAt = this.finishedAt || new Date();
+
+    const byChapter = {};
+    let correct = 0;
+    this.questions.forEach(question => {
+      const chapter = QuizBank.getChapterId(question);
+      byChapter[chapter] = byChapter[chapter] || { correct: 0, total: 0 };
+      byChapter[chapter].total++;
+      if (this.answers[question.id] === question.answer) {
+        correct++;
+        byChapter[chapter].correct++;
+      }
+    });
+
+    const total = this.questions.length;
+    const percentage = total === 0 ? 0 : Math.round((correct / total) * 100);
+
+    return {
+      id: `exam-${this.startedAt.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: this.finishedAt.toISOString(),
+      durationSec: Math.round((this.finishedAt - this.startedAt) / 1000),
+      correct,
+      total,
+      percentage,
+      passed: percentage >= this.passPercentage,
+      byChapter
+    };
+  }
+}
+
+/**
+ * Interface do simulado
+ */
+class MockExamUI {
+  /**
+   * @param {Object} options
+   * @param {QuizBank} options.bank - Banco de questões
+   * @param {Function} options.getObjectives - Retorna os objetivos do syllabus
+   * @param {Function} options.getHistory - Retorna as tentativas registradas
+   * @param {Function} options.onFinish - Chamado com a tentativa concluída (async)
+   */
+  constructor({ bank, getObjectives, getHistory, onFinish }) {
+    this.bank = bank;
+    this.getObjectives = getObjectives;
+    this.getHistory = getHistory;
+    this.onFinish = onFinish;
+    this.exam = null;
+    this.interval = null;
+    this.modal = new QuizModal(I18n.t('exam.title'));
+    this.modal.beforeClose = () => !this.exam || confirm(I18n.t('exam.abandonConfirm'));
+    this.modal.onClose = () => this.stop();
+  }
+
+  /**
+   * Abre o simulado na tela inicial
+   */
+  open() {
+    this.renderIntro();
+    this.modal.open();
+  }
+
+  /**
+   * Interrompe o simulado sem registrar resultado
+   */
+  stop() {
+    clearInterval(this.interval);
+    this.interval = null;
+    this.exam = null;
+  }
+
+  /**
+   * Tela inicial com regras e histórico de tentativas
+   */
+  renderIntro() {
+    const count = Math.min(MOCK_EXAM_CONFIG.QUESTION_COUNT, this.bank.questions.length);
+    const rules = QuizModal.element('p', 'exam-rules', I18n.t('exam.rules', {
+      count,
+      minutes: MOCK_EXAM_CONFIG.DURATION_MINUTES,
+      pass: MOCK_EXAM_CONFIG.PASS_PERCENTAGE
+    }));
+
+    const start = QuizModal.element('button', 'action-btn quiz-primary', I18n.t('exam.start'));
+    start.type = 'button';
+    start.addEventListener('click', () => this.start(count));
+
+    this.modal.setContent(rules, start, this.createHistory());
+  }
+
+  /**
+   * Lista das últimas tentativas
+   * @returns {HTMLElement}
+   */
+  createHistory() {
+    const history = Object.values(this.getHistory() || {})
+      .filter(attempt => !attempt.deleted)
+      .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt))
+      .slice(0, MOCK_EXAM_CONFIG.HISTORY_LIMIT);
+
+    const container = QuizModal.element('div', 'exam-history');
+    container.appendChild(QuizModal.element('h3', '', I18n.t('exam.historyTitle')));
+
+    if (history.length === 0) {
+      container.appendChild(QuizModal.element('p', 'quiz-available', I18n.t('exam.historyEmpty')));
+      return container;
+    }
+
+    const list = QuizModal.element('ul', 'exam-history-list');
+    history.forEach(attempt => {
+      const item = QuizModal.element('li', attempt.passed ? 'passed' : 'failed', I18n.t('exam.historyItem', {
+        date: new Date(attempt.finishedAt).toLocaleDateString(I18n.getLocale()),
+        correct: attempt.correct,
+        total: attempt.total,
+        percentage: attempt.percentage,
+        verdict: I18n.t(attempt.passed ? 'exam.passed' : 'exam.failed'),
+        minutes: Math.round(attempt.durationSec / 60)
+      }));
+      list.appendChild(item);
+    });
+    container.appendChild(list);
+    return container;
+  }
+
+  /**
+   * Sorteia as questões e inicia a contagem regressiva
+   * @param {number} count - Quantidade de questões
+   */
+  start(count) {
+    const blueprint = MockExam.buildBlueprint(this.getObjectives(), count);
+    this.exam = new MockExam(MockExam.drawQuestions(this.bank, blueprint, count));
+    this.interval = setInterval(() => this.tick(), MOCK_EXAM_CONFIG.TICK_INTERVAL);
+    this.renderQuestion();
+  }
+
+  /**
+   * Atualiza o cronômetro e encerra a prova quando o tempo acaba
+   */
+  tick() {
+    if (!this.exam) return;
+
+    const remaining = this.exam.getRemainingMs();
+    const display = this.modal.body.querySelector('.exam-timer');
+    if (display) {
+      display.textContent = `⏱ ${StudyTimer.format(remaining)}`;
+      display.classList.toggle('warning', remaining < 5 * 60 * 1000);
+    }
+
+    if (remaining === 0) {
+      this.finish();
+    }
+  }
+
+  /**
+   * Exibe a questão atual com navegação e marcação para revisão
+   */
+  renderQuestion() {
+    const exam = this.exam;
+    const question = exam.questions[exam.index];
+    const flagged = exam.flagged.has(question.id);
+
+    const status = QuizModal.element('div', 'exam-status');
+    status.append(
+      QuizModal.element('span', 'quiz-progress', I18n.t('exam.progress', {
+        current: exam.index + 1,
+        total: exam.questions.length,
+        answered: exam.getAnsweredCount()
+      })),
+      QuizModal.element('span', 'exam-timer', `⏱ ${StudyTimer.format(exam.getRemainingMs())}`)
+    );
+
+    const text = QuizModal.element('p', 'quiz-question', question.question);
+    const options = QuizModal.element('div', 'quiz-options');
+    question.options.forEach((option, index) => {
+      const button = this.createButton(option, () => {
+        exam.answer(index);
+        this.renderQuestion();
+      }, `quiz-option${exam.answers[question.id] === index ? ' selected' : ''}`);
+      button.setAttribute('aria-pressed', String(exam.answers[question.id] === index));
+      options.appendChild(button);
+    });
+
+    const navigation = QuizModal.element('div', 'quiz-actions');
+    const previous = this.createButton(I18n.t('exam.previous'), () => this.goTo(exam.index - 1));
+    previous.disabled = exam.index === 0;
+    const flag = this.createButton(I18n.t(flagged ? 'exam.unflag' : 'exam.flag'), () => {
+      exam.toggleFlag();
+      this.renderQuestion();
+    }, `action-btn${flagged ? ' exam-flagged' : ''}`);
+    const next = exam.index + 1 < exam.questions.length
+      ? this.createButton(I18n.t('exam.next'), () => this.goTo(exam.index + 1))
+      : this.createButton(I18n.t('exam.finish'), () => this.confirmFinish(), 'action-btn quiz-primary');
+    navigation.append(previous, flag, next);
+
+    this.modal.setContent(status, text, options, navigation, this.createPalette());
+  }
+
+  /**
+   * Grade de navegação: respondidas, marcadas e atual
+   * @returns {HTMLElement}
+   */
+  createPalette() {
+    const exam = this.exam;
+    const palette = QuizModal.element('div', 'exam-palette');
+    palette.setAttribute('role', 'group');
+    palette.setAttribute('aria-label', I18n.t('exam.paletteLabel'));
+
+    exam.questions.forEach((question, index) => {
+      const classes = ['exam-palette-item'];
+      if (question.id in exam.answers) classes.push('answered');
+      if (exam.flagged.has(question.id)) classes.push('flagged');
+      if (index === exam.index) classes.push('current');
+
+      const button = this.createButton(String(index + 1), () => this.goTo(index), classes.join(' '));
+      button.setAttribute('aria-label', I18n.t(exam.flagged.has(question.id) ? 'exam.paletteItemFlagged' : 'exam.paletteItem', { number: index + 1 }));
+      palette.appendChild(button);
+    });
+
+    const finish = this.createButton(I18n.t('exam.finishExam'), () => this.confirmFinish(), 'action-btn exam-finish');
+    palette.appendChild(finish);
+    return palette;
+  }
+
+  /**
+   * Navega para uma questão
+   * @param {number} index - Índice da questão
+   */
+  goTo(index) {
+    this.exam.goTo(index);
+    this.renderQuestion();
+  }
+
+  /**
+   * Confirma a entrega quando há questões sem resposta ou marcadas
+   */
+  confirmFinish() {
+    const exam = this.exam;
+    const unanswered = exam.questions.length - exam.getAnsweredCount();
+    const pending = [];
+    if (unanswered > 0) pending.push(I18n.t('exam.unanswered', { count: unanswered }));
+    if (exam.flagged.size > 0) pending.push(I18n.t('exam.flagged', { count: exam.flagged.size }));
+
+    if (pending.length === 0 || confirm(I18n.t('exam.finishConfirm', { pending: pending.join(', ') }))) {
+      this.finish();
+    }
+  }
+
+  /**
+   * Encerra a prova, registra a tentativa e exibe o resultado
+   */
+  async finish() {
+    const exam = this.exam;
+    if (!exam) return;
+
+    const attempt = exam.finish();
+    this.stop();
+    this.renderResult(attempt, exam);
+    await this.onFinish?.(attempt);
+  }
+
+  /**
+   * Exibe o resultado final
+   * @param {Object} attempt - Tentativa concluída
+   * @param {MockExam} exam - Simulado encerrado
+   */
+  renderResult(attempt, exam) {
+    const verdict = QuizModal.element('p', `quiz-score ${attempt.passed ? 'passed' : 'failed'}`, I18n.t('exam.result', {
+      verdict: attempt.passed ? `✅ ${I18n.t('exam.passed')}` : `❌ ${I18n.t('exam.failed')}`,
+      correct: attempt.correct,
+      total: attempt.total,
+      percentage: attempt.percentage
+    }));
+    const threshold = QuizModal.element('p', 'quiz-available', I18n.t('exam.threshold', {
+      pass: exam.passPercentage,
+      minutes: Math.round(attempt.durationSec / 60)
+    }));
+
+    const chapters = QuizModal.element('ul', 'quiz-result-list');
+    Object.entries(attempt.byChapter)
+      .sort(([a], [b]) => Number(a) - Number(b))
+      .forEach(([chapter, item]) => {
+        chapters.appendChild(QuizModal.element('li', '', `${I18n.t('filters.chapterShort', { id: chapter })}: ${item.correct}/${item.total}`));
+      });
+
+    const review = QuizModal.element('details', 'exam-review');
+    review.appendChild(QuizModal.element('summary', '', I18n.t('exam.review')));
+    exam.questions.forEach((question, index) => {
+      const choice = exam.answers[question.id];
+      const item = QuizModal.element('div', `exam-review-item ${choice === question.answer ? 'correct' : 'wrong'}`);
+      item.append(
+        QuizModal.element('strong', '', `${index + 1}. ${question.question}`),
+        QuizModal.element('p', '', I18n.t('exam.yourAnswer', { answer: choice === undefined ? '—' : question.options[choice] })),
+        QuizModal.element('p', '', I18n.t('exam.correctAnswer', { answer: question.options[question.answer] }))
+      );
+      review.appendChild(item);
+    });
+
+    const actions = QuizModal.element('div', 'quiz-actions');
+    actions.append(
+      this.createButton(I18n.t('exam.new'), () => this.renderIntro(), 'action-btn quiz-primary'),
+      this.createButton(I18n.t('app.close'), () => this.modal.close())
+    );
+
+    this.modal.setContent(verdict, threshold, chapters, review, actions);
+  }
+
+  /**
+   * Cria um botão com texto e ação
+   * @param {string} text - Texto do botão
+   * @param {Function} onClick - Ação
+   * @param {string} className - Classe CSS
+   * @returns {HTMLButtonElement}
+   */
+  createButton(text, onClick, className = 'action-btn') {
+    const button = QuizModal.element('button', className, text);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.MockExam = MockExam;
+  window.MockExamUI = MockExamUI;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MockExam, MockExamUI, MOCK_EXAM_CONFIG };
+}
@@ -0,0 +1,397 @@
+/**
+ * Histórico de progresso para RFCP Tracker
+ * Guarda snapshots locais antes de operações destrutivas (recomeçar,
+ * exemplo, importação, download da sincronização) e permite restaurá-los,
+ * assim como revisões anteriores do Gist
+ * @fileoverview Snapshots do progresso e painel de histórico
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações do histórico
+ */
+const HISTORY_CONFIG = {
+  // Isolada por syllabus (SyllabusRegistry.namespaced)
+  STORAGE_KEY: 'rfcp_progress_snapshots',
+  MAX_SNAPSHOTS: 20,
+  // Objetivos listados em cada lado do resumo de diferenças
+  DIFF_PREVIEW: 10,
+  REASONS: {
+    RESET: 'reset',
+    DEMO: 'demo',
+    IMPORT: 'import',
+    DOWNLOAD: 'download',
+    RESTORE: 'restore'
+  },
+  // Textos dos motivos em chaves do catálogo (I18n)
+  REASON_LABELS: {
+    reset: 'history.reasonReset',
+    demo: 'history.reasonDemo',
+    import: 'history.reasonImport',
+    download: 'history.reasonDownload',
+    restore: 'history.reasonRestore'
+  }
+};
+
+/**
+ * Snapshots locais do progresso (mais recente primeiro)
+ *
+ * Formato de cada snapshot:
+ * { id, createdAt, reason, data }   // data = payload 3.0 completo
+ */
+class SnapshotManager {
+  /**
+   * Chave do histórico do syllabus ativo
+   * @returns {string}
+   */
+  static getStorageKey() {
+    return SyllabusRegistry.namespaced(HISTORY_CONFIG.STORAGE_KEY);
+  }
+
+  /**
+   * Lista os snapshots salvos
+   * @returns {Array}
+   */
+  static list() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.getStorageKey()));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      console.warn('⚠️ Histórico de progresso inválido:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Grava a lista, descartando os mais antigos se o armazenamento encher
+   * @param {Array} snapshots - Snapshots (mais recente primeiro)
+   * @returns {boolean} false se nem o mais recente coube
+   */
+  static persist(snapshots) {
+    let kept = snapshots.slice(0, HISTORY_CONFIG.MAX_SNAPSHOTS);
+
+    while (kept.length > 0) {
+      try {
+        localStorage.setItem(this.getStorageKey(), JSON.stringify(kept));
+        return true;
+      } catch (error) {
+        kept = kept.slice(0, -1);
+      }
+    }
+
+    console.warn('⚠️ Sem espaço para salvar o histórico de progresso');
+    return false;
+  }
+
+  /**
+   * Verifica se o payload não tem nada a preservar
+   * @param {Object} progress - Payload normalizado
+   * @returns {boolean}
+   */
+  static isEmpty(progress) {
+    return PROGRESS_CONFIG.SECTIONS.every(section => Object.keys(progress[section] || {}).length === 0);
+  }
+
+  /**
+   * Salva um snapshot do progresso antes de uma operação destrutiva
+   * Progresso vazio ou igual ao último snapshot não gera novo registro.
+   * @param {Object} data - Payload de progresso
+   * @param {string} reason - Motivo (HISTORY_CONFIG.REASONS)
+   * @returns {Object|null} Snapshot salvo (ou o último, se igual)
+   */
+  static create(data, reason) {
+    const progress = ProgressModel.normalize(data);
+    if (this.isEmpty(progress)) return null;
+
+    const snapshots = this.list();
+    const latest = snapshots[0];
+    if (latest && PROGRESS_CONFIG.SECTIONS.every(section =>
+      ProgressModel.isEqual(latest.data?.[section], progress[section]))) {
+      return latest;
+    }
+
+    const snapshot = {
+      id: `snap-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      createdAt: new Date().toISOString(),
+      reason,
+      data: progress
+    };
+
+    return this.persist([snapshot, ...snapshots]) ? snapshot : null;
+  }
+
+  /**
+   * Remove um snapshot
+   * @param {string} id - ID do snapshot
+   */
+  static remove(id) {
+    this.persist(this.list().filter(snapshot => snapshot.id !== id));
+  }
+
+  /**
+   * Objetivos concluídos que uma restauração acrescentaria ou retiraria
+   * @param {Object} current - Payload atual
+   * @param {Object} target - Payload a restaurar
+   * @returns {{added: string[], removed: string[]}}
+   */
+  static diff(current, target) {
+    const before = new Set(ProgressModel.normalize(current).completedIds);
+    const after = new Set(ProgressModel.normalize(target).completedIds);
+
+    return {
+      added: [...after].filter(id => !before.has(id)).sort(),
+      removed: [...before].filter(id => !after.has(id)).sort()
+    };
+  }
+}
+
+/**
+ * Painel de histórico: snapshots locais e revisões do Gist
+ */
+class ProgressHistoryUI {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getProgress - Retorna o payload atual
+   * @param {Function} options.getSyncManager - Retorna o SyncManager (ou null)
+   * @param {Function} options.onRestore - Chamado com o payload a restaurar (async)
+   * @param {Function} options.notify - Exibe uma notificação (mensagem, tipo)
+   */
+  constructor({ getProgress, getSyncManager, onRestore, notify }) {
+    this.getProgress = getProgress;
+    this.getSyncManager = getSyncManager;
+    this.onRestore = onRestore;
+    this.notify = notify;
+    // Revisões do Gist: null até serem carregadas
+    this.revisions = null;
+    this.revisionData = {};
+    this.modal = new QuizModal(I18n.t('history.title'));
+  }
+
+  /**
+   * Abre o painel
+   */
+  open() {
+    this.revisions = null;
+    this.revisionData = {};
+    this.render();
+    this.modal.open();
+  }
+
+  /**
+   * Redesenha o conteúdo do painel
+   */
+  render() {
+    const sections = [this.createLocalSection()];
+    const syncManager = this.getSyncManager();
+    if (syncManager?.syncEnabled && syncManager.providerType === PROVIDER_CONFIG.TYPES.GIST) {
+      sections.push(this.createRemoteSection());
+    }
+    this.modal.setContent(...sections);
+  }
+
+  /**
+   * Formata uma data no idioma ativo
+   * @param {string} date - Data ISO
+   * @returns {string}
+   */
+  static formatDate(date) {
+    return new Date(date).toLocaleString(I18n.getLocale());
+  }
+
+  /**
+   * Resumo das diferenças em relação ao progresso atual
+   * @param {Object} data - Payload a restaurar
+   * @returns {HTMLElement}
+   */
+  createDiff(data) {
+    const { added, removed } = SnapshotManager.diff(this.getProgress(), data);
+    const container = QuizModal.element('div', 'history-diff');
+
+    if (added.length === 0 && removed.length === 0) {
+      container.appendChild(QuizModal.element('span', '', I18n.t('history.same')));
+      return container;
+    }
+
+    const preview = ids => ids.slice(0, HISTORY_CONFIG.DIFF_PREVIEW).join(', ') +
+      (ids.length > HISTORY_CONFIG.DIFF_PREVIEW ? ` +${ids.length - HISTORY_CONFIG.DIFF_PREVIEW}` : '');
+
+    if (added.length > 0) {
+      container.appendChild(QuizModal.element('div', 'history-added', I18n.t('history.added', { count: added.length })));
+    }
+    if (removed.length > 0) {
+      container.appendChild(QuizModal.element('div', 'history-removed', I18n.t('history.removed', { count: removed.length })));
+    }
+
+    const details = QuizModal.element('details', 'history-ids');
+    details.appendChild(QuizModal.element('summary', '', I18n.t('history.showIds')));
+    if (added.length > 0) details.appendChild(QuizModal.element('p', 'history-added', `+ ${preview(added)}`));
+    if (removed.length > 0) details.appendChild(QuizModal.element('p', 'history-removed', `− ${preview(removed)}`));
+    container.appendChild(details);
+    return container;
+  }
+
+  /**
+   * Botão de ação do painel
+   * @param {string} label - Texto
+   * @param {Function} onClick - Ação
+   * @returns {HTMLButtonElement}
+   */
+  static button(label, onClick) {
+    const button = QuizModal.element('button', 'action-btn', label);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Lista de snapshots locais
+   * @returns {HTMLElement}
+   */
+  createLocalSection() {
+    const section = QuizModal.element('section', 'history-section');
+    section.appendChild(QuizModal.element('h3', '', I18n.t('history.localTitle')));
+    section.appendChild(QuizModal.element('p', 'history-help', I18n.t('history.localHelp')));
+
+    const snapshots = SnapshotManager.list();
+    if (snapshots.length === 0) {
+      section.appendChild(QuizModal.element('p', 'quiz-available', I18n.t('history.empty')));
+      return section;
+    }
+
+    const list = QuizModal.element('ul', 'history-list');
+    snapshots.forEach(snapshot => {
+      const item = QuizModal.element('li', 'history-item');
+      const count = ProgressModel.normalize(snapshot.data).completedIds.length;
+      item.appendChild(QuizModal.element('div', 'history-meta',
+        `${ProgressHistoryUI.formatDate(snapshot.createdAt)} · ` +
+        `${I18n.t(HISTORY_CONFIG.REASON_LABELS[snapshot.reason] || 'history.reasonOther')} · ` +
+        I18n.t('history.completedCount', { count })));
+      item.appendChild(this.createDiff(snapshot.data));
+
+      const actions = QuizModal.element('div', 'history-actions');
+      actions.append(
+        ProgressHistoryUI.button(I18n.t('history.restore'), () => this.restore(snapshot.data)),
+        ProgressHistoryUI.button(I18n.t('history.delete'), () => {
+          SnapshotManager.remove(snapshot.id);
+          this.render();
+        })
+      );
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+  }
+
+  /**
+   * Lista de revisões do Gist (carregada sob demanda)
+   * @returns {HTMLElement}
+   */
+  createRemoteSection() {
+    const section = QuizModal.element('section', 'history-section');
+    section.appendChild(QuizModal.element('h3', '', I18n.t('history.remoteTitle')));
+
+    if (this.revisions === null) {
+      section.appendChild(ProgressHistoryUI.button(I18n.t('history.loadRevisions'), () => this.loadRevisions()));
+      return section;
+    }
+
+    if (this.revisions.length === 0) {
+      section.appendChild(QuizModal.element('p', 'quiz-available', I18n.t('history.noRevisions')));
+      return section;
+    }
+
+    const list = QuizModal.element('ul', 'history-list');
+    this.revisions.forEach(revision => {
+      const item = QuizModal.element('li', 'history-item');
+      item.appendChild(QuizModal.element('div', 'history-meta',
+        `${ProgressHistoryUI.formatDate(revision.committedAt)} · ${revision.version.slice(0, 7)}`));
+
+      const data = this.revisionData[revision.version];
+      if (data !== undefined) {
+        item.appendChild(data
+          ? this.createDiff(data)
+          : QuizModal.element('div', 'history-diff', I18n.t('history.revisionEmpty')));
+      }
+
+      const actions = QuizModal.element('div', 'history-actions');
+      if (data === undefined) {
+        actions.appendChild(ProgressHistoryUI.button(I18n.t('history.compare'), () => this.loadRevision(revision.version)));
+      }
+      if (data !== null) {
+        actions.appendChild(ProgressHistoryUI.button(I18n.t('history.restore'), async () => {
+          const loaded = await this.loadRevision(revision.version);
+          if (loaded) await this.restore(loaded);
+        }));
+      }
+      item.appendChild(actions);
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    return section;
+  }
+
+  /**
+   * Busca a lista de revisões do Gist
+   */
+  async loadRevisions() {
+    try {
+      this.revisions = await this.getSyncManager().listRemoteRevisions();
+      this.render();
+    } catch (error) {
+      console.error('❌ Erro ao listar revisões:', error);
+      this.notify(I18n.t('history.revisionsError', { message: error.message }), 'error');
+    }
+  }
+
+  /**
+   * Busca (e guarda) o progresso de uma revisão do Gist
+   * @param {string} version - SHA da revisão
+   * @returns {Promise<Object|null>}
+   */
+  async loadRevision(version) {
+    if (this.revisionData[version] !== undefined) return this.revisionData[version];
+
+    try {
+      this.revisionData[version] = await this.getSyncManager().fetchRemoteRevision(version);
+      this.render();
+      return this.revisionData[version];
+    } catch (error) {
+      console.error('❌ Erro ao buscar revisão:', error);
+      this.notify(I18n.t('history.revisionsError', { message: error.message }), 'error');
+      return null;
+    }
+  }
+
+  /**
+   * Restaura um payload e atualiza o painel
+   * @param {Object} data - Payload a restaurar
+   */
+  async restore(data) {
+    const { added, removed } = SnapshotManager.diff(this.getProgress(), data);
+
+    try {
+      await this.onRestore(data);
+      this.modal.close();
+      this.notify(I18n.t('history.restored', { added: added.length, removed: removed.length }), 'success');
+    } catch (error) {
+      console.error('❌ Erro ao restaurar progresso:', error);
+      this.notify(I18n.t('history.restoreError'), 'error');
+    }
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.SnapshotManager = SnapshotManager;
+  window.ProgressHistoryUI = ProgressHistoryUI;
+  window.HISTORY_CONFIG = HISTORY_CONFIG;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SnapshotManager, ProgressHistoryUI, HISTORY_CONFIG };
+}
@@ -0,0 +1,522 @@
+/**
+ * Modelo de dados de progresso para RFCP Tracker
+ * Mantém o estado de cada objetivo (concluído/desmarcado) com timestamp,
+ * permitindo mesclagem "último a escrever vence" entre dispositivos
+ * @fileoverview Normalização, migração e mesclagem do payload de progresso
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações do modelo de progresso
+ */
+const PROGRESS_CONFIG = {
+  VERSION: '3.0',
+  LEGACY_VERSION: '2.0',
+  STATUS: {
+    COMPLETED: 'completed',
+    UNCOMPLETED: 'uncompleted'
+  },
+  // Timestamp usado quando um registro legado não possui data
+  EPOCH: new Date(0).toISOString(),
+  // Seções sincronizadas (comparadas para decidir se há alterações)
+  SECTIONS: ['objectiveStates', 'studySessions', 'reviews', 'quizAttempts', 'examAttempts', 'notes', 'confidence', 'settings'],
+  // Limites do histórico de tentativas (as mais antigas são descartadas)
+  MAX_QUIZ_ATTEMPTS_PER_OBJECTIVE: 50,
+  MAX_EXAM_ATTEMPTS: 100,
+  // Tentativas removidas deixam de ser sincronizadas após esse prazo
+  TOMBSTONE_TTL_DAYS: 180,
+  DAY_MS: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Operações sobre o payload de progresso
+ *
+ * Formato 3.0:
+ * {
+ *   completedIds: string[],            // derivado de objectiveStates
+ *   completionDates: Object<string>,   // derivado de objectiveStates
+ *   objectiveStates: {
+ *     [id]: { status, updatedAt, completedAt? }
+ *   },
+ *   studySessions: {
+ *     [sessionId]: { objectiveId, startedAt, endedAt, minutes, deleted? }
+ *   },
+ *   reviews: {
+ *     [id]: { ease, interval, repetitions, dueAt, updatedAt, ... }
+ *   },
+ *   quizAttempts: {
+ *     [attemptId]: { objectiveId, questionId, correct, answeredAt, deleted?, deletedAt? }
+ *   },
+ *   examAttempts: {
+ *     [attemptId]: { startedAt, finishedAt, correct, total, passed, deleted?, deletedAt? }
+ *   },
+ *   notes: {
+ *     [id]: { text, updatedAt }   // text vazio = anotação removida
+ *   },
+ *   confidence: {
+ *     [id]: { score, updatedAt }  // score 1-5; null = nota removida
+ *   },
+ *   settings: {
+ *     studyPlan: { examDate, dailyMinutes, updatedAt }
+ *   },
+ *   version: '3.0'
+ * }
+ *
+ * Objetivos desmarcados permanecem em objectiveStates com status
+ * "uncompleted" (tombstone), para que a remoção sobreviva à sincronização.
+ * Sessões de estudo e tentativas de quiz/simulado são imutáveis: a mescla é
+ * uma união por ID e um registro removido (deleted) permanece removido.
+ * As tentativas são compactadas na mescla: só as mais recentes são mantidas
+ * e as removidas há mais de TOMBSTONE_TTL_DAYS deixam de ser sincronizadas.
+ * Revisões espaçadas, anotações, notas de confiança e configurações são
+ * mescladas por ID, com o registro mais recente (updatedAt) vencendo.
+ */
+class ProgressModel {
+  /**
+   * Cria um payload vazio
+   * @returns {Object}
+   */
+  static createEmpty() {
+    return {
+      completedIds: [],
+      completionDates: {},
+      objectiveStates: {},
+      studySessions: {},
+      reviews: {},
+      quizAttempts: {},
+      examAttempts: {},
+      notes: {},
+      confidence: {},
+      settings: {},
+      version: PROGRESS_CONFIG.VERSION
+    };
+  }
+
+  /**
+   * Cria o registro de estado de um objetivo
+   * @param {boolean} completed - Se o objetivo está concluído
+   * @param {string} updatedAt - Momento da alteração (ISO)
+   * @param {string} completedAt - Data de conclusão exibida (ISO)
+   * @returns {Object}
+   */
+  static createState(completed, updatedAt = new Date().toISOString(), completedAt = updatedAt) {
+    if (!completed) {
+      return { status: PROGRESS_CONFIG.STATUS.UNCOMPLETED, updatedAt };
+    }
+    return { status: PROGRESS_CONFIG.STATUS.COMPLETED, updatedAt, completedAt };
+  }
+
+  /**
+   * Verifica se o payload está no formato legado (sem objectiveStates)
+   * @param {Object} data - Payload de progresso
+   * @returns {boolean}
+   */
+  static isLegacy(data) {
+    return !data?.objectiveStates || typeof data.objectiveStates !== 'object';
+  }
+
+  /**
+   * Converte um payload 2.0 em estados por objetivo
+   * Objetivos concluídos recebem a própria data de conclusão como timestamp;
+   * como o formato legado não registra remoções, não há tombstones.
+   * @param {Object} data - Payload legado
+   * @returns {Object} Estados por objetivo
+   */
+  static migrateLegacy(data) {
+    const states = {};
+    const dates = data?.completionDates || {};
+
+    (data?.completedIds || []).forEach(id => {
+      const completedAt = dates[id] || PROGRESS_CONFIG.EPOCH;
+      states[id] = this.createState(true, completedAt, completedAt);
+    });
+
+    return states;
+  }
+
+  /**
+   * Deriva completedIds e completionDates a partir dos estados
+   * @param {Object} states - Estados por objetivo
+   * @returns {{completedIds: string[], completionDates: Object}}
+   */
+  static deriveCompletion(states) {
+    const completedIds = [];
+    const completionDates = {};
+
+    Object.entries(states).forEach(([id, state]) => {
+      if (state.status === PROGRESS_CONFIG.STATUS.COMPLETED) {
+        completedIds.push(id);
+        if (state.completedAt && state.completedAt !== PROGRESS_CONFIG.EPOCH) {
+          completionDates[id] = state.completedAt;
+        }
+      }
+    });
+
+    return { completedIds, completionDates };
+  }
+
+  /**
+   * Normaliza qualquer payload (legado ou atual) para o formato 3.0
+   * @param {Object|null} data - Payload de progresso
+   * @returns {Object}
+   */
+  static normalize(data) {
+    if (!data) return this.createEmpty();
+
+    const objectiveStates = this.isLegacy(data)
+      ? this.migrateLegacy(data)
+      : { ...data.objectiveStates };
+
+    return {
+      ...this.deriveCompletion(objectiveStates),
+      objectiveStates,
+      studySessions: { ...(data.studySessions || {}) },
+      reviews: { ...(data.reviews || {}) },
+      quizAttempts: { ...(data.quizAttempts || {}) },
+      examAttempts: { ...(data.examAttempts || {}) },
+      notes: { ...(data.notes || {}) },
+      confidence: { ...(data.confidence || {}) },
+      settings: { ...(data.settings || {}) },
+      version: PROGRESS_CONFIG.VERSION
+    };
+  }
+
+  /**
+   * Marca todos os registros (sessões, tentativas) como removidos
+   * Registros já removidos mantêm a data original da remoção.
+   * @param {Object} records - Registros por ID
+   * @param {string} at - Momento da remoção (ISO)
+   * @returns {Object}
+   */
+  static markDeleted(records, at = new Date().toISOString()) {
+    const deleted = {};
+    Object.entries(records || {}).forEach(([id, record]) => {
+      deleted[id] = record.deleted ? record : { ...record, deleted: true, deletedAt: at };
+    });
+    return deleted;
+  }
+
+  /**
+   * Data de referência de uma tentativa (remoção, resposta ou término)
+   * @param {Object} record - Tentativa
+   * @returns {number} Timestamp (0 se desconhecida)
+   */
+  static getAttemptTime(record) {
+    const date = record.deleted && record.deletedAt
+      ? record.deletedAt
+      : record.answeredAt || record.finishedAt || record.startedAt;
+    return new Date(date).getTime() || 0;
+  }
+
+  /**
+   * Limita o crescimento de um conjunto de tentativas
+   * Mantém as `limit` tentativas mais recentes de cada grupo e descarta as
+   * removidas há mais de TOMBSTONE_TTL_DAYS. O resultado depende só dos
+   * registros e de `now`, então dispositivos diferentes chegam ao mesmo
+   * conjunto; uma tentativa descartada que volte de outro dispositivo é
+   * descartada de novo na mescla.
+   * @param {Object} records - Tentativas por ID
+   * @param {Object} options - { limit, groupBy?, now? }
+   * @returns {Object}
+   */
+  static compactAttempts(records, { limit, groupBy = () => '', now = new Date() }) {
+    const horizon = new Date(now).getTime() - PROGRESS_CONFIG.TOMBSTONE_TTL_DAYS * PROGRESS_CONFIG.DAY_MS;
+    const groups = {};
+    const compacted = {};
+
+    Object.entries(records || {}).forEach(([id, record]) => {
+      if (record.deleted) {
+        if (this.getAttemptTime(record) >= horizon) compacted[id] = record;
+        return;
+      }
+      const key = groupBy(record);
+      (groups[key] = groups[key] || []).push([id, record]);
+    });
+
+    Object.values(groups).forEach(group => {
+      group
+        .sort(([idA, a], [idB, b]) => (this.getAttemptTime(b) - this.getAttemptTime(a)) || (idA < idB ? 1 : -1))
+        .slice(0, limit)
+        .forEach(([id, record]) => { compacted[id] = record; });
+    });
+
+    return compacted;
+  }
+
+  /**
+   * Compacta as tentativas de quiz (por objetivo) e de simulado
+   * @param {Object} data - Payload 3.0
+   * @param {Date} now - Momento de referência
+   * @returns {Object} Payload com as tentativas compactadas
+   */
+  static compact(data, now = new Date()) {
+    return {
+      ...data,
+      quizAttempts: this.compactAttempts(data.quizAttempts, {
+        limit: PROGRESS_CONFIG.MAX_QUIZ_ATTEMPTS_PER_OBJECTIVE,
+        groupBy: attempt => attempt.objectiveId,
+        now
+      }),
+      examAttempts: this.compactAttempts(data.examAttempts, {
+        limit: PROGRESS_CONFIG.MAX_EXAM_ATTEMPTS,
+        now
+      })
+    };
+  }
+
+  /**
+   * Soma os minutos reais estudados por objetivo
+   * @param {Object} sessions - Sessões de estudo
+   * @returns {Object<string, number>}
+   */
+  static sumMinutesByObjective(sessions) {
+    const totals = {};
+    Object.values(sessions || {}).forEach(session => {
+      if (session.deleted) return;
+      totals[session.objectiveId] = (totals[session.objectiveId] || 0) + (Number(session.minutes) || 0);
+    });
+    return totals;
+  }
+
+  /**
+   * Substitui todo o progresso, registrando tombstones para objetivos que
+   * deixaram de estar concluídos (usado em reset, demo e importação)
+   * @param {Object} previousStates - Estados atuais
+   * @param {Object} completionDates - Novas datas de conclusão por ID
+   * @param {string} at - Momento da substituição (ISO)
+   * @returns {Object} Novos estados por objetivo
+   */
+  static replaceStates(previousStates, completionDates, at = new Date().toISOString()) {
+    const states = {};
+
+    Object.keys(previousStates || {}).forEach(id => {
+      states[id] = this.createState(false, at);
+    });
+
+    Object.entries(completionDates).forEach(([id, completedAt]) => {
+      states[id] = this.createState(true, at, completedAt || at);
+    });
+
+    return states;
+  }
+
+  /**
+   * Volta o progresso ao conteúdo de um snapshot (histórico local ou revisão remota)
+   * Tudo é regravado com o momento da restauração para prevalecer na mescla:
+   * registros ausentes no snapshot são removidos, e sessões ou tentativas
+   * removidas depois dele voltam com um novo ID, já que um registro removido
+   * permanece removido na sincronização.
+   * @param {Object} current - Payload atual
+   * @param {Object} snapshot - Payload a restaurar
+   * @param {string} at - Momento da restauração (ISO)
+   * @returns {Object} Payload 3.0 restaurado
+   */
+  static restore(current, snapshot, at = new Date().toISOString()) {
+    const base = this.normalize(current);
+    const target = this.normalize(snapshot);
+    const suffix = new Date(at).getTime().toString(36);
+
+    const restoreUnion = (records, saved) => {
+      const restored = {};
+      Object.entries(records).forEach(([id, record]) => {
+        if (saved[id] && !saved[id].deleted) {
+          restored[id] = record;
+        } else {
+          restored[id] = record.deleted ? record : { ...record, deleted: true, deletedAt: at };
+        }
+      });
+      Object.entries(saved).forEach(([id, record]) => {
+        if (record.deleted) return;
+        if (!records[id]) {
+          restored[id] = record;
+        } else if (records[id].deleted) {
+          restored[`${id}-r${suffix}`] = record;
+        }
+      });
+      return restored;
+    };
+
+    const restoreLatest = (records, saved, removed) => {
+      const restored = {};
+      Object.keys(records).forEach(id => {
+        restored[id] = removed ? { ...removed, updatedAt: at } : records[id];
+      });
+      Object.entries(saved).forEach(([id, record]) => {
+        restored[id] = { ...record, updatedAt: at };
+      });
+      return restored;
+    };
+
+    const objectiveStates = this.replaceStates(base.objectiveStates, target.completionDates, at);
+
+    return {
+      ...this.deriveCompletion(objectiveStates),
+      objectiveStates,
+      studySessions: restoreUnion(base.studySessions, target.studySessions),
+      // Revisões sem equivalente no snapshot são mantidas (não há remoção de revisão)
+      reviews: restoreLatest(base.reviews, target.reviews, null),
+      quizAttempts: restoreUnion(base.quizAttempts, target.quizAttempts),
+      examAttempts: restoreUnion(base.examAttempts, target.examAttempts),
+      notes: restoreLatest(base.notes, target.notes, { text: '' }),
+      confidence: restoreLatest(base.confidence, target.confidence, { score: null }),
+      settings: restoreLatest(base.settings, target.settings, null),
+      version: PROGRESS_CONFIG.VERSION
+    };
+  }
+
+  /**
+   * Escolhe o estado mais recente de um objetivo
+   * Em caso de empate, "concluído" prevalece (comportamento do formato 2.0).
+   * @param {Object|undefined} a - Estado A
+   * @param {Object|undefined} b - Estado B
+   * @returns {Object}
+   */
+  static pickLatest(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+
+    const timeA = new Date(a.updatedAt).getTime() || 0;
+    const timeB = new Date(b.updatedAt).getTime() || 0;
+
+    if (timeA !== timeB) return timeA > timeB ? a : b;
+    return a.status === PROGRESS_CONFIG.STATUS.COMPLETED ? a : b;
+  }
+
+  /**
+   * Mescla estados por objetivo (último a escrever vence)
+   * @param {Object} localStates - Estados locais
+   * @param {Object} remoteStates - Estados remotos
+   * @returns {Object}
+   */
+  static mergeStates(localStates, remoteStates) {
+    const merged = {};
+    const ids = new Set([...Object.keys(localStates), ...Object.keys(remoteStates)]);
+
+    ids.forEach(id => {
+      merged[id] = this.pickLatest(localStates[id], remoteStates[id]);
+    });
+
+    return merged;
+  }
+
+  /**
+   * Mescla registros imutáveis (união; remoção prevalece)
+   * @param {Object} localRecords - Registros locais
+   * @param {Object} remoteRecords - Registros remotos
+   * @returns {Object}
+   */
+  static mergeUnion(localRecords, remoteRecords) {
+    const merged = { ...remoteRecords };
+
+    Object.entries(localRecords).forEach(([id, record]) => {
+      if (!merged[id] || record.deleted) {
+        merged[id] = record;
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Mescla registros por ID em que o mais recente (updatedAt) vence
+   * Em caso de empate, a escolha é determinística para que todos os
+   * dispositivos cheguem ao mesmo resultado.
+   * @param {Object} localRecords - Registros locais
+   * @param {Object} remoteRecords - Registros remotos
+   * @returns {Object}
+   */
+  static mergeLatest(localRecords, remoteRecords) {
+    const merged = {};
+    const ids = new Set([...Object.keys(remoteRecords), ...Object.keys(localRecords)]);
+
+    ids.forEach(id => {
+      const a = localRecords[id];
+      const b = remoteRecords[id];
+      if (!a || !b) {
+        merged[id] = a || b;
+        return;
+      }
+
+      const timeA = new Date(a.updatedAt).getTime() || 0;
+      const timeB = new Date(b.updatedAt).getTime() || 0;
+      if (timeA !== timeB) {
+        merged[id] = timeA > timeB ? a : b;
+      } else {
+        merged[id] = this.canonicalJson(a) >= this.canonicalJson(b) ? a : b;
+      }
+    });
+
+    return merged;
+  }
+
+  /**
+   * Serializa um valor em JSON com as chaves dos objetos em ordem alfabética
+   * A mescla monta as chaves na ordem em que os registros aparecem (locais
+   * primeiro), então o mesmo conteúdo pode chegar em outra ordem.
+   * @param {*} value - Valor serializável
+   * @returns {string|undefined}
+   */
+  static canonicalJson(value) {
+    if (typeof value?.toJSON === 'function') return this.canonicalJson(value.toJSON());
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.canonicalJson(item) ?? 'null').join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.canonicalJson(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Compara dois valores pelo conteúdo, independente da ordem das chaves
+   * @param {*} a - Valor A
+   * @param {*} b - Valor B
+   * @returns {boolean}
+   */
+  static isEqual(a, b) {
+    return this.canonicalJson(a) === this.canonicalJson(b);
+  }
+
+  /**
+   * Mescla dois payloads de progresso, migrando formatos legados
+   * @param {Object} local - Payload local
+   * @param {Object} remote - Payload remoto
+   * @param {Date} now - Momento de referência para a compactação
+   * @returns {Object} Payload 3.0 mesclado
+   */
+  static merge(local, remote, now = new Date()) {
+    const localData = this.normalize(local);
+    const remoteData = this.normalize(remote);
+    const objectiveStates = this.mergeStates(localData.objectiveStates, remoteData.objectiveStates);
+
+    return this.compact({
+      ...this.deriveCompletion(objectiveStates),
+      objectiveStates,
+      studySessions: this.mergeUnion(localData.studySessions, remoteData.studySessions),
+      reviews: this.mergeLatest(localData.reviews, remoteData.reviews),
+      quizAttempts: this.mergeUnion(localData.quizAttempts, remoteData.quizAttempts),
+      examAttempts: this.mergeUnion(localData.examAttempts, remoteData.examAttempts),
+      notes: this.mergeLatest(localData.notes, remoteData.notes),
+      confidence: this.mergeLatest(localData.confidence, remoteData.confidence),
+      settings: this.mergeLatest(localData.settings, remoteData.settings),
+      version: PROGRESS_CONFIG.VERSION
+    }, now);
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.ProgressModel = ProgressModel;
+  window.PROGRESS_CONFIG = PROGRESS_CONFIG;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ProgressModel, PROGRESS_CONFIG };
+}
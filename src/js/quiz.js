@@ -0,0 +1,564 @@
+/**
+ * Quiz de prática para RFCP Tracker
+ * Sorteia questões do banco por capítulo/nível, corrige as respostas e
+ * registra a taxa de acerto por objetivo
+ * @fileoverview Banco de questões, sessão de quiz e interface do modo quiz
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações do quiz
+ */
+const QUIZ_CONFIG = {
+  DATA_FILE: 'src/data/questions_rfcp.json',
+  // Campos de cada questão com tradução em "translations" (I18n.localizeItem)
+  TRANSLATED_FIELDS: ['question', 'options', 'explanation'],
+  SETTINGS_KEY: 'rfcp_quiz_settings',
+  QUESTION_COUNTS: [5, 10, 20],
+  DEFAULT_SETTINGS: {
+    questionCount: 10,
+    autoComplete: false,
+    autoCompleteThreshold: 3
+  }
+};
+
+/**
+ * Banco de questões
+ *
+ * Questão:
+ * { id, objectiveId, type, question, options: string[], answer, explanation?, translations? }
+ */
+class QuizBank {
+  /**
+   * @param {Array<Object>} questions - Questões do banco
+   */
+  constructor(questions = []) {
+    this.questions = questions;
+  }
+
+  /**
+   * Carrega o banco de questões no idioma ativo
+   * @param {string} url - Caminho do arquivo JSON
+   * @returns {Promise<QuizBank>}
+   * @throws {Error} Arquivo inválido ou inacessível
+   */
+  static async load(url = QUIZ_CONFIG.DATA_FILE) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Erro HTTP: ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data?.questions)) {
+      throw new Error('Formato inválido: propriedade "questions" não encontrada');
+    }
+
+    return new QuizBank(data.questions.map(question => I18n.localizeItem(question, QUIZ_CONFIG.TRANSLATED_FIELDS)));
+  }
+
+  /**
+   * Capítulo de uma questão (derivado do ID do objetivo)
+   * @param {Object} question - Questão
+   * @returns {string}
+   */
+  static getChapterId(question) {
+    return typeof ChapterIndex !== 'undefined'
+      ? ChapterIndex.getChapterId({ id: question.objectiveId })
+      : (/^LO-(\d+)/.exec(question.objectiveId) || [])[1];
+  }
+
+  /**
+   * Filtra questões por capítulo, nível e/ou objetivo
+   * @param {Object} criteria - { chapter?, level?, objectiveId? }
+   * @returns {Array<Object>}
+   */
+  filter({ chapter = null, level = null, objectiveId = null } = {}) {
+    return this.questions.filter(question =>
+      (!chapter || QuizBank.getChapterId(question) === chapter) &&
+      (!level || question.type === level) &&
+      (!objectiveId || question.objectiveId === objectiveId)
+    );
+  }
+
+  /**
+   * Sorteia questões (sem repetição)
+   * @param {Object} criteria - Critérios de filter()
+   * @param {number} count - Quantidade desejada
+   * @returns {Array<Object>}
+   */
+  draw(criteria, count) {
+    return QuizBank.shuffle(this.filter(criteria)).slice(0, count);
+  }
+
+  /**
+   * Embaralha uma lista (Fisher-Yates), sem alterar a original
+   * @param {Array} items - Lista
+   * @returns {Array}
+   */
+  static shuffle(items) {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+  }
+
+  /**
+   * Taxa de acerto por objetivo a partir das tentativas registradas
+   * @param {Object} attempts - Tentativas { [id]: { objectiveId, correct, deleted? } }
+   * @returns {Object<string, {correct: number, total: number}>}
+   */
+  static summarizeAttempts(attempts) {
+    const summary = {};
+    Object.values(attempts || {}).forEach(attempt => {
+      if (attempt.deleted) return;
+      const item = summary[attempt.objectiveId] || { correct: 0, total: 0 };
+      item.total++;
+      if (attempt.correct) item.correct++;
+      summary[attempt.objectiveId] = item;
+    });
+    return summary;
+  }
+
+  /**
+   * Verifica se o objetivo atingiu os acertos para conclusão automática
+   * @param {Object} attempts - Tentativas registradas
+   * @param {string} objectiveId - ID do objetivo
+   * @param {Object} settings - Preferências do quiz { autoComplete, autoCompleteThreshold }
+   * @returns {boolean}
+   */
+  static shouldAutoComplete(attempts, objectiveId, settings) {
+    if (!settings?.autoComplete) return false;
+    const summary = this.summarizeAttempts(attempts)[objectiveId];
+    return !!summary && summary.correct >= settings.autoCompleteThreshold;
+  }
+}
+
+/**
+ * Sessão de quiz em andamento
+ */
+class QuizSession {
+  /**
+   * @param {Array<Object>} questions - Questões sorteadas
+   */
+  constructor(questions) {
+    this.questions = questions;
+    this.index = 0;
+    this.answers = [];
+  }
+
+  /**
+   * Questão atual
+   * @returns {Object|null}
+   */
+  get current() {
+    return this.questions[this.index] || null;
+  }
+
+  /**
+   * Verifica se todas as questões foram respondidas
+   * @returns {boolean}
+   */
+  isFinished() {
+    return this.index >= this.questions.length;
+  }
+
+  /**
+   * Responde a questão atual
+   * @param {number} choice - Índice da alternativa escolhida
+   * @returns {Object} Tentativa { id, questionId, objectiveId, correct, answeredAt }
+   */
+  answer(choice) {
+    const question = this.current;
+    if (!question) {
+      throw new Error('Não há questão pendente neste quiz');
+    }
+
+    const attempt = {
+      id: `${question.id}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      questionId: question.id,
+      objectiveId: question.objectiveId,
+      correct: choice === question.answer,
+      answeredAt: new Date().toISOString()
+    };
+
+    this.answers.push({ question, choice, attempt });
+    return attempt;
+  }
+
+  /**
+   * Avança para a próxima questão
+   */
+  next() {
+    this.index++;
+  }
+
+  /**
+   * Pontuação da sessão
+   * @returns {{correct: number, total: number, percentage: number}}
+   */
+  getScore() {
+    const correct = this.answers.filter(item => item.attempt.correct).length;
+    const total = this.questions.length;
+    return { correct, total, percentage: total === 0 ? 0 : Math.round((correct / total) * 100) };
+  }
+}
+
+/**
+ * Janela modal simples usada pelos modos de prática
+ */
+class QuizModal {
+  /**
+   * @param {string} title - Título da janela
+   */
+  constructor(title) {
+    this.onClose = null;
+    this.beforeClose = null;
+    this.overlay = document.createElement('div');
+    this.overlay.className = 'quiz-overlay';
+    this.overlay.hidden = true;
+
+    this.dialog = document.createElement('div');
+    this.dialog.className = 'quiz-dialog';
+    this.dialog.setAttribute('role', 'dialog');
+    this.dialog.setAttribute('aria-modal', 'true');
+    this.dialog.setAttribute('aria-label', title);
+
+    const header = document.createElement('div');
+    header.className = 'quiz-header';
+    const heading = document.createElement('h2');
+    heading.textContent = title;
+    const closeButton = document.createElement('button');
+    closeButton.className = 'quiz-close';
+    closeButton.setAttribute('aria-label', I18n.t('app.close'));
+    closeButton.textContent = '✕';
+    closeButton.addEventListener('click', () => this.close());
+    header.append(heading, closeButton);
+
+    this.body = document.createElement('div');
+    this.body.className = 'quiz-body';
+
+    this.dialog.append(header, this.body);
+    this.overlay.appendChild(this.dialog);
+    this.overlay.addEventListener('click', (e) => {
+      if (e.target === this.overlay) this.close();
+    });
+    this.overlay.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') this.close();
+    });
+    document.body.appendChild(this.overlay);
+  }
+
+  /**
+   * Abre a janela
+   */
+  open() {
+    this.overlay.hidden = false;
+    this.dialog.querySelector('button')?.focus();
+  }
+
+  /**
+   * Fecha a janela (beforeClose pode impedir retornando false)
+   */
+  close() {
+    if (this.overlay.hidden) return;
+    if (typeof this.beforeClose === 'function' && this.beforeClose() === false) return;
+    this.overlay.hidden = true;
+    if (typeof this.onClose === 'function') this.onClose();
+  }
+
+  /**
+   * Substitui o conteúdo da janela
+   * @param {...Node} nodes - Elementos a exibir
+   */
+  setContent(...nodes) {
+    this.body.replaceChildren(...nodes);
+    this.body.querySelector('button, select, input')?.focus();
+  }
+
+  /**
+   * Cria um elemento com texto (sem interpretar HTML)
+   * @param {string} tag - Tag do elemento
+   * @param {string} className - Classe CSS
+   * @param {string} text - Texto
+   * @returns {HTMLElement}
+   */
+  static element(tag, className = '', text = '') {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * Cria um campo select com rótulo
+   * @param {string} label - Rótulo
+   * @param {Array<{value: string, label: string}>} options - Opções
+   * @param {string} value - Valor selecionado
+   * @returns {{wrapper: HTMLElement, select: HTMLSelectElement}}
+   */
+  static select(label, options, value = '') {
+    const wrapper = this.element('label', 'quiz-field');
+    wrapper.appendChild(this.element('span', '', label));
+    const select = document.createElement('select');
+    options.forEach(option => {
+      const item = this.element('option', '', option.label);
+      item.value = option.value;
+      item.selected = option.value === value;
+      select.appendChild(item);
+    });
+    wrapper.appendChild(select);
+    return { wrapper, select };
+  }
+}
+
+/**
+ * Interface do modo quiz
+ */
+class QuizUI {
+  /**
+   * @param {Object} options
+   * @param {QuizBank} options.bank - Banco de questões
+   * @param {Function} options.getChapters - Retorna [{ id, title }]
+   * @param {Function} options.onAnswer - Chamado com cada tentativa (async)
+   */
+  constructor({ bank, getChapters, onAnswer }) {
+    this.bank = bank;
+    this.getChapters = getChapters;
+    this.onAnswer = onAnswer;
+    this.session = null;
+    this.settings = QuizUI.loadSettings();
+    this.modal = new QuizModal(I18n.t('quiz.title'));
+  }
+
+  /**
+   * Carrega as preferências do quiz
+   * @returns {Object}
+   */
+  static loadSettings() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(QUIZ_CONFIG.SETTINGS_KEY));
+      return { ...QUIZ_CONFIG.DEFAULT_SETTINGS, ...(saved || {}) };
+    } catch (error) {
+      console.warn('Erro ao carregar preferências do quiz:', error);
+      return { ...QUIZ_CONFIG.DEFAULT_SETTINGS };
+    }
+  }
+
+  /**
+   * Persiste as preferências do quiz
+   */
+  saveSettings() {
+    try {
+      localStorage.setItem(QUIZ_CONFIG.SETTINGS_KEY, JSON.stringify(this.settings));
+    } catch (error) {
+      console.warn('Erro ao salvar preferências do quiz:', error);
+    }
+  }
+
+  /**
+   * Abre o quiz na tela de configuração
+   * @param {Object} criteria - Filtros iniciais { chapter?, level? }
+   */
+  open(criteria = {}) {
+    this.session = null;
+    this.renderSetup(criteria);
+    this.modal.open();
+  }
+
+  /**
+   * Tela de configuração: capítulo, nível, quantidade e auto-conclusão
+   * @param {Object} criteria - Filtros iniciais
+   */
+  renderSetup(criteria) {
+    const form = QuizModal.element('form', 'quiz-setup');
+
+    const chapter = QuizModal.select(I18n.t('filters.chapter'), [
+      { value: '', label: I18n.t('filters.all') },
+      ...this.getChapters().map(item => ({ value: item.id, label: `${I18n.t('filters.chapterShort', { id: item.id })} · ${item.title}` }))
+    ], criteria.chapter || '');
+
+    const levels = [...new Set(this.bank.questions.map(question => question.type))].sort();
+    const level = QuizModal.select(I18n.t('filters.level'), [
+      { value: '', label: I18n.t('filters.all') },
+      ...levels.map(item => ({ value: item, label: item }))
+    ], criteria.level || '');
+
+    const count = QuizModal.select(I18n.t('quiz.count'),
+      QUIZ_CONFIG.QUESTION_COUNTS.map(item => ({ value: String(item), label: String(item) })),
+      String(this.settings.questionCount)
+    );
+
+    const autoLabel = QuizModal.element('label', 'quiz-field quiz-checkbox');
+    const autoComplete = document.createElement('input');
+    autoComplete.type = 'checkbox';
+    autoComplete.checked = this.settings.autoComplete;
+    const threshold = document.createElement('input');
+    threshold.type = 'number';
+    threshold.min = '1';
+    threshold.max = '10';
+    threshold.value = String(this.settings.autoCompleteThreshold);
+    threshold.setAttribute('aria-label', I18n.t('quiz.thresholdLabel'));
+    autoLabel.append(
+      autoComplete,
+      QuizModal.element('span', '', I18n.t('quiz.autoCompleteBefore')),
+      threshold,
+      QuizModal.element('span', '', I18n.t('quiz.autoCompleteAfter'))
+    );
+
+    const available = QuizModal.element('p', 'quiz-available');
+    const updateAvailable = () => {
+      const total = this.bank.filter({ chapter: chapter.select.value, level: level.select.value }).length;
+      available.textContent = I18n.t('quiz.available', { count: total });
+    };
+    chapter.select.addEventListener('change', updateAvailable);
+    level.select.addEventListener('change', updateAvailable);
+    updateAvailable();
+
+    const start = QuizModal.element('button', 'action-btn quiz-primary', I18n.t('quiz.start'));
+    start.type = 'submit';
+
+    form.append(chapter.wrapper, level.wrapper, count.wrapper, autoLabel, available, start);
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.settings = {
+        questionCount: Number(count.select.value),
+        autoComplete: autoComplete.checked,
+        autoCompleteThreshold: Math.max(1, Number(threshold.value) || QUIZ_CONFIG.DEFAULT_SETTINGS.autoCompleteThreshold)
+      };
+      this.saveSettings();
+      this.start({ chapter: chapter.select.value, level: level.select.value });
+    });
+
+    this.modal.setContent(form);
+  }
+
+  /**
+   * Sorteia as questões e inicia a sessão
+   * @param {Object} criteria - { chapter, level }
+   */
+  start(criteria) {
+    const questions = this.bank.draw(criteria, this.settings.questionCount);
+    if (questions.length === 0) {
+      this.modal.setContent(
+        QuizModal.element('p', 'quiz-empty', I18n.t('quiz.empty')),
+        this.createButton(I18n.t('quiz.back'), () => this.renderSetup(criteria))
+      );
+      return;
+    }
+
+    this.session = new QuizSession(questions);
+    this.renderQuestion();
+  }
+
+  /**
+   * Exibe a questão atual
+   */
+  renderQuestion() {
+    const question = this.session.current;
+    const progress = QuizModal.element('p', 'quiz-progress', I18n.t('quiz.progress', {
+      current: this.session.index + 1,
+      total: this.session.questions.length,
+      id: question.objectiveId,
+      level: question.type
+    }));
+    const text = QuizModal.element('p', 'quiz-question', question.question);
+    const options = QuizModal.element('div', 'quiz-options');
+    const feedback = QuizModal.element('div', 'quiz-feedback');
+    feedback.setAttribute('aria-live', 'polite');
+
+    question.options.forEach((option, index) => {
+      const button = this.createButton(option, async () => {
+        options.querySelectorAll('button').forEach(item => { item.disabled = true; });
+        const attempt = this.session.answer(index);
+
+        button.classList.add(attempt.correct ? 'correct' : 'wrong');
+        options.children[question.answer]?.classList.add('correct');
+        feedback.replaceChildren(
+          QuizModal.element('strong', '', I18n.t(attempt.correct ? 'quiz.correct' : 'quiz.wrong')),
+          QuizModal.element('p', '', question.explanation || '')
+        );
+
+        const next = this.createButton(
+          I18n.t(this.session.index + 1 < this.session.questions.length ? 'quiz.next' : 'quiz.showResult'),
+          () => {
+            this.session.next();
+            if (this.session.isFinished()) {
+              this.renderResult();
+            } else {
+              this.renderQuestion();
+            }
+          },
+          'action-btn quiz-primary'
+        );
+        feedback.appendChild(next);
+        next.focus();
+
+        await this.onAnswer?.(attempt, this.settings);
+      }, 'quiz-option');
+      options.appendChild(button);
+    });
+
+    this.modal.setContent(progress, text, options, feedback);
+  }
+
+  /**
+   * Exibe a pontuação final e o desempenho por objetivo
+   */
+  renderResult() {
+    const score = this.session.getScore();
+    const title = QuizModal.element('p', 'quiz-score', I18n.t('quiz.score', score));
+
+    const byObjective = {};
+    this.session.answers.forEach(({ attempt }) => {
+      const item = byObjective[attempt.objectiveId] || { correct: 0, total: 0 };
+      item.total++;
+      if (attempt.correct) item.correct++;
+      byObjective[attempt.objectiveId] = item;
+    });
+
+    const list = QuizModal.element('ul', 'quiz-result-list');
+    Object.entries(byObjective).forEach(([objectiveId, item]) => {
+      list.appendChild(QuizModal.element('li', '', `${objectiveId}: ${item.correct}/${item.total}`));
+    });
+
+    const actions = QuizModal.element('div', 'quiz-actions');
+    actions.append(
+      this.createButton(I18n.t('quiz.again'), () => this.renderSetup({}), 'action-btn quiz-primary'),
+      this.createButton(I18n.t('app.close'), () => this.modal.close(), 'action-btn')
+    );
+
+    this.modal.setContent(title, list, actions);
+  }
+
+  /**
+   * Cria um botão com texto e ação
+   * @param {string} text - Texto do botão
+   * @param {Function} onClick - Ação
+   * @param {string} className - Classe CSS
+   * @returns {HTMLButtonElement}
+   */
+  createButton(text, onClick, className = 'action-btn') {
+    const button = QuizModal.element('button', className, text);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.QuizBank = QuizBank;
+  window.QuizSession = QuizSession;
+  window.QuizModal = QuizModal;
+  window.QuizUI = QuizUI;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QuizBank, QuizSession, QuizModal, QuizUI, QUIZ_CONFIG };
+}
@@ -0,0 +1,191 @@
+/**
+ * Agendador de revisões espaçadas para RFCP Tracker
+ * Implementa o algoritmo SM-2 para revisar objetivos já concluídos
+ * @fileoverview Cálculo de intervalos, fila de revisões do dia
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações do agendador
+ */
+const REVIEW_CONFIG = {
+  DEFAULT_EASE: 2.5,
+  MIN_EASE: 1.3,
+  FIRST_INTERVAL_DAYS: 1,
+  SECOND_INTERVAL_DAYS: 6,
+  HARD_INTERVAL_FACTOR: 1.2,
+  EASY_BONUS: 1.3,
+  DAY_MS: 24 * 60 * 60 * 1000,
+  // Qualidade da lembrança na escala 0-5 do SM-2
+  GRADES: {
+    again: { quality: 1, label: 'De novo' },
+    hard: { quality: 3, label: 'Difícil' },
+    good: { quality: 4, label: 'Bom' },
+    easy: { quality: 5, label: 'Fácil' }
+  }
+};
+
+/**
+ * Agendador SM-2
+ *
+ * Registro de revisão por objetivo:
+ * { ease, interval, repetitions, dueAt, updatedAt, lastGrade?, lastReviewedAt? }
+ */
+class ReviewScheduler {
+  /**
+   * Soma dias a uma data
+   * @param {string|Date} date - Data base
+   * @param {number} days - Dias
+   * @returns {string} Data ISO
+   */
+  static addDays(date, days) {
+    return new Date(new Date(date).getTime() + days * REVIEW_CONFIG.DAY_MS).toISOString();
+  }
+
+  /**
+   * Cria o registro inicial de um objetivo recém-concluído
+   * @param {string} completedAt - Data de conclusão (ISO)
+   * @param {string} updatedAt - Momento da alteração (ISO)
+   * @returns {Object}
+   */
+  static createEntry(completedAt, updatedAt = new Date().toISOString()) {
+    return {
+      ease: REVIEW_CONFIG.DEFAULT_EASE,
+      interval: 0,
+      repetitions: 0,
+      dueAt: this.addDays(completedAt, REVIEW_CONFIG.FIRST_INTERVAL_DAYS),
+      updatedAt
+    };
+  }
+
+  /**
+   * Registro efetivo de um objetivo concluído
+   * Objetivos concluídos antes do agendador não têm registro; nesse caso
+   * ele é derivado da data de conclusão (sem ser gravado).
+   * @param {Object|undefined} entry - Registro salvo
+   * @param {string|undefined} completedAt - Data de conclusão
+   * @returns {Object}
+   */
+  static getEntry(entry, completedAt) {
+    if (entry) return entry;
+    return this.createEntry(completedAt || new Date().toISOString(), new Date(0).toISOString());
+  }
+
+  /**
+   * Calcula o próximo agendamento após uma avaliação
+   * @param {Object} entry - Registro atual
+   * @param {string} grade - again, hard, good ou easy
+   * @param {Date} now - Momento da avaliação
+   * @returns {Object} Novo registro
+   * @throws {Error} Avaliação desconhecida
+   */
+  static grade(entry, grade, now = new Date()) {
+    const gradeInfo = REVIEW_CONFIG.GRADES[grade];
+    if (!gradeInfo) {
+      throw new Error(`Avaliação de revisão inválida: ${grade}`);
+    }
+
+    const quality = gradeInfo.quality;
+    const current = {
+      ease: REVIEW_CONFIG.DEFAULT_EASE,
+      interval: 0,
+      repetitions: 0,
+      ...entry
+    };
+
+    let repetitions;
+    let interval;
+
+    if (quality < 3) {
+      repetitions = 0;
+      interval = REVIEW_CONFIG.FIRST_INTERVAL_DAYS;
+    } else {
+      repetitions = current.repetitions + 1;
+      if (repetitions === 1) {
+        interval = REVIEW_CONFIG.FIRST_INTERVAL_DAYS;
+      } else if (repetitions === 2) {
+        interval = REVIEW_CONFIG.SECOND_INTERVAL_DAYS;
+      } else {
+        interval = Math.round(current.interval * current.ease);
+      }
+
+      if (grade === 'hard') {
+        interval = Math.max(REVIEW_CONFIG.FIRST_INTERVAL_DAYS, Math.round(current.interval * REVIEW_CONFIG.HARD_INTERVAL_FACTOR));
+      } else if (grade === 'easy') {
+        interval = Math.max(interval + 1, Math.round(interval * REVIEW_CONFIG.EASY_BONUS));
+      }
+    }
+
+    // Fórmula de facilidade do SM-2
+    const ease = Math.max(
+      REVIEW_CONFIG.MIN_EASE,
+      current.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+    );
+
+    const reviewedAt = now.toISOString();
+    return {
+      ease: Math.round(ease * 100) / 100,
+      interval,
+      repetitions,
+      dueAt: this.addDays(now, interval),
+      updatedAt: reviewedAt,
+      lastGrade: grade,
+      lastReviewedAt: reviewedAt
+    };
+  }
+
+  /**
+   * Verifica se a revisão vence até o fim do dia
+   * @param {Object} entry - Registro de revisão
+   * @param {Date} now - Momento de referência
+   * @returns {boolean}
+   */
+  static isDue(entry, now = new Date()) {
+    const endOfDay = new Date(now);
+    endOfDay.setHours(23, 59, 59, 999);
+    return new Date(entry.dueAt).getTime() <= endOfDay.getTime();
+  }
+
+  /**
+   * Lista os objetivos concluídos com revisão vencida, mais atrasados primeiro
+   * @param {Object} reviews - Registros por objetivo
+   * @param {string[]} completedIds - IDs concluídos
+   * @param {Object} completionDates - Datas de conclusão
+   * @param {Date} now - Momento de referência
+   * @returns {Array<{id: string, entry: Object}>}
+   */
+  static getDue(reviews, completedIds, completionDates = {}, now = new Date()) {
+    return completedIds
+      .map(id => ({ id, entry: this.getEntry(reviews?.[id], completionDates[id]) }))
+      .filter(item => this.isDue(item.entry, now))
+      .sort((a, b) => new Date(a.entry.dueAt) - new Date(b.entry.dueAt));
+  }
+
+  /**
+   * Intervalo que cada avaliação geraria (prévia para os botões)
+   * @param {Object} entry - Registro atual
+   * @param {Date} now - Momento de referência
+   * @returns {Object<string, number>} Dias por avaliação
+   */
+  static previewIntervals(entry, now = new Date()) {
+    const preview = {};
+    Object.keys(REVIEW_CONFIG.GRADES).forEach(grade => {
+      preview[grade] = this.grade(entry, grade, now).interval;
+    });
+    return preview;
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.ReviewScheduler = ReviewScheduler;
+  window.REVIEW_CONFIG = REVIEW_CONFIG;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ReviewScheduler, REVIEW_CONFIG };
+}
@@ -0,0 +1,127 @@
+/**
+ * Renderização segura de HTML para RFCP Tracker
+ * Templates que escapam os valores interpolados e URLs restritas a esquemas
+ * permitidos, para que syllabus ou arquivos importados não injetem scripts
+ * @fileoverview Camada de templates e escape de HTML
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações da renderização segura
+ */
+const SAFE_HTML_CONFIG = {
+  ESCAPES: {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;'
+  },
+  // Esquemas aceitos em href de conteúdo vindo de dados (syllabus, progresso)
+  URL_PROTOCOLS: ['http:', 'https:'],
+  FALLBACK_URL: '#'
+};
+
+/**
+ * Trecho de HTML confiável
+ *
+ * Só é criado pelo template (que escapa cada valor) ou explicitamente por
+ * SafeHtml.raw, para markup já sanitizado (ex.: MarkdownRenderer). Qualquer
+ * outro valor interpolado é tratado como texto.
+ */
+class SafeHtml {
+  /**
+   * @param {string} markup - HTML confiável
+   */
+  constructor(markup) {
+    this.markup = String(markup);
+  }
+
+  /**
+   * @returns {string}
+   */
+  toString() {
+    return this.markup;
+  }
+
+  /**
+   * Escapa caracteres especiais de HTML
+   * @param {*} value - Valor
+   * @returns {string}
+   */
+  static escape(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => SAFE_HTML_CONFIG.ESCAPES[char]);
+  }
+
+  /**
+   * Marca um HTML como confiável (não é escapado no template)
+   * @param {string} markup - HTML já sanitizado
+   * @returns {SafeHtml}
+   */
+  static raw(markup) {
+    return markup instanceof SafeHtml ? markup : new SafeHtml(markup);
+  }
+
+  /**
+   * Template com escape automático (uso: SafeHtml.html`<p>${texto}</p>`)
+   * Valores SafeHtml entram sem escape; listas são concatenadas item a item;
+   * null, undefined e false não geram saída.
+   * @param {string[]} strings - Partes literais do template
+   * @param {...*} values - Valores interpolados
+   * @returns {SafeHtml}
+   */
+  static html(strings, ...values) {
+    const render = value => {
+      if (value === null || value === undefined || value === false) return '';
+      if (Array.isArray(value)) return value.map(render).join('');
+      if (value instanceof SafeHtml) return value.markup;
+      return SafeHtml.escape(value);
+    };
+
+    return new SafeHtml(strings.reduce((markup, part, index) =>
+      markup + part + (index < values.length ? render(values[index]) : ''), ''));
+  }
+
+  /**
+   * URL permitida para href (http/https) ou o valor de fallback
+   * Bloqueia javascript:, data: e similares vindos do syllabus ou do progresso.
+   * @param {string} url - URL
+   * @param {string} fallback - Valor usado quando a URL não é permitida
+   * @returns {string}
+   */
+  static url(url, fallback = SAFE_HTML_CONFIG.FALLBACK_URL) {
+    try {
+      const parsed = new URL(String(url ?? '').trim());
+      return SAFE_HTML_CONFIG.URL_PROTOCOLS.includes(parsed.protocol) ? parsed.href : fallback;
+    } catch (error) {
+      return fallback;
+    }
+  }
+
+  /**
+   * Define o conteúdo de um elemento: SafeHtml como HTML, o resto como texto
+   * @param {Element} element - Elemento
+   * @param {SafeHtml|string} content - Conteúdo
+   */
+  static setContent(element, content) {
+    if (content instanceof SafeHtml) {
+      element.innerHTML = content.markup;
+    } else {
+      element.textContent = content ?? '';
+    }
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.SafeHtml = SafeHtml;
+  window.SAFE_HTML_CONFIG = SAFE_HTML_CONFIG;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SafeHtml, SAFE_HTML_CONFIG };
+}
@@ -0,0 +1,483 @@
+/**
+ * Painel de estatísticas para RFCP Tracker
+ * Calcula indicadores a partir das datas de conclusão e do syllabus e os
+ * desenha em SVG, sem dependências externas
+ * @fileoverview Cálculo de estatísticas, gráficos SVG e página stats.html
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações do painel de estatísticas
+ */
+const STATS_CONFIG = {
+  // Chave base do progresso; o syllabus ativo define o namespace
+  STORAGE_KEY: 'rfcpProgressv2',
+  WEEKS: 12,
+  DAY_MS: 24 * 60 * 60 * 1000,
+  CHART: {
+    WIDTH: 600,
+    HEIGHT: 260,
+    PADDING: { top: 20, right: 20, bottom: 40, left: 50 },
+    Y_TICKS: 4,
+    ROW_HEIGHT: 28,
+    COLORS: {
+      primary: '#667eea',
+      secondary: '#764ba2',
+      projection: '#9b7de8',
+      marker: '#e53935',
+      grid: '#eee',
+      track: '#ebedf0',
+      text: '#586069'
+    }
+  }
+};
+
+/**
+ * Cálculos das estatísticas (funções puras)
+ */
+class StatsCalculator {
+  /**
+   * Agrupa os IDs concluídos por dia (fuso local)
+   * @param {Object} completionDates - Datas de conclusão por ID
+   * @returns {Object<string, string[]>}
+   */
+  static completionsPerDay(completionDates) {
+    const days = {};
+    Object.entries(completionDates || {}).forEach(([id, date]) => {
+      if (Number.isNaN(new Date(date).getTime())) return;
+      const dateKey = StudyPlanner.toDateKey(date);
+      (days[dateKey] = days[dateKey] || []).push(id);
+    });
+    return days;
+  }
+
+  /**
+   * Minutos restantes ao fim de cada dia, da véspera da primeira conclusão até hoje
+   * @param {Array} objectives - Objetivos do syllabus
+   * @param {Object} completionDates - Datas de conclusão dos objetivos do syllabus
+   * @param {Date} now - Momento de referência
+   * @returns {Array<{date: Date, remaining: number}>}
+   */
+  static burndown(objectives, completionDates, now = new Date()) {
+    const minutesById = new Map(objectives.map(obj => [obj.id, Number(obj.time_min) || 0]));
+    const perDay = this.completionsPerDay(completionDates);
+    const today = StudyPlanner.parseDate(StudyPlanner.toDateKey(now));
+    const first = Object.keys(perDay).sort()[0];
+    const start = first ? StudyPlanner.parseDate(first) : today;
+
+    let remaining = [...minutesById.values()].reduce((sum, minutes) => sum + minutes, 0);
+    const points = [];
+    for (let date = this.shiftDate(start, -1); date <= today; date = this.shiftDate(date, 1)) {
+      (perDay[StudyPlanner.toDateKey(date)] || []).forEach(id => {
+        remaining -= minutesById.get(id) || 0;
+      });
+      points.push({ date, remaining });
+    }
+    return points;
+  }
+
+  /**
+   * Conclusões por semana (semanas começando no domingo)
+   * @param {Object} completionDates - Datas de conclusão
+   * @param {number} weeks - Número de semanas, terminando na semana atual
+   * @param {Date} now - Momento de referência
+   * @returns {Array<{weekStart: Date, count: number}>}
+   */
+  static weeklyCompletions(completionDates, weeks = STATS_CONFIG.WEEKS, now = new Date()) {
+    const today = StudyPlanner.parseDate(StudyPlanner.toDateKey(now));
+    const currentWeek = this.shiftDate(today, -today.getDay());
+    const buckets = [];
+    for (let i = weeks - 1; i >= 0; i--) {
+      buckets.push({ weekStart: this.shiftDate(currentWeek, -7 * i), count: 0 });
+    }
+
+    Object.values(completionDates || {}).forEach(date => {
+      const day = StudyPlanner.parseDate(StudyPlanner.toDateKey(date));
+      // Dias inteiros: com horário de verão, uma semana pode ter uma hora a menos
+      const days = Math.round((day - buckets[0].weekStart) / STATS_CONFIG.DAY_MS);
+      const index = Math.floor(days / 7);
+      if (index >= 0 && index < buckets.length) buckets[index].count++;
+    });
+
+    return buckets;
+  }
+
+  /**
+   * Concluídos/total por nível de conhecimento
+   * @param {Array} objectives - Objetivos do syllabus
+   * @param {string[]} completedIds - IDs concluídos
+   * @returns {Array<{label: string, completed: number, total: number}>}
+   */
+  static byLevel(objectives, completedIds) {
+    const completed = new Set(completedIds);
+    const levels = new Map();
+    objectives.forEach(obj => {
+      const level = levels.get(obj.type) || { label: obj.type, completed: 0, total: 0 };
+      level.total++;
+      if (completed.has(obj.id)) level.completed++;
+      levels.set(obj.type, level);
+    });
+    return [...levels.values()].sort((a, b) => a.label.localeCompare(b.label));
+  }
+
+  /**
+   * Ritmo de estudo e projeção de término
+   * O ritmo considera os dias desde a primeira conclusão até hoje; a projeção
+   * usa os minutos concluídos por dia, já que os objetivos têm durações diferentes.
+   * @param {Array} objectives - Objetivos do syllabus
+   * @param {Object} completionDates - Datas de conclusão dos objetivos do syllabus
+   * @param {Date} now - Momento de referência
+   * @returns {Object} { completed, total, remainingMinutes, activeDays, objectivesPerDay, minutesPerDay, projectedDate }
+   */
+  static pace(objectives, completionDates, now = new Date()) {
+    const ids = new Set(Object.keys(completionDates || {}));
+    const done = objectives.filter(obj => ids.has(obj.id));
+    const completedMinutes = done.reduce((sum, obj) => sum + (Number(obj.time_min) || 0), 0);
+    const totalMinutes = objectives.reduce((sum, obj) => sum + (Number(obj.time_min) || 0), 0);
+    const remainingMinutes = totalMinutes - completedMinutes;
+
+    const today = StudyPlanner.parseDate(StudyPlanner.toDateKey(now));
+    const first = Object.keys(this.completionsPerDay(completionDates)).sort()[0];
+    const activeDays = first ? Math.round((today - StudyPlanner.parseDate(first)) / STATS_CONFIG.DAY_MS) + 1 : 0;
+    const minutesPerDay = activeDays > 0 ? completedMinutes / activeDays : 0;
+
+    let projectedDate = null;
+    if (remainingMinutes <= 0 && done.length > 0) {
+      projectedDate = today;
+    } else if (minutesPerDay > 0) {
+      projectedDate = this.shiftDate(today, Math.ceil(remainingMinutes / minutesPerDay));
+    }
+
+    return {
+      completed: done.length,
+      total: objectives.length,
+      remainingMinutes,
+      activeDays,
+      objectivesPerDay: activeDays > 0 ? done.length / activeDays : 0,
+      minutesPerDay,
+      projectedDate
+    };
+  }
+
+  /**
+   * Soma dias a uma data (fuso local, meia-noite)
+   * @param {Date} date - Data base
+   * @param {number} days - Dias
+   * @returns {Date}
+   */
+  static shiftDate(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+}
+
+/**
+ * Gráficos SVG simples (retornam a marcação como SafeHtml)
+ */
+class SvgChart {
+  /**
+   * Data curta (dd/mm)
+   * @param {Date} date - Data
+   * @returns {string}
+   */
+  static shortDate(date) {
+    return date.toLocaleDateString(I18n.getLocale(), { day: '2-digit', month: '2-digit' });
+  }
+
+  /**
+   * Valor máximo "redondo" para o eixo Y
+   * @param {number} max - Maior valor
+   * @returns {number}
+   */
+  static niceMax(max) {
+    const ticks = STATS_CONFIG.CHART.Y_TICKS;
+    if (max <= 0) return ticks;
+    const rawStep = max / ticks;
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    const factor = [1, 2, 5, 10].find(candidate => candidate * magnitude >= rawStep);
+    // Passos inteiros para contagens pequenas
+    return Math.max(1, factor * magnitude) * ticks;
+  }
+
+  /**
+   * Linhas de grade e rótulos do eixo Y
+   * @param {number} maxY - Valor máximo do eixo
+   * @param {Function} y - Escala do eixo Y
+   * @returns {SafeHtml[]}
+   */
+  static yAxis(maxY, y) {
+    const { WIDTH, PADDING, Y_TICKS, COLORS } = STATS_CONFIG.CHART;
+    const markup = [];
+    for (let i = 0; i <= Y_TICKS; i++) {
+      const value = (maxY / Y_TICKS) * i;
+      markup.push(SafeHtml.html`
+        <line x1="${PADDING.left}" x2="${WIDTH - PADDING.right}" y1="${y(value)}" y2="${y(value)}" stroke="${COLORS.grid}" />
+        <text x="${PADDING.left - 8}" y="${y(value) + 4}" text-anchor="end" font-size="11" fill="${COLORS.text}">${Math.round(value)}</text>
+      `);
+    }
+    return markup;
+  }
+
+  /**
+   * Gráfico de linha temporal (burn-down) com projeção e marcador opcionais
+   * @param {Object} options - { points: [{date, value}], projection?, marker?: {date, label}, label }
+   * @returns {SafeHtml}
+   */
+  static lineChart({ points, projection = [], marker = null, label }) {
+    const { WIDTH, HEIGHT, PADDING, COLORS } = STATS_CONFIG.CHART;
+    const all = [...points, ...projection];
+    const times = all.map(point => point.date.getTime());
+    if (marker) times.push(marker.date.getTime());
+
+    const minX = Math.min(...times);
+    const maxX = Math.max(...times, minX + STATS_CONFIG.DAY_MS);
+    const maxY = this.niceMax(Math.max(...all.map(point => point.value)));
+    const x = date => PADDING.left + ((date.getTime() - minX) / (maxX - minX)) * (WIDTH - PADDING.left - PADDING.right);
+    const y = value => HEIGHT - PADDING.bottom - (value / maxY) * (HEIGHT - PADDING.top - PADDING.bottom);
+    const path = series => series.map((point, index) => `${index === 0 ? 'M' : 'L'}${x(point.date).toFixed(1)},${y(point.value).toFixed(1)}`).join(' ');
+
+    const xLabels = [new Date(minX), new Date(maxX)].map((date, index) => SafeHtml.html`
+      <text x="${x(date)}" y="${HEIGHT - PADDING.bottom + 18}" text-anchor="${index === 0 ? 'start' : 'end'}" font-size="11" fill="${COLORS.text}">${this.shortDate(date)}</text>
+    `);
+
+    const markerMarkup = marker && SafeHtml.html`
+      <line x1="${x(marker.date)}" x2="${x(marker.date)}" y1="${PADDING.top}" y2="${HEIGHT - PADDING.bottom}" stroke="${COLORS.marker}" stroke-dasharray="4 3" />
+      <text x="${x(marker.date) - 4}" y="${PADDING.top + 10}" text-anchor="end" font-size="11" fill="${COLORS.marker}">${marker.label}</text>
+    `;
+
+    return SafeHtml.html`
+      <svg class="stats-chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${label}">
+        ${this.yAxis(maxY, y)}
+        ${xLabels}
+        ${markerMarkup}
+        ${projection.length > 1 && SafeHtml.html`<path d="${path(projection)}" fill="none" stroke="${COLORS.projection}" stroke-width="2" stroke-dasharray="6 4" />`}
+        <path d="${path(points)}" fill="none" stroke="${COLORS.primary}" stroke-width="2.5" />
+      </svg>
+    `;
+  }
+
+  /**
+   * Gráfico de barras verticais
+   * @param {Object} options - { bars: [{label, value, title}], label }
+   * @returns {SafeHtml}
+   */
+  static barChart({ bars, label }) {
+    const { WIDTH, HEIGHT, PADDING, COLORS } = STATS_CONFIG.CHART;
+    const maxY = this.niceMax(Math.max(0, ...bars.map(bar => bar.value)));
+    const slot = (WIDTH - PADDING.left - PADDING.right) / Math.max(1, bars.length);
+    const y = value => HEIGHT - PADDING.bottom - (value / maxY) * (HEIGHT - PADDING.top - PADDING.bottom);
+    // Com muitas barras, rotula uma sim e outra não
+    const labelEvery = bars.length > 8 ? 2 : 1;
+
+    const markup = bars.map((bar, index) => {
+      const barX = PADDING.left + slot * index + slot * 0.15;
+      const barWidth = slot * 0.7;
+      const showLabel = (bars.length - 1 - index) % labelEvery === 0;
+      return SafeHtml.html`
+        <g>
+          <title>${bar.title || `${bar.label}: ${bar.value}`}</title>
+          <rect x="${barX}" y="${y(bar.value)}" width="${barWidth}" height="${y(0) - y(bar.value)}" rx="2" fill="${COLORS.secondary}" />
+          ${bar.value > 0 && SafeHtml.html`<text x="${barX + barWidth / 2}" y="${y(bar.value) - 4}" text-anchor="middle" font-size="11" fill="${COLORS.text}">${bar.value}</text>`}
+          ${showLabel && SafeHtml.html`<text x="${barX + barWidth / 2}" y="${HEIGHT - PADDING.bottom + 18}" text-anchor="middle" font-size="11" fill="${COLORS.text}">${bar.label}</text>`}
+        </g>
+      `;
+    });
+
+    return SafeHtml.html`
+      <svg class="stats-chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${label}">
+        ${this.yAxis(maxY, y)}
+        ${markup}
+      </svg>
+    `;
+  }
+
+  /**
+   * Barras horizontais de progresso (concluídos/total)
+   * @param {Object} options - { rows: [{label, completed, total}], label }
+   * @returns {SafeHtml}
+   */
+  static progressRows({ rows, label }) {
+    const { WIDTH, ROW_HEIGHT, COLORS } = STATS_CONFIG.CHART;
+    const labelWidth = 220;
+    const valueWidth = 90;
+    const trackWidth = WIDTH - labelWidth - valueWidth;
+    const height = rows.length * ROW_HEIGHT;
+
+    const markup = rows.map((row, index) => {
+      const top = index * ROW_HEIGHT;
+      const ratio = row.total > 0 ? row.completed / row.total : 0;
+      return SafeHtml.html`
+        <g>
+          <title>${row.label}: ${row.completed}/${row.total}</title>
+          <text x="0" y="${top + ROW_HEIGHT / 2 + 4}" font-size="12" fill="${COLORS.text}">${row.label}</text>
+          <rect x="${labelWidth}" y="${top + 6}" width="${trackWidth}" height="${ROW_HEIGHT - 12}" rx="4" fill="${COLORS.track}" />
+          <rect x="${labelWidth}" y="${top + 6}" width="${trackWidth * ratio}" height="${ROW_HEIGHT - 12}" rx="4" fill="${COLORS.primary}" />
+          <text x="${WIDTH}" y="${top + ROW_HEIGHT / 2 + 4}" text-anchor="end" font-size="12" fill="${COLORS.text}">${row.completed}/${row.total} (${Math.round(ratio * 100)}%)</text>
+        </g>
+      `;
+    });
+
+    return SafeHtml.html`
+      <svg class="stats-chart" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="${label}">
+        ${markup}
+      </svg>
+    `;
+  }
+}
+
+/**
+ * Página de estatísticas (stats.html)
+ */
+class StatsPage {
+  constructor() {
+    this.elements = {
+      summary: document.getElementById('stats-summary'),
+      burndown: document.getElementById('chart-burndown'),
+      weekly: document.getElementById('chart-weekly'),
+      levels: document.getElementById('chart-levels'),
+      chapters: document.getElementById('chart-chapters'),
+      syllabusName: document.getElementById('stats-syllabus-name'),
+      error: document.getElementById('stats-error')
+    };
+  }
+
+  /**
+   * Carrega o syllabus ativo e o progresso local e renderiza o painel
+   * @returns {Promise<void>}
+   */
+  async init() {
+    I18n.translatePage();
+    try {
+      const entry = SyllabusRegistry.getActiveEntry(await SyllabusRegistry.load());
+      if (this.elements.syllabusName) this.elements.syllabusName.textContent = entry.name;
+
+      const response = await fetch(entry.dataFile);
+      if (!response.ok) {
+        throw new Error(`Erro HTTP: ${response.status}`);
+      }
+
+      const { data, errors } = SyllabusSchema.validate(await response.text());
+      if (!data) {
+        throw new Error(SyllabusSchema.format(errors[0]));
+      }
+      if (errors.length > 0) {
+        console.warn(`⚠️ ${errors.length} objetivo(s) inválido(s) ignorado(s):`, errors.map(error => SyllabusSchema.format(error)));
+      }
+
+      this.objectives = data.lessons.map(lesson => I18n.localizeItem(lesson));
+      this.chapters = ChapterIndex.build(this.objectives, (data.chapters || []).map(chapter => I18n.localizeItem(chapter)));
+      this.progress = ProgressModel.normalize(JSON.parse(localStorage.getItem(SyllabusRegistry.namespaced(STATS_CONFIG.STORAGE_KEY, entry.id)) || 'null'));
+      this.render();
+    } catch (error) {
+      console.error('❌ Erro ao carregar estatísticas:', error);
+      if (this.elements.error) {
+        this.elements.error.hidden = false;
+        this.elements.error.textContent = I18n.t('stats.loadError', { message: error.message });
+      }
+    }
+  }
+
+  /**
+   * Renderiza indicadores e gráficos
+   */
+  render() {
+    const now = new Date();
+    const knownIds = new Set(this.objectives.map(obj => obj.id));
+    // Considera apenas objetivos que existem no syllabus atual
+    const completionDates = {};
+    this.progress.completedIds.filter(id => knownIds.has(id)).forEach(id => {
+      completionDates[id] = this.progress.completionDates[id] || now.toISOString();
+    });
+    const completedIds = Object.keys(completionDates);
+
+    const pace = StatsCalculator.pace(this.objectives, completionDates, now);
+    const examDate = this.progress.settings?.studyPlan?.examDate;
+    this.renderSummary(pace, examDate);
+
+    const burndown = StatsCalculator.burndown(this.objectives, completionDates, now);
+    const last = burndown[burndown.length - 1];
+    const projection = pace.projectedDate && last.remaining > 0
+      ? [{ date: last.date, value: last.remaining }, { date: pace.projectedDate, value: 0 }]
+      : [];
+    SafeHtml.setContent(this.elements.burndown, SvgChart.lineChart({
+      points: burndown.map(point => ({ date: point.date, value: point.remaining })),
+      projection,
+      marker: examDate ? { date: StudyPlanner.parseDate(examDate), label: I18n.t('stats.examMarker') } : null,
+      label: I18n.t('stats.burndownLabel')
+    }));
+
+    SafeHtml.setContent(this.elements.weekly, SvgChart.barChart({
+      bars: StatsCalculator.weeklyCompletions(completionDates, STATS_CONFIG.WEEKS, now).map(week => ({
+        label: SvgChart.shortDate(week.weekStart),
+        value: week.count,
+        title: I18n.t('stats.week', { date: week.weekStart.toLocaleDateString(I18n.getLocale()), count: week.count })
+      })),
+      label: I18n.t('stats.weeklyLabel')
+    }));
+
+    SafeHtml.setContent(this.elements.levels, SvgChart.progressRows({
+      rows: StatsCalculator.byLevel(this.objectives, completedIds),
+      label: I18n.t('stats.levelsLabel')
+    }));
+
+    SafeHtml.setContent(this.elements.chapters, SvgChart.progressRows({
+      rows: this.chapters.map(chapter => {
+        const summary = ChapterIndex.summarize(chapter, completedIds);
+        return { label: `${chapter.id}. ${chapter.title}`, completed: summary.completed, total: summary.total };
+      }),
+      label: I18n.t('stats.chaptersLabel')
+    }));
+  }
+
+  /**
+   * Renderiza os cartões de indicadores
+   * @param {Object} pace - Resultado de StatsCalculator.pace
+   * @param {string|undefined} examDate - Data do exame do plano de estudos
+   */
+  renderSummary(pace, examDate) {
+    let projection = I18n.t('stats.noData');
+    if (pace.remainingMinutes <= 0 && pace.completed > 0) {
+      projection = I18n.t('stats.allDone');
+    } else if (pace.projectedDate) {
+      projection = pace.projectedDate.toLocaleDateString(I18n.getLocale());
+    }
+
+    const late = examDate && pace.projectedDate && pace.projectedDate > StudyPlanner.parseDate(examDate);
+    const cards = [
+      { label: I18n.t('stats.completed'), value: `${pace.completed} / ${pace.total}` },
+      { label: I18n.t('stats.remaining'), value: pace.remainingMinutes },
+      { label: I18n.t('stats.perDay'), value: pace.objectivesPerDay.toFixed(1), hint: pace.activeDays > 0 ? I18n.t('stats.activeDays', { count: pace.activeDays }) : '' },
+      { label: I18n.t('stats.projected'), value: projection, hint: late ? I18n.t('stats.late') : I18n.t('stats.minutesPerDay', { minutes: Math.round(pace.minutesPerDay) }) }
+    ];
+
+    SafeHtml.setContent(this.elements.summary, SafeHtml.html`${cards.map(card => SafeHtml.html`
+      <div class="stats-card">
+        <span class="stats-card-value">${card.value}</span>
+        <span class="stats-card-label">${card.label}</span>
+        ${card.hint && SafeHtml.html`<span class="stats-card-hint">${card.hint}</span>`}
+      </div>
+    `)}`);
+  }
+}
+
+// Inicializar quando DOM estiver pronto (apenas na página de estatísticas)
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', async () => {
+    if (!document.getElementById('stats-summary')) return;
+    await new StatsPage().init();
+  });
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.StatsCalculator = StatsCalculator;
+  window.SvgChart = SvgChart;
+  window.StatsPage = StatsPage;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { StatsCalculator, SvgChart, StatsPage, STATS_CONFIG };
+}
@@ -0,0 +1,181 @@
+/**
+ * Plano de estudos para RFCP Tracker
+ * Distribui o tempo restante dos objetivos pendentes entre hoje e a data
+ * do exame, respeitando os minutos disponíveis por dia
+ * @fileoverview Configuração do plano e geração do cronograma diário
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações do plano de estudos
+ */
+const STUDY_PLAN_CONFIG = {
+  SETTINGS_ID: 'studyPlan',
+  DEFAULT_DAILY_MINUTES: 60,
+  MIN_DAILY_MINUTES: 5,
+  MAX_DAILY_MINUTES: 24 * 60,
+  DATE_PATTERN: /^\d{4}-\d{2}-\d{2}$/,
+  // Limite de segurança para planos com poucos minutos por dia
+  MAX_PLAN_DAYS: 366
+};
+
+/**
+ * Gerador do cronograma de estudos
+ *
+ * Configuração sincronizada: { examDate: 'AAAA-MM-DD', dailyMinutes, updatedAt }
+ *
+ * O cronograma não é gravado: ele é recalculado a partir do progresso atual,
+ * então concluir objetivos antes ou depois do previsto redistribui o restante.
+ * Objetivos concluídos hoje consomem o tempo do dia e aparecem como feitos.
+ */
+class StudyPlanner {
+  /**
+   * Cria o registro de configuração do plano
+   * @param {string} examDate - Data do exame (AAAA-MM-DD)
+   * @param {number} dailyMinutes - Minutos disponíveis por dia
+   * @param {string} updatedAt - Momento da alteração (ISO)
+   * @returns {Object}
+   * @throws {Error} Data ou minutos inválidos
+   */
+  static createSettings(examDate, dailyMinutes, updatedAt = new Date().toISOString()) {
+    if (!STUDY_PLAN_CONFIG.DATE_PATTERN.test(examDate || '') || this.toDateKey(this.parseDate(examDate)) !== examDate) {
+      throw new Error(`Data do exame inválida: ${examDate}`);
+    }
+
+    const minutes = Number(dailyMinutes);
+    if (!Number.isInteger(minutes) || minutes < STUDY_PLAN_CONFIG.MIN_DAILY_MINUTES || minutes > STUDY_PLAN_CONFIG.MAX_DAILY_MINUTES) {
+      throw new Error(`Minutos por dia devem estar entre ${STUDY_PLAN_CONFIG.MIN_DAILY_MINUTES} e ${STUDY_PLAN_CONFIG.MAX_DAILY_MINUTES}`);
+    }
+
+    return { examDate, dailyMinutes: minutes, updatedAt };
+  }
+
+  /**
+   * Converte AAAA-MM-DD em data local (meia-noite)
+   * @param {string} dateKey - Data
+   * @returns {Date}
+   */
+  static parseDate(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+
+  /**
+   * Chave AAAA-MM-DD no fuso local
+   * @param {Date|string} date - Data
+   * @returns {string}
+   */
+  static toDateKey(date) {
+    const value = new Date(date);
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Dias de estudo de hoje até a véspera do exame
+   * @param {string} examDate - Data do exame
+   * @param {Date} now - Momento de referência
+   * @returns {number} Zero se o exame é hoje ou já passou
+   */
+  static daysUntil(examDate, now = new Date()) {
+    const today = this.parseDate(this.toDateKey(now));
+    return Math.max(0, Math.round((this.parseDate(examDate) - today) / (24 * 60 * 60 * 1000)));
+  }
+
+  /**
+   * Gera o cronograma dia a dia
+   * Objetivos pendentes seguem a ordem dos capítulos (e do syllabus dentro de
+   * cada capítulo); um objetivo maior que o tempo livre do dia continua no
+   * dia seguinte.
+   * @param {Array} objectives - Objetivos do syllabus
+   * @param {Object} progress - { completedIds, completionDates, studiedMinutes }
+   * @param {Object} settings - Configuração do plano
+   * @param {Date} now - Momento de referência
+   * @returns {Object} { days, remainingMinutes, studyDays, requiredDailyMinutes, feasible }
+   */
+  static generate(objectives, progress, settings, now = new Date()) {
+    const completed = new Set(progress.completedIds || []);
+    const completionDates = progress.completionDates || {};
+    const studiedMinutes = progress.studiedMinutes || {};
+    const todayKey = this.toDateKey(now);
+
+    const pending = objectives
+      .map((objective, index) => ({ objective, index }))
+      .filter(({ objective }) => !completed.has(objective.id))
+      .sort((a, b) => this.getChapterOrder(a.objective) - this.getChapterOrder(b.objective) || a.index - b.index)
+      .map(({ objective }) => ({
+        objective,
+        minutes: Math.max(0, (Number(objective.time_min) || 0) - Math.round(studiedMinutes[objective.id] || 0))
+      }))
+      .filter(item => item.minutes > 0);
+
+    const doneToday = objectives
+      .filter(objective => completed.has(objective.id) && completionDates[objective.id] &&
+        this.toDateKey(completionDates[objective.id]) === todayKey)
+      .map(objective => ({ objective, minutes: Number(objective.time_min) || 0, done: true }));
+
+    const remainingMinutes = pending.reduce((sum, item) => sum + item.minutes, 0);
+    const studyDays = this.daysUntil(settings.examDate, now);
+    const todayFree = Math.max(0, settings.dailyMinutes - doneToday.reduce((sum, item) => sum + item.minutes, 0));
+    const capacity = studyDays > 0 ? todayFree + settings.dailyMinutes * (studyDays - 1) : 0;
+
+    const days = [];
+    const queue = pending.map(item => ({ ...item }));
+    const start = this.parseDate(todayKey);
+    for (let offset = 0; offset < STUDY_PLAN_CONFIG.MAX_PLAN_DAYS && (offset === 0 || queue.length > 0); offset++) {
+      const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + offset);
+      const day = {
+        date: this.toDateKey(date),
+        items: offset === 0 ? [...doneToday] : [],
+        minutes: 0,
+        afterExam: offset >= studyDays
+      };
+      let free = offset === 0 ? todayFree : settings.dailyMinutes;
+
+      while (free > 0 && queue.length > 0) {
+        const item = queue[0];
+        const minutes = Math.min(item.minutes, free);
+        day.items.push({ objective: item.objective, minutes, partial: minutes < item.minutes });
+        day.minutes += minutes;
+        item.minutes -= minutes;
+        free -= minutes;
+        if (item.minutes === 0) queue.shift();
+      }
+
+      days.push(day);
+    }
+
+    return {
+      days,
+      remainingMinutes,
+      studyDays,
+      requiredDailyMinutes: studyDays > 0 ? Math.ceil(remainingMinutes / studyDays) : remainingMinutes,
+      feasible: remainingMinutes <= capacity
+    };
+  }
+
+  /**
+   * Número do capítulo para ordenação
+   * @param {Object} objective - Objetivo
+   * @returns {number}
+   */
+  static getChapterOrder(objective) {
+    if (typeof ChapterIndex === 'undefined') return 0;
+    return Number(ChapterIndex.getChapterId(objective)) || Number.MAX_SAFE_INTEGER;
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.StudyPlanner = StudyPlanner;
+  window.STUDY_PLAN_CONFIG = STUDY_PLAN_CONFIG;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { StudyPlanner, STUDY_PLAN_CONFIG };
+}
@@ -0,0 +1,198 @@
+/**
+ * Cronômetro de estudo para RFCP Tracker
+ * Mede o tempo real dedicado a cada objetivo e gera sessões de estudo
+ * @fileoverview Cronômetro iniciar/pausar/parar por objetivo
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações do cronômetro
+ */
+const TIMER_CONFIG = {
+  STORAGE_KEY: 'rfcp_active_timer',
+  TICK_INTERVAL: 1000,
+  MIN_SESSION_SECONDS: 30
+};
+
+/**
+ * Cronômetro de estudo
+ * Apenas um objetivo é cronometrado por vez; o estado fica no localStorage
+ * para sobreviver a recarregamentos da página.
+ */
+class StudyTimer {
+  constructor() {
+    this.state = this.load();
+    this.interval = null;
+    this.onTick = null;
+  }
+
+  /**
+   * Carrega o cronômetro ativo do localStorage
+   * @returns {Object|null}
+   */
+  load() {
+    try {
+      return JSON.parse(localStorage.getItem(SyllabusRegistry.namespaced(TIMER_CONFIG.STORAGE_KEY))) || null;
+    } catch (error) {
+      console.warn('Erro ao carregar cronômetro:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Persiste o cronômetro ativo
+   */
+  persist() {
+    try {
+      if (this.state) {
+        localStorage.setItem(SyllabusRegistry.namespaced(TIMER_CONFIG.STORAGE_KEY), JSON.stringify(this.state));
+      } else {
+        localStorage.removeItem(SyllabusRegistry.namespaced(TIMER_CONFIG.STORAGE_KEY));
+      }
+    } catch (error) {
+      console.warn('Erro ao persistir cronômetro:', error);
+    }
+  }
+
+  /**
+   * Verifica se o cronômetro pertence ao objetivo
+   * @param {string} objectiveId - ID do objetivo
+   * @returns {boolean}
+   */
+  isActive(objectiveId) {
+    return this.state?.objectiveId === objectiveId;
+  }
+
+  /**
+   * Verifica se o cronômetro está contando
+   * @returns {boolean}
+   */
+  isRunning() {
+    return !!this.state?.runningSince;
+  }
+
+  /**
+   * Tempo acumulado do cronômetro ativo
+   * @returns {number} Milissegundos
+   */
+  getElapsedMs() {
+    if (!this.state) return 0;
+    const running = this.state.runningSince ? Date.now() - new Date(this.state.runningSince).getTime() : 0;
+    return this.state.accumulatedMs + running;
+  }
+
+  /**
+   * Inicia (ou retoma) o cronômetro de um objetivo
+   * Se outro objetivo estava sendo cronometrado, sua sessão é encerrada.
+   * @param {string} objectiveId - ID do objetivo
+   * @returns {Object|null} Sessão encerrada do objetivo anterior, se houver
+   */
+  start(objectiveId) {
+    let finished = null;
+
+    if (this.state && !this.isActive(objectiveId)) {
+      finished = this.stop();
+    }
+
+    const now = new Date().toISOString();
+    if (!this.state) {
+      this.state = { objectiveId, startedAt: now, accumulatedMs: 0, runningSince: now };
+    } else if (!this.state.runningSince) {
+      this.state.runningSince = now;
+    }
+
+    this.persist();
+    this.startTicking();
+    return finished;
+  }
+
+  /**
+   * Pausa o cronômetro mantendo o tempo acumulado
+   */
+  pause() {
+    if (!this.isRunning()) return;
+
+    this.state.accumulatedMs = this.getElapsedMs();
+    this.state.runningSince = null;
+    this.persist();
+    this.stopTicking();
+  }
+
+  /**
+   * Encerra o cronômetro e gera a sessão de estudo
+   * Sessões muito curtas são descartadas.
+   * @returns {Object|null} Sessão { id, objectiveId, startedAt, endedAt, minutes }
+   */
+  stop() {
+    if (!this.state) return null;
+
+    const elapsedMs = this.getElapsedMs();
+    const { objectiveId, startedAt } = this.state;
+
+    this.state = null;
+    this.persist();
+    this.stopTicking();
+
+    if (elapsedMs < TIMER_CONFIG.MIN_SESSION_SECONDS * 1000) {
+      return null;
+    }
+
+    return {
+      id: `${objectiveId}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      objectiveId,
+      startedAt,
+      endedAt: new Date().toISOString(),
+      minutes: Math.round(elapsedMs / 6000) / 10
+    };
+  }
+
+  /**
+   * Inicia a atualização periódica da interface
+   */
+  startTicking() {
+    if (this.interval || !this.isRunning()) return;
+    this.interval = setInterval(() => {
+      if (typeof this.onTick === 'function') {
+        this.onTick(this.state?.objectiveId, this.getElapsedMs());
+      }
+    }, TIMER_CONFIG.TICK_INTERVAL);
+  }
+
+  /**
+   * Interrompe a atualização periódica
+   */
+  stopTicking() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  /**
+   * Formata milissegundos como mm:ss (ou h:mm:ss)
+   * @param {number} ms - Milissegundos
+   * @returns {string}
+   */
+  static format(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (value) => String(value).padStart(2, '0');
+
+    return hours > 0
+      ? `${hours}:${pad(minutes)}:${pad(seconds)}`
+      : `${pad(minutes)}:${pad(seconds)}`;
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.StudyTimer = StudyTimer;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { StudyTimer, TIMER_CONFIG };
+}
@@ -0,0 +1,197 @@
+/**
+ * Versionamento do syllabus para RFCP Tracker
+ * Detecta objetivos órfãos (IDs do progresso que não existem mais no JSON)
+ * e novos objetivos quando o syllabus é revisado, e migra o progresso de IDs
+ * renomeados
+ * @fileoverview Comparação de versões do syllabus e migração de IDs
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações do versionamento do syllabus
+ */
+const SYLLABUS_CONFIG = {
+  SNAPSHOT_KEY: 'rfcp_syllabus_snapshot',
+  UNVERSIONED: 'sem versão',
+  // Valores especiais do mapeamento de um ID órfão
+  ACTIONS: {
+    KEEP: 'keep',
+    DISCARD: 'discard'
+  }
+};
+
+/**
+ * Operações de versionamento e migração
+ *
+ * Snapshot salvo no navegador: { version, ids, keptOrphans }
+ * O syllabus pode declarar renomeações conhecidas em "idMappings"
+ * ({ "ID antigo": "ID novo" }), usadas como sugestão na migração.
+ */
+class SyllabusMigration {
+  /**
+   * IDs referenciados pelo progresso (concluídos, anotados ou avaliados)
+   * @param {Object} progress - Payload de progresso (formato 3.0)
+   * @returns {Set<string>}
+   */
+  static getReferencedIds(progress) {
+    const ids = new Set(progress.completedIds || []);
+    Object.entries(progress.notes || {}).forEach(([id, note]) => {
+      if (note?.text) ids.add(id);
+    });
+    Object.entries(progress.confidence || {}).forEach(([id, entry]) => {
+      if (entry?.score) ids.add(id);
+    });
+    return ids;
+  }
+
+  /**
+   * Compara o syllabus carregado com o progresso e com o último snapshot
+   * @param {Object} syllabus - { version, objectives }
+   * @param {Object} progress - Payload de progresso
+   * @param {Object|null} snapshot - Último snapshot salvo
+   * @returns {Object} { orphanIds, pendingOrphanIds, newIds, versionChanged, previousVersion }
+   */
+  static diff(syllabus, progress, snapshot) {
+    const knownIds = new Set(syllabus.objectives.map(obj => obj.id));
+    const orphanIds = [...this.getReferencedIds(progress)].filter(id => !knownIds.has(id)).sort();
+    const kept = new Set(snapshot?.keptOrphans || []);
+    const previousIds = new Set(snapshot?.ids || []);
+
+    return {
+      orphanIds,
+      // Órfãos que o usuário já decidiu manter não voltam a ser exibidos
+      pendingOrphanIds: orphanIds.filter(id => !kept.has(id)),
+      newIds: snapshot ? syllabus.objectives.map(obj => obj.id).filter(id => !previousIds.has(id)) : [],
+      versionChanged: Boolean(snapshot) && snapshot.version !== syllabus.version,
+      previousVersion: snapshot?.version || null
+    };
+  }
+
+  /**
+   * Sugere o destino de cada órfão a partir dos idMappings do syllabus
+   * @param {string[]} orphanIds - IDs órfãos
+   * @param {Object} syllabus - { objectives, idMappings }
+   * @returns {Object<string, string>} ID antigo → ID novo ou ação
+   */
+  static suggestMappings(orphanIds, syllabus) {
+    const knownIds = new Set(syllabus.objectives.map(obj => obj.id));
+    const declared = syllabus.idMappings || {};
+    const mappings = {};
+
+    orphanIds.forEach(id => {
+      mappings[id] = knownIds.has(declared[id]) ? declared[id] : SYLLABUS_CONFIG.ACTIONS.KEEP;
+    });
+    return mappings;
+  }
+
+  /**
+   * Aplica o mapeamento de IDs ao progresso
+   * O estado de conclusão, a revisão, a anotação e a confiança passam para o
+   * novo ID; o ID antigo recebe tombstones para que a mudança sobreviva à
+   * sincronização. Sessões e tentativas de quiz são imutáveis e mantêm o ID
+   * original. Órfãos descartados apenas deixam de estar concluídos.
+   * @param {Object} progress - Payload de progresso (formato 3.0)
+   * @param {Object<string, string>} mappings - ID antigo → ID novo, keep ou discard
+   * @param {string} now - Momento da migração (ISO)
+   * @returns {Object} Novo payload
+   * @throws {Error} Dois órfãos mapeados para o mesmo ID
+   */
+  static apply(progress, mappings, now = new Date().toISOString()) {
+    const targets = Object.values(mappings).filter(target => !Object.values(SYLLABUS_CONFIG.ACTIONS).includes(target));
+    if (new Set(targets).size !== targets.length) {
+      throw new Error('Cada objetivo novo pode receber apenas um ID antigo');
+    }
+
+    const objectiveStates = { ...progress.objectiveStates };
+    const reviews = { ...progress.reviews };
+    const notes = { ...progress.notes };
+    const confidence = { ...progress.confidence };
+
+    Object.entries(mappings).forEach(([oldId, target]) => {
+      if (target === SYLLABUS_CONFIG.ACTIONS.KEEP) return;
+
+      const oldState = objectiveStates[oldId];
+      if (oldState) {
+        objectiveStates[oldId] = ProgressModel.createState(false, now);
+      }
+      if (target === SYLLABUS_CONFIG.ACTIONS.DISCARD) return;
+
+      if (oldState?.status === PROGRESS_CONFIG.STATUS.COMPLETED && objectiveStates[target]?.status !== PROGRESS_CONFIG.STATUS.COMPLETED) {
+        objectiveStates[target] = ProgressModel.createState(true, now, oldState.completedAt || now);
+      }
+      if (reviews[oldId] && !reviews[target]) {
+        reviews[target] = { ...reviews[oldId], updatedAt: now };
+      }
+      if (notes[oldId]?.text) {
+        notes[target] = { text: notes[target]?.text ? `${notes[target].text}\n\n${notes[oldId].text}` : notes[oldId].text, updatedAt: now };
+        notes[oldId] = { text: '', updatedAt: now };
+      }
+      if (confidence[oldId]?.score) {
+        if (!confidence[target]?.score) confidence[target] = { score: confidence[oldId].score, updatedAt: now };
+        confidence[oldId] = { score: null, updatedAt: now };
+      }
+    });
+
+    return {
+      ...progress,
+      ...ProgressModel.deriveCompletion(objectiveStates),
+      objectiveStates,
+      reviews,
+      notes,
+      confidence
+    };
+  }
+
+  /**
+   * Cria o snapshot da versão atual
+   * @param {Object} syllabus - { version, objectives }
+   * @param {string[]} keptOrphans - Órfãos mantidos pelo usuário
+   * @returns {Object}
+   */
+  static createSnapshot(syllabus, keptOrphans = []) {
+    return {
+      version: syllabus.version,
+      ids: syllabus.objectives.map(obj => obj.id),
+      keptOrphans: [...keptOrphans].sort()
+    };
+  }
+
+  /**
+   * Carrega o último snapshot salvo
+   * @returns {Object|null}
+   */
+  static loadSnapshot() {
+    try {
+      return JSON.parse(localStorage.getItem(SyllabusRegistry.namespaced(SYLLABUS_CONFIG.SNAPSHOT_KEY)) || 'null');
+    } catch (error) {
+      console.warn('⚠️ Snapshot do syllabus inválido, ignorando:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Salva o snapshot
+   * @param {Object} snapshot - Snapshot
+   */
+  static saveSnapshot(snapshot) {
+    try {
+      localStorage.setItem(SyllabusRegistry.namespaced(SYLLABUS_CONFIG.SNAPSHOT_KEY), JSON.stringify(snapshot));
+    } catch (error) {
+      console.warn('⚠️ Não foi possível salvar o snapshot do syllabus:', error);
+    }
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.SyllabusMigration = SyllabusMigration;
+  window.SYLLABUS_CONFIG = SYLLABUS_CONFIG;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SyllabusMigration, SYLLABUS_CONFIG };
+}
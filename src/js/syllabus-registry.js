@@ -0,0 +1,166 @@
+/**
+ * Registro de syllabi para RFCP Tracker
+ * Lista as certificações disponíveis (arquivos JSON com o mesmo formato de
+ * "lessons") e isola o progresso de cada uma no navegador e na sincronização
+ * @fileoverview Registro de syllabi, syllabus ativo e namespaces de armazenamento
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações do registro de syllabi
+ */
+const SYLLABUS_REGISTRY_CONFIG = {
+  REGISTRY_FILE: 'src/data/syllabi.json',
+  ACTIVE_KEY: 'rfcp_active_syllabus',
+  URL_PARAM: 'syllabus',
+  DEFAULT_ID: 'rfcp',
+  ID_PATTERN: /^[a-z0-9-]+$/,
+  // Usado quando o registro não pode ser carregado
+  DEFAULT_ENTRY: {
+    id: 'rfcp',
+    name: 'RFCP®',
+    title: 'Robot Framework® Certified Professional',
+    url: 'https://robotframework.org/robotframework-RFCP-syllabus/',
+    dataFile: 'src/data/syllabus_rfcp.json',
+    questionsFile: 'src/data/questions_rfcp.json'
+  }
+};
+
+/**
+ * Registro de syllabi e namespaces
+ *
+ * O syllabus padrão (RFCP) mantém as chaves e nomes de arquivo originais,
+ * então o progresso existente continua sendo encontrado. Os demais usam a
+ * chave com o sufixo ":<id>" e o arquivo "<nome>-<id>.json".
+ */
+class SyllabusRegistry {
+  /**
+   * Carrega o registro de syllabi
+   * @returns {Promise<Array>} Entradas { id, name, title, url, dataFile, questionsFile }
+   */
+  static async load() {
+    try {
+      const response = await fetch(SYLLABUS_REGISTRY_CONFIG.REGISTRY_FILE);
+      if (!response.ok) {
+        throw new Error(`Erro HTTP: ${response.status}`);
+      }
+
+      const data = await response.json();
+      const entries = (data.syllabi || []).filter(entry =>
+        SYLLABUS_REGISTRY_CONFIG.ID_PATTERN.test(entry.id || '') && entry.dataFile
+      );
+      if (entries.length === 0) {
+        throw new Error('Registro de syllabi vazio');
+      }
+      return entries;
+    } catch (error) {
+      console.warn('⚠️ Registro de syllabi indisponível, usando apenas o RFCP:', error);
+      return [SYLLABUS_REGISTRY_CONFIG.DEFAULT_ENTRY];
+    }
+  }
+
+  /**
+   * ID do syllabus ativo (parâmetro da URL, depois preferência salva)
+   * @returns {string}
+   */
+  static getActiveId() {
+    try {
+      const fromUrl = typeof window !== 'undefined'
+        ? new URLSearchParams(window.location.search).get(SYLLABUS_REGISTRY_CONFIG.URL_PARAM)
+        : null;
+      const id = fromUrl || localStorage.getItem(SYLLABUS_REGISTRY_CONFIG.ACTIVE_KEY);
+      return SYLLABUS_REGISTRY_CONFIG.ID_PATTERN.test(id || '') ? id : SYLLABUS_REGISTRY_CONFIG.DEFAULT_ID;
+    } catch (error) {
+      return SYLLABUS_REGISTRY_CONFIG.DEFAULT_ID;
+    }
+  }
+
+  /**
+   * Salva o syllabus ativo
+   * @param {string} id - ID do syllabus
+   */
+  static setActiveId(id) {
+    try {
+      localStorage.setItem(SYLLABUS_REGISTRY_CONFIG.ACTIVE_KEY, id);
+    } catch (error) {
+      console.warn('⚠️ Não foi possível salvar o syllabus ativo:', error);
+    }
+  }
+
+  /**
+   * Entrada do syllabus ativo (ou a primeira, se o ID não estiver registrado)
+   * @param {Array} entries - Registro carregado
+   * @returns {Object}
+   */
+  static getActiveEntry(entries) {
+    return entries.find(entry => entry.id === this.getActiveId()) || entries[0];
+  }
+
+  /**
+   * Chave do localStorage isolada por syllabus
+   * @param {string} key - Chave base
+   * @param {string} id - ID do syllabus (padrão: ativo)
+   * @returns {string}
+   */
+  static namespaced(key, id = this.getActiveId()) {
+    return id === SYLLABUS_REGISTRY_CONFIG.DEFAULT_ID ? key : `${key}:${id}`;
+  }
+
+  /**
+   * Nome de arquivo isolado por syllabus (rfcp-progress.json → rfcp-progress-<id>.json)
+   * @param {string} fileName - Nome base
+   * @param {string} id - ID do syllabus (padrão: ativo)
+   * @returns {string}
+   */
+  static getFileName(fileName, id = this.getActiveId()) {
+    if (id === SYLLABUS_REGISTRY_CONFIG.DEFAULT_ID) return fileName;
+    return fileName.replace(/(\.[^.]+)?$/, `-${id}$1`);
+  }
+
+  /**
+   * Progresso salvo no navegador para um syllabus
+   * @param {string} storageKey - Chave base do progresso
+   * @param {string} id - ID do syllabus
+   * @returns {Object} Payload normalizado (vazio se ausente ou inválido)
+   */
+  static loadProgress(storageKey, id) {
+    try {
+      return ProgressModel.normalize(JSON.parse(localStorage.getItem(this.namespaced(storageKey, id)) || 'null'));
+    } catch (error) {
+      console.warn(`⚠️ Progresso inválido para o syllabus ${id}:`, error);
+      return ProgressModel.createEmpty();
+    }
+  }
+
+  /**
+   * Resumo de um syllabus para a visão geral
+   * IDs concluídos que não existem no syllabus não são contados.
+   * @param {Array} objectives - Objetivos do syllabus
+   * @param {Object} progress - Payload de progresso
+   * @returns {{completed: number, total: number, percentage: number}}
+   */
+  static summarize(objectives, progress) {
+    const completedIds = new Set(progress.completedIds || []);
+    const completed = objectives.filter(objective => completedIds.has(objective.id)).length;
+    const total = objectives.length;
+    return {
+      completed,
+      total,
+      percentage: total === 0 ? 0 : Math.round((completed / total) * 100)
+    };
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.SyllabusRegistry = SyllabusRegistry;
+  window.SYLLABUS_REGISTRY_CONFIG = SYLLABUS_REGISTRY_CONFIG;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SyllabusRegistry, SYLLABUS_REGISTRY_CONFIG };
+}
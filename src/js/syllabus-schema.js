@@ -0,0 +1,368 @@
+/**
+ * Validação do syllabus para RFCP Tracker
+ * Verifica o JSON do syllabus contra um schema declarativo e aponta a linha
+ * e o campo de cada erro (mensagens nos catálogos do I18n, chaves schema.*)
+ * @fileoverview Schema do syllabus, validador e localização de erros no texto
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações da validação
+ */
+const SCHEMA_CONFIG = {
+  // ?strict=1 força o modo estrito (útil ao editar um syllabus)
+  STRICT_PARAM: 'strict',
+  MAX_BANNER_ERRORS: 10,
+  KNOWLEDGE_LEVELS: ['K1', 'K2', 'K3'],
+  URL_PROTOCOLS: ['http:', 'https:']
+};
+
+/**
+ * Textos traduzidos de um item, por idioma (I18n.localizeItem)
+ */
+const TRANSLATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    title: { type: 'string', minLength: 1 }
+  }
+};
+
+/**
+ * Schema declarativo de um objetivo (lesson)
+ * Regras: type, required, enum, minLength, minimum, format, unique
+ */
+const LESSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', required: true, minLength: 1, unique: true },
+    type: { type: 'string', required: true, enum: SCHEMA_CONFIG.KNOWLEDGE_LEVELS },
+    name: { type: 'string', required: true, minLength: 1 },
+    url: { type: 'string', required: true, format: 'url' },
+    time_min: { type: 'number', required: true, minimum: 0 },
+    // { "en": { "name": "..." } }; campos ausentes usam o texto original
+    translations: { type: 'object', values: TRANSLATION_SCHEMA }
+  }
+};
+
+/**
+ * Schema declarativo do arquivo de syllabus
+ */
+const SYLLABUS_SCHEMA = {
+  type: 'object',
+  properties: {
+    version: { type: 'string' },
+    idMappings: { type: 'object', values: { type: 'string' } },
+    chapters: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string', required: true, minLength: 1, unique: true },
+          title: { type: 'string', required: true, minLength: 1 },
+          translations: { type: 'object', values: TRANSLATION_SCHEMA }
+        }
+      }
+    },
+    lessons: { type: 'array', required: true, minItems: 1, items: LESSON_SCHEMA }
+  }
+};
+
+/**
+ * Validador do syllabus
+ *
+ * Cada erro: { path, line, message, fatal }
+ * Erros dentro de um item de lista (objetivo ou capítulo) descartam apenas
+ * o item; os demais (JSON inválido, "lessons" ausente) são fatais. No modo
+ * estrito qualquer erro impede a renderização.
+ */
+class SyllabusSchema {
+  /**
+   * Valida o texto do syllabus
+   * @param {string} text - Conteúdo do arquivo JSON
+   * @param {Object} schema - Schema (padrão: SYLLABUS_SCHEMA)
+   * @returns {{data: Object|null, errors: Array}} data contém apenas os itens válidos
+   */
+  static validate(text, schema = SYLLABUS_SCHEMA) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return {
+        data: null,
+        errors: [{ path: '', line: this.getSyntaxErrorLine(error, text), message: I18n.t('schema.invalidJson', { error: error.message }), fatal: true }]
+      };
+    }
+
+    const lines = this.locate(text);
+    const errors = [];
+    const context = { lines, errors, seen: new Map(), itemPath: null };
+    const cleaned = this.check(data, schema, '', context);
+
+    errors.forEach(error => {
+      error.line = this.findLine(lines, error.path);
+    });
+    errors.sort((a, b) => a.line - b.line);
+
+    return { data: errors.some(error => error.fatal) ? null : cleaned, errors };
+  }
+
+  /**
+   * Valida um valor e devolve a cópia sem itens inválidos
+   * @param {*} value - Valor
+   * @param {Object} schema - Regras do valor
+   * @param {string} path - Caminho do campo (ex.: lessons[3].type)
+   * @param {Object} context - Estado da validação
+   * @returns {*} Valor limpo
+   */
+  static check(value, schema, path, context) {
+    const fail = message => {
+      context.errors.push({ path, message, fatal: context.itemPath === null });
+      return value;
+    };
+
+    const actual = this.typeOf(value);
+    if (actual !== schema.type) {
+      return fail(I18n.t('schema.typeMismatch', { expected: this.describeType(schema.type), actual: this.describeType(actual) }));
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      return fail(I18n.t('schema.enum', { value, allowed: schema.enum.join(', ') }));
+    }
+    if (schema.minLength && value.trim().length < schema.minLength) {
+      return fail(I18n.t('schema.empty'));
+    }
+    if (schema.minimum !== undefined && !(Number.isFinite(value) && value >= schema.minimum)) {
+      return fail(I18n.t('schema.minimum', { minimum: schema.minimum }));
+    }
+    if (schema.format === 'url' && !this.isUrl(value)) {
+      return fail(I18n.t('schema.url', { value }));
+    }
+
+    if (schema.type === 'array') {
+      if (schema.minItems && value.length < schema.minItems) {
+        return fail(I18n.t('schema.minItems', { count: schema.minItems }));
+      }
+      if (!schema.items) return value;
+
+      return value.filter((item, index) => {
+        const itemPath = `${path}[${index}]`;
+        const before = context.errors.length;
+        const outer = context.itemPath;
+        context.itemPath = outer ?? itemPath;
+        this.check(item, schema.items, itemPath, context);
+        this.checkUnique(item, schema.items, itemPath, path, context);
+        context.itemPath = outer;
+        return context.errors.length === before;
+      });
+    }
+
+    if (schema.type === 'object') {
+      const result = { ...value };
+      Object.entries(schema.properties || {}).forEach(([key, rule]) => {
+        const childPath = path ? `${path}.${key}` : key;
+        if (value[key] === undefined || value[key] === null) {
+          if (rule.required) {
+            context.errors.push({ path: childPath, message: I18n.t('schema.required'), fatal: context.itemPath === null });
+          }
+          return;
+        }
+        result[key] = this.check(value[key], rule, childPath, context);
+      });
+      if (schema.values) {
+        Object.entries(value).forEach(([key, item]) => {
+          this.check(item, schema.values, path ? `${path}.${key}` : key, context);
+        });
+      }
+      return result;
+    }
+
+    return value;
+  }
+
+  /**
+   * Verifica propriedades marcadas como "unique" entre os itens da lista
+   * @param {Object} item - Item da lista
+   * @param {Object} schema - Schema do item
+   * @param {string} itemPath - Caminho do item
+   * @param {string} listPath - Caminho da lista
+   * @param {Object} context - Estado da validação
+   */
+  static checkUnique(item, schema, itemPath, listPath, context) {
+    if (this.typeOf(item) !== 'object') return;
+
+    Object.entries(schema.properties || {}).forEach(([key, rule]) => {
+      if (!rule.unique || typeof item[key] !== 'string') return;
+
+      const seenKey = `${listPath}.${key}`;
+      if (!context.seen.has(seenKey)) context.seen.set(seenKey, new Map());
+      const seen = context.seen.get(seenKey);
+      const fieldPath = `${itemPath}.${key}`;
+
+      if (seen.has(item[key])) {
+        const firstLine = this.findLine(context.lines, seen.get(item[key]));
+        context.errors.push({
+          path: fieldPath,
+          message: I18n.t('schema.duplicate', { value: item[key], line: firstLine }),
+          fatal: false
+        });
+      } else {
+        seen.set(item[key], fieldPath);
+      }
+    });
+  }
+
+  /**
+   * Tipo de um valor no vocabulário do schema
+   * @param {*} value - Valor
+   * @returns {string}
+   */
+  static typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+
+  /**
+   * Nome do tipo para as mensagens, no idioma ativo
+   * @param {string} type - Tipo
+   * @returns {string}
+   */
+  static describeType(type) {
+    const key = `schema.type.${type}`;
+    return I18n.has(key) ? I18n.t(key) : type;
+  }
+
+  /**
+   * Verifica se o valor é uma URL http(s) absoluta
+   * @param {string} value - Valor
+   * @returns {boolean}
+   */
+  static isUrl(value) {
+    try {
+      return SCHEMA_CONFIG.URL_PROTOCOLS.includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Mapeia o caminho de cada valor do JSON para a linha onde ele começa
+   * O texto já foi validado pelo JSON.parse.
+   * @param {string} text - Conteúdo do arquivo
+   * @returns {Map<string, number>}
+   */
+  static locate(text) {
+    const lines = new Map();
+    let pos = 0;
+    let line = 1;
+
+    const skipWhitespace = () => {
+      while (pos < text.length && /\s/.test(text[pos])) {
+        if (text[pos] === '\n') line++;
+        pos++;
+      }
+    };
+    const readString = () => {
+      const start = pos++;
+      while (text[pos] !== '"') pos += text[pos] === '\\' ? 2 : 1;
+      pos++;
+      return JSON.parse(text.slice(start, pos));
+    };
+    const readValue = path => {
+      skipWhitespace();
+      lines.set(path, line);
+
+      if (text[pos] === '{' || text[pos] === '[') {
+        const isObject = text[pos++] === '{';
+        let index = 0;
+        skipWhitespace();
+        while (text[pos] !== (isObject ? '}' : ']')) {
+          if (isObject) {
+            const key = readString();
+            skipWhitespace();
+            pos++; // ':'
+            readValue(path ? `${path}.${key}` : key);
+          } else {
+            readValue(`${path}[${index++}]`);
+          }
+          skipWhitespace();
+          if (text[pos] === ',') pos++;
+          skipWhitespace();
+        }
+        pos++;
+      } else if (text[pos] === '"') {
+        readString();
+      } else {
+        while (pos < text.length && !/[\s,\]}]/.test(text[pos])) pos++;
+      }
+    };
+
+    readValue('');
+    return lines;
+  }
+
+  /**
+   * Linha de um caminho (ou do valor mais próximo que existe no texto)
+   * @param {Map<string, number>} lines - Resultado de locate
+   * @param {string} path - Caminho
+   * @returns {number}
+   */
+  static findLine(lines, path) {
+    let current = path;
+    while (current && !lines.has(current)) {
+      current = current.replace(/(\.[^.[\]]+|\[\d+\])$/, '');
+    }
+    return lines.get(current) || 1;
+  }
+
+  /**
+   * Linha de um erro de sintaxe do JSON.parse
+   * Os navegadores informam "line N" ou "position N" na mensagem.
+   * @param {Error} error - Erro do JSON.parse
+   * @param {string} text - Conteúdo do arquivo
+   * @returns {number}
+   */
+  static getSyntaxErrorLine(error, text) {
+    const lineMatch = error.message.match(/line (\d+)/);
+    if (lineMatch) return Number(lineMatch[1]);
+
+    const positionMatch = error.message.match(/position (\d+)/);
+    if (positionMatch) return text.slice(0, Number(positionMatch[1])).split('\n').length;
+    return 1;
+  }
+
+  /**
+   * Formata um erro para exibição, no idioma ativo
+   * @param {Object} error - Erro da validação
+   * @returns {string}
+   */
+  static format(error) {
+    return `${I18n.t('schema.line', { line: error.line })}${error.path ? ` · ${error.path}` : ''}: ${error.message}`;
+  }
+
+  /**
+   * Verifica se o modo estrito foi pedido na URL
+   * @returns {boolean}
+   */
+  static isStrictRequested() {
+    if (typeof window === 'undefined') return false;
+    const value = new URLSearchParams(window.location.search).get(SCHEMA_CONFIG.STRICT_PARAM);
+    return value === '1' || value === 'true';
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.SyllabusSchema = SyllabusSchema;
+  window.SYLLABUS_SCHEMA = SYLLABUS_SCHEMA;
+  window.SCHEMA_CONFIG = SCHEMA_CONFIG;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SyllabusSchema, SYLLABUS_SCHEMA, LESSON_SCHEMA, SCHEMA_CONFIG };
+}
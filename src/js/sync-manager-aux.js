@@ -1,6 +1,6 @@
 /**
  * Interface auxiliar para configuração de sincronização RFCP Tracker
- * Gerencia a UI de configuração do sistema de sincronização via GitHub Gists
+ * Gerencia a UI de configuração do sistema de sincronização (GitHub Gists e demais provedores)
  * @fileoverview Interface de configuração para sincronização
  * @author Sthefany Ricardo
  * @version 2.0.0
@@ -28,7 +28,61 @@ const SYNC_UI_CONFIG = {
     TESTS_SECTION: 'tests-section'
   },
   ALERT_DURATION: 5000,
-  TOKEN_PLACEHOLDER: '••••••••••••••••••••'
+  TOKEN_PLACEHOLDER: '••••••••••••••••••••',
+  // Ajuda de cada modo de armazenamento do token (TokenVault)
+  TOKEN_STORAGE_HELP: {
+    plain: 'settings.storagePlainHelp',
+    encrypted: 'settings.storageEncryptedHelp',
+    session: 'settings.storageSessionHelp'
+  },
+  // Mensagens para erros com código (criptografia E2E, token e login OAuth)
+  ERROR_MESSAGES: {
+    CRYPTO_WRONG_PASSPHRASE: 'settings.e2eWrongPassphrase',
+    CRYPTO_INVALID_DATA: 'settings.e2eCorrupt',
+    CRYPTO_KEY_MISMATCH: 'settings.e2eKeyMismatch',
+    SYNC_E2E_REQUIRED: 'settings.e2eRequired',
+    SYNC_TOKEN_EXPIRED: 'settings.tokenExpired',
+    SYNC_TOKEN_INVALID: 'settings.tokenInvalid',
+    SYNC_PERMISSION_REQUIRED: 'settings.reconnectRequired',
+    OAUTH_NOT_CONFIGURED: 'settings.oauthNotConfigured',
+    OAUTH_DENIED: 'settings.oauthDenied',
+    OAUTH_EXPIRED: 'settings.oauthExpired'
+  },
+  // Textos em chaves do catálogo (I18n)
+  PROVIDERS: {
+    'gist': {
+      label: 'settings.gistLabel',
+      help: 'settings.gistHelp',
+      tokenLabel: 'settings.gistToken',
+      tokenRequired: true,
+      needsUrl: false,
+      needsUsername: false
+    },
+    'webdav': {
+      label: 'settings.webdavLabel',
+      help: 'settings.webdavHelp',
+      tokenLabel: 'settings.webdavToken',
+      tokenRequired: false,
+      needsUrl: true,
+      needsUsername: true
+    },
+    'rest': {
+      label: 'settings.restLabel',
+      help: 'settings.restHelp',
+      tokenLabel: 'settings.restToken',
+      tokenRequired: false,
+      needsUrl: true,
+      needsUsername: false
+    },
+    'local-file': {
+      label: 'settings.localLabel',
+      help: 'settings.localHelp',
+      tokenLabel: null,
+      tokenRequired: false,
+      needsUrl: false,
+      needsUsername: false
+    }
+  }
 };
 
 /**
@@ -41,7 +95,7 @@ class AlertManager {
 
   /**
    * Exibe um alerta
-   * @param {string} message - Mensagem do alerta
+   * @param {SafeHtml|string} message - Mensagem do alerta (texto, ou SafeHtml para marcação)
    * @param {string} type - Tipo do alerta (info, success, warning, error)
    * @param {number} duration - Duração em ms (opcional)
    */
@@ -55,7 +109,7 @@ class AlertManager {
     
     const alertElement = document.createElement('div');
     alertElement.className = `alert alert-${type}`;
-    alertElement.innerHTML = message;
+    SafeHtml.setContent(alertElement, message);
     
     this.container.appendChild(alertElement);
     
@@ -167,9 +221,12 @@ class TestsManager {
    * Configura event listeners para os testes
    */
   setupEventListeners() {
-    document.addEventListener('DOMContentLoaded', () => {
+    // Criado dentro do DOMContentLoaded da página: conectar imediatamente
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', () => this.wireTestButtons());
+    } else {
       this.wireTestButtons();
-    });
+    }
   }
 
   /**
@@ -189,34 +246,42 @@ class TestsManager {
   }
 
   /**
-   * Conecta botões inline dos testes
+   * Conecta botões inline dos testes (sem onclick no HTML, compatível com CSP)
    */
   wireInlineTestButtons() {
     const buttonConfigs = [
-      { id: 'run-all-tests-inline', fn: 'runAllTests', text: '▶️ Executar Todos' },
-      { id: 'run-unit-tests-inline', fn: 'runUnitTests', text: 'Testes Unitários' },
-      { id: 'run-integration-tests-inline', fn: 'runIntegrationTests', text: 'Testes Integração' },
-      { id: 'run-e2e-tests-inline', fn: 'runE2ETests', text: 'Testes E2E' }
+      { id: 'run-all-tests-inline', fn: 'runAllTests' },
+      { id: 'run-unit-tests-inline', fn: 'runUnitTests' },
+      { id: 'run-integration-tests-inline', fn: 'runIntegrationTests' },
+      { id: 'run-e2e-tests-inline', fn: 'runE2ETests' }
     ];
 
     buttonConfigs.forEach(config => {
       const button = document.getElementById(config.id);
       if (button) {
+        const text = button.textContent.trim();
         button.addEventListener('click', async () => {
-          await this.runTestFunction(button, config.fn, config.text);
+          await this.runTestFunction(button, config.fn, text);
         });
       }
     });
 
-    // Botão de limpar logs
-    const clearLogBtn = document.getElementById('clear-log-inline');
-    if (clearLogBtn) {
-      clearLogBtn.addEventListener('click', () => {
-        if (typeof clearLogs === 'function') {
-          clearLogs();
-        }
-      });
-    }
+    // Botões de limpeza (dados de teste e log)
+    const clearActions = [
+      { id: 'clear-test-data-inline', fn: 'clearTestData' },
+      { id: 'clear-log-inline', fn: 'clearLogs' }
+    ];
+
+    clearActions.forEach(config => {
+      const button = document.getElementById(config.id);
+      if (button) {
+        button.addEventListener('click', () => {
+          if (typeof window[config.fn] === 'function') {
+            window[config.fn]();
+          }
+        });
+      }
+    });
   }
 
   /**
@@ -307,6 +372,9 @@ class SyncManagerUI {
     this.alertManager = new AlertManager(SYNC_UI_CONFIG.UI_ELEMENTS.ALERT_CONTAINER);
     this.loadingManager = new LoadingManager(SYNC_UI_CONFIG.UI_ELEMENTS.LOADING);
     this.testsManager = new TestsManager();
+    // Login OAuth em andamento e token obtido por ele
+    this.oauthController = null;
+    this.oauthResult = null;
     
     this.elements = {};
     this.initializeElements();
@@ -329,6 +397,41 @@ class SyncManagerUI {
     this.elements.DISABLE_BTN = document.getElementById('disable-btn');
     this.elements.LAST_SYNC = document.getElementById('last-sync');
     this.elements.GIST_ID = document.getElementById('gist-id');
+    this.elements.PROVIDER_SELECT = document.getElementById('sync-provider');
+    this.elements.PROVIDER_HELP = document.getElementById('provider-help');
+    this.elements.PROVIDER_NAME = document.getElementById('sync-provider-name');
+    this.elements.QUEUE_SIZE = document.getElementById('sync-queue-size');
+    this.elements.PROVIDER_URL = document.getElementById('provider-url');
+    this.elements.PROVIDER_URL_GROUP = document.getElementById('provider-url-group');
+    this.elements.PROVIDER_USERNAME = document.getElementById('provider-username');
+    this.elements.PROVIDER_USERNAME_GROUP = document.getElementById('provider-username-group');
+    this.elements.TOKEN_GROUP = document.getElementById('token-group');
+    this.elements.TOKEN_LABEL = document.getElementById('token-label');
+    this.elements.TOKEN_HELP = document.getElementById('token-help');
+    this.elements.TOKEN_STORAGE = document.getElementById('token-storage');
+    this.elements.TOKEN_STORAGE_GROUP = document.getElementById('token-storage-group');
+    this.elements.TOKEN_STORAGE_HELP = document.getElementById('token-storage-help');
+    this.elements.TOKEN_PASSPHRASE = document.getElementById('token-passphrase');
+    this.elements.TOKEN_PASSPHRASE_GROUP = document.getElementById('token-passphrase-group');
+    this.elements.E2E_GROUP = document.getElementById('e2e-group');
+    this.elements.E2E_ENABLED = document.getElementById('e2e-enabled');
+    this.elements.E2E_PASSPHRASE = document.getElementById('e2e-passphrase');
+    this.elements.E2E_PASSPHRASE_GROUP = document.getElementById('e2e-passphrase-group');
+    this.elements.UNLOCK_FORM = document.getElementById('unlock-form');
+    this.elements.UNLOCK_PASSPHRASE = document.getElementById('unlock-passphrase');
+    this.elements.UNLOCK_TOKEN_GROUP = document.getElementById('unlock-token-group');
+    this.elements.UNLOCK_E2E_PASSPHRASE = document.getElementById('unlock-e2e-passphrase');
+    this.elements.UNLOCK_E2E_GROUP = document.getElementById('unlock-e2e-group');
+    this.elements.OAUTH_GROUP = document.getElementById('oauth-group');
+    this.elements.OAUTH_LOGIN_BTN = document.getElementById('oauth-login-btn');
+    this.elements.OAUTH_DEVICE = document.getElementById('oauth-device');
+    this.elements.OAUTH_VERIFICATION_URI = document.getElementById('oauth-verification-uri');
+    this.elements.OAUTH_USER_CODE = document.getElementById('oauth-user-code');
+    this.elements.OAUTH_CANCEL_BTN = document.getElementById('oauth-cancel-btn');
+    this.elements.OAUTH_SETTINGS = document.getElementById('oauth-settings');
+    this.elements.OAUTH_CLIENT_ID = document.getElementById('oauth-client-id');
+    this.elements.OAUTH_PROXY_URL = document.getElementById('oauth-proxy-url');
+    this.elements.OAUTH_SAVE_BTN = document.getElementById('oauth-save-btn');
   }
 
   /**
@@ -355,6 +458,34 @@ class SyncManagerUI {
       this.elements.DISABLE_BTN.addEventListener('click', () => this.disableSync());
     }
 
+    if (this.elements.PROVIDER_SELECT) {
+      this.elements.PROVIDER_SELECT.addEventListener('change', () => this.updateProviderFields());
+    }
+
+    if (this.elements.TOKEN_STORAGE) {
+      this.elements.TOKEN_STORAGE.addEventListener('change', () => this.updateProviderFields());
+    }
+
+    if (this.elements.E2E_ENABLED) {
+      this.elements.E2E_ENABLED.addEventListener('change', () => this.updateProviderFields());
+    }
+
+    if (this.elements.UNLOCK_FORM) {
+      this.elements.UNLOCK_FORM.addEventListener('submit', (e) => this.handleUnlock(e));
+    }
+
+    if (this.elements.OAUTH_LOGIN_BTN) {
+      this.elements.OAUTH_LOGIN_BTN.addEventListener('click', () => this.startOAuthLogin());
+    }
+
+    if (this.elements.OAUTH_CANCEL_BTN) {
+      this.elements.OAUTH_CANCEL_BTN.addEventListener('click', () => this.oauthController?.abort());
+    }
+
+    if (this.elements.OAUTH_SAVE_BTN) {
+      this.elements.OAUTH_SAVE_BTN.addEventListener('click', () => this.saveOAuthSettings());
+    }
+
     // Atualizar UI inicialmente
     this.updateUI();
   }
@@ -367,7 +498,9 @@ class SyncManagerUI {
     
     this.updateStatusBadge(status);
     this.updateSyncInfo(status);
+    this.updateProviderSelect(status);
     this.updateTokenInput(status);
+    this.updateUnlockForm(status);
     this.updateButtons(status);
     this.handleRateLimit(status);
   }
@@ -379,18 +512,20 @@ class SyncManagerUI {
   updateStatusBadge(status) {
     if (!this.elements.STATUS_BADGE) return;
 
-    let badgeContent = '';
+    let badgeContent;
     
     if (status.rateLimitedUntil) {
       const resetDate = new Date(status.rateLimitedUntil);
-      badgeContent = `<span class="status-badge status-rate-limited">✗ API Rate Limit — reset em ${resetDate.toLocaleString()}</span>`;
+      badgeContent = SafeHtml.html`<span class="status-badge status-rate-limited">${I18n.t('settings.rateLimited', { date: resetDate.toLocaleString(I18n.getLocale()) })}</span>`;
+    } else if (status.locked) {
+      badgeContent = SafeHtml.html`<span class="status-badge status-locked">${I18n.t('settings.locked')}</span>`;
     } else if (status.enabled) {
-      badgeContent = '<span class="status-badge status-enabled">✓ Sincronização Ativa</span>';
+      badgeContent = SafeHtml.html`<span class="status-badge status-enabled">${I18n.t('settings.enabled')}</span>`;
     } else {
-      badgeContent = '<span class="status-badge status-disabled">✗ Sincronização Desativada</span>';
+      badgeContent = SafeHtml.html`<span class="status-badge status-disabled">${I18n.t('settings.disabled')}</span>`;
     }
     
-    this.elements.STATUS_BADGE.innerHTML = badgeContent;
+    SafeHtml.setContent(this.elements.STATUS_BADGE, badgeContent);
   }
 
   /**
@@ -415,12 +550,119 @@ class SyncManagerUI {
     // Atualizar informações específicas
     if (this.elements.LAST_SYNC) {
       this.elements.LAST_SYNC.textContent = status.lastSync ? 
-        new Date(status.lastSync).toLocaleString() : 'Nunca';
+        new Date(status.lastSync).toLocaleString(I18n.getLocale()) : I18n.t('settings.never');
     }
     
     if (this.elements.GIST_ID) {
-      this.elements.GIST_ID.textContent = status.gistId || '-';
+      this.elements.GIST_ID.textContent = status.location || '-';
+    }
+
+    if (this.elements.PROVIDER_NAME) {
+      const meta = SYNC_UI_CONFIG.PROVIDERS[status.provider];
+      this.elements.PROVIDER_NAME.textContent = meta
+        ? `${I18n.t(meta.label)}${status.e2e ? ` · ${I18n.t('settings.e2eActive')}` : ''}`
+        : '-';
+    }
+
+    if (this.elements.QUEUE_SIZE) {
+      this.elements.QUEUE_SIZE.textContent = status.queueSize;
+    }
+  }
+
+  /**
+   * Retorna o provedor selecionado no formulário
+   * @returns {string}
+   */
+  getSelectedProvider() {
+    return this.elements.PROVIDER_SELECT?.value || window.PROVIDER_CONFIG.DEFAULT_TYPE;
+  }
+
+  /**
+   * Coleta as opções do provedor selecionado
+   * @returns {Object}
+   */
+  getProviderOptions() {
+    const meta = SYNC_UI_CONFIG.PROVIDERS[this.getSelectedProvider()];
+    const options = {};
+
+    if (meta?.needsUrl) {
+      options.url = this.elements.PROVIDER_URL?.value?.trim() || '';
+    }
+    if (meta?.needsUsername) {
+      options.username = this.elements.PROVIDER_USERNAME?.value?.trim() || '';
     }
+
+    return options;
+  }
+
+  /**
+   * Sincroniza o seletor de provedor com o status atual
+   * @param {Object} status
+   */
+  updateProviderSelect(status) {
+    if (!this.elements.PROVIDER_SELECT) return;
+
+    if (status.enabled && status.provider) {
+      this.elements.PROVIDER_SELECT.value = status.provider;
+      const options = this.syncManager.providerOptions || {};
+      if (this.elements.PROVIDER_URL) this.elements.PROVIDER_URL.value = options.url || '';
+      if (this.elements.PROVIDER_USERNAME) this.elements.PROVIDER_USERNAME.value = options.username || '';
+    }
+
+    this.elements.PROVIDER_SELECT.disabled = status.enabled;
+    this.updateProviderFields();
+  }
+
+  /**
+   * Exibe apenas os campos relevantes para o provedor selecionado
+   */
+  updateProviderFields() {
+    const type = this.getSelectedProvider();
+    const meta = SYNC_UI_CONFIG.PROVIDERS[type];
+    if (!meta) return;
+
+    const toggle = (element, visible) => {
+      if (element) element.style.display = visible ? 'block' : 'none';
+    };
+
+    toggle(this.elements.PROVIDER_URL_GROUP, meta.needsUrl);
+    toggle(this.elements.PROVIDER_USERNAME_GROUP, meta.needsUsername);
+    toggle(this.elements.TOKEN_GROUP, !!meta.tokenLabel);
+    toggle(this.elements.TOKEN_HELP, type === window.PROVIDER_CONFIG.TYPES.GIST);
+
+    const storageMode = this.getTokenStorageMode();
+    toggle(this.elements.TOKEN_STORAGE_GROUP, !!meta.tokenLabel);
+    toggle(this.elements.TOKEN_PASSPHRASE_GROUP, !!meta.tokenLabel && storageMode === window.TOKEN_VAULT_CONFIG.MODES.ENCRYPTED);
+
+    if (this.elements.TOKEN_STORAGE_HELP) {
+      this.elements.TOKEN_STORAGE_HELP.textContent = I18n.t(SYNC_UI_CONFIG.TOKEN_STORAGE_HELP[storageMode]);
+    }
+
+    // E2E e login OAuth disponíveis apenas para o Gist
+    const isGist = type === window.PROVIDER_CONFIG.TYPES.GIST;
+    toggle(this.elements.OAUTH_GROUP, isGist && !!window.GitHubDeviceFlow);
+    toggle(this.elements.E2E_GROUP, isGist);
+    toggle(this.elements.E2E_PASSPHRASE_GROUP, isGist && !!this.elements.E2E_ENABLED?.checked);
+
+    if (this.elements.TOKEN_LABEL && meta.tokenLabel) {
+      this.elements.TOKEN_LABEL.textContent = I18n.t(meta.tokenLabel);
+    }
+
+    if (this.elements.PROVIDER_HELP) {
+      this.elements.PROVIDER_HELP.textContent = I18n.t(meta.help);
+    }
+
+    if (this.elements.INSTRUCTIONS && !this.syncManager.syncEnabled) {
+      toggle(this.elements.INSTRUCTIONS, type === window.PROVIDER_CONFIG.TYPES.GIST);
+    }
+  }
+
+  /**
+   * Modo de armazenamento do token escolhido no formulário
+   * @returns {string}
+   */
+  getTokenStorageMode() {
+    return this.elements.TOKEN_STORAGE?.value || window.TOKEN_VAULT_CONFIG.MODES.PLAIN;
   }
 
   /**
@@ -431,12 +673,174 @@ class SyncManagerUI {
     if (!this.elements.TOKEN_INPUT) return;
     
     if (status.enabled) {
-      this.elements.TOKEN_INPUT.value = SYNC_UI_CONFIG.TOKEN_PLACEHOLDER;
+      this.elements.TOKEN_INPUT.value = this.syncManager.token ? SYNC_UI_CONFIG.TOKEN_PLACEHOLDER : '';
       this.elements.TOKEN_INPUT.disabled = true;
     } else {
       this.elements.TOKEN_INPUT.value = '';
       this.elements.TOKEN_INPUT.disabled = false;
     }
+
+    if (this.elements.TOKEN_STORAGE) {
+      if (status.enabled) this.elements.TOKEN_STORAGE.value = status.tokenMode;
+      this.elements.TOKEN_STORAGE.disabled = status.enabled;
+
+      // Sem Web Crypto (páginas http fora de localhost) não há como cifrar
+      const encryptedOption = this.elements.TOKEN_STORAGE.querySelector(`option[value="${window.TOKEN_VAULT_CONFIG.MODES.ENCRYPTED}"]`);
+      if (encryptedOption) encryptedOption.disabled = !window.CryptoUtils.isAvailable();
+    }
+
+    if (this.elements.TOKEN_PASSPHRASE) {
+      this.elements.TOKEN_PASSPHRASE.value = '';
+    }
+
+    if (this.elements.E2E_ENABLED) {
+      this.elements.E2E_ENABLED.checked = status.e2e;
+      this.elements.E2E_ENABLED.disabled = !window.CryptoUtils.isAvailable();
+    }
+    if (this.elements.E2E_PASSPHRASE) {
+      this.elements.E2E_PASSPHRASE.value = '';
+    }
+    this.updateOAuthFields();
+    this.updateProviderFields();
+  }
+
+  /**
+   * Preenche a configuração do OAuth App e habilita o login quando houver Client ID
+   */
+  updateOAuthFields() {
+    if (!window.GitHubDeviceFlow) return;
+
+    const settings = window.GitHubDeviceFlow.getSettings();
+    const configured = window.GitHubDeviceFlow.isConfigured();
+
+    if (this.elements.OAUTH_CLIENT_ID) this.elements.OAUTH_CLIENT_ID.value = settings.clientId;
+    if (this.elements.OAUTH_PROXY_URL) this.elements.OAUTH_PROXY_URL.value = settings.proxyUrl;
+    if (this.elements.OAUTH_SETTINGS) this.elements.OAUTH_SETTINGS.open = !configured;
+    if (this.elements.OAUTH_LOGIN_BTN) {
+      this.elements.OAUTH_LOGIN_BTN.disabled = !configured || !!this.oauthController;
+    }
+  }
+
+  /**
+   * Salva Client ID e proxy do OAuth App
+   */
+  saveOAuthSettings() {
+    window.GitHubDeviceFlow.saveSettings({
+      clientId: this.elements.OAUTH_CLIENT_ID?.value || '',
+      proxyUrl: this.elements.OAUTH_PROXY_URL?.value || ''
+    });
+    this.updateOAuthFields();
+    this.alertManager.success(I18n.t('settings.oauthSaved'));
+  }
+
+  /**
+   * Login pelo fluxo de dispositivo: exibe o código, aguarda a autorização
+   * e ativa a sincronização com o token recebido
+   */
+  async startOAuthLogin() {
+    if (this.oauthController) return;
+
+    const toggleDevice = visible => {
+      if (this.elements.OAUTH_DEVICE) this.elements.OAUTH_DEVICE.style.display = visible ? 'block' : 'none';
+    };
+
+    this.oauthController = new AbortController();
+    this.updateOAuthFields();
+
+    try {
+      const code = await window.GitHubDeviceFlow.requestCode();
+
+      if (this.elements.OAUTH_VERIFICATION_URI) {
+        this.elements.OAUTH_VERIFICATION_URI.href = SafeHtml.url(code.verificationUri);
+        this.elements.OAUTH_VERIFICATION_URI.textContent = code.verificationUri;
+      }
+      if (this.elements.OAUTH_USER_CODE) {
+        this.elements.OAUTH_USER_CODE.textContent = code.userCode;
+      }
+      toggleDevice(true);
+
+      this.oauthResult = await window.GitHubDeviceFlow.pollToken(code, this.oauthController.signal);
+      toggleDevice(false);
+
+      if (this.elements.TOKEN_INPUT) {
+        this.elements.TOKEN_INPUT.value = this.oauthResult.token;
+      }
+      this.alertManager.success(I18n.t('settings.oauthSuccess'));
+      this.elements.FORM?.requestSubmit();
+    } catch (error) {
+      if (error.code !== window.OAUTH_CONFIG.ERROR_CODES.CANCELLED) {
+        console.error('❌ Erro no login OAuth:', error);
+        this.alertManager.error(I18n.t('settings.oauthError', { message: this.describeError(error) }));
+      }
+    } finally {
+      toggleDevice(false);
+      this.oauthController = null;
+      this.updateOAuthFields();
+    }
+  }
+
+  /**
+   * Mensagem de erro para exibição (erros de criptografia têm texto próprio)
+   * @param {Error} error
+   * @returns {string}
+   */
+  describeError(error) {
+    const key = SYNC_UI_CONFIG.ERROR_MESSAGES[error.code];
+    return key ? I18n.t(key, error.params) : error.message;
+  }
+
+  /**
+   * Exibe o pedido de frase secreta enquanto o token estiver bloqueado
+   * @param {Object} status
+   */
+  updateUnlockForm(status) {
+    if (this.elements.UNLOCK_FORM) {
+      this.elements.UNLOCK_FORM.style.display = status.locked ? 'block' : 'none';
+    }
+    if (this.elements.UNLOCK_TOKEN_GROUP) {
+      this.elements.UNLOCK_TOKEN_GROUP.style.display = status.tokenLocked ? 'block' : 'none';
+    }
+    if (this.elements.UNLOCK_E2E_GROUP) {
+      this.elements.UNLOCK_E2E_GROUP.style.display = status.e2eLocked ? 'block' : 'none';
+    }
+  }
+
+  /**
+   * Desbloqueia o token cifrado para esta sessão
+   * @param {Event} event
+   */
+  async handleUnlock(event) {
+    event.preventDefault();
+
+    const status = this.syncManager.getStatus();
+    const passphrase = this.elements.UNLOCK_PASSPHRASE?.value || '';
+    const e2ePassphrase = this.elements.UNLOCK_E2E_PASSPHRASE?.value || '';
+
+    if (status.tokenLocked && !passphrase) {
+      this.alertManager.error(I18n.t('settings.passphraseRequired'));
+      return;
+    }
+    if (status.e2eLocked && !e2ePassphrase) {
+      this.alertManager.error(I18n.t('settings.e2ePassphraseRequired'));
+      return;
+    }
+
+    this.loadingManager.start('unlock');
+
+    try {
+      // O token primeiro: a frase E2E é conferida lendo o remoto
+      await this.syncManager.unlock(passphrase);
+      await this.syncManager.unlockE2E(e2ePassphrase);
+      if (this.elements.UNLOCK_PASSPHRASE) this.elements.UNLOCK_PASSPHRASE.value = '';
+      if (this.elements.UNLOCK_E2E_PASSPHRASE) this.elements.UNLOCK_E2E_PASSPHRASE.value = '';
+      this.updateUI();
+      this.alertManager.success(I18n.t('settings.unlocked'));
+    } catch (error) {
+      this.updateUI();
+      this.alertManager.error(I18n.t('settings.unlockError', { message: this.describeError(error) }));
+    } finally {
+      this.loadingManager.stop('unlock');
+    }
   }
 
   /**
@@ -446,8 +850,7 @@ class SyncManagerUI {
   updateButtons(status) {
     // Botão de ativar/atualizar
     if (this.elements.ENABLE_BTN) {
-      this.elements.ENABLE_BTN.textContent = status.enabled ? 
-        'Atualizar Token' : 'Ativar Sincronização';
+      this.elements.ENABLE_BTN.textContent = I18n.t(status.enabled ? 'settings.updateToken' : 'settings.enable');
       this.elements.ENABLE_BTN.disabled = status.rateLimitedUntil;
     }
 
@@ -471,7 +874,7 @@ class SyncManagerUI {
     if (status.rateLimitedUntil) {
       const resetDate = new Date(status.rateLimitedUntil);
       this.alertManager.error(
-        `API rate limit atingido — operações remotas desativadas até <strong>${resetDate.toLocaleString()}</strong>.`,
+        I18n.t('settings.rateLimitAlert', { date: resetDate.toLocaleString(I18n.getLocale()) }),
         0 // Não remover automaticamente
       );
     } else {
@@ -486,76 +889,135 @@ class SyncManagerUI {
   async handleSyncSetup(event) {
     event.preventDefault();
     
+    const providerType = this.getSelectedProvider();
+    const meta = SYNC_UI_CONFIG.PROVIDERS[providerType];
+    const options = this.getProviderOptions();
     const token = this.elements.TOKEN_INPUT?.value?.trim();
     
-    if (!token || token === SYNC_UI_CONFIG.TOKEN_PLACEHOLDER) {
-      this.alertManager.error('Por favor, insira um token válido');
+    if (meta?.tokenRequired && (!token || token === SYNC_UI_CONFIG.TOKEN_PLACEHOLDER)) {
+      this.alertManager.error(I18n.t('settings.tokenRequired'));
+      return;
+    }
+
+    if (meta?.needsUrl && !options.url) {
+      this.alertManager.error(I18n.t('settings.urlRequired'));
+      return;
+    }
+
+    const e2eEnabled = providerType === window.PROVIDER_CONFIG.TYPES.GIST && !!this.elements.E2E_ENABLED?.checked;
+    const security = {
+      mode: this.getTokenStorageMode(),
+      passphrase: this.elements.TOKEN_PASSPHRASE?.value || '',
+      e2ePassphrase: e2eEnabled ? this.elements.E2E_PASSPHRASE?.value || null : null,
+      // Sem nova frase, mantém a chave já desbloqueada nesta sessão
+      e2eKey: e2eEnabled ? this.syncManager.e2eKey : null,
+      // Expiração informada pelo login OAuth (tokens colados não a trazem)
+      expiresAt: this.oauthResult?.token === token ? this.oauthResult.expiresAt : null
+    };
+
+    if (token && security.mode === window.TOKEN_VAULT_CONFIG.MODES.ENCRYPTED && !security.passphrase) {
+      this.alertManager.error(I18n.t('settings.passphraseRequired'));
+      return;
+    }
+
+    if (e2eEnabled && !security.e2ePassphrase && !security.e2eKey) {
+      this.alertManager.error(I18n.t('settings.e2ePassphraseRequired'));
       return;
     }
 
     this.loadingManager.start('setup');
     
     try {
-      const result = await this.syncManager.setupSync(token);
+      const secret = token === SYNC_UI_CONFIG.TOKEN_PLACEHOLDER ? this.syncManager.token : token;
+      const result = await this.syncManager.setupSync(secret, providerType, options, security);
+      this.oauthResult = null;
       this.alertManager.success(result.message);
       this.updateUI();
       
       // Sincronizar dados existentes se houver
       await this.syncExistingData();
-      
+
+      if (result.replacedGistId) {
+        await this.handleReplacedGist(result.replacedGistId);
+      }
+
+      // Por último: cada alerta substitui o anterior
+      if (result.missingScopes?.length) {
+        this.alertManager.warning(I18n.t('settings.scopeMissing', { scopes: result.missingScopes.join(', ') }));
+      }
     } catch (error) {
-      this.alertManager.error(error.message);
+      if (error.missingScopes?.length) {
+        this.alertManager.error(I18n.t('settings.scopeMissing', { scopes: error.missingScopes.join(', ') }));
+      } else {
+        this.alertManager.error(this.describeError(error));
+      }
     } finally {
       this.loadingManager.stop('setup');
     }
   }
 
+  /**
+   * Oferece excluir o gist substituído ao ativar a E2E
+   * Só a exclusão remove as revisões antigas, ainda em texto claro.
+   * @param {string} gistId - ID do gist anterior
+   */
+  async handleReplacedGist(gistId) {
+    if (!confirm(I18n.t('settings.e2eReplacedConfirm'))) {
+      this.alertManager.warning(I18n.t('settings.e2eReplacedKept', { id: gistId }));
+      return;
+    }
+
+    try {
+      await this.syncManager.deleteReplacedGist(gistId);
+      this.alertManager.success(I18n.t('settings.e2eReplacedDeleted'));
+    } catch (error) {
+      console.warn('Erro ao excluir o gist anterior:', error);
+      this.alertManager.warning(I18n.t('settings.e2eReplacedKept', { id: gistId }));
+    }
+  }
+
   /**
    * Sincroniza dados existentes localmente
    */
   async syncExistingData() {
-    const localProgress = localStorage.getItem(SYNC_UI_CONFIG.STORAGE_KEYS.LOCAL_PROGRESS);
+    const localProgress = localStorage.getItem(SyllabusRegistry.namespaced(SYNC_UI_CONFIG.STORAGE_KEYS.LOCAL_PROGRESS));
     if (!localProgress) return;
 
     try {
       const data = JSON.parse(localProgress);
       await this.syncManager.forceSyncFromLocal(data);
-      this.alertManager.success('Progresso local sincronizado com sucesso!');
+      this.alertManager.success(I18n.t('settings.localSynced'));
     } catch (error) {
       console.warn('Erro ao sincronizar dados existentes:', error);
-      this.alertManager.warning('Sincronização configurada, mas erro ao enviar dados locais');
+      this.alertManager.warning(I18n.t('settings.localSyncError'));
     }
   }
 
   /**
-   * Testa conexão com GitHub
+   * Testa conexão com o provedor selecionado
    */
   async testConnection() {
-    const token = this.elements.TOKEN_INPUT?.value?.trim();
+    const providerType = this.getSelectedProvider();
+    const meta = SYNC_UI_CONFIG.PROVIDERS[providerType];
+    const input = this.elements.TOKEN_INPUT?.value?.trim();
+    const token = input === SYNC_UI_CONFIG.TOKEN_PLACEHOLDER ? this.syncManager.token : input;
     
-    if (!token) {
-      this.alertManager.error('Por favor, insira um token primeiro');
+    if (meta?.tokenRequired && !token) {
+      this.alertManager.error(I18n.t('settings.tokenFirst'));
       return;
     }
 
     this.loadingManager.start('test');
     
     try {
-      const response = await fetch('https://api.github.com/user', {
-        headers: {
-          'Authorization': `token ${token}`,
-          'Accept': 'application/vnd.github.v3+json'
-        }
-      });
-
-      if (response.ok) {
-        const user = await response.json();
-        this.alertManager.success(`✓ Conexão bem-sucedida! Autenticado como: ${user.login}`);
+      const result = await this.syncManager.testProvider(providerType, this.getProviderOptions(), token || null);
+      if (result.missingScopes?.length) {
+        this.alertManager.warning(I18n.t('settings.scopeMissing', { scopes: result.missingScopes.join(', ') }));
       } else {
-        this.alertManager.error('✗ Token inválido ou sem permissões adequadas');
+        this.alertManager.success(I18n.t('settings.testSuccess', { message: result.message }));
       }
     } catch (error) {
-      this.alertManager.error(`Erro ao testar conexão: ${error.message}`);
+      this.alertManager.error(I18n.t('settings.testError', { message: this.describeError(error) }));
     } finally {
       this.loadingManager.stop('test');
     }
@@ -568,18 +1030,18 @@ class SyncManagerUI {
     this.loadingManager.start('upload');
     
     try {
-      const localProgress = localStorage.getItem(SYNC_UI_CONFIG.STORAGE_KEYS.LOCAL_PROGRESS);
+      const localProgress = localStorage.getItem(SyllabusRegistry.namespaced(SYNC_UI_CONFIG.STORAGE_KEYS.LOCAL_PROGRESS));
       if (!localProgress) {
-        this.alertManager.error('Nenhum progresso local para sincronizar');
+        this.alertManager.error(I18n.t('settings.noLocal'));
         return;
       }
       
       const data = JSON.parse(localProgress);
       await this.syncManager.forceSyncFromLocal(data);
-      this.alertManager.success('Progresso enviado para o GitHub com sucesso!');
+      this.alertManager.success(I18n.t('settings.uploaded'));
       this.updateUI();
     } catch (error) {
-      this.alertManager.error(`Erro ao enviar progresso: ${error.message}`);
+      this.alertManager.error(I18n.t('settings.uploadError', { message: this.describeError(error) }));
     } finally {
       this.loadingManager.stop('upload');
     }
@@ -589,9 +1051,7 @@ class SyncManagerUI {
    * Força download do progresso remoto
    */
   async forceDownload() {
-    const confirmed = confirm(
-      'Isso irá sobrescrever seu progresso local com os dados do GitHub. Deseja continuar?'
-    );
+    const confirmed = confirm(I18n.t('settings.downloadConfirm'));
     
     if (!confirmed) return;
 
@@ -599,8 +1059,14 @@ class SyncManagerUI {
     
     try {
       const remoteData = await this.syncManager.forceSyncFromRemote();
-      localStorage.setItem(SYNC_UI_CONFIG.STORAGE_KEYS.LOCAL_PROGRESS, JSON.stringify(remoteData));
-      this.alertManager.success('Progresso baixado do GitHub com sucesso!');
+      if (!remoteData) {
+        this.alertManager.error(I18n.t('settings.noRemote'));
+        return;
+      }
+      const storageKey = SyllabusRegistry.namespaced(SYNC_UI_CONFIG.STORAGE_KEYS.LOCAL_PROGRESS);
+      SnapshotManager.create(JSON.parse(localStorage.getItem(storageKey) || 'null'), HISTORY_CONFIG.REASONS.DOWNLOAD);
+      localStorage.setItem(storageKey, JSON.stringify(remoteData));
+      this.alertManager.success(I18n.t('settings.downloaded'));
       this.updateUI();
       
       // Recarregar página para atualizar UI principal se necessário
@@ -608,7 +1074,7 @@ class SyncManagerUI {
         window.opener?.location?.reload();
       }
     } catch (error) {
-      this.alertManager.error(`Erro ao baixar progresso: ${error.message}`);
+      this.alertManager.error(I18n.t('settings.downloadError', { message: this.describeError(error) }));
     } finally {
       this.loadingManager.stop('download');
     }
@@ -618,14 +1084,12 @@ class SyncManagerUI {
    * Desabilita sincronização
    */
   disableSync() {
-    const confirmed = confirm(
-      'Deseja realmente desativar a sincronização? Seus dados locais não serão afetados.'
-    );
+    const confirmed = confirm(I18n.t('settings.disableConfirm'));
     
     if (!confirmed) return;
 
     this.syncManager.disable();
-    this.alertManager.info('Sincronização desativada');
+    this.alertManager.info(I18n.t('settings.disabledAlert'));
     this.updateUI();
   }
 
@@ -655,6 +1119,7 @@ document.addEventListener('DOMContentLoaded', () => {
     return;
   }
 
+  I18n.translatePage();
   syncManagerUI = new SyncManagerUI();
   console.log('✅ Interface de sincronização inicializada');
 });
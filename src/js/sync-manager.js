@@ -1,6 +1,7 @@
 /**
  * GitHub Gist Sync Manager para RFCP Tracker
  * Gerencia a sincronização de dados entre dispositivos usando GitHub Gists
+ * ou outro provedor registrado em sync-providers.js
  * @fileoverview Sistema de sincronização via GitHub Gists  
  * @author Sthefany Ricardo
  * @version 2.0.0
@@ -13,16 +14,64 @@
  */
 const SYNC_CONFIG = {
   API_BASE_URL: 'https://api.github.com',
+  // Um arquivo por syllabus no mesmo gist (ver GistManager.getFileName)
   GIST_FILENAME: 'rfcp-progress.json',
   GIST_DESCRIPTION: 'RFCP Study Tracker - Progress Data',
+  // Gist substituído ao ativar a E2E: fica fora da busca por descrição
+  RETIRED_GIST_DESCRIPTION: 'RFCP Study Tracker - Progress Data (retired, cleartext history)',
   STORAGE_KEYS: {
     GIST_ID: 'rfcp_gist_id',
-    TOKEN: 'rfcp_github_token',
-    RATE_LIMITED_UNTIL: 'rfcp_rate_limited_until'
+    PROVIDER: 'rfcp_sync_provider',
+    PROVIDER_OPTIONS: 'rfcp_sync_provider_options',
+    RATE_LIMITED_UNTIL: 'rfcp_rate_limited_until',
+    QUEUE: 'rfcp_sync_queue',
+    E2E: 'rfcp_sync_e2e',
+    // sessionStorage: chave E2E derivada da frase secreta (a frase não é guardada)
+    E2E_KEY: 'rfcp_sync_e2e_key'
   },
-  RATE_LIMIT_BUFFER: 60000 // 1 minute buffer
+  RATE_LIMIT_BUFFER: 60000, // 1 minute buffer
+  MAX_CONFLICT_RETRIES: 3,
+  // Revisões do gist exibidas no histórico
+  REVISIONS_LIMIT: 30,
+  ERROR_CODES: {
+    CONFLICT: 'SYNC_CONFLICT',
+    E2E_REQUIRED: 'SYNC_E2E_REQUIRED',
+    TOKEN_EXPIRED: 'SYNC_TOKEN_EXPIRED',
+    TOKEN_INVALID: 'SYNC_TOKEN_INVALID',
+    PERMISSION_REQUIRED: 'SYNC_PERMISSION_REQUIRED'
+  },
+  QUEUE: {
+    MAX_ENTRIES: 20,
+    MIN_RETRY_DELAY: 1000,       // 1 segundo (antes da primeira falha)
+    BASE_RETRY_DELAY: 5000,      // 5 segundos
+    MAX_RETRY_DELAY: 300000      // 5 minutos
+  }
 };
 
+/**
+ * Cria o erro lançado quando o remoto mudou desde a última leitura
+ * @param {string} message - Mensagem do erro
+ * @returns {Error}
+ */
+function createConflictError(message = 'Dados remotos alterados por outro dispositivo') {
+  return createCodedError(SYNC_CONFIG.ERROR_CODES.CONFLICT, message);
+}
+
+/**
+ * Cria o erro de token expirado
+ * @param {Date} expiresAt - Data de expiração
+ * @returns {Error}
+ */
+function createTokenExpiredError(expiresAt) {
+  const error = createCodedError(
+    SYNC_CONFIG.ERROR_CODES.TOKEN_EXPIRED,
+    `Token expirado em ${expiresAt.toLocaleString()}: faça login novamente ou gere outro token`
+  );
+  // Parâmetros da mensagem traduzida (SYNC_UI_CONFIG.ERROR_MESSAGES)
+  error.params = { date: expiresAt.toLocaleString() };
+  return error;
+}
+
 /**
  * Utilitários para requisições HTTP
  */
@@ -64,7 +113,9 @@ class HttpClient {
       }
     });
 
-    return { response, data: response.ok ? await response.json() : null };
+    // DELETE responde 204 sem corpo
+    const hasBody = response.ok && response.status !== 204;
+    return { response, data: hasBody ? await response.json() : null };
   }
 }
 
@@ -149,6 +200,135 @@ class RateLimitManager {
   }
 }
 
+/**
+ * Fila persistente de envios pendentes
+ * Cada entrada guarda um snapshot completo do progresso local; como os
+ * snapshots são cumulativos, enviar o mais recente resolve toda a fila.
+ */
+class SyncQueue {
+  constructor() {
+    this.onChange = null;
+    this.state = this.load();
+  }
+
+  /**
+   * Carrega a fila do localStorage
+   * @returns {Object}
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(SyllabusRegistry.namespaced(SYNC_CONFIG.STORAGE_KEYS.QUEUE)));
+      if (stored && Array.isArray(stored.entries)) {
+        return stored;
+      }
+    } catch (error) {
+      console.warn('Erro ao carregar fila de sincronização:', error);
+    }
+    return { entries: [], attempts: 0, nextAttemptAt: null };
+  }
+
+  /**
+   * Persiste a fila e notifica o listener
+   */
+  persist() {
+    try {
+      localStorage.setItem(SyllabusRegistry.namespaced(SYNC_CONFIG.STORAGE_KEYS.QUEUE), JSON.stringify(this.state));
+    } catch (error) {
+      console.warn('Erro ao persistir fila de sincronização:', error);
+    }
+
+    if (typeof this.onChange === 'function') {
+      this.onChange(this.size);
+    }
+  }
+
+  /**
+   * Quantidade de envios pendentes
+   * @returns {number}
+   */
+  get size() {
+    return this.state.entries.length;
+  }
+
+  /**
+   * Sequência da entrada mais recente
+   * @returns {number}
+   */
+  lastSeq() {
+    const last = this.state.entries[this.state.entries.length - 1];
+    return last ? last.seq : 0;
+  }
+
+  /**
+   * Adiciona um envio pendente
+   * @param {Object} data - Snapshot do progresso
+   */
+  enqueue(data) {
+    this.state.entries.push({
+      seq: this.lastSeq() + 1,
+      createdAt: new Date().toISOString(),
+      data
+    });
+
+    // Manter apenas os snapshots mais recentes
+    if (this.state.entries.length > SYNC_CONFIG.QUEUE.MAX_ENTRIES) {
+      this.state.entries = this.state.entries.slice(-SYNC_CONFIG.QUEUE.MAX_ENTRIES);
+    }
+
+    this.persist();
+  }
+
+  /**
+   * Retorna o snapshot mais recente da fila
+   * @returns {Object|null}
+   */
+  latest() {
+    const last = this.state.entries[this.state.entries.length - 1];
+    return last ? last.data : null;
+  }
+
+  /**
+   * Remove as entradas já enviadas
+   * @param {number} seq - Sequência da última entrada enviada
+   */
+  clearUpTo(seq) {
+    this.state.entries = this.state.entries.filter(entry => entry.seq > seq);
+    this.state.attempts = 0;
+    this.state.nextAttemptAt = null;
+    this.persist();
+  }
+
+  /**
+   * Esvazia a fila
+   */
+  clear() {
+    this.clearUpTo(Infinity);
+  }
+
+  /**
+   * Registra uma falha e agenda a próxima tentativa com backoff exponencial
+   */
+  recordFailure() {
+    const delay = Math.min(
+      SYNC_CONFIG.QUEUE.BASE_RETRY_DELAY * Math.pow(2, this.state.attempts),
+      SYNC_CONFIG.QUEUE.MAX_RETRY_DELAY
+    );
+
+    this.state.attempts++;
+    this.state.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    this.persist();
+  }
+
+  /**
+   * Tempo até a próxima tentativa permitida
+   * @returns {number} Milissegundos (0 se já pode tentar)
+   */
+  getRetryDelay() {
+    if (!this.state.nextAttemptAt) return 0;
+    return Math.max(0, new Date(this.state.nextAttemptAt).getTime() - Date.now());
+  }
+}
+
 /**
  * Gerenciador de Gists
  */
@@ -157,6 +337,76 @@ class GistManager {
     this.token = token;
     this.rateLimitManager = rateLimitManager;
     this.gistId = localStorage.getItem(SYNC_CONFIG.STORAGE_KEYS.GIST_ID);
+    this.etags = {};
+    // Chave E2E (CryptoUtils.deriveDataKey): com ela, o conteúdo do gist é um envelope cifrado
+    this.e2eKey = null;
+  }
+
+  /**
+   * Conteúdo do arquivo de progresso (JSON ou envelope cifrado)
+   * @param {Object} data - Dados de progresso
+   * @returns {Promise<string>}
+   */
+  async serialize(data) {
+    const payload = this.e2eKey ? await CryptoUtils.seal(data, this.e2eKey) : data;
+    return JSON.stringify(payload, null, 2);
+  }
+
+  /**
+   * Extrai a versão de um gist (última revisão ou data de atualização)
+   * @param {Object} gist - Gist retornado pela API
+   * @returns {string|null}
+   */
+  static getVersion(gist) {
+    return gist?.history?.[0]?.version || gist?.updated_at || null;
+  }
+
+  /**
+   * Nome do arquivo de progresso do syllabus ativo dentro do gist
+   * @returns {string}
+   */
+  static getFileName() {
+    return SyllabusRegistry.getFileName(SYNC_CONFIG.GIST_FILENAME);
+  }
+
+  /**
+   * Memoriza o ETag retornado pela API para requisições condicionais
+   * @param {string} gistId - ID do gist
+   * @param {Response} response - Resposta da API
+   */
+  rememberEtag(gistId, response) {
+    const etag = response.headers.get('ETag');
+    if (etag) {
+      this.etags[gistId] = etag;
+    }
+  }
+
+  /**
+   * Garante que o gist não mudou desde a versão lida
+   * Usa If-None-Match: um 304 confirma que nada mudou sem consumir rate limit.
+   * @param {string} gistId - ID do gist
+   * @param {string} expectedVersion - Versão lida antes da mescla
+   * @throws {Error} Erro com code SYNC_CONFLICT se outro dispositivo escreveu
+   */
+  async assertGistVersion(gistId, expectedVersion) {
+    const etag = this.etags[gistId];
+    const { response, data } = await HttpClient.githubRequest(`/gists/${gistId}`, this.token, {
+      headers: etag ? { 'If-None-Match': etag } : {}
+    });
+
+    this.rateLimitManager.handleRateLimit(response);
+
+    if (response.status === 304) return;
+
+    if (!response.ok) {
+      throw new Error(`Erro ao verificar versão do gist: ${response.status} ${response.statusText}`);
+    }
+
+    this.rememberEtag(gistId, response);
+
+    if (GistManager.getVersion(data) !== expectedVersion) {
+      throw createConflictError();
+    }
   }
 
   /**
@@ -190,7 +440,8 @@ class GistManager {
       throw new Error('Rate limit ativo. Tente novamente mais tarde.');
     }
 
-    const { response, data } = await HttpClient.githubRequest(`/gists/${gistId}`, this.token);
+    // A API responde com max-age=60: sem no-store, a releitura após um conflito viria do cache
+    const { response, data } = await HttpClient.githubRequest(`/gists/${gistId}`, this.token, { cache: 'no-store' });
     
     this.rateLimitManager.handleRateLimit(response);
 
@@ -201,35 +452,89 @@ class GistManager {
       throw new Error(`Erro ao buscar gist: ${response.status} ${response.statusText}`);
     }
 
+    this.rememberEtag(gistId, response);
     this.rateLimitManager.clearRateLimit();
     return data;
   }
 
   /**
-   * Cria um novo gist
-   * @param {Object} initialData - Dados iniciais
+   * Lista as revisões do gist (a mais recente primeiro)
+   * @param {string} gistId - ID do gist
+   * @param {number} limit - Quantidade máxima de revisões
+   * @returns {Promise<Array>} [{ version, committedAt }]
+   */
+  async listRevisions(gistId, limit = SYNC_CONFIG.REVISIONS_LIMIT) {
+    if (this.rateLimitManager.isRateLimited()) {
+      throw new Error('Rate limit ativo. Tente novamente mais tarde.');
+    }
+
+    const { response, data } = await HttpClient.githubRequest(`/gists/${gistId}/commits?per_page=${limit}`, this.token);
+
+    this.rateLimitManager.handleRateLimit(response);
+
+    if (!response.ok) {
+      throw new Error(`Erro ao listar revisões: ${response.status} ${response.statusText}`);
+    }
+
+    this.rateLimitManager.clearRateLimit();
+    return data.map(commit => ({ version: commit.version, committedAt: commit.committed_at }));
+  }
+
+  /**
+   * Busca o gist como estava em uma revisão
+   * @param {string} gistId - ID do gist
+   * @param {string} version - SHA da revisão
    * @returns {Promise<Object>}
    */
-  async createGist(initialData = null) {
+  async fetchRevision(gistId, version) {
     if (this.rateLimitManager.isRateLimited()) {
       throw new Error('Rate limit ativo. Tente novamente mais tarde.');
     }
 
+    const { response, data } = await HttpClient.githubRequest(`/gists/${gistId}/${encodeURIComponent(version)}`, this.token);
+
+    this.rateLimitManager.handleRateLimit(response);
+
+    if (!response.ok) {
+      throw new Error(`Erro ao buscar revisão: ${response.status} ${response.statusText}`);
+    }
+
+    this.rateLimitManager.clearRateLimit();
+    return data;
+  }
+
+  /**
+   * Cria um novo gist
+   * @param {Object} initialData - Dados iniciais
+   * @returns {Promise<Object>}
+   */
+  async createGist(initialData = null) {
     const data = initialData || {
-      completedIds: [],
-      completionDates: {},
-      lastModified: new Date().toISOString(),
-      version: '2.0'
+      ...ProgressModel.createEmpty(),
+      lastModified: new Date().toISOString()
     };
 
+    return await this.postGist({
+      [GistManager.getFileName()]: {
+        content: await this.serialize(data)
+      }
+    });
+  }
+
+  /**
+   * Cria um gist privado com os arquivos informados e passa a usá-lo
+   * @param {Object} files - Arquivos no formato da API ({ nome: { content } })
+   * @returns {Promise<Object>}
+   */
+  async postGist(files) {
+    if (this.rateLimitManager.isRateLimited()) {
+      throw new Error('Rate limit ativo. Tente novamente mais tarde.');
+    }
+
     const payload = {
       description: SYNC_CONFIG.GIST_DESCRIPTION,
       public: false,
-      files: {
-        [SYNC_CONFIG.GIST_FILENAME]: {
-          content: JSON.stringify(data, null, 2)
-        }
-      }
+      files
     };
 
     const { response, data: responseData } = await HttpClient.githubRequest('/gists', this.token, {
@@ -258,41 +563,53 @@ class GistManager {
    * Atualiza um gist existente
    * @param {string} gistId - ID do gist
    * @param {Object} data - Dados para atualizar
+   * @param {string|null} expectedVersion - Versão lida antes da mescla; se
+   *   informada, a escrita só acontece se o gist ainda estiver nessa versão
    * @returns {Promise<Object>}
    */
-  async updateGist(gistId, data) {
+  async updateGist(gistId, data, expectedVersion = null) {
     if (this.rateLimitManager.isRateLimited()) {
       throw new Error('Rate limit ativo. Tente novamente mais tarde.');
     }
 
+    if (expectedVersion) {
+      await this.assertGistVersion(gistId, expectedVersion);
+    }
+
     const dataWithTimestamp = {
-      ...data,
-      lastModified: new Date().toISOString(),
-      version: '2.0'
+      ...ProgressModel.normalize(data),
+      lastModified: new Date().toISOString()
     };
 
     const payload = {
       files: {
-        [SYNC_CONFIG.GIST_FILENAME]: {
-          content: JSON.stringify(dataWithTimestamp, null, 2)
+        [GistManager.getFileName()]: {
+          content: await this.serialize(dataWithTimestamp)
         }
       }
     };
 
+    const etag = this.etags[gistId];
     const { response, data: responseData } = await HttpClient.githubRequest(`/gists/${gistId}`, this.token, {
       method: 'PATCH',
       headers: {
-        'Content-Type': 'application/json'
+        'Content-Type': 'application/json',
+        ...(expectedVersion && etag ? { 'If-Match': etag } : {})
       },
       body: JSON.stringify(payload)
     });
 
     this.rateLimitManager.handleRateLimit(response);
 
+    if (response.status === 412) {
+      throw createConflictError();
+    }
+
     if (!response.ok) {
       throw new Error(`Erro ao atualizar gist: ${response.status} ${response.statusText}`);
     }
 
+    this.rememberEtag(gistId, response);
     this.rateLimitManager.clearRateLimit();
     return responseData;
   }
@@ -305,7 +622,11 @@ class GistManager {
     // Verificar se gist armazenado ainda existe
     if (this.gistId) {
       try {
-        await this.fetchGist(this.gistId);
+        const gist = await this.fetchGist(this.gistId);
+        // Outro dispositivo ativou a E2E e moveu os dados para um gist novo
+        if (gist.description === SYNC_CONFIG.RETIRED_GIST_DESCRIPTION) {
+          throw new Error('Gist substituído');
+        }
         console.log('✅ Gist existente validado:', this.gistId);
         return this.gistId;
       } catch (error) {
@@ -318,10 +639,8 @@ class GistManager {
     // Buscar gist existente por descrição
     try {
       const gists = await this.fetchUserGists();
-      const existingGist = gists.find(gist => 
-        gist.description === SYNC_CONFIG.GIST_DESCRIPTION &&
-        gist.files[SYNC_CONFIG.GIST_FILENAME]
-      );
+      // Qualquer syllabus pode ter criado o gist; o arquivo deste é criado no primeiro envio
+      const existingGist = gists.find(gist => gist.description === SYNC_CONFIG.GIST_DESCRIPTION);
 
       if (existingGist) {
         this.gistId = existingGist.id;
@@ -338,6 +657,86 @@ class GistManager {
     return newGist.id;
   }
 
+  /**
+   * Verifica se algum arquivo do gist está em texto claro
+   * @param {Object} gist - Gist retornado pela API
+   * @returns {boolean}
+   */
+  static hasCleartext(gist) {
+    return Object.values(gist?.files || {}).some(file => {
+      try {
+        return !CryptoUtils.isEnvelope(JSON.parse(file.content));
+      } catch (error) {
+        return true;
+      }
+    });
+  }
+
+  /**
+   * Move para um gist novo, cifrado desde a primeira revisão, um gist com dados em texto claro
+   * O histórico de um gist não pode ser reescrito: as revisões antigas seguem
+   * legíveis em /gists/:id/commits até que o gist anterior seja excluído.
+   * @param {string} gistId - ID do gist atual
+   * @returns {Promise<string|null>} ID do gist anterior, ou null se já estava todo cifrado
+   */
+  async replaceCleartextGist(gistId) {
+    const gist = await this.fetchGist(gistId);
+    if (!GistManager.hasCleartext(gist)) return null;
+
+    // Todos os syllabi dividem o gist; os arquivos de cada um são cifrados
+    const files = {};
+    for (const [name, file] of Object.entries(gist.files)) {
+      let payload;
+      try {
+        payload = JSON.parse(file.content);
+      } catch (error) {
+        console.warn('⚠️ Arquivo ilegível não copiado para o novo gist:', name);
+        continue;
+      }
+      files[name] = {
+        content: CryptoUtils.isEnvelope(payload) ? file.content : await this.serialize(payload)
+      };
+    }
+
+    await this.postGist(files);
+
+    // Tira o gist anterior da busca por descrição dos outros dispositivos
+    try {
+      await this.retireGist(gistId);
+    } catch (error) {
+      console.warn('⚠️ Erro ao marcar o gist anterior como substituído:', error.message);
+    }
+
+    return gistId;
+  }
+
+  /**
+   * Marca um gist como substituído (ver RETIRED_GIST_DESCRIPTION)
+   * @param {string} gistId - ID do gist
+   * @returns {Promise<void>}
+   */
+  async retireGist(gistId) {
+    if (this.rateLimitManager.isRateLimited()) {
+      throw new Error('Rate limit ativo. Tente novamente mais tarde.');
+    }
+
+    const { response } = await HttpClient.githubRequest(`/gists/${gistId}`, this.token, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ description: SYNC_CONFIG.RETIRED_GIST_DESCRIPTION })
+    });
+
+    this.rateLimitManager.handleRateLimit(response);
+
+    if (!response.ok) {
+      throw new Error(`Erro ao atualizar gist: ${response.status} ${response.statusText}`);
+    }
+
+    this.rateLimitManager.clearRateLimit();
+  }
+
   /**
    * Deleta um gist
    * @param {string} gistId - ID do gist
@@ -368,108 +767,536 @@ class GistManager {
  */
 class SyncManager {
   constructor() {
-    this.token = localStorage.getItem(SYNC_CONFIG.STORAGE_KEYS.TOKEN);
-    this.syncEnabled = !!this.token;
+    // Token cifrado sem a frase secreta nesta sessão: alterações ficam na fila
+    this.tokenLocked = TokenVault.isLocked();
+    this.token = TokenVault.load();
+    this.e2eEnabled = localStorage.getItem(SYNC_CONFIG.STORAGE_KEYS.E2E) === 'true';
+    this.e2eKey = this.e2eEnabled ? this.loadE2EKey() : null;
+    this.providerType = localStorage.getItem(SYNC_CONFIG.STORAGE_KEYS.PROVIDER) ||
+      (this.token || this.tokenLocked ? PROVIDER_CONFIG.TYPES.GIST : null);
+    this.providerOptions = this.loadProviderOptions();
+    this.syncEnabled = !!this.providerType;
     this.lastSync = null;
     this.syncInProgress = false;
     
     this.rateLimitManager = new RateLimitManager();
-    this.gistManager = this.token ? new GistManager(this.token, this.rateLimitManager) : null;
+    this.provider = this.syncEnabled && !this.tokenLocked
+      ? this.createProvider(this.providerType, this.providerOptions, this.token)
+      : null;
+
+    this.queue = new SyncQueue();
+    this.queue.onChange = (size) => this.onQueueChange?.(size);
+    this.retryTimer = null;
+    this.onQueueChange = null;
+    this.onQueueFlushed = null;
+    // Destino que só volta a aceitar escritas após um gesto do usuário (arquivo local)
+    this.needsReconnect = false;
+    this.onReconnectChange = null;
   }
 
   /**
-   * Configura a sincronização com um token
-   * @param {string} token - Token do GitHub
-   * @returns {Promise<Object>}
+   * Sincronização aguardando frase secreta (token cifrado ou dados E2E)
+   * @returns {boolean}
+   */
+  get locked() {
+    return this.tokenLocked || (this.e2eEnabled && !this.e2eKey);
+  }
+
+  /**
+   * Ativa o reenvio automático da fila (evento online e timers de retry)
+   */
+  startAutoRetry() {
+    if (typeof window === 'undefined' || this.autoRetryStarted) return;
+    this.autoRetryStarted = true;
+
+    window.addEventListener('online', () => {
+      console.log('🌐 Conexão restabelecida, enviando fila de sincronização');
+      this.flushQueue();
+    });
+
+    this.scheduleRetry();
+  }
+
+  /**
+   * Verifica se o navegador está sem conexão
+   * @returns {boolean}
+   */
+  isOffline() {
+    return typeof navigator !== 'undefined' && navigator.onLine === false;
+  }
+
+  /**
+   * Agenda a próxima tentativa de envio da fila
+   * Respeita o backoff da fila e o horário de reset do rate limit. Sem conexão
+   * ou com uma sincronização em andamento não há timer: o evento online e o
+   * fim da sincronização em curso chamam este método novamente.
+   */
+  scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+
+    if (!this.syncEnabled || this.locked || this.queue.size === 0 || !this.autoRetryStarted) return;
+    if (this.syncInProgress || this.isOffline() || this.needsReconnect) return;
+
+    let delay = Math.max(this.queue.getRetryDelay(), SYNC_CONFIG.QUEUE.MIN_RETRY_DELAY);
+    const { isLimited, resetTime } = this.rateLimitManager.getStatus();
+    if (isLimited && resetTime) {
+      delay = Math.max(delay, resetTime.getTime() - Date.now());
+    }
+
+    this.retryTimer = setTimeout(() => this.flushQueue(), delay);
+  }
+
+  /**
+   * Envia o snapshot mais recente da fila
+   * @returns {Promise<Object|null>} Dados mesclados ou null se não enviou
+   */
+  async flushQueue() {
+    const pending = this.queue.latest();
+    if (!pending || !this.syncEnabled || this.locked || this.needsReconnect) return null;
+
+    if (this.syncInProgress || this.isOffline() || this.rateLimitManager.isRateLimited()) {
+      this.scheduleRetry();
+      return null;
+    }
+
+    try {
+      const merged = await this.performSync(pending);
+      console.log('✅ Fila de sincronização enviada');
+      if (typeof this.onQueueFlushed === 'function') {
+        this.onQueueFlushed(merged);
+      }
+      return merged;
+    } catch (error) {
+      console.warn(`⚠️ Falha ao enviar fila (${this.queue.size} pendentes):`, error.message);
+      return null;
+    } finally {
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * Gerenciador de gists do provedor ativo (apenas para o provedor Gist)
+   * @returns {GistManager|null}
+   */
+  get gistManager() {
+    return this.provider?.gistManager || null;
+  }
+
+  /**
+   * Carrega as opções do provedor do localStorage
+   * @returns {Object}
+   */
+  loadProviderOptions() {
+    try {
+      return JSON.parse(localStorage.getItem(SYNC_CONFIG.STORAGE_KEYS.PROVIDER_OPTIONS)) || {};
+    } catch (error) {
+      console.warn('⚠️ Opções do provedor inválidas, usando padrão');
+      return {};
+    }
+  }
+
+  /**
+   * Cria uma instância de provedor de armazenamento
+   * @param {string} type - Tipo do provedor
+   * @param {Object} options - Opções do provedor
+   * @param {string|null} secret - Token ou senha
+   * @param {Object|null} e2eKey - Chave E2E (apenas Gist)
+   * @returns {StorageProvider}
+   */
+  createProvider(type, options = {}, secret = null, e2eKey = this.getE2EKey()) {
+    const provider = ProviderRegistry.create(type, options, secret, this.rateLimitManager);
+    if (provider.gistManager) {
+      provider.gistManager.e2eKey = e2eKey;
+    }
+    return provider;
+  }
+
+  /**
+   * Chave E2E ativa (null se E2E desativado ou bloqueado)
+   * @returns {Object|null}
+   */
+  getE2EKey() {
+    return this.e2eEnabled ? this.e2eKey : null;
+  }
+
+  /**
+   * Carrega a chave E2E guardada nesta sessão
+   * @returns {Object|null}
+   */
+  loadE2EKey() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(SYNC_CONFIG.STORAGE_KEYS.E2E_KEY));
+      return CryptoUtils.isDataKey(stored) ? stored : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Salva a configuração E2E; a chave derivada fica apenas nesta sessão
+   * @param {Object|null} e2eKey - Chave de CryptoUtils.deriveDataKey (null desativa o E2E)
+   */
+  saveE2E(e2eKey) {
+    this.e2eEnabled = !!e2eKey;
+    this.setE2EKey(e2eKey);
+
+    try {
+      if (e2eKey) {
+        localStorage.setItem(SYNC_CONFIG.STORAGE_KEYS.E2E, 'true');
+      } else {
+        localStorage.removeItem(SYNC_CONFIG.STORAGE_KEYS.E2E);
+      }
+    } catch (error) {
+      console.warn('⚠️ Erro ao salvar configuração E2E:', error);
+    }
+  }
+
+  /**
+   * Troca a chave E2E desta sessão sem mudar a configuração (null bloqueia)
+   * @param {Object|null} e2eKey - Chave de CryptoUtils.deriveDataKey
+   */
+  setE2EKey(e2eKey) {
+    this.e2eKey = e2eKey || null;
+    if (this.provider?.gistManager) {
+      this.provider.gistManager.e2eKey = this.e2eKey;
+    }
+
+    try {
+      if (this.e2eKey) {
+        sessionStorage.setItem(SYNC_CONFIG.STORAGE_KEYS.E2E_KEY, JSON.stringify(this.e2eKey));
+      } else {
+        sessionStorage.removeItem(SYNC_CONFIG.STORAGE_KEYS.E2E_KEY);
+      }
+    } catch (error) {
+      console.warn('⚠️ Erro ao salvar chave E2E:', error);
+    }
+  }
+
+  /**
+   * Decifra o payload remoto quando for um envelope E2E
+   * Payloads em texto claro são aceitos (o próximo envio já sai cifrado).
+   * @param {Object|null} remote - Payload retornado pelo provedor
+   * @param {Object|null} e2eKey - Chave E2E
+   * @returns {Promise<Object|null>}
+   */
+  async openRemote(remote, e2eKey = this.getE2EKey()) {
+    if (!CryptoUtils.isEnvelope(remote)) return remote;
+
+    if (!e2eKey) {
+      throw createCodedError(
+        SYNC_CONFIG.ERROR_CODES.E2E_REQUIRED,
+        'Os dados remotos estão cifrados: ative a criptografia de ponta a ponta com a mesma frase secreta'
+      );
+    }
+
+    return await CryptoUtils.open(remote, e2eKey);
+  }
+
+  /**
+   * Configura a sincronização com um provedor
+   * @param {string} token - Token do GitHub ou credencial do provedor
+   * @param {string} providerType - Tipo do provedor (gist, webdav, rest, local-file)
+   * @param {Object} options - Opções do provedor (url, username)
+   * @param {Object} security - { mode, passphrase } do token (ver TokenVault),
+   *   e2ePassphrase (ou a e2eKey já desbloqueada) para cifrar os dados no Gist
+   *   e expiresAt do token OAuth
+   * @returns {Promise<Object>} { success, message, missingScopes, replacedGistId }
+   *   (replacedGistId: gist anterior com revisões em texto claro, se a E2E o substituiu)
    */
-  async setupSync(token) {
-    if (!token?.trim()) {
+  async setupSync(token, providerType = PROVIDER_CONFIG.DEFAULT_TYPE, options = {}, security = {}) {
+    const secret = token?.trim() || null;
+    const { mode = TOKEN_VAULT_CONFIG.MODES.PLAIN, passphrase = '' } = security;
+    const isGist = providerType === PROVIDER_CONFIG.TYPES.GIST;
+    const e2ePassphrase = isGist ? security.e2ePassphrase || null : null;
+    let e2eKey = isGist && !e2ePassphrase ? security.e2eKey || null : null;
+
+    if (providerType === PROVIDER_CONFIG.TYPES.GIST && !secret) {
       throw new Error('Token é obrigatório');
     }
 
-    this.token = token.trim();
-    this.gistManager = new GistManager(this.token, this.rateLimitManager);
+    if (secret && mode === TOKEN_VAULT_CONFIG.MODES.ENCRYPTED && !passphrase) {
+      throw new Error('Frase secreta é obrigatória para cifrar o token');
+    }
+
+    const provider = this.createProvider(providerType, options, secret, null);
+    let testResult = null;
 
     try {
-      // Testar o token
-      await this.testToken();
+      // Testar as credenciais
+      testResult = await provider.test();
+
+      // Um gist criado agora já nasce cifrado
+      if (e2ePassphrase) {
+        e2eKey = await CryptoUtils.deriveDataKey(e2ePassphrase);
+      }
+      if (provider.gistManager) {
+        provider.gistManager.e2eKey = e2eKey;
+      }
       
-      // Garantir que existe um gist
-      await this.gistManager.ensureGist();
+      // Garantir que existe o destino remoto
+      await provider.ensure();
+
+      // Dados já cifrados por outro dispositivo exigem a mesma frase secreta
+      if (provider.gistManager) {
+        const remote = await provider.fetch();
+        // A chave adota o salt do remoto para que todos os dispositivos usem a mesma
+        if (e2ePassphrase && CryptoUtils.isEnvelope(remote) && remote.salt !== e2eKey.salt) {
+          e2eKey = await CryptoUtils.deriveDataKey(e2ePassphrase, remote);
+          provider.gistManager.e2eKey = e2eKey;
+        }
+        await this.openRemote(remote, e2eKey);
+      }
+
+      // Cifrar só os próximos envios deixaria o histórico do gist em texto claro
+      const replacedGistId = e2eKey
+        ? await provider.gistManager.replaceCleartextGist(provider.gistManager.gistId)
+        : null;
       
       // Salvar configurações
-      localStorage.setItem(SYNC_CONFIG.STORAGE_KEYS.TOKEN, this.token);
+      await TokenVault.store(secret, mode, passphrase);
+      TokenVault.setExpiry(testResult?.expiresAt || security.expiresAt || null);
+      this.saveE2E(e2eKey);
+      this.token = secret;
+      this.tokenLocked = false;
+      this.providerType = providerType;
+      this.providerOptions = options;
+      this.provider = provider;
+
+      localStorage.setItem(SYNC_CONFIG.STORAGE_KEYS.PROVIDER, providerType);
+      localStorage.setItem(SYNC_CONFIG.STORAGE_KEYS.PROVIDER_OPTIONS, JSON.stringify(options));
       this.syncEnabled = true;
       
-      console.log('✅ Sincronização configurada com sucesso');
+      console.log(`✅ Sincronização configurada com sucesso (${providerType})`);
       return {
         success: true,
-        message: 'Sincronização configurada com sucesso!'
+        message: 'Sincronização configurada com sucesso!',
+        missingScopes: testResult?.missingScopes || [],
+        replacedGistId
       };
     } catch (error) {
       console.error('❌ Erro ao configurar sincronização:', error);
-      throw new Error(`Erro na configuração: ${error.message}`);
+      const setupError = new Error(`Erro na configuração: ${error.message}`);
+      setupError.code = error.code;
+      setupError.params = error.params;
+      // Sem o escopo gist a criação do Gist falha; a causa provável vai junto
+      setupError.missingScopes = testResult?.missingScopes || [];
+      throw setupError;
+    }
+  }
+
+  /**
+   * Exclui o gist substituído ao ativar a E2E, com o histórico em texto claro
+   * @param {string} gistId - ID do gist anterior (ver setupSync)
+   * @returns {Promise<boolean>}
+   */
+  async deleteReplacedGist(gistId) {
+    this.assertUnlocked();
+    if (!this.provider?.gistManager || gistId === this.provider.gistManager.gistId) {
+      throw new Error('Gist anterior inválido');
     }
+    return await this.provider.gistManager.deleteGist(gistId);
   }
 
   /**
-   * Testa se o token é válido
+   * Testa se as credenciais do provedor ativo são válidas
+   * Um token com expiração conhecida já vencida falha sem consultar a API.
    * @returns {Promise<boolean>}
    */
   async testToken() {
-    if (!this.token) {
+    this.assertUnlocked();
+    if (!this.provider) {
       throw new Error('Token não configurado');
     }
 
-    const { response } = await HttpClient.githubRequest('/user', this.token);
-    
-    if (!response.ok) {
-      if (response.status === 401) {
-        throw new Error('Token inválido ou expirado');
+    if (this.provider.gistManager && TokenVault.isExpired()) {
+      throw createTokenExpiredError(TokenVault.getExpiry());
+    }
+
+    const result = await this.provider.test();
+    if (result?.expiresAt) {
+      TokenVault.setExpiry(result.expiresAt);
+    }
+    // O teste roda num clique e já pede a permissão do arquivo local
+    this.setNeedsReconnect(false);
+    return true;
+  }
+
+  /**
+   * Marca se o destino aguarda reconexão pelo usuário e notifica a interface
+   * @param {boolean} needed - Se a reconexão é necessária
+   */
+  setNeedsReconnect(needed) {
+    if (this.needsReconnect === needed) return;
+    this.needsReconnect = needed;
+    if (typeof this.onReconnectChange === 'function') {
+      this.onReconnectChange(needed);
+    }
+    this.scheduleRetry();
+  }
+
+  /**
+   * Recupera o acesso ao destino (permissão do arquivo local)
+   * Deve ser chamado a partir de um clique: o navegador exige gesto do usuário.
+   * @returns {Promise<boolean>}
+   */
+  async reconnect() {
+    this.assertUnlocked();
+    if (!this.provider) {
+      throw new Error('Provedor de sincronização não inicializado');
+    }
+
+    await this.provider.reconnect();
+    this.setNeedsReconnect(false);
+    return true;
+  }
+
+  /**
+   * Desbloqueia o token cifrado com a frase secreta (uma vez por sessão)
+   * @param {string} passphrase - Frase secreta
+   * @returns {Promise<boolean>}
+   */
+  async unlock(passphrase) {
+    if (!this.tokenLocked) return true;
+
+    this.token = await TokenVault.unlock(passphrase);
+    this.tokenLocked = false;
+    this.provider = this.createProvider(this.providerType, this.providerOptions, this.token);
+    console.log('🔓 Token desbloqueado para esta sessão');
+
+    this.scheduleRetry();
+    return true;
+  }
+
+  /**
+   * Informa a frase secreta E2E desta sessão
+   * Quando o remoto pode ser lido, a frase é conferida decifrando-o e a chave
+   * derivada usa o salt dele; só a chave fica guardada na sessão.
+   * @param {string} passphrase - Frase secreta E2E
+   * @returns {Promise<boolean>}
+   */
+  async unlockE2E(passphrase) {
+    if (!this.e2eEnabled) return true;
+
+    let remote = null;
+    if (this.provider) {
+      try {
+        remote = await this.provider.fetch();
+      } catch (error) {
+        if (Object.values(CRYPTO_CONFIG.ERROR_CODES).includes(error.code)) throw error;
+        // Sem acesso ao remoto (offline, rate limit): a frase é conferida no próximo envio
+        console.warn('⚠️ Não foi possível conferir a frase secreta E2E:', error.message);
       }
-      throw new Error(`Erro na validação do token: ${response.status}`);
     }
 
+    const e2eKey = await CryptoUtils.deriveDataKey(passphrase, CryptoUtils.isEnvelope(remote) ? remote : null);
+    await this.openRemote(remote, e2eKey);
+
+    this.setE2EKey(e2eKey);
+    console.log('🔓 Criptografia de ponta a ponta desbloqueada para esta sessão');
+
+    this.scheduleRetry();
     return true;
   }
 
+  /**
+   * Lança erro se o token ou os dados E2E ainda estiverem bloqueados
+   */
+  assertUnlocked() {
+    if (this.locked) {
+      throw new Error('Sincronização bloqueada: informe a frase secreta para continuar');
+    }
+  }
+
+  /**
+   * Testa um provedor sem ativá-lo
+   * @param {string} providerType - Tipo do provedor
+   * @param {Object} options - Opções do provedor
+   * @param {string|null} secret - Token ou senha
+   * @returns {Promise<Object>} { success, message }
+   */
+  async testProvider(providerType, options = {}, secret = null) {
+    const provider = this.createProvider(providerType, options, secret);
+    return await provider.test();
+  }
+
   /**
    * Sincroniza dados locais com remotos
    * @param {Object} localData - Dados locais
    * @returns {Promise<Object>} Dados sincronizados
    */
   async sync(localData) {
-    if (!this.syncEnabled || this.syncInProgress) {
+    if (!this.syncEnabled) {
       return localData;
     }
 
-    if (this.rateLimitManager.isRateLimited()) {
-      console.warn('⚠️ Rate limit ativo, pulando sincronização');
+    // Sem condições de enviar agora: registrar na fila em vez de descartar
+    if (this.locked || this.needsReconnect || this.syncInProgress || this.isOffline() || this.rateLimitManager.isRateLimited()) {
+      console.warn('⚠️ Sincronização indisponível no momento, alteração adicionada à fila');
+      this.queue.enqueue(localData);
+      this.scheduleRetry();
       return localData;
     }
 
+    try {
+      return await this.performSync(localData);
+    } catch (error) {
+      this.queue.enqueue(localData);
+      throw error;
+    } finally {
+      this.scheduleRetry();
+    }
+  }
+
+  /**
+   * Executa o ciclo buscar → mesclar → salvar
+   * @param {Object} localData - Dados locais
+   * @returns {Promise<Object>} Dados sincronizados
+   */
+  async performSync(localData) {
     this.syncInProgress = true;
+    const queuedUpTo = this.queue.lastSeq();
 
     try {
       console.log('🔄 Iniciando sincronização...');
       
-      // Buscar dados remotos
-      const remoteData = await this.fetchRemoteProgress();
-      
-      // Mesclar dados
-      const mergedData = this.mergeProgress(localData, remoteData);
-      
-      // Salvar dados mesclados remotamente se houve mudanças
-      if (this.hasChanges(localData, mergedData)) {
-        await this.saveRemoteProgress(mergedData);
+      let mergedData = null;
+
+      for (let attempt = 0; ; attempt++) {
+        // Buscar dados remotos (e a versão lida)
+        const remoteData = await this.fetchRemoteProgress();
+        const remoteVersion = this.provider.version;
+        
+        // Mesclar dados
+        mergedData = this.mergeProgress(localData, remoteData);
+        
+        // Salvar dados mesclados remotamente se o remoto ficou desatualizado
+        if (!this.hasChanges(remoteData, mergedData)) break;
+
+        try {
+          await this.saveRemoteProgress(mergedData, remoteVersion);
+          break;
+        } catch (error) {
+          if (error.code !== SYNC_CONFIG.ERROR_CODES.CONFLICT || attempt >= SYNC_CONFIG.MAX_CONFLICT_RETRIES) {
+            throw error;
+          }
+          console.warn(`⚠️ Conflito de escrita (tentativa ${attempt + 1}), buscando e mesclando novamente`);
+        }
       }
       
       this.lastSync = new Date().toISOString();
+      this.queue.clearUpTo(queuedUpTo);
       console.log('✅ Sincronização concluída');
       
       return mergedData;
     } catch (error) {
       console.error('❌ Erro na sincronização:', error);
+      if (error.code === SYNC_CONFIG.ERROR_CODES.PERMISSION_REQUIRED) {
+        // Repetir não adianta: a permissão só pode ser pedida num clique do usuário
+        this.setNeedsReconnect(true);
+      } else {
+        this.queue.recordFailure();
+      }
       throw error;
     } finally {
       this.syncInProgress = false;
@@ -478,83 +1305,89 @@ class SyncManager {
 
   /**
    * Busca o progresso remoto
-   * @returns {Promise<Object>}
+   * @returns {Promise<Object|null>}
    */
   async fetchRemoteProgress() {
-    if (!this.gistManager) {
-      throw new Error('Gist manager não inicializado');
-    }
-
-    const gistId = await this.gistManager.ensureGist();
-    const gist = await this.gistManager.fetchGist(gistId);
-    
-    const file = gist.files[SYNC_CONFIG.GIST_FILENAME];
-    if (!file) {
-      throw new Error('Arquivo de progresso não encontrado no gist');
+    if (!this.provider) {
+      throw new Error('Provedor de sincronização não inicializado');
     }
 
     try {
-      return JSON.parse(file.content);
+      return await this.openRemote(await this.provider.fetch());
     } catch (error) {
-      console.error('❌ Erro ao parsear dados remotos:', error);
-      throw new Error('Dados remotos corrompidos');
+      // Remoto cifrado com outro salt: bloqueia até a frase secreta ser informada de novo
+      if (error.code === CRYPTO_CONFIG.ERROR_CODES.KEY_MISMATCH) {
+        this.setE2EKey(null);
+      }
+      throw error;
     }
   }
 
+  /**
+   * Lista as revisões remotas do provedor ativo (vazio se não houver histórico)
+   * @returns {Promise<Array>} [{ version, committedAt }]
+   */
+  async listRemoteRevisions() {
+    if (!this.syncEnabled || !this.provider) return [];
+    this.assertUnlocked();
+
+    return await this.provider.listRevisions();
+  }
+
+  /**
+   * Busca o progresso de uma revisão remota, decifrando se necessário
+   * @param {string} version - Versão retornada por listRemoteRevisions
+   * @returns {Promise<Object|null>}
+   */
+  async fetchRemoteRevision(version) {
+    this.assertUnlocked();
+    if (!this.provider) {
+      throw new Error('Provedor de sincronização não inicializado');
+    }
+
+    return await this.openRemote(await this.provider.fetchRevision(version));
+  }
+
   /**
    * Salva o progresso remotamente
    * @param {Object} data - Dados para salvar
+   * @param {string|null} expectedVersion - Versão lida (escrita condicional)
    * @returns {Promise<Object>}
    */
-  async saveRemoteProgress(data) {
-    if (!this.gistManager) {
-      throw new Error('Gist manager não inicializado');
+  async saveRemoteProgress(data, expectedVersion = null) {
+    if (!this.provider) {
+      throw new Error('Provedor de sincronização não inicializado');
     }
 
-    const gistId = await this.gistManager.ensureGist();
-    return await this.gistManager.updateGist(gistId, data);
+    return await this.provider.save(data, { expectedVersion });
   }
 
   /**
    * Mescla progresso local e remoto
+   * Cada objetivo é resolvido individualmente pelo estado mais recente
+   * (concluído ou desmarcado); payloads 2.0 são migrados antes da mescla.
    * @param {Object} local - Dados locais
    * @param {Object} remote - Dados remotos
    * @returns {Object} Dados mesclados
    */
   mergeProgress(local, remote) {
     // Se não há dados remotos, usar locais
-    if (!remote?.completedIds) {
-      return local || { completedIds: [], completionDates: {} };
+    if (!remote?.completedIds && !remote?.objectiveStates) {
+      return ProgressModel.normalize(local);
     }
 
     // Se não há dados locais, usar remotos
-    if (!local?.completedIds) {
-      return remote;
+    if (!local?.completedIds && !local?.objectiveStates) {
+      return ProgressModel.normalize(remote);
     }
 
-    // Mesclar IDs (união)
-    const allCompletedIds = [...new Set([
-      ...local.completedIds,
-      ...remote.completedIds
-    ])];
-
-    // Mesclar datas (mais recente prevalece)
-    const mergedDates = { ...remote.completionDates };
-    
-    Object.entries(local.completionDates || {}).forEach(([id, date]) => {
-      if (!mergedDates[id] || new Date(date) > new Date(mergedDates[id])) {
-        mergedDates[id] = date;
-      }
-    });
-
-    return {
-      completedIds: allCompletedIds,
-      completionDates: mergedDates
-    };
+    return ProgressModel.merge(local, remote);
   }
 
   /**
    * Verifica se houve mudanças entre dois conjuntos de dados
+   * A comparação ignora a ordem das chaves: o mesmo conteúdo em outra ordem
+   * não deve gerar uma nova escrita (e revisão do Gist) a cada sincronização.
    * @param {Object} oldData - Dados antigos
    * @param {Object} newData - Dados novos
    * @returns {boolean}
@@ -563,8 +1396,9 @@ class SyncManager {
     if (!oldData || !newData) return true;
     
     return (
-      JSON.stringify(oldData.completedIds?.sort()) !== JSON.stringify(newData.completedIds?.sort()) ||
-      JSON.stringify(oldData.completionDates) !== JSON.stringify(newData.completionDates)
+      JSON.stringify([...(oldData.completedIds || [])].sort()) !== JSON.stringify([...(newData.completedIds || [])].sort()) ||
+      !ProgressModel.isEqual(oldData.completionDates, newData.completionDates) ||
+      PROGRESS_CONFIG.SECTIONS.some(section => !ProgressModel.isEqual(oldData[section], newData[section]))
     );
   }
 
@@ -577,9 +1411,11 @@ class SyncManager {
     if (!this.syncEnabled) {
       throw new Error('Sincronização não está habilitada');
     }
+    this.assertUnlocked();
 
     await this.saveRemoteProgress(localData);
     this.lastSync = new Date().toISOString();
+    this.queue.clear();
     
     return {
       success: true,
@@ -595,6 +1431,7 @@ class SyncManager {
     if (!this.syncEnabled) {
       throw new Error('Sincronização não está habilitada');
     }
+    this.assertUnlocked();
 
     const remoteData = await this.fetchRemoteProgress();
     this.lastSync = new Date().toISOString();
@@ -608,11 +1445,19 @@ class SyncManager {
   disable() {
     this.syncEnabled = false;
     this.token = null;
-    this.gistManager = null;
+    this.tokenLocked = false;
+    this.provider = null;
+    this.providerType = null;
+    this.providerOptions = {};
+    this.queue.clear();
+    clearTimeout(this.retryTimer);
     
+    TokenVault.clear();
+    this.saveE2E(null);
     try {
-      localStorage.removeItem(SYNC_CONFIG.STORAGE_KEYS.TOKEN);
       localStorage.removeItem(SYNC_CONFIG.STORAGE_KEYS.GIST_ID);
+      localStorage.removeItem(SYNC_CONFIG.STORAGE_KEYS.PROVIDER);
+      localStorage.removeItem(SYNC_CONFIG.STORAGE_KEYS.PROVIDER_OPTIONS);
       console.log('✅ Sincronização desabilitada');
     } catch (error) {
       console.warn('⚠️ Erro ao limpar dados de sincronização:', error);
@@ -629,9 +1474,17 @@ class SyncManager {
     return {
       enabled: this.syncEnabled,
       lastSync: this.lastSync,
+      provider: this.providerType,
+      location: this.provider?.describe() || null,
       gistId: this.gistManager?.gistId || null,
       inProgress: this.syncInProgress,
-      rateLimitedUntil: rateLimitStatus.isLimited ? rateLimitStatus.resetTime?.toISOString() : null
+      queueSize: this.queue.size,
+      rateLimitedUntil: rateLimitStatus.isLimited ? rateLimitStatus.resetTime?.toISOString() : null,
+      locked: this.locked,
+      tokenLocked: this.tokenLocked,
+      tokenMode: TokenVault.getMode(),
+      e2e: this.e2eEnabled,
+      e2eLocked: this.e2eEnabled && !this.e2eKey
     };
   }
 
@@ -640,12 +1493,12 @@ class SyncManager {
    * @returns {Promise<void>}
    */
   async cleanup() {
-    if (this.gistManager?.gistId) {
+    if (this.provider) {
       try {
-        await this.gistManager.deleteGist(this.gistManager.gistId);
-        console.log('✅ Gist deletado');
+        await this.provider.delete();
+        console.log('✅ Dados remotos removidos');
       } catch (error) {
-        console.warn('⚠️ Erro ao deletar gist:', error);
+        console.warn('⚠️ Erro ao remover dados remotos:', error);
       }
     }
     
@@ -657,9 +1510,10 @@ class SyncManager {
 // Exportar como singleton
 if (typeof window !== 'undefined') {
   window.SyncManager = SyncManager;
+  window.SYNC_CONFIG = SYNC_CONFIG;
 }
 
 // Exportar para ambientes Node.js se necessário
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { SyncManager, HttpClient, RateLimitManager, GistManager };
+  module.exports = { SyncManager, HttpClient, RateLimitManager, GistManager, SyncQueue };
 }
\ No newline at end of file
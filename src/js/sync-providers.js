@@ -0,0 +1,732 @@
+/**
+ * Provedores de armazenamento para sincronização do RFCP Tracker
+ * Define o contrato comum (ensure/fetch/save/delete) e as implementações
+ * para GitHub Gist, servidor WebDAV, endpoint REST próprio e arquivo local
+ * @fileoverview Backends plugáveis de sincronização
+ * @author Sthefany Ricardo
+ * @version 2.0.0
+ */
+
+'use strict';
+
+/**
+ * Configurações dos provedores
+ */
+const PROVIDER_CONFIG = {
+  TYPES: {
+    GIST: 'gist',
+    WEBDAV: 'webdav',
+    REST: 'rest',
+    LOCAL_FILE: 'local-file'
+  },
+  DEFAULT_TYPE: 'gist',
+  // Escopo exigido do token do GitHub para ler e gravar gists
+  GIST_SCOPE: 'gist',
+  // Nome base; syllabi além do padrão usam "rfcp-progress-<id>.json"
+  FILENAME: 'rfcp-progress.json',
+  // Versão de um recurso HTTP que ainda não existe (criação com If-None-Match: *)
+  ABSENT_VERSION: 'absent',
+  // Prefixo da versão por hash do conteúdo, quando o ETag não é legível (CORS)
+  CONTENT_HASH_PREFIX: 'fnv1a:',
+  LOCAL_FILE_DB: {
+    NAME: 'rfcp-sync',
+    STORE: 'handles',
+    KEY: 'progress-file'
+  }
+};
+
+/**
+ * Contrato abstrato de um provedor de armazenamento
+ * Implementações devem sobrescrever ensure, fetch, save, delete e test.
+ */
+class StorageProvider {
+  /**
+   * @param {Object} options - Opções específicas do provedor
+   * @param {string|null} secret - Token ou senha do provedor
+   */
+  constructor(options = {}, secret = null) {
+    if (new.target === StorageProvider) {
+      throw new Error('StorageProvider é abstrato e não pode ser instanciado');
+    }
+    this.options = options;
+    this.secret = secret;
+    // Versão remota observada no último fetch/save (ETag, revisão, mtime)
+    this.version = null;
+  }
+
+  /**
+   * Identificador do tipo de provedor
+   * @returns {string}
+   */
+  get type() {
+    throw new Error('Provedor deve definir "type"');
+  }
+
+  /**
+   * Garante que o destino remoto existe
+   * @returns {Promise<string>} Identificador/local do destino
+   */
+  async ensure() {
+    throw new Error(`${this.constructor.name}.ensure não implementado`);
+  }
+
+  /**
+   * Busca o progresso remoto
+   * @returns {Promise<Object|null>} Payload ou null se ainda não existir
+   */
+  async fetch() {
+    throw new Error(`${this.constructor.name}.fetch não implementado`);
+  }
+
+  /**
+   * Salva o progresso remoto
+   * Com expectedVersion, a escrita deve falhar com erro SYNC_CONFLICT se o
+   * remoto não estiver mais nessa versão.
+   * @param {Object} data - Payload de progresso
+   * @param {Object} options - { expectedVersion }
+   * @returns {Promise<Object>}
+   */
+  async save(data, options = {}) {
+    throw new Error(`${this.constructor.name}.save não implementado`);
+  }
+
+  /**
+   * Remove o progresso remoto
+   * @returns {Promise<boolean>}
+   */
+  async delete() {
+    throw new Error(`${this.constructor.name}.delete não implementado`);
+  }
+
+  /**
+   * Testa a conexão/credenciais do provedor
+   * @returns {Promise<Object>} { success, message }
+   */
+  async test() {
+    throw new Error(`${this.constructor.name}.test não implementado`);
+  }
+
+  /**
+   * Recupera o acesso ao destino a partir de um gesto do usuário
+   * Provedores que não dependem de permissão do navegador apenas garantem o destino.
+   * @returns {Promise<string>} Identificador/local do destino
+   */
+  async reconnect() {
+    return await this.ensure();
+  }
+
+  /**
+   * Lista as revisões remotas anteriores, da mais recente para a mais antiga
+   * Provedores sem histórico retornam lista vazia.
+   * @returns {Promise<Array>} [{ version, committedAt }]
+   */
+  async listRevisions() {
+    return [];
+  }
+
+  /**
+   * Busca o progresso de uma revisão remota
+   * @param {string} version - Versão retornada por listRevisions
+   * @returns {Promise<Object|null>} Payload ou null se o arquivo não existia
+   */
+  async fetchRevision(version) {
+    throw new Error(`${this.constructor.name} não mantém histórico de revisões`);
+  }
+
+  /**
+   * Descreve o destino atual para exibição
+   * @returns {string|null}
+   */
+  describe() {
+    return null;
+  }
+
+  /**
+   * Serializa o payload com timestamp
+   * @param {Object} data - Payload de progresso
+   * @returns {string}
+   */
+  serialize(data) {
+    return JSON.stringify({
+      ...ProgressModel.normalize(data),
+      lastModified: new Date().toISOString()
+    }, null, 2);
+  }
+
+  /**
+   * Converte o conteúdo remoto em payload
+   * @param {string} text - Conteúdo bruto
+   * @returns {Object|null}
+   */
+  parse(text) {
+    if (!text || !text.trim()) return null;
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      console.error('❌ Erro ao parsear dados remotos:', error);
+      if (text.includes(CRYPTO_CONFIG.ENVELOPE_FORMAT)) {
+        throw createCodedError(CRYPTO_CONFIG.ERROR_CODES.INVALID_DATA, 'Envelope cifrado corrompido');
+      }
+      throw new Error('Dados remotos corrompidos');
+    }
+  }
+}
+
+/**
+ * Provedor baseado em GitHub Gists
+ */
+class GistProvider extends StorageProvider {
+  /**
+   * @param {Object} options - Opções (não utilizadas)
+   * @param {string} token - Token do GitHub
+   * @param {RateLimitManager} rateLimitManager - Gerenciador de rate limit
+   */
+  constructor(options, token, rateLimitManager) {
+    super(options, token);
+    this.gistManager = new GistManager(token, rateLimitManager);
+  }
+
+  get type() {
+    return PROVIDER_CONFIG.TYPES.GIST;
+  }
+
+  async ensure() {
+    return await this.gistManager.ensureGist();
+  }
+
+  async fetch() {
+    const gistId = await this.ensure();
+    const gist = await this.gistManager.fetchGist(gistId);
+
+    this.version = GistManager.getVersion(gist);
+
+    // O gist é compartilhado entre syllabi; o arquivo deste syllabus pode ainda não existir
+    const file = gist.files[GistManager.getFileName()];
+    return file ? this.parse(file.content) : null;
+  }
+
+  async save(data, { expectedVersion = null } = {}) {
+    const gistId = await this.ensure();
+    const result = await this.gistManager.updateGist(gistId, data, expectedVersion);
+    this.version = GistManager.getVersion(result);
+    return result;
+  }
+
+  async delete() {
+    if (!this.gistManager.gistId) return true;
+    return await this.gistManager.deleteGist(this.gistManager.gistId);
+  }
+
+  async listRevisions() {
+    const gistId = await this.ensure();
+    return await this.gistManager.listRevisions(gistId);
+  }
+
+  async fetchRevision(version) {
+    const gistId = await this.ensure();
+    const gist = await this.gistManager.fetchRevision(gistId, version);
+
+    // Revisões anteriores à criação do arquivo deste syllabus não o contêm
+    const file = gist.files[GistManager.getFileName()];
+    return file ? this.parse(file.content) : null;
+  }
+
+  async test() {
+    const { response, data } = await HttpClient.githubRequest('/user', this.secret);
+
+    if (!response.ok) {
+      if (response.status === 401) {
+        const expiresAt = GistProvider.parseExpiry(response) || TokenVault.getExpiry();
+        if (expiresAt && expiresAt.getTime() <= Date.now()) {
+          throw createTokenExpiredError(expiresAt);
+        }
+        throw createCodedError(SYNC_CONFIG.ERROR_CODES.TOKEN_INVALID, 'Token inválido ou expirado');
+      }
+      throw new Error(`Erro na validação do token: ${response.status}`);
+    }
+
+    return {
+      success: true,
+      message: `Autenticado como: ${data.login}`,
+      missingScopes: GistProvider.missingScopes(response),
+      expiresAt: GistProvider.parseExpiry(response)
+    };
+  }
+
+  /**
+   * Escopos exigidos que faltam ao token
+   * Tokens clássicos e OAuth informam os escopos em X-OAuth-Scopes; tokens
+   * fine-grained não enviam o cabeçalho e não são avaliados.
+   * @param {Response} response - Resposta da API do GitHub
+   * @returns {string[]}
+   */
+  static missingScopes(response) {
+    const header = response.headers.get('X-OAuth-Scopes');
+    if (header === null) return [];
+
+    const scopes = header.split(',').map(scope => scope.trim());
+    return scopes.includes(PROVIDER_CONFIG.GIST_SCOPE) ? [] : [PROVIDER_CONFIG.GIST_SCOPE];
+  }
+
+  /**
+   * Data de expiração do token informada pelo GitHub, se houver
+   * @param {Response} response - Resposta da API do GitHub
+   * @returns {Date|null}
+   */
+  static parseExpiry(response) {
+    const header = response.headers.get('GitHub-Authentication-Token-Expiration');
+    const date = header ? new Date(header) : null;
+    return date && !isNaN(date.getTime()) ? date : null;
+  }
+
+  describe() {
+    return this.gistManager.gistId;
+  }
+}
+
+/**
+ * Provedor base para servidores HTTP que aceitam GET/PUT/DELETE
+ */
+class HttpFileProvider extends StorageProvider {
+  /**
+   * URL do recurso de progresso
+   * @returns {string}
+   */
+  get resourceUrl() {
+    return this.options.url;
+  }
+
+  /**
+   * Cabeçalho de autenticação do provedor
+   * @returns {Object}
+   */
+  getAuthHeaders() {
+    return {};
+  }
+
+  /**
+   * Executa uma requisição contra o recurso de progresso
+   * @param {Object} options - Opções do fetch
+   * @returns {Promise<Response>}
+   */
+  async send(options = {}) {
+    if (!this.resourceUrl) {
+      throw new Error('URL do servidor não configurada');
+    }
+
+    return await fetch(this.resourceUrl, {
+      ...options,
+      headers: {
+        'Accept': 'application/json',
+        ...this.getAuthHeaders(),
+        ...options.headers
+      }
+    });
+  }
+
+  /**
+   * Hash do conteúdo (FNV-1a, 32 bits) usado como versão quando não há ETag
+   * Serve para detectar alterações entre a leitura e a escrita; não é criptográfico.
+   * @param {string} text - Conteúdo do recurso
+   * @returns {string}
+   */
+  static hashContent(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return `${PROVIDER_CONFIG.CONTENT_HASH_PREFIX}${text.length}-${(hash >>> 0).toString(16)}`;
+  }
+
+  /**
+   * Versão de uma resposta: o ETag ou, se o servidor não o expõe para outra
+   * origem (Access-Control-Expose-Headers: ETag), o hash do conteúdo
+   * @param {Response} response - Resposta do GET ou PUT
+   * @param {string} body - Conteúdo lido ou enviado
+   * @returns {string}
+   */
+  readVersion(response, body) {
+    const etag = response.headers.get('ETag');
+    if (etag) return etag;
+
+    if (!this.etagWarned) {
+      this.etagWarned = true;
+      console.warn('⚠️ ETag não legível (verifique Access-Control-Expose-Headers); conflitos serão detectados pelo conteúdo');
+    }
+    return HttpFileProvider.hashContent(body);
+  }
+
+  /**
+   * Confere, sem ETag, se o conteúdo remoto ainda é o lido antes da mescla
+   * @param {string} expectedVersion - Hash do conteúdo lido
+   */
+  async assertContentVersion(expectedVersion) {
+    const response = await this.send({ method: 'GET', cache: 'no-store' });
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`Erro ao buscar progresso: ${response.status} ${response.statusText}`);
+    }
+
+    const current = response.status === 404
+      ? PROVIDER_CONFIG.ABSENT_VERSION
+      : HttpFileProvider.hashContent(await response.text());
+    if (current !== expectedVersion) {
+      throw createConflictError();
+    }
+  }
+
+  async ensure() {
+    const response = await this.send({ method: 'GET' });
+
+    if (response.status === 404) {
+      try {
+        await this.save(ProgressModel.createEmpty(), { expectedVersion: PROVIDER_CONFIG.ABSENT_VERSION });
+      } catch (error) {
+        // Outro dispositivo criou o arquivo nesse meio tempo: basta usá-lo
+        if (error.code !== SYNC_CONFIG.ERROR_CODES.CONFLICT) throw error;
+      }
+    } else if (!response.ok) {
+      throw new Error(`Erro ao acessar servidor: ${response.status} ${response.statusText}`);
+    }
+
+    return this.resourceUrl;
+  }
+
+  async fetch() {
+    const response = await this.send({ method: 'GET', cache: 'no-store' });
+
+    if (response.status === 404) {
+      this.version = PROVIDER_CONFIG.ABSENT_VERSION;
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(`Erro ao buscar progresso: ${response.status} ${response.statusText}`);
+    }
+
+    const body = await response.text();
+    this.version = this.readVersion(response, body);
+    return this.parse(body);
+  }
+
+  async save(data, { expectedVersion = null } = {}) {
+    const body = this.serialize(data);
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (expectedVersion === PROVIDER_CONFIG.ABSENT_VERSION) {
+      // Criação: o servidor responde 412 se o arquivo passou a existir
+      headers['If-None-Match'] = '*';
+    } else if (expectedVersion?.startsWith(PROVIDER_CONFIG.CONTENT_HASH_PREFIX)) {
+      await this.assertContentVersion(expectedVersion);
+    } else if (expectedVersion) {
+      headers['If-Match'] = expectedVersion;
+    }
+
+    const response = await this.send({ method: 'PUT', headers, body });
+
+    if (response.status === 412) {
+      throw createConflictError();
+    }
+
+    if (!response.ok) {
+      throw new Error(`Erro ao salvar progresso: ${response.status} ${response.statusText}`);
+    }
+
+    this.version = this.readVersion(response, body);
+    return { success: true };
+  }
+
+  async delete() {
+    const response = await this.send({ method: 'DELETE' });
+
+    if (response.ok || response.status === 404) return true;
+    throw new Error(`Erro ao remover progresso: ${response.status} ${response.statusText}`);
+  }
+
+  async test() {
+    const response = await this.send({ method: 'GET' });
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('Credenciais inválidas para o servidor');
+    }
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`Erro ao acessar servidor: ${response.status} ${response.statusText}`);
+    }
+
+    return { success: true, message: `Servidor acessível: ${this.resourceUrl}` };
+  }
+
+  describe() {
+    return this.resourceUrl || null;
+  }
+}
+
+/**
+ * Provedor para servidores WebDAV (Nextcloud, Apache mod_dav, etc.)
+ * A URL configurada é a coleção onde o arquivo de progresso será gravado.
+ */
+class WebDAVProvider extends HttpFileProvider {
+  get type() {
+    return PROVIDER_CONFIG.TYPES.WEBDAV;
+  }
+
+  get resourceUrl() {
+    if (!this.options.url) return null;
+    return `${this.options.url.replace(/\/+$/, '')}/${SyllabusRegistry.getFileName(PROVIDER_CONFIG.FILENAME)}`;
+  }
+
+  getAuthHeaders() {
+    if (!this.options.username) return {};
+    return { 'Authorization': `Basic ${btoa(`${this.options.username}:${this.secret || ''}`)}` };
+  }
+}
+
+/**
+ * Provedor para um endpoint REST próprio
+ * A URL configurada responde GET/PUT/DELETE com o JSON de progresso. Syllabi
+ * além do padrão recebem o parâmetro "syllabus=<id>" na query string.
+ */
+class RestProvider extends HttpFileProvider {
+  get type() {
+    return PROVIDER_CONFIG.TYPES.REST;
+  }
+
+  get resourceUrl() {
+    if (!this.options.url) return null;
+
+    const id = SyllabusRegistry.getActiveId();
+    if (id === SYLLABUS_REGISTRY_CONFIG.DEFAULT_ID) return this.options.url;
+
+    const url = new URL(this.options.url, window.location.href);
+    url.searchParams.set(SYLLABUS_REGISTRY_CONFIG.URL_PARAM, id);
+    return url.toString();
+  }
+
+  getAuthHeaders() {
+    return this.secret ? { 'Authorization': `Bearer ${this.secret}` } : {};
+  }
+}
+
+/**
+ * Provedor para um arquivo local (File System Access API)
+ * O handle do arquivo é persistido no IndexedDB entre sessões.
+ */
+class LocalFileProvider extends StorageProvider {
+  constructor(options = {}, secret = null) {
+    super(options, secret);
+    this.handle = null;
+  }
+
+  get type() {
+    return PROVIDER_CONFIG.TYPES.LOCAL_FILE;
+  }
+
+  /**
+   * Verifica suporte do navegador
+   * @returns {boolean}
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function';
+  }
+
+  /**
+   * Abre o banco IndexedDB de handles
+   * @returns {Promise<IDBDatabase>}
+   */
+  openDb() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(PROVIDER_CONFIG.LOCAL_FILE_DB.NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(PROVIDER_CONFIG.LOCAL_FILE_DB.STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Executa uma operação no object store de handles
+   * @param {string} mode - readonly ou readwrite
+   * @param {Function} operation - Recebe o store e retorna um IDBRequest
+   * @returns {Promise<*>}
+   */
+  async withStore(mode, operation) {
+    const db = await this.openDb();
+    return new Promise((resolve, reject) => {
+      const store = db.transaction(PROVIDER_CONFIG.LOCAL_FILE_DB.STORE, mode)
+        .objectStore(PROVIDER_CONFIG.LOCAL_FILE_DB.STORE);
+      const request = operation(store);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Carrega o handle persistido
+   * @returns {Promise<FileSystemFileHandle|null>}
+   */
+  async loadHandle() {
+    if (!this.handle) {
+      this.handle = await this.withStore('readonly', store => store.get(SyllabusRegistry.namespaced(PROVIDER_CONFIG.LOCAL_FILE_DB.KEY))) || null;
+    }
+    return this.handle;
+  }
+
+  /**
+   * Solicita ao usuário o arquivo de progresso (requer gesto do usuário)
+   * @returns {Promise<FileSystemFileHandle>}
+   */
+  async pickFile() {
+    if (!LocalFileProvider.isSupported()) {
+      throw new Error('Navegador não suporta acesso a arquivos locais');
+    }
+
+    this.handle = await window.showSaveFilePicker({
+      suggestedName: SyllabusRegistry.getFileName(PROVIDER_CONFIG.FILENAME),
+      types: [{ description: 'JSON', accept: { 'application/json': ['.json'] } }]
+    });
+    await this.withStore('readwrite', store => store.put(this.handle, SyllabusRegistry.namespaced(PROVIDER_CONFIG.LOCAL_FILE_DB.KEY)));
+    return this.handle;
+  }
+
+  /**
+   * Garante permissão de leitura e escrita no arquivo
+   * Pedir permissão (ou escolher o arquivo) exige um gesto do usuário. Fora
+   * dele, como nas sincronizações em segundo plano após recarregar a página,
+   * a falta de permissão vira SYNC_PERMISSION_REQUIRED em vez de uma falha
+   * que seria repetida indefinidamente.
+   * @param {FileSystemFileHandle} handle
+   * @param {boolean} interactive - Se pode pedir permissão ao usuário
+   */
+  async ensurePermission(handle, interactive = false) {
+    const options = { mode: 'readwrite' };
+    if (await handle.queryPermission(options) === 'granted') return;
+    if (!interactive) {
+      throw createCodedError(SYNC_CONFIG.ERROR_CODES.PERMISSION_REQUIRED, 'Reconecte o arquivo local para continuar sincronizando');
+    }
+    if (await handle.requestPermission(options) === 'granted') return;
+    throw new Error('Permissão de acesso ao arquivo local negada');
+  }
+
+  /**
+   * Garante o arquivo e a permissão de acesso
+   * @param {Object} options - { interactive } quando chamado a partir de um clique
+   * @returns {Promise<string>} Nome do arquivo
+   */
+  async ensure({ interactive = false } = {}) {
+    let handle = await this.loadHandle();
+    if (!handle) {
+      if (!interactive) {
+        throw createCodedError(SYNC_CONFIG.ERROR_CODES.PERMISSION_REQUIRED, 'Escolha o arquivo local de sincronização');
+      }
+      handle = await this.pickFile();
+    }
+    await this.ensurePermission(handle, interactive);
+    return handle.name;
+  }
+
+  async reconnect() {
+    return await this.ensure({ interactive: true });
+  }
+
+  async fetch() {
+    await this.ensure();
+    const file = await this.handle.getFile();
+    this.version = String(file.lastModified);
+    return this.parse(await file.text());
+  }
+
+  async save(data, { expectedVersion = null } = {}) {
+    await this.ensure();
+
+    if (expectedVersion) {
+      const current = await this.handle.getFile();
+      if (String(current.lastModified) !== expectedVersion) {
+        throw createConflictError();
+      }
+    }
+
+    const writable = await this.handle.createWritable();
+    await writable.write(this.serialize(data));
+    await writable.close();
+
+    this.version = String((await this.handle.getFile()).lastModified);
+    return { success: true };
+  }
+
+  async delete() {
+    this.handle = null;
+    await this.withStore('readwrite', store => store.delete(SyllabusRegistry.namespaced(PROVIDER_CONFIG.LOCAL_FILE_DB.KEY)));
+    return true;
+  }
+
+  async test() {
+    const name = await this.ensure({ interactive: true });
+    return { success: true, message: `Arquivo local acessível: ${name}` };
+  }
+
+  describe() {
+    return this.handle?.name || null;
+  }
+}
+
+/**
+ * Registro de provedores disponíveis
+ */
+class ProviderRegistry {
+  /**
+   * Mapa tipo → classe do provedor
+   * @returns {Object}
+   */
+  static get providers() {
+    return {
+      [PROVIDER_CONFIG.TYPES.GIST]: GistProvider,
+      [PROVIDER_CONFIG.TYPES.WEBDAV]: WebDAVProvider,
+      [PROVIDER_CONFIG.TYPES.REST]: RestProvider,
+      [PROVIDER_CONFIG.TYPES.LOCAL_FILE]: LocalFileProvider
+    };
+  }
+
+  /**
+   * Verifica se o tipo de provedor é conhecido
+   * @param {string} type
+   * @returns {boolean}
+   */
+  static has(type) {
+    return Object.prototype.hasOwnProperty.call(this.providers, type);
+  }
+
+  /**
+   * Cria uma instância do provedor
+   * @param {string} type - Tipo do provedor
+   * @param {Object} options - Opções do provedor
+   * @param {string|null} secret - Token ou senha
+   * @param {RateLimitManager} rateLimitManager - Gerenciador de rate limit
+   * @returns {StorageProvider}
+   */
+  static create(type, options, secret, rateLimitManager) {
+    const Provider = this.providers[type];
+    if (!Provider) {
+      throw new Error(`Provedor de sincronização desconhecido: ${type}`);
+    }
+    return new Provider(options, secret, rateLimitManager);
+  }
+}
+
+// Exportar para uso global
+if (typeof window !== 'undefined') {
+  window.StorageProvider = StorageProvider;
+  window.ProviderRegistry = ProviderRegistry;
+  window.PROVIDER_CONFIG = PROVIDER_CONFIG;
+}
+
+// Exportar para ambientes Node.js se necessário
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    StorageProvider,
+    GistProvider,
+    WebDAVProvider,
+    RestProvider,
+    LocalFileProvider,
+    ProviderRegistry,
+    PROVIDER_CONFIG
+  };
+}
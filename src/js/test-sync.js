@@ -77,8 +77,8 @@ class TestFixer {
   patchTokenCapture() {
     // Função helper para obter token de múltiplas fontes
     window.getAvailableTestToken = function() {
-      // 1. Tentar localStorage principal (prioridade máxima - token real)
-      const mainToken = localStorage.getItem('rfcp_github_token');
+      // 1. Token real da sincronização (ausente se cifrado e ainda bloqueado)
+      const mainToken = window.TokenVault ? window.TokenVault.load() : null;
       if (mainToken && mainToken.length > 20 && !mainToken.includes('•')) {
         return mainToken;
       }
@@ -95,13 +95,7 @@ class TestFixer {
         return testToken;
       }
       
-      // 4. Tentar URL
-      const urlParams = new URLSearchParams(window.location.search);
-      const urlToken = urlParams.get('token');
-      if (urlToken && urlToken.length > 20) {
-        return urlToken;
-      }
-      
+      // Tokens na URL não são aceitos: ficariam no histórico e em logs
       return null;
     };
     
@@ -234,7 +228,7 @@ class TestLogger {
       const time = new Date().toLocaleTimeString();
       const entry = document.createElement('div');
       entry.className = `log-entry log-${type}`;
-      entry.innerHTML = `<span class="log-time">[${time}]</span>${message}`;
+      SafeHtml.setContent(entry, SafeHtml.html`<span class="log-time">[${time}]</span>${message}`);
       this.logContainer.appendChild(entry);
       this.logContainer.scrollTop = this.logContainer.scrollHeight;
     }
@@ -415,6 +409,1123 @@ class TestManager {
           return result.completionDates.A === '2025-01-05';
         }
       },
+      {
+        name: 'SyncManager: Merge com tombstone - desmarcar mais recente prevalece',
+        test: () => {
+          const sm = new window.SyncManager();
+          const local = {
+            objectiveStates: { A: { status: 'uncompleted', updatedAt: '2025-01-10T00:00:00Z' } }
+          };
+          const remote = {
+            completedIds: ['A'],
+            completionDates: { A: '2025-01-05T00:00:00Z' },
+            objectiveStates: { A: { status: 'completed', updatedAt: '2025-01-05T00:00:00Z', completedAt: '2025-01-05T00:00:00Z' } }
+          };
+          const result = sm.mergeProgress(local, remote);
+          return !result.completedIds.includes('A') && !result.completionDates.A;
+        }
+      },
+      {
+        name: 'SyncManager: Mesmo conteúdo em outra ordem de chaves não gera escrita',
+        test: () => {
+          const sm = new window.SyncManager();
+          const stateA = { status: 'completed', updatedAt: '2025-01-01T00:00:00Z', completedAt: '2025-01-01T00:00:00Z' };
+          const stateB = { status: 'uncompleted', updatedAt: '2025-01-02T00:00:00Z' };
+          const local = { objectiveStates: { A: stateA, B: stateB } };
+          // Remoto com as mesmas chaves em ordem inversa, inclusive dentro dos registros
+          const remote = window.ProgressModel.normalize({
+            objectiveStates: { B: { updatedAt: stateB.updatedAt, status: stateB.status }, A: { ...stateA } },
+            notes: { Y: { text: 'b', updatedAt: '2025-01-01T00:00:00Z' }, X: { updatedAt: '2025-01-01T00:00:00Z', text: 'a' } }
+          });
+          const merged = sm.mergeProgress({ ...local, notes: { X: { text: 'a', updatedAt: '2025-01-01T00:00:00Z' } } }, remote);
+          return JSON.stringify(merged.objectiveStates) !== JSON.stringify(remote.objectiveStates) &&
+                 !sm.hasChanges(remote, merged) &&
+                 sm.hasChanges(remote, { ...merged, notes: { ...merged.notes, X: { text: 'c', updatedAt: '2025-01-03T00:00:00Z' } } });
+        }
+      },
+      {
+        name: 'SyncManager: Migração de payload 2.0 para estados por objetivo',
+        test: () => {
+          const legacy = { completedIds: ['A'], completionDates: { A: '2025-01-01T00:00:00Z' }, version: '2.0' };
+          const result = window.ProgressModel.normalize(legacy);
+          return result.version === '3.0' &&
+                 result.objectiveStates.A.status === 'completed' &&
+                 result.objectiveStates.A.updatedAt === '2025-01-01T00:00:00Z';
+        }
+      },
+      {
+        name: 'ProgressModel: Tentativas compactadas e tombstones expirados descartados na mescla',
+        test: () => {
+          const model = window.ProgressModel;
+          const now = new Date('2025-06-01T00:00:00Z');
+          const day = i => new Date(Date.UTC(2025, 0, 1 + i)).toISOString();
+          const quiz = (from, to) => {
+            const attempts = {};
+            for (let i = from; i < to; i++) {
+              attempts[`q${i}`] = { objectiveId: 'LO-1.1', questionId: 'Q-1', correct: true, answeredAt: day(i) };
+            }
+            return attempts;
+          };
+          const exams = {};
+          for (let i = 0; i < 101; i++) exams[`e${i}`] = { startedAt: day(i), finishedAt: day(i), correct: 30, total: 40 };
+
+          const local = {
+            objectiveStates: {},
+            quizAttempts: {
+              ...quiz(0, 50),
+              expired: { objectiveId: 'LO-2.1', correct: false, answeredAt: '2024-01-01T00:00:00Z', deleted: true, deletedAt: '2024-06-01T00:00:00Z' },
+              legacy: { objectiveId: 'LO-2.1', correct: false, answeredAt: '2024-01-01T00:00:00Z', deleted: true }
+            },
+            examAttempts: exams
+          };
+          const remote = {
+            objectiveStates: {},
+            quizAttempts: {
+              ...quiz(48, 52),
+              other: { objectiveId: 'LO-2.1', correct: true, answeredAt: day(0) },
+              recent: { objectiveId: 'LO-2.1', correct: true, answeredAt: day(1), deleted: true, deletedAt: '2025-05-01T00:00:00Z' }
+            }
+          };
+
+          const merged = model.merge(local, remote, now);
+          const quizIds = Object.keys(merged.quizAttempts);
+          const keptLatest = quizIds.filter(id => /^q\d+$/.test(id)).length === 50 &&
+                             !merged.quizAttempts.q0 && !merged.quizAttempts.q1 && !!merged.quizAttempts.q51;
+          const tombstones = !merged.quizAttempts.expired && !merged.quizAttempts.legacy &&
+                             merged.quizAttempts.recent.deleted && !!merged.quizAttempts.other;
+          const examsCapped = Object.keys(merged.examAttempts).length === 100 && !merged.examAttempts.e0;
+
+          // O resultado não depende do lado da mescla nem se altera ao mesclar de novo
+          const converges = model.isEqual(merged, model.merge(remote, local, now)) &&
+                            model.isEqual(merged, model.merge(merged, local, now));
+          const stamped = model.markDeleted({ a: { answeredAt: day(0) } }, '2025-02-01T00:00:00Z').a;
+          return keptLatest && tombstones && examsCapped && converges &&
+                 stamped.deleted && stamped.deletedAt === '2025-02-01T00:00:00Z';
+        }
+      },
+      {
+        name: 'StudyTimer: Sessão curta descartada, troca de objetivo encerra a anterior',
+        requires: ['StudyTimer'],
+        test: () => {
+          const storageKey = window.SyllabusRegistry.namespaced('rfcp_active_timer');
+          // Preservar o cronômetro real do usuário durante o teste
+          const backup = localStorage.getItem(storageKey);
+          const ago = seconds => new Date(Date.now() - seconds * 1000).toISOString();
+          const timer = new window.StudyTimer();
+          try {
+            timer.state = { objectiveId: 'T-1', startedAt: ago(20), accumulatedMs: 0, runningSince: ago(20) };
+            const tooShort = timer.stop() === null && timer.state === null;
+
+            // 1 min acumulado + 30 s em andamento; iniciar outro objetivo encerra T-1
+            timer.state = { objectiveId: 'T-1', startedAt: ago(600), accumulatedMs: 60000, runningSince: ago(30) };
+            const finished = timer.start('T-2');
+            const switched = timer.isActive('T-2') && timer.isRunning();
+            timer.pause();
+            const paused = !timer.isRunning() && timer.getElapsedMs() < 1000;
+            const totals = window.ProgressModel.sumMinutesByObjective({ [finished.id]: finished });
+            return tooShort && finished.objectiveId === 'T-1' && finished.minutes === 1.5 && totals['T-1'] === 1.5 &&
+                   switched && paused && window.StudyTimer.format(65000) === '01:05' && window.StudyTimer.format(3725000) === '1:02:05';
+          } finally {
+            timer.stopTicking();
+            if (backup === null) localStorage.removeItem(storageKey); else localStorage.setItem(storageKey, backup);
+          }
+        }
+      },
+      {
+        name: 'ChapterIndex: Capítulos e seções pela URL/ID e resumo por capítulo',
+        requires: ['ChapterIndex'],
+        test: () => {
+          const base = 'https://docs.robotframework.org/rfcp';
+          const objectives = [
+            { id: 'LO-2.1.1', url: `${base}/chapter-02/executing_tests`, time_min: 10 },
+            { id: 'LO-1.1', url: '', time_min: 5 },
+            { id: 'LO-2.2', url: `${base}/chapter-02/keywords#setup`, time_min: 20 },
+            // A URL prevalece sobre o número do ID
+            { id: 'LO-9.1', url: `${base}/chapter-03/variables`, time_min: 5 },
+            { id: 'extra', time_min: 0 }
+          ];
+          const chapters = window.ChapterIndex.build(objectives, [{ id: 2, title: 'Getting Started' }]);
+          const chapter2 = chapters.find(chapter => chapter.id === '2');
+          const summary = window.ChapterIndex.summarize(chapter2, ['LO-2.2', 'LO-1.1']);
+          return chapters.map(chapter => chapter.id).join() === '0,1,2,3' &&
+                 chapter2.title === 'Getting Started' &&
+                 chapter2.sections.map(section => section.label).join('|') === '2.1 · Executing tests|2.2 · Keywords' &&
+                 chapters[3].objectives[0].id === 'LO-9.1' &&
+                 summary.completed === 1 && summary.total === 2 &&
+                 summary.completedMinutes === 20 && summary.totalMinutes === 30 && summary.percentage === 50;
+        }
+      },
+      {
+        name: 'FilterState: Facetas combinadas e ida e volta pela URL',
+        requires: ['FilterState'],
+        test: () => {
+          const facets = [
+            { key: 'level', label: 'Nível', options: [{ value: 'K1', label: 'K1' }, { value: 'K2', label: 'K2' }], match: (obj, value) => obj.type === value },
+            { key: 'status', label: 'Status', options: [{ value: 'done', label: 'Concluídos' }], match: obj => obj.done }
+          ];
+          const objectives = [
+            { id: 'A', type: 'K1', done: true },
+            { id: 'B', type: 'K1', done: false },
+            { id: 'C', type: 'K2', done: true }
+          ];
+          const filters = new window.FilterState(facets);
+          filters.set('level', 'K1');
+          filters.set('status', 'done');
+          const combined = filters.apply(objectives).map(obj => obj.id).join() === 'A' &&
+                           filters.count(objectives, 'level', 'K2') === 1;
+          const query = filters.toQueryString('  espaço & acento ');
+
+          const restored = new window.FilterState(facets);
+          const search = restored.fromQueryString(query);
+          const roundTrip = search === 'espaço & acento' &&
+                            JSON.stringify(restored.values) === JSON.stringify(filters.values);
+
+          // Valores desconhecidos na URL são ignorados
+          const unknown = new window.FilterState(facets);
+          unknown.fromQueryString('?level=K7&status=done&outro=1');
+          const ignored = JSON.stringify(unknown.values) === '{"status":"done"}';
+
+          filters.toggle('status', 'done');
+          return combined && roundTrip && ignored &&
+                 query === '?level=K1&status=done&q=espa%C3%A7o+%26+acento' &&
+                 filters.toQueryString('   ') === '?level=K1';
+        }
+      },
+      {
+        name: 'ReviewScheduler: Intervalos e facilidade do SM-2 por avaliação',
+        requires: ['ReviewScheduler'],
+        test: () => {
+          const scheduler = window.ReviewScheduler;
+          const now = new Date('2025-01-10T12:00:00Z');
+          const entry = scheduler.createEntry('2025-01-01T12:00:00Z', '2025-01-01T12:00:00Z');
+          const first = scheduler.grade(entry, 'good', now);
+          const second = scheduler.grade(first, 'good', now);
+          const third = scheduler.grade(second, 'good', now);
+          const sequence = first.interval === 1 && second.interval === 6 && third.interval === 15 &&
+                           third.repetitions === 3 && third.ease === 2.5 &&
+                           third.dueAt === '2025-01-25T12:00:00.000Z';
+
+          // Fácil aplica bônus e aumenta a facilidade; difícil e de novo a reduzem
+          const easy = scheduler.grade(third, 'easy', now);
+          const hard = scheduler.grade(third, 'hard', now);
+          const again = scheduler.grade(third, 'again', now);
+          let floor = again;
+          for (let i = 0; i < 5; i++) floor = scheduler.grade(floor, 'again', now);
+          const grades = easy.interval === 49 && easy.ease === 2.6 &&
+                         hard.interval === 18 && hard.ease === 2.36 &&
+                         again.interval === 1 && again.repetitions === 0 && again.ease === 1.96 &&
+                         floor.ease === 1.3;
+
+          // Objetivo sem registro vence um dia após a conclusão
+          const due = scheduler.getDue({ B: third }, ['A', 'B'], { A: '2025-01-08T12:00:00Z' }, now);
+          let rejected = false;
+          try { scheduler.grade(entry, 'perfeito', now); } catch (error) { rejected = true; }
+          return sequence && grades && rejected && due.length === 1 && due[0].id === 'A';
+        }
+      },
+      {
+        name: 'QuizBank: Conclusão automática só ao atingir os acertos configurados',
+        requires: ['QuizBank', 'QuizSession'],
+        test: () => {
+          const question = { id: 'Q-1', objectiveId: 'LO-1.1', type: 'K1', question: '?', options: ['a', 'b'], answer: 1 };
+          const session = new window.QuizSession([question, { ...question, id: 'Q-2' }, { ...question, id: 'Q-3' }]);
+          const attempts = {};
+          [1, 0, 1].forEach(choice => {
+            const attempt = session.answer(choice);
+            attempts[attempt.id] = attempt;
+            session.next();
+          });
+          const score = session.getScore();
+
+          const settings = { autoComplete: true, autoCompleteThreshold: 3 };
+          const belowThreshold = !window.QuizBank.shouldAutoComplete(attempts, 'LO-1.1', settings);
+          attempts.extra = { objectiveId: 'LO-1.1', questionId: 'Q-4', correct: true, answeredAt: '2025-01-01T10:00:00Z' };
+          const reached = window.QuizBank.shouldAutoComplete(attempts, 'LO-1.1', settings);
+
+          // Tentativas removidas não contam, e o recurso desligado nunca conclui
+          attempts.extra.deleted = true;
+          const ignoresDeleted = !window.QuizBank.shouldAutoComplete(attempts, 'LO-1.1', settings);
+          const disabled = !window.QuizBank.shouldAutoComplete(attempts, 'LO-1.1', { autoComplete: false, autoCompleteThreshold: 1 });
+          const otherObjective = !window.QuizBank.shouldAutoComplete(attempts, 'LO-2.1', { autoComplete: true, autoCompleteThreshold: 1 });
+
+          return session.isFinished() && score.correct === 2 && score.percentage === 67 &&
+                 belowThreshold && reached && ignoresDeleted && disabled && otherObjective;
+        }
+      },
+      {
+        name: 'MockExam: Distribuição proporcional ao syllabus e pontuação final',
+        requires: ['MockExam', 'QuizBank', 'ChapterIndex'],
+        test: () => {
+          const objectives = [
+            { id: 'LO-1.1.1', type: 'K1' }, { id: 'LO-1.1.2', type: 'K1' }, { id: 'LO-1.2.1', type: 'K1' },
+            { id: 'LO-1.2.2', type: 'K2' }, { id: 'LO-2.1.1', type: 'K2' }, { id: 'LO-2.1.2', type: 'K2' }
+          ];
+          // 5 questões: cotas 2,5 / 0,83 / 1,67 arredondadas pelos maiores restos
+          const blueprint = window.MockExam.buildBlueprint(objectives, 5);
+          const quota = (chapter, level) => blueprint.find(cell => cell.chapter === chapter && cell.level === level)?.quota;
+          const distributed = quota('1', 'K1') === 2 && quota('1', 'K2') === 1 && quota('2', 'K2') === 2 &&
+                              window.MockExam.buildBlueprint([], 5).length === 0;
+
+          // Combinação sem questões suficientes é completada com o restante do banco
+          const question = (id, objectiveId, type) => ({ id, objectiveId, type, question: '?', options: ['a', 'b'], answer: 0 });
+          const bank = new window.QuizBank([
+            question('Q1', 'LO-1.1.1', 'K1'), question('Q2', 'LO-1.2.2', 'K2'),
+            question('Q3', 'LO-2.1.1', 'K2'), question('Q4', 'LO-2.1.2', 'K2'), question('Q5', 'LO-2.1.2', 'K1')
+          ]);
+          const drawn = window.MockExam.drawQuestions(bank, blueprint, 5);
+          const filled = drawn.length === 5 && new Set(drawn.map(item => item.id)).size === 5;
+
+          const exam = new window.MockExam(bank.questions.slice(0, 4), { passPercentage: 75 });
+          [0, 0, 0].forEach((choice, index) => { exam.goTo(index); exam.answer(choice); });
+          exam.goTo(99);
+          exam.toggleFlag();
+          const result = exam.finish();
+          const strict = new window.MockExam(bank.questions.slice(0, 4), { passPercentage: 80 });
+          strict.answers = { ...exam.answers };
+
+          return distributed && filled && exam.index === 3 && exam.flagged.has('Q4') &&
+                 result.correct === 3 && result.total === 4 && result.percentage === 75 && result.passed &&
+                 result.byChapter['1'].correct === 2 && result.byChapter['2'].correct === 1 &&
+                 result.byChapter['2'].total === 2 && !strict.finish().passed;
+        }
+      },
+      {
+        name: 'MarkdownRenderer: Blocos, ênfase fora de links e HTML escapado',
+        requires: ['MarkdownRenderer'],
+        test: () => {
+          const render = text => window.MarkdownRenderer.render(text);
+          const blocks = render('# Título\n- um\n- **dois**\n\n1. passo\n> citação') ===
+            '<h4>Título</h4>\n<ul><li>um</li><li><strong>dois</strong></li></ul>\n<ol><li>passo</li></ol>\n<blockquote>citação</blockquote>';
+          const code = render('```robot\n*** Test Cases ***\n<b>\n```') ===
+            '<pre><code class="language-robot">*** Test Cases ***\n&lt;b&gt;</code></pre>';
+
+          // "_" e "*" na URL não viram ênfase; o rótulo continua formatado
+          const link = render('[*docs*](https://robotframework.org/a_b_c/**x**) e _isto_') ===
+            '<p><a href="https://robotframework.org/a_b_c/**x**" target="_blank" rel="noopener noreferrer"><em>docs</em></a> e <em>isto</em></p>';
+          const linkedCode = render('[`Log`](https://x.io/p_q_r)').includes('<code>Log</code></a>');
+          const unsafe = render('<img src=x onerror=alert(1)> [x](javascript:alert(1)) `a_b_`') ===
+            '<p>&lt;img src=x onerror=alert(1)&gt; x) <code>a_b_</code></p>';
+          return blocks && code && link && linkedCode && unsafe;
+        }
+      },
+      {
+        name: 'Confidence: Prontidão ponderada pelo tempo e notas removidas',
+        requires: ['Confidence'],
+        test: () => {
+          const objectives = [
+            { id: 'A', time_min: 30 }, { id: 'B', time_min: 10 },
+            { id: 'C', time_min: 20 }, { id: 'D', time_min: 40 }
+          ];
+          const confidence = {
+            A: window.Confidence.createEntry(5, '2025-01-01T00:00:00Z'),
+            C: window.Confidence.createEntry(4, '2025-01-01T00:00:00Z'),
+            D: window.Confidence.createEntry(null, '2025-01-02T00:00:00Z'),
+            E: window.Confidence.createEntry(2, '2025-01-01T00:00:00Z')
+          };
+
+          // A vale 30 × 5/5; B e D (sem nota) assumem 3/5; C está pendente e não conta
+          const readiness = window.Confidence.readiness(objectives, ['A', 'B', 'D'], confidence);
+          const full = window.Confidence.readiness(objectives.slice(0, 1), ['A'], confidence);
+          const empty = window.Confidence.readiness([{ id: 'X' }], ['X'], confidence);
+          let rejected = false;
+          try { window.Confidence.createEntry(6); } catch (error) { rejected = true; }
+
+          return readiness === 60 && full === 100 && empty === 0 && rejected &&
+                 window.Confidence.average(objectives, confidence) === 4.5 &&
+                 window.Confidence.isLow(confidence, 'E') && !window.Confidence.isLow(confidence, 'D');
+        }
+      },
+      {
+        name: 'StudyPlanner: Cronograma até a véspera do exame, por capítulo e dia',
+        requires: ['StudyPlanner', 'ChapterIndex'],
+        test: () => {
+          const planner = window.StudyPlanner;
+          const now = new Date(2025, 2, 10, 9, 0);
+          const objectives = [
+            { id: 'LO-2.1', time_min: 50 }, { id: 'LO-1.1', time_min: 40 }, { id: 'LO-1.2', time_min: 30 },
+            { id: 'LO-1.3', time_min: 30 }, { id: 'LO-3.1', time_min: 100 }
+          ];
+          const progress = {
+            completedIds: ['LO-1.3'],
+            completionDates: { 'LO-1.3': new Date(2025, 2, 10, 8, 0).toISOString() },
+            studiedMinutes: { 'LO-1.2': 10 }
+          };
+          const settings = planner.createSettings('2025-03-13', 60, '2025-03-01T00:00:00Z');
+          const plan = planner.generate(objectives, progress, settings, now);
+          const day = index => plan.days[index].items.map(item => `${item.objective.id}:${item.minutes}${item.done ? '✓' : ''}`).join(' ');
+
+          // Hoje sobram 30 min (LO-1.3 concluído hoje); o capítulo 1 vem antes e o excedente passa do exame
+          const schedule = plan.studyDays === 3 && plan.remainingMinutes === 210 &&
+                           plan.requiredDailyMinutes === 70 && !plan.feasible &&
+                           plan.days.length === 4 && plan.days[0].date === '2025-03-10' &&
+                           day(0) === 'LO-1.3:30✓ LO-1.1:30' &&
+                           day(1) === 'LO-1.1:10 LO-1.2:20 LO-2.1:30' &&
+                           day(2) === 'LO-2.1:20 LO-3.1:40' &&
+                           !plan.days[2].afterExam && plan.days[3].afterExam && day(3) === 'LO-3.1:60';
+
+          const roomy = planner.generate(objectives, progress, { ...settings, dailyMinutes: 120 }, now);
+          const late = planner.generate(objectives, progress, { ...settings, examDate: '2025-03-01' }, now);
+          let rejected = false;
+          try { planner.createSettings('2025-02-30', 60); } catch (error) { rejected = true; }
+
+          return schedule && roomy.feasible && roomy.days.length === 2 &&
+                 late.studyDays === 0 && !late.feasible && late.requiredDailyMinutes === 210 && rejected;
+        }
+      },
+      {
+        name: 'ContributionGrid: Sequências com hoje sem atividade, lacunas e horário de verão',
+        requires: ['ContributionGrid'],
+        test: () => {
+          const streaks = (keys, today) => {
+            const perDay = {};
+            keys.forEach(key => { perDay[key] = ['LO-1']; });
+            return window.ContributionGrid.computeStreaks(perDay, today);
+          };
+          // Dias que atravessam mudanças de horário (Brasil 2018, EUA e Europa 2025)
+          const history = [
+            '2018-11-03', '2018-11-04', '2018-11-05', '2018-11-06',
+            '2025-03-08', '2025-03-09', '2025-03-10',
+            '2025-03-28', '2025-03-29', '2025-03-30'
+          ];
+
+          const notYet = streaks(history, new Date(2025, 2, 31));
+          const activeToday = streaks([...history, '2025-03-31'], new Date(2025, 2, 31));
+          const broken = streaks(history, new Date(2025, 3, 1));
+          const empty = streaks([], new Date(2025, 2, 31));
+
+          return notYet.current === 3 && notYet.longest === 4 &&
+                 activeToday.current === 4 && activeToday.longest === 4 &&
+                 broken.current === 0 && broken.longest === 4 &&
+                 empty.current === 0 && empty.longest === 0;
+        }
+      },
+      {
+        name: 'ContributionGrid: Limites por quartis estritamente crescentes e padrão sem histórico',
+        requires: ['ContributionGrid'],
+        test: () => {
+          const fallback = [1, 15, 30, 60];
+          const thresholds = values => window.ContributionGrid.quantileThresholds(values, fallback);
+          const increasing = list => list.every((value, index) => index === 0 || value > list[index - 1]);
+
+          const spread = thresholds([0, 70, 10, 40, 20, 60, 30, 50]);
+          const equal = thresholds([5, 5, 5, 5]);
+          const fractions = thresholds([0.4, 0.4, 0.2]);
+          const noHistory = thresholds([0, 0]);
+
+          return JSON.stringify(spread) === '[1,30,50,70]' &&
+                 JSON.stringify(equal) === '[1,5,6,7]' &&
+                 JSON.stringify(fractions) === '[1,2,3,4]' &&
+                 noHistory === fallback && thresholds([]) === fallback &&
+                 [spread, equal, fractions].every(increasing);
+        }
+      },
+      {
+        name: 'StatsCalculator: Burn-down, ritmo com projeção e conclusões por semana',
+        requires: ['StatsCalculator', 'StudyPlanner'],
+        test: () => {
+          const stats = window.StatsCalculator;
+          const key = date => window.StudyPlanner.toDateKey(date);
+          const objectives = [
+            { id: 'A', time_min: 30 }, { id: 'B', time_min: 20 }, { id: 'C', time_min: 50 }, { id: 'D', time_min: 0 }
+          ];
+          const completionDates = {
+            A: new Date(2025, 2, 3, 10).toISOString(),
+            B: new Date(2025, 2, 5, 22).toISOString()
+          };
+          const now = new Date(2025, 2, 6, 12);
+
+          // Começa na véspera da primeira conclusão e termina hoje
+          const burndown = stats.burndown(objectives, completionDates, now);
+          const burned = burndown.map(point => `${key(point.date)}:${point.remaining}`).join(' ') ===
+            '2025-03-02:100 2025-03-03:70 2025-03-04:70 2025-03-05:50 2025-03-06:50';
+
+          const pace = stats.pace(objectives, completionDates, now);
+          const paced = pace.completed === 2 && pace.total === 4 && pace.remainingMinutes === 50 &&
+                        pace.activeDays === 4 && pace.minutesPerDay === 12.5 && pace.objectivesPerDay === 0.5 &&
+                        key(pace.projectedDate) === '2025-03-10';
+          const allDone = { ...completionDates, C: new Date(2025, 2, 6, 9).toISOString(), D: new Date(2025, 2, 6, 9).toISOString() };
+          const finished = key(stats.pace(objectives, allDone, now).projectedDate) === '2025-03-06';
+          const idle = stats.pace(objectives, {}, now);
+
+          // Semanas começam no domingo; a semana de 16/3 fica uma hora mais curta
+          // a partir de 2/3 onde há horário de verão (EUA)
+          const weekly = stats.weeklyCompletions({
+            ...completionDates,
+            old: new Date(2024, 11, 1).toISOString(),
+            beforeRange: new Date(2025, 2, 1, 12).toISOString(),
+            middle: new Date(2025, 2, 12, 12).toISOString(),
+            dst: new Date(2025, 2, 16, 0, 30).toISOString()
+          }, 3, new Date(2025, 2, 19, 12));
+          const weeks = weekly.map(week => `${key(week.weekStart)}:${week.count}`).join(' ') ===
+            '2025-03-02:2 2025-03-09:1 2025-03-16:1';
+
+          return burned && paced && finished && idle.projectedDate === null && idle.activeDays === 0 && weeks;
+        }
+      },
+      {
+        name: 'SyllabusMigration: Detectar órfãos e migrar ID renomeado',
+        test: () => {
+          if (typeof window.SyllabusMigration === 'undefined') {
+            throw new Error('SyllabusMigration não está disponível');
+          }
+          const syllabus = { version: '2.0', idMappings: { 'LO-old': 'LO-new' }, objectives: [{ id: 'LO-new' }, { id: 'LO-1' }] };
+          const progress = window.ProgressModel.normalize({
+            completedIds: ['LO-old', 'LO-gone', 'LO-1'],
+            completionDates: { 'LO-old': '2025-01-01T00:00:00Z', 'LO-gone': '2025-01-02T00:00:00Z', 'LO-1': '2025-01-03T00:00:00Z' }
+          });
+          const diff = window.SyllabusMigration.diff(syllabus, progress, { version: '1.0', ids: ['LO-old', 'LO-gone', 'LO-1'], keptOrphans: [] });
+          const mappings = { ...window.SyllabusMigration.suggestMappings(diff.pendingOrphanIds, syllabus), 'LO-gone': 'discard' };
+          const result = window.SyllabusMigration.apply(progress, mappings);
+          return diff.versionChanged && diff.orphanIds.length === 2 && diff.newIds[0] === 'LO-new' &&
+                 JSON.stringify([...result.completedIds].sort()) === JSON.stringify(['LO-1', 'LO-new']) &&
+                 result.completionDates['LO-new'] === '2025-01-01T00:00:00Z';
+        }
+      },
+      {
+        name: 'SyllabusRegistry: Namespaces e resumo por syllabus',
+        test: () => {
+          if (typeof window.SyllabusRegistry === 'undefined') {
+            throw new Error('SyllabusRegistry não está disponível');
+          }
+          const registry = window.SyllabusRegistry;
+          const summary = registry.summarize([{ id: 'LO-1' }, { id: 'LO-2' }], { completedIds: ['LO-1', 'LO-gone'] });
+          return registry.namespaced('rfcpProgressv2', 'rfcp') === 'rfcpProgressv2' &&
+                 registry.namespaced('rfcpProgressv2', 'ctal-ta') === 'rfcpProgressv2:ctal-ta' &&
+                 registry.getFileName('rfcp-progress.json', 'rfcp') === 'rfcp-progress.json' &&
+                 registry.getFileName('rfcp-progress.json', 'ctal-ta') === 'rfcp-progress-ctal-ta.json' &&
+                 summary.completed === 1 && summary.total === 2 && summary.percentage === 50;
+        }
+      },
+      {
+        name: 'RFCPTracker: Dois syllabi exibem o seletor, isolam o progresso e somam a visão geral',
+        // O painel só existe na página principal (nas demais, RFCPTracker é um stub de teste)
+        requires: ['ContributionGrid'],
+        test: async () => {
+          const { SyllabusRegistry, SYLLABUS_REGISTRY_CONFIG, ProgressModel } = window;
+          const tracker = rfcpTracker;
+          const { syllabusSelect, syllabusOverview, syllabusOverviewContent } = tracker.elements;
+          const originalFetch = window.fetch;
+          const originalRegistry = tracker.registry;
+          const demoKey = SyllabusRegistry.namespaced(tracker.storageKey, 'demo');
+          const demo = { id: 'demo', name: 'Demo', title: 'Syllabus de exemplo', dataFile: 'src/data/syllabus_demo.json' };
+          const json = body => new Response(JSON.stringify(body));
+          // Registro com dois syllabi; o segundo tem um de dois objetivos concluído
+          window.fetch = async (url, options) => {
+            if (url === SYLLABUS_REGISTRY_CONFIG.REGISTRY_FILE) return json({ syllabi: [SYLLABUS_REGISTRY_CONFIG.DEFAULT_ENTRY, demo] });
+            if (url === demo.dataFile) return json({ lessons: [{ id: 'D-1' }, { id: 'D-2' }] });
+            return originalFetch(url, options);
+          };
+
+          try {
+            localStorage.setItem(demoKey, JSON.stringify(ProgressModel.normalize({ completedIds: ['D-1'], completionDates: { 'D-1': '2026-01-01' } })));
+            await tracker.loadRegistry();
+            const switcher = syllabusSelect.options.length === 2 && syllabusSelect.value === 'rfcp' &&
+                             !syllabusSelect.closest('.syllabus-switcher').hidden && !syllabusOverview.hidden;
+
+            // O progresso do outro syllabus fica na chave dele, fora do painel ativo
+            const namespaced = demoKey === `${tracker.storageKey}:demo` &&
+                               tracker.storageKey === SyllabusRegistry.namespaced(tracker.storageKey, 'rfcp') &&
+                               !tracker.getProgressData().completedIds.includes('D-1') &&
+                               SyllabusRegistry.loadProgress(tracker.storageKey, 'demo').completedIds.join() === 'D-1';
+
+            await tracker.renderSyllabusOverview();
+            const active = SyllabusRegistry.summarize(tracker.objectives, tracker.getProgressData());
+            const rows = Array.from(syllabusOverviewContent.querySelectorAll('li'), item => item.textContent);
+            const total = syllabusOverviewContent.querySelector('.syllabus-overview-total').textContent;
+            const overview = rows.length === 2 && rows[1].includes('Demo') && rows[1].includes('1/2 · 50%') &&
+                             total.includes(`${active.completed + 1}/${active.total + 2}`);
+            return switcher && namespaced && overview;
+          } finally {
+            window.fetch = originalFetch;
+            localStorage.removeItem(demoKey);
+            tracker.registry = originalRegistry;
+            tracker.renderSyllabusSwitcher();
+            syllabusOverviewContent.replaceChildren();
+          }
+        }
+      },
+      {
+        name: 'SyllabusSchema: Erros com linha e campo, itens inválidos ignorados',
+        test: () => {
+          if (typeof window.SyllabusSchema === 'undefined') {
+            throw new Error('SyllabusSchema não está disponível');
+          }
+          const text = [
+            '{',
+            '  "lessons": [',
+            '    { "id": "LO-1", "type": "K1", "name": "A", "url": "https://example.com/a", "time_min": 5 },',
+            '    { "id": "LO-1", "type": "K4", "name": "B", "url": "https://example.com/b", "time_min": "15" }',
+            '  ]',
+            '}'
+          ].join('\n');
+          const { data, errors } = window.SyllabusSchema.validate(text);
+          const paths = errors.map(error => error.path).sort();
+          return data.lessons.length === 1 && errors.every(error => error.line === 4 && !error.fatal) &&
+                 JSON.stringify(paths) === JSON.stringify(['lessons[1].id', 'lessons[1].time_min', 'lessons[1].type']) &&
+                 window.SyllabusSchema.validate('{ "lessons": [] }').data === null;
+        }
+      },
+      {
+        name: 'I18n: Catálogos, plural e nomes traduzidos',
+        test: () => {
+          if (typeof window.I18n === 'undefined') {
+            throw new Error('I18n não está disponível');
+          }
+          const i18n = window.I18n;
+          const lesson = { id: 'LO-1', name: 'Relembre', translations: { en: { name: 'Recall' } } };
+          return i18n.t('grid.completed', { count: 1 }, 'pt-BR') === '1 objetivo concluído' &&
+                 i18n.t('grid.completed', { count: 3 }, 'en') === '3 objectives completed' &&
+                 i18n.t('chave.inexistente', {}, 'en') === 'chave.inexistente' &&
+                 i18n.localizeItem(lesson, ['name'], 'en').name === 'Recall' &&
+                 i18n.localizeItem(lesson, ['name'], 'pt-BR').name === 'Relembre';
+        }
+      },
+      {
+        name: 'I18n: Questões e erros do syllabus no idioma escolhido',
+        requires: ['QuizBank', 'SyllabusSchema'],
+        test: async () => {
+          const { I18n: i18n, I18N_CONFIG } = window;
+          const savedLocale = localStorage.getItem(I18N_CONFIG.STORAGE_KEY);
+          try {
+            // Alternativas só são trocadas com o mesmo tamanho da original
+            const question = { question: 'Qual?', options: ['a', 'b'], translations: { en: { question: 'Which?', options: ['x'] } } };
+            const partial = i18n.localizeItem(question, ['question', 'options', 'explanation'], 'en');
+
+            i18n.setLocale('en');
+            const bank = await window.QuizBank.load();
+            const first = bank.questions.find(item => item.id === 'Q-1.1-1');
+            const response = await fetch('src/data/questions_rfcp.json');
+            const raw = (await response.json()).questions;
+            const allTranslated = raw.every(item => item.translations?.en?.question &&
+              item.translations.en.options?.length === item.options.length && item.translations.en.explanation);
+
+            const invalid = window.SyllabusSchema.validate('{');
+            const duplicate = window.SyllabusSchema.validate(JSON.stringify({
+              lessons: [
+                { id: 'LO-1', type: 'K1', name: 'A', url: 'https://example.com/a', time_min: 5 },
+                { id: 'LO-1', type: 'K1', name: 'B', url: 'https://example.com/b', time_min: 5 }
+              ]
+            }, null, 2));
+
+            return partial.question === 'Which?' && partial.options[0] === 'a' &&
+                   first.question.startsWith('What are the two main use cases') &&
+                   first.options[first.answer].includes('(RPA)') && allTranslated &&
+                   invalid.errors[0].message.startsWith('Invalid JSON: ') &&
+                   window.SyllabusSchema.format(invalid.errors[0]).startsWith('Line 1: ') &&
+                   duplicate.errors[0].message === 'duplicate value "LO-1" (first occurrence on line 4)';
+          } finally {
+            if (savedLocale === null) {
+              localStorage.removeItem(I18N_CONFIG.STORAGE_KEY);
+            } else {
+              localStorage.setItem(I18N_CONFIG.STORAGE_KEY, savedLocale);
+            }
+          }
+        }
+      },
+      {
+        name: 'SafeHtml: Escape de dados, URLs permitidas e HTML confiável',
+        test: () => {
+          if (typeof window.SafeHtml === 'undefined') {
+            throw new Error('SafeHtml não está disponível');
+          }
+          const { html, url, raw } = window.SafeHtml;
+          const name = '<img src=x onerror="alert(1)">';
+          const inner = html`<b>${'a&b'}</b>`;
+          return html`<p title="${name}">${name}</p>`.toString() ===
+                   '<p title="&lt;img src=x onerror=&quot;alert(1)&quot;&gt;">&lt;img src=x onerror=&quot;alert(1)&quot;&gt;</p>' &&
+                 html`<ul>${[inner, inner]}${false}</ul>`.toString() === '<ul><b>a&amp;b</b><b>a&amp;b</b></ul>' &&
+                 html`${raw('<em>ok</em>')}`.toString() === '<em>ok</em>' &&
+                 url('javascript:alert(1)') === '#' &&
+                 url('data:text/html,<script>') === '#' &&
+                 url('https://robotframework.org/rfcp') === 'https://robotframework.org/rfcp';
+        }
+      },
+      {
+        name: 'TokenVault: Token cifrado (PBKDF2 + AES-GCM) e desbloqueio por sessão',
+        test: async () => {
+          if (typeof window.TokenVault === 'undefined' || !window.CryptoUtils.isAvailable()) {
+            throw new Error('TokenVault ou Web Crypto não está disponível');
+          }
+          const { TokenVault, TOKEN_VAULT_CONFIG } = window;
+          const { STORAGE_KEYS, MODES } = TOKEN_VAULT_CONFIG;
+          // Preservar o token real do usuário durante o teste
+          const backup = Object.values(STORAGE_KEYS).map(key => [key, localStorage.getItem(key), sessionStorage.getItem(key)]);
+          try {
+            await TokenVault.store('ghp_teste_cofre', MODES.ENCRYPTED, 'frase secreta');
+            const cipherHidesToken = !localStorage.getItem(STORAGE_KEYS.ENCRYPTED).includes('ghp_teste_cofre') &&
+                                     !localStorage.getItem(STORAGE_KEYS.TOKEN);
+            TokenVault.lock();
+            const locked = TokenVault.isLocked() && TokenVault.load() === null;
+            const wrongRejected = await TokenVault.unlock('outra frase').then(() => false, () => true);
+            const unlocked = await TokenVault.unlock('frase secreta') === 'ghp_teste_cofre' && !TokenVault.isLocked();
+            await TokenVault.store('ghp_teste_sessao', MODES.SESSION);
+            const sessionOnly = TokenVault.load() === 'ghp_teste_sessao' && !localStorage.getItem(STORAGE_KEYS.TOKEN);
+            return cipherHidesToken && locked && wrongRejected && unlocked && sessionOnly;
+          } finally {
+            backup.forEach(([key, local, session]) => {
+              if (local === null) localStorage.removeItem(key); else localStorage.setItem(key, local);
+              if (session === null) sessionStorage.removeItem(key); else sessionStorage.setItem(key, session);
+            });
+          }
+        }
+      },
+      {
+        name: 'CryptoUtils: Envelope E2E cifra o progresso e rejeita frase errada',
+        test: async () => {
+          if (typeof window.CryptoUtils === 'undefined' || !window.CryptoUtils.isAvailable()) {
+            throw new Error('CryptoUtils ou Web Crypto não está disponível');
+          }
+          const { CryptoUtils, CRYPTO_CONFIG } = window;
+          const progress = { completedIds: ['LO-1.1'], completionDates: { 'LO-1.1': '2026-01-01' } };
+          const envelope = await CryptoUtils.seal(progress, 'frase dos dados');
+          const opened = await CryptoUtils.open(envelope, 'frase dos dados');
+          const errorCode = promise => promise.then(() => null, error => error.code);
+          return CryptoUtils.isEnvelope(envelope) &&
+                 !JSON.stringify(envelope).includes('LO-1.1') &&
+                 opened.completedIds[0] === 'LO-1.1' &&
+                 await errorCode(CryptoUtils.open(envelope, 'outra frase')) === CRYPTO_CONFIG.ERROR_CODES.WRONG_PASSPHRASE &&
+                 await errorCode(CryptoUtils.open({ ...envelope, iv: '%%%' }, 'frase dos dados')) === CRYPTO_CONFIG.ERROR_CODES.INVALID_DATA &&
+                 // Iterações fora da faixa são recusadas antes de derivar a chave
+                 await errorCode(CryptoUtils.open({ ...envelope, iterations: 2e9 }, 'frase dos dados')) === CRYPTO_CONFIG.ERROR_CODES.INVALID_DATA &&
+                 await errorCode(CryptoUtils.open({ ...envelope, iterations: 1 }, 'frase dos dados')) === CRYPTO_CONFIG.ERROR_CODES.INVALID_DATA;
+        }
+      },
+      {
+        name: 'SyncManager: Sessão E2E guarda a chave derivada, nunca a frase secreta',
+        test: async () => {
+          if (typeof window.CryptoUtils === 'undefined' || !window.CryptoUtils.isAvailable()) {
+            throw new Error('CryptoUtils ou Web Crypto não está disponível');
+          }
+          const { CryptoUtils, CRYPTO_CONFIG, SYNC_CONFIG } = window;
+          const { E2E, E2E_KEY } = SYNC_CONFIG.STORAGE_KEYS;
+          const backup = [localStorage.getItem(E2E), sessionStorage.getItem(E2E_KEY)];
+          const progress = { completedIds: ['LO-3.1'], completionDates: {} };
+          const envelope = await CryptoUtils.seal(progress, 'frase dos dados');
+          const sm = new window.SyncManager();
+          const sessionText = () => Array.from({ length: sessionStorage.length }, (_, index) =>
+            sessionStorage.getItem(sessionStorage.key(index))).join();
+
+          try {
+            sm.e2eEnabled = true;
+            sm.provider = { fetch: async () => envelope };
+            await sm.unlockE2E('frase dos dados');
+            const stored = JSON.parse(sessionStorage.getItem(E2E_KEY));
+            const unlocked = !sessionText().includes('frase dos dados') && stored.salt === envelope.salt;
+
+            // Outra página da mesma sessão abre o remoto e cifra com a chave guardada
+            localStorage.setItem(E2E, 'true');
+            const other = new window.SyncManager();
+            const reopened = !other.locked &&
+                             (await other.openRemote(envelope)).completedIds[0] === 'LO-3.1' &&
+                             (await CryptoUtils.seal(progress, other.e2eKey)).salt === envelope.salt;
+            clearTimeout(other.retryTimer);
+
+            // Remoto cifrado com outro salt: a sessão volta a pedir a frase
+            sm.provider = { fetch: async () => CryptoUtils.seal(progress, 'frase dos dados') };
+            const mismatch = await sm.fetchRemoteProgress().then(() => null, error => error.code);
+            return unlocked && reopened && mismatch === CRYPTO_CONFIG.ERROR_CODES.KEY_MISMATCH &&
+                   sm.locked && sessionStorage.getItem(E2E_KEY) === null;
+          } finally {
+            clearTimeout(sm.retryTimer);
+            if (backup[0] === null) localStorage.removeItem(E2E); else localStorage.setItem(E2E, backup[0]);
+            if (backup[1] === null) sessionStorage.removeItem(E2E_KEY); else sessionStorage.setItem(E2E_KEY, backup[1]);
+          }
+        }
+      },
+      {
+        name: 'GistManager: Ativar a E2E move dados em texto claro para um gist novo',
+        test: async () => {
+          if (typeof window.CryptoUtils === 'undefined' || !window.CryptoUtils.isAvailable()) {
+            throw new Error('CryptoUtils ou Web Crypto não está disponível');
+          }
+          const { CryptoUtils, SYNC_CONFIG } = window;
+          const gistIdKey = SYNC_CONFIG.STORAGE_KEYS.GIST_ID;
+          const storedGistId = localStorage.getItem(gistIdKey);
+          const originalFetch = window.fetch;
+          const sealed = JSON.stringify(await CryptoUtils.seal({ completedIds: ['LO-2.1'] }, 'frase dos dados'));
+          // API de gists em memória: o gist antigo tem um syllabus em texto claro e outro já cifrado
+          const gists = {
+            antigo: {
+              id: 'antigo',
+              description: SYNC_CONFIG.GIST_DESCRIPTION,
+              files: {
+                'rfcp-progress.json': { content: JSON.stringify({ completedIds: ['LO-1.1'] }) },
+                'rfcp-progress-outro.json': { content: sealed }
+              }
+            }
+          };
+          const json = (body, init) => new Response(JSON.stringify(body), init);
+          window.fetch = async (url, options = {}) => {
+            const id = url.split('/gists')[1].replace('/', '');
+            if (options.method === 'POST') {
+              gists.novo = { id: 'novo', ...JSON.parse(options.body) };
+              return json(gists.novo, { status: 201 });
+            }
+            if (options.method === 'PATCH') {
+              Object.assign(gists[id], JSON.parse(options.body));
+              return json(gists[id]);
+            }
+            return id ? json(gists[id]) : json(Object.values(gists));
+          };
+
+          try {
+            const dataKey = await CryptoUtils.deriveDataKey('frase dos dados');
+            const manager = new window.SyncManager().createProvider('gist', {}, 'x', dataKey).gistManager;
+            const replaced = await manager.replaceCleartextGist('antigo');
+            const files = gists.novo?.files || {};
+            const moved = replaced === 'antigo' && manager.gistId === 'novo' &&
+                          localStorage.getItem(gistIdKey) === 'novo' &&
+                          !JSON.stringify(files).includes('LO-1.1') &&
+                          files['rfcp-progress-outro.json'].content === sealed &&
+                          (await CryptoUtils.open(JSON.parse(files['rfcp-progress.json'].content), 'frase dos dados')).completedIds[0] === 'LO-1.1';
+
+            // Outro dispositivo com o ID antigo passa para o gist novo; um gist todo cifrado fica como está
+            manager.gistId = 'antigo';
+            const followed = gists.antigo.description === SYNC_CONFIG.RETIRED_GIST_DESCRIPTION &&
+                             await manager.ensureGist() === 'novo';
+            return moved && followed && await manager.replaceCleartextGist('novo') === null;
+          } finally {
+            window.fetch = originalFetch;
+            if (storedGistId === null) localStorage.removeItem(gistIdKey); else localStorage.setItem(gistIdKey, storedGistId);
+          }
+        }
+      },
+      {
+        name: 'GitHubDeviceFlow: Login por código, escopo gist e token expirado',
+        // O login OAuth só é carregado na página de sincronização
+        requires: ['GitHubDeviceFlow'],
+        test: async () => {
+          const { GitHubDeviceFlow, TokenVault, OAUTH_CONFIG } = window;
+          const expiryKey = window.TOKEN_VAULT_CONFIG.STORAGE_KEYS.EXPIRES_AT;
+          const settingsKey = OAUTH_CONFIG.STORAGE_KEYS.SETTINGS;
+          const backup = [localStorage.getItem(expiryKey), localStorage.getItem(settingsKey)];
+          const originalFetch = window.fetch;
+          const originalWait = GitHubDeviceFlow.wait;
+          const json = (body, init) => new Response(JSON.stringify(body), init);
+          // Respostas simuladas do GitHub, na ordem das consultas
+          const replies = [
+            { error: 'authorization_pending' },
+            { error: 'slow_down', interval: 10 },
+            { access_token: 'gho_teste', scope: 'gist', expires_in: 3600 }
+          ];
+          const waits = [];
+          try {
+            GitHubDeviceFlow.saveSettings({ clientId: 'client-teste', proxyUrl: 'https://proxy.teste/' });
+            GitHubDeviceFlow.wait = async ms => { waits.push(ms); };
+            window.fetch = async url => url.endsWith(OAUTH_CONFIG.DEVICE_CODE_PATH)
+              ? json({ device_code: 'dc', user_code: 'ABCD-1234', verification_uri: 'https://github.com/login/device', expires_in: 900, interval: 5 })
+              : json(replies.shift());
+            const code = await GitHubDeviceFlow.requestCode();
+            const result = await GitHubDeviceFlow.pollToken(code);
+            const polled = code.userCode === 'ABCD-1234' && result.token === 'gho_teste' &&
+                           !!result.expiresAt && waits.join() === '5000,5000,10000';
+
+            const headers = scopes => new Response('', { headers: { 'X-OAuth-Scopes': scopes } });
+            const GistProvider = window.ProviderRegistry.create('gist', {}, 'x').constructor;
+            const scopeChecked = GistProvider.missingScopes(headers('repo, read:user')).includes('gist') &&
+                                 GistProvider.missingScopes(headers('gist, repo')).length === 0 &&
+                                 GistProvider.missingScopes(new Response('')).length === 0;
+
+            // 401 com expiração conhecida e vencida vira TOKEN_EXPIRED
+            TokenVault.setExpiry(new Date(Date.now() - 60000));
+            window.fetch = async () => new Response('', { status: 401 });
+            const expiredCode = await window.ProviderRegistry.create('gist', {}, 'gho_vencido').test()
+              .then(() => null, error => error.code);
+            return polled && scopeChecked && TokenVault.isExpired() &&
+                   expiredCode === 'SYNC_TOKEN_EXPIRED';
+          } finally {
+            window.fetch = originalFetch;
+            GitHubDeviceFlow.wait = originalWait;
+            [expiryKey, settingsKey].forEach((key, index) => {
+              if (backup[index] === null) localStorage.removeItem(key); else localStorage.setItem(key, backup[index]);
+            });
+          }
+        }
+      },
+      {
+        name: 'SnapshotManager: Snapshot antes de recomeçar, diff e restauração',
+        test: () => {
+          if (typeof window.SnapshotManager === 'undefined') {
+            throw new Error('SnapshotManager não está disponível');
+          }
+          const { SnapshotManager, ProgressModel, HISTORY_CONFIG } = window;
+          const storageKey = SnapshotManager.getStorageKey();
+          // Preservar o histórico real do usuário durante o teste
+          const backup = localStorage.getItem(storageKey);
+          try {
+            localStorage.removeItem(storageKey);
+            const before = ProgressModel.normalize({
+              completedIds: ['H-1', 'H-2'],
+              completionDates: { 'H-1': '2026-01-01', 'H-2': '2026-01-02' },
+              studySessions: { 's1': { objectiveId: 'H-1', minutes: 30 } }
+            });
+            const snapshot = SnapshotManager.create(before, HISTORY_CONFIG.REASONS.RESET);
+            // O mesmo conteúdo com outra ordem de chaves (payload mesclado ou remoto) não duplica
+            const reverseKeys = object => Object.fromEntries(Object.entries(object).reverse());
+            const reordered = {
+              ...before,
+              objectiveStates: reverseKeys(Object.fromEntries(Object.entries(before.objectiveStates)
+                .map(([id, state]) => [id, reverseKeys(state)])))
+            };
+            const deduplicated = SnapshotManager.create(before, HISTORY_CONFIG.REASONS.DEMO).id === snapshot.id &&
+                                 SnapshotManager.create(reordered, HISTORY_CONFIG.REASONS.DEMO).id === snapshot.id &&
+                                 SnapshotManager.list().length === 1;
+
+            // Recomeçar: objetivos desmarcados e sessões removidas
+            const reset = {
+              ...before,
+              objectiveStates: ProgressModel.replaceStates(before.objectiveStates, {}, '2026-02-01T00:00:00.000Z'),
+              studySessions: ProgressModel.markDeleted(before.studySessions)
+            };
+            const diff = SnapshotManager.diff(reset, snapshot.data);
+            const restored = ProgressModel.restore(reset, snapshot.data, '2026-03-01T00:00:00.000Z');
+            // A restauração prevalece sobre o estado recomeçado de outro dispositivo
+            const merged = ProgressModel.merge(reset, restored);
+            const sessions = Object.values(merged.studySessions).filter(session => !session.deleted);
+            return deduplicated && diff.added.join() === 'H-1,H-2' && diff.removed.length === 0 &&
+                   merged.completedIds.sort().join() === 'H-1,H-2' &&
+                   merged.completionDates['H-1'] === '2026-01-01' &&
+                   sessions.length === 1 && sessions[0].minutes === 30;
+          } finally {
+            if (backup === null) localStorage.removeItem(storageKey); else localStorage.setItem(storageKey, backup);
+          }
+        }
+      },
+      {
+        name: 'ProviderRegistry: Provedores Gist, WebDAV, REST e arquivo local',
+        test: () => {
+          const types = Object.values(window.PROVIDER_CONFIG.TYPES);
+          return types.length === 4 &&
+                 types.every(type => window.ProviderRegistry.has(type)) &&
+                 window.ProviderRegistry.create('rest', { url: 'http://localhost:8080/progress' }).describe() === 'http://localhost:8080/progress';
+        }
+      },
+      {
+        name: 'SyncManager: Fila registra sincronização concorrente em vez de descartar',
+        test: async () => {
+          // Preservar a fila real do usuário durante o teste
+          const storedQueue = localStorage.getItem(window.SyllabusRegistry.namespaced('rfcp_sync_queue'));
+          const sm = new window.SyncManager();
+          try {
+            sm.queue.clear();
+            sm.syncEnabled = true;
+            sm.syncInProgress = true;
+            await sm.sync({ completedIds: ['Q-1'], completionDates: {} });
+            return sm.queue.size === 1 && sm.queue.latest().completedIds.includes('Q-1');
+          } finally {
+            if (storedQueue) {
+              localStorage.setItem(window.SyllabusRegistry.namespaced('rfcp_sync_queue'), storedQueue);
+            } else {
+              localStorage.removeItem(window.SyllabusRegistry.namespaced('rfcp_sync_queue'));
+            }
+          }
+        }
+      },
+      {
+        name: 'SyncManager: Fila não reenvia em laço sem conexão ou durante sincronização',
+        test: async () => {
+          const storedQueue = localStorage.getItem(window.SyllabusRegistry.namespaced('rfcp_sync_queue'));
+          const sm = new window.SyncManager();
+          const flushQueue = sm.flushQueue.bind(sm);
+          const pause = () => new Promise(resolve => setTimeout(resolve, 50));
+          let flushes = 0;
+          sm.flushQueue = () => {
+            flushes++;
+            return flushQueue();
+          };
+
+          try {
+            sm.queue.clear();
+            sm.syncEnabled = true;
+            // Reenvio automático sem registrar o listener global de "online"
+            sm.autoRetryStarted = true;
+            sm.isOffline = () => true;
+            await sm.sync({ completedIds: ['O-1'], completionDates: {} });
+            await pause();
+            const offlineIdle = flushes === 0 && sm.retryTimer === null;
+
+            // Sincronização em andamento: a tentativa não rearma um timer imediato
+            sm.isOffline = () => false;
+            sm.syncInProgress = true;
+            await sm.flushQueue();
+            await pause();
+            return offlineIdle && flushes === 1 && sm.retryTimer === null && sm.queue.size === 1;
+          } finally {
+            clearTimeout(sm.retryTimer);
+            if (storedQueue) {
+              localStorage.setItem(window.SyllabusRegistry.namespaced('rfcp_sync_queue'), storedQueue);
+            } else {
+              localStorage.removeItem(window.SyllabusRegistry.namespaced('rfcp_sync_queue'));
+            }
+          }
+        }
+      },
+      {
+        name: 'LocalFileProvider: Permissão pendente aguarda reconexão em vez de repetir',
+        test: async () => {
+          const storedQueue = localStorage.getItem(window.SyllabusRegistry.namespaced('rfcp_sync_queue'));
+          let requested = 0;
+          let permission = 'prompt';
+          const provider = window.ProviderRegistry.create('local-file', {});
+          // Handle simulado: permissão volta a "prompt" depois de recarregar a página
+          provider.handle = {
+            name: 'rfcp-progress.json',
+            queryPermission: async () => permission,
+            requestPermission: async () => {
+              requested++;
+              permission = 'granted';
+              return permission;
+            },
+            getFile: async () => new File(['{}'], 'rfcp-progress.json')
+          };
+          const sm = new window.SyncManager();
+          let reconnectShown = false;
+
+          try {
+            sm.queue.clear();
+            sm.syncEnabled = true;
+            sm.autoRetryStarted = true;
+            sm.provider = provider;
+            sm.onReconnectChange = needed => { reconnectShown = needed; };
+            const failed = await sm.sync({ completedIds: ['F-1'], completionDates: {} }).then(() => null, error => error.code);
+            const waiting = failed === 'SYNC_PERMISSION_REQUIRED' && requested === 0 && reconnectShown &&
+                            sm.retryTimer === null && sm.queue.getRetryDelay() === 0 && sm.queue.size === 1;
+
+            await sm.reconnect();
+            clearTimeout(sm.retryTimer);
+            return waiting && requested === 1 && !reconnectShown && !sm.needsReconnect;
+          } finally {
+            clearTimeout(sm.retryTimer);
+            if (storedQueue) {
+              localStorage.setItem(window.SyllabusRegistry.namespaced('rfcp_sync_queue'), storedQueue);
+            } else {
+              localStorage.removeItem(window.SyllabusRegistry.namespaced('rfcp_sync_queue'));
+            }
+          }
+        }
+      },
+      {
+        name: 'HttpFileProvider: Escrita condicional com ETag, criação e sem ETag legível',
+        test: async () => {
+          const originalFetch = window.fetch;
+          const requests = [];
+          let remote = null;
+          let exposeEtag = true;
+          // Servidor em memória: ETag opcional, como um servidor de outra origem sem Expose-Headers
+          window.fetch = async (url, options = {}) => {
+            requests.push({ method: options.method, headers: options.headers });
+            const headers = exposeEtag && remote !== null ? { 'ETag': `"${remote.length}"` } : {};
+            if (options.method === 'PUT') {
+              if (options.headers['If-None-Match'] === '*' && remote !== null) return new Response('', { status: 412 });
+              remote = options.body;
+              return new Response('', { status: 201, headers: exposeEtag ? { 'ETag': `"${remote.length}"` } : {} });
+            }
+            return remote === null ? new Response('', { status: 404 }) : new Response(remote, { headers });
+          };
+          const conflict = promise => promise.then(() => null, error => error.code);
+
+          try {
+            const provider = window.ProviderRegistry.create('rest', { url: 'http://localhost:8080/progress' });
+            await provider.fetch();
+            await provider.save({ completedIds: ['E-1'], completionDates: {} }, { expectedVersion: provider.version });
+            const created = requests[1].headers['If-None-Match'] === '*';
+            // Outro dispositivo criou o arquivo antes: a criação não sobrescreve
+            const createConflict = await conflict(provider.save({ completedIds: [] }, { expectedVersion: 'absent' }));
+
+            await provider.fetch();
+            const etagVersion = provider.version;
+            await provider.save({ completedIds: ['E-1', 'E-2'], completionDates: {} }, { expectedVersion: etagVersion });
+            const ifMatch = requests[requests.length - 1].headers['If-Match'] === etagVersion;
+
+            // Sem ETag: a versão vira hash do conteúdo e a escrita confere o remoto antes
+            exposeEtag = false;
+            await provider.fetch();
+            const hashed = provider.version.startsWith('fnv1a:');
+            const staleVersion = provider.version;
+            remote = JSON.stringify({ completedIds: ['E-9'] });
+            const puts = requests.filter(request => request.method === 'PUT').length;
+            const hashConflict = await conflict(provider.save({ completedIds: ['E-3'] }, { expectedVersion: staleVersion }));
+            return created && createConflict === 'SYNC_CONFLICT' && ifMatch && hashed &&
+                   hashConflict === 'SYNC_CONFLICT' && requests.filter(request => request.method === 'PUT').length === puts;
+          } finally {
+            window.fetch = originalFetch;
+          }
+        }
+      },
+      {
+        name: 'GistManager: Releitura do gist ignora o cache HTTP do navegador',
+        test: async () => {
+          const originalFetch = window.fetch;
+          const gist = version => ({
+            id: 'g1',
+            description: 'RFCP Study Tracker - Progress Data',
+            history: [{ version }],
+            files: { 'rfcp-progress.json': { content: JSON.stringify({ completedIds: [version], completionDates: {} }) } }
+          });
+          let current = gist('v1');
+          let cached = null;
+          // Cache HTTP simulado: a API do GitHub responde com Cache-Control: private, max-age=60
+          window.fetch = async (url, options = {}) => {
+            if (options.cache !== 'no-store' && cached) return new Response(cached);
+            cached = JSON.stringify(current);
+            return new Response(cached);
+          };
+
+          try {
+            const provider = new window.SyncManager().createProvider('gist', {}, 'x');
+            provider.gistManager.gistId = 'g1';
+            const first = await provider.fetch();
+            const firstVersion = provider.version;
+            // Outro dispositivo grava entre a leitura e a releitura após o conflito
+            current = gist('v2');
+            const second = await provider.fetch();
+            return firstVersion === 'v1' && first.completedIds[0] === 'v1' &&
+                   provider.version === 'v2' && second.completedIds[0] === 'v2';
+          } finally {
+            window.fetch = originalFetch;
+          }
+        }
+      },
+      {
+        name: 'SyncManager: Conflito de escrita refaz busca e mescla',
+        test: async () => {
+          const storedQueue = localStorage.getItem(window.SyllabusRegistry.namespaced('rfcp_sync_queue'));
+          const sm = new window.SyncManager();
+          let remote = { completedIds: ['R-1'], completionDates: {} };
+          let saves = 0;
+
+          // Provedor em memória: outro dispositivo escreve antes do primeiro save
+          sm.syncEnabled = true;
+          sm.provider = {
+            version: null,
+            fetch: async function() {
+              this.version = `v${saves}`;
+              return remote;
+            },
+            save: async (data, { expectedVersion }) => {
+              if (saves++ === 0) {
+                remote = { completedIds: ['R-1', 'R-2'], completionDates: {} };
+                const error = new Error('conflito');
+                error.code = 'SYNC_CONFLICT';
+                throw error;
+              }
+              remote = data;
+              return expectedVersion;
+            }
+          };
+
+          try {
+            const result = await sm.sync({ completedIds: ['L-1'], completionDates: {} });
+            return saves === 2 && ['L-1', 'R-1', 'R-2'].every(id => result.completedIds.includes(id));
+          } finally {
+            if (storedQueue) {
+              localStorage.setItem(window.SyllabusRegistry.namespaced('rfcp_sync_queue'), storedQueue);
+            } else {
+              localStorage.removeItem(window.SyllabusRegistry.namespaced('rfcp_sync_queue'));
+            }
+          }
+        }
+      },
       {
         name: 'RFCPTracker: Instanciar classe principal',
         test: () => {
@@ -438,6 +1549,12 @@ class TestManager {
     ];
 
     unitTests.forEach(test => {
+      // Testes de módulos que esta página não carrega ficam de fora da suíte
+      const missing = (test.requires || []).filter(name => typeof window[name] === 'undefined');
+      if (missing.length > 0) {
+        console.log(`⏭️ Teste ignorado nesta página (${missing.join(', ')} ausente): ${test.name}`);
+        return;
+      }
       this.tests.unit.push(new BaseTest(test.name, test.test, 'unit'));
     });
   }
@@ -702,10 +1819,10 @@ class TestManager {
       this.tests[category].forEach(test => {
         const testCase = document.createElement('div');
         testCase.className = 'test-case';
-        testCase.innerHTML = `
+        SafeHtml.setContent(testCase, SafeHtml.html`
           <div class="test-name">${test.name}</div>
           <span class="test-status ${TEST_CONFIG.CSS_CLASSES.PENDING}">${TEST_CONFIG.STATUS.PENDING}</span>
-        `;
+        `);
         container.appendChild(testCase);
       });
     });
@@ -750,14 +1867,12 @@ class TestManager {
         const statusClass = result.passed ? TEST_CONFIG.CSS_CLASSES.PASSED : TEST_CONFIG.CSS_CLASSES.FAILED;
         const statusText = result.passed ? TEST_CONFIG.STATUS.PASSED : TEST_CONFIG.STATUS.FAILED;
         
-        testCase.innerHTML = `
+        // Resultados vêm do localStorage: nome e erro entram como texto
+        SafeHtml.setContent(testCase, SafeHtml.html`
           <div class="test-name">${result.name}</div>
           <span class="test-status ${statusClass}">${statusText}</span>
-        `;
-        
-        if (result.error) {
-          testCase.innerHTML += `<div class="test-error">Erro: ${result.error}</div>`;
-        }
+          ${result.error && SafeHtml.html`<div class="test-error">Erro: ${result.error}</div>`}
+        `);
         
         container.appendChild(testCase);
         